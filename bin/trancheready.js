@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// TrancheReady command line. Works offline; nothing here talks to the app server.
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { verifyPack } from '../lib/verify-pack.js';
+import { rerunPack } from '../lib/rerun.js';
+import { diffPacks } from '../lib/pack-diff.js';
+import { verifyAuditEntries } from '../lib/audit-chain.js';
+
+const USAGE = `Usage:
+  trancheready verify <pack.zip> [--public-key <base64>]... [--public-key-file <path>]... [--json]
+  trancheready rerun  <pack.zip> [--public-key <base64>]... [--public-key-file <path>]... [--json]
+  trancheready diff   <before.zip> <after.zip> [--public-key <base64>]... [--public-key-file <path>]... [--json]
+  trancheready audit  <audit-export.json|.jsonl> [--head <sha256>]... [--json]
+
+rerun re-scores the pack with the recorded ruleset and lookback (and re-normalizes the
+original uploads when the pack includes them), using this install's data/ files.
+diff compares two packs: band/score moves, reasons, new and closed cases, ruleset changes.
+audit checks an audit log export (GET /api/audit): every entry's hash and its link to the one
+before. --head (e.g. a pack manifest's audit.hash) must appear in the export.
+
+Exit codes: 0 ok / identical, 1 verification failed / results differ, 2 usage/IO error.`;
+
+const KEY_OPTIONS = {
+  'public-key': { type: 'string', multiple: true },
+  'public-key-file': { type: 'string', multiple: true },
+  json: { type: 'boolean' }
+};
+
+const commands = {
+  async verify(args) {
+    const { values, positionals } = parseArgs({ args, allowPositionals: true, options: KEY_OPTIONS });
+    if (positionals.length !== 1) return usage();
+    const result = await verifyPack(positionals[0], { publicKeys: keysFrom(values) });
+
+    if (values.json) {
+      const { manifest, ...rest } = result;
+      console.log(JSON.stringify({ ...rest, ruleset_id: manifest?.ruleset_id, created_utc: manifest?.created_utc }, null, 2));
+    } else {
+      printVerify(positionals[0], result);
+    }
+    return result.ok ? 0 : 1;
+  },
+
+  async rerun(args) {
+    const { values, positionals } = parseArgs({ args, allowPositionals: true, options: KEY_OPTIONS });
+    if (positionals.length !== 1) return usage();
+    const result = await rerunPack(positionals[0], { publicKeys: keysFrom(values) });
+    if (values.json) console.log(JSON.stringify(result, null, 2));
+    else printRerun(positionals[0], result);
+    return result.ok ? 0 : 1;
+  },
+
+  async diff(args) {
+    const { values, positionals } = parseArgs({ args, allowPositionals: true, options: KEY_OPTIONS });
+    if (positionals.length !== 2) return usage();
+    const result = await diffPacks(...positionals, { publicKeys: keysFrom(values) });
+    if (values.json) console.log(JSON.stringify(result, null, 2));
+    else printDiff(positionals, result);
+    return result.before.ok && result.after.ok ? 0 : 1;
+  },
+
+  audit(args) {
+    const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { head: { type: 'string', multiple: true }, json: { type: 'boolean' } } });
+    if (positionals.length !== 1) return usage();
+    const entries = readAuditExport(fs.readFileSync(positionals[0], 'utf8'));
+    const result = verifyAuditEntries(entries);
+    const hashes = new Set(entries.map(e => e.hash));
+    result.heads = (values.head || []).map(hash => ({ hash, found: hashes.has(hash) }));
+    if (result.heads.some(h => !h.found)) result.ok = false;
+    if (values.json) console.log(JSON.stringify(result, null, 2));
+    else printAudit(positionals[0], entries, result);
+    return result.ok ? 0 : 1;
+  }
+};
+
+function printVerify(file, r) {
+  console.log(`Pack: ${file}`);
+  if (r.manifest) console.log(`Created (UTC): ${r.manifest.created_utc}  Ruleset: ${r.manifest.ruleset_id}`);
+  for (const f of r.files) console.log(`  ${f.status === 'ok' ? 'OK      ' : f.status.toUpperCase().padEnd(8)} ${f.name}`);
+  for (const n of r.extra) console.log(`  EXTRA    ${n}`);
+  const s = r.signature;
+  console.log(`Signature: ${s.status}${s.key_id ? ` (key ${s.key_id})` : ''}${s.message ? ` — ${s.message}` : ''}`);
+  console.log(r.ok ? 'RESULT: PASS' : `RESULT: FAIL (${r.errors.length} problem${r.errors.length === 1 ? '' : 's'})`);
+}
+
+function printRerun(file, r) {
+  console.log(`Pack: ${file}`);
+  if (r.manifest) console.log(`Created (UTC): ${r.manifest.created_utc}  Ruleset: ${r.manifest.ruleset_id}${r.manifest.lookback ? `  Lookback: ${r.manifest.lookback.start}..${r.manifest.lookback.end}${r.manifest.lookback.anchor === 'as_of' ? ' (as-of date)' : ''}` : ''}`);
+  console.log(`  ${r.pack.status.toUpperCase().padEnd(10)} pack hashes (signature: ${r.pack.signature})`);
+  for (const e of r.pack.errors) console.log(`             ${e}`);
+  if (r.ruleset) console.log(`  ${r.ruleset.status.toUpperCase().padEnd(10)} ruleset ${r.ruleset.id} ${r.ruleset.version}`);
+  for (const e of r.environment) console.log(`  ${e.status.toUpperCase().padEnd(10)} ${e.name}`);
+  for (const s of r.steps) {
+    console.log(`  ${s.status.toUpperCase().padEnd(10)} ${s.step}${s.reason ? ` — ${s.reason}` : ''}`);
+    for (const d of s.differences || []) {
+      console.log(`             ${typeof d === 'string' ? d
+        : d.client_id != null ? `${d.client_id}: ${d.recorded ? `${d.recorded.score} ${d.recorded.band}` : 'not in pack'} → ${d.rerun.score} ${d.rerun.band}`
+        : `${d.file}: ${d.recorded} → ${d.rerun} entries`}`);
+    }
+  }
+  console.log(r.ok ? 'RESULT: IDENTICAL' : 'RESULT: NOT REPRODUCED');
+}
+
+function printDiff([before, after], r) {
+  const s = r.summary;
+  console.log(`Before: ${before} (${r.before.created_utc}, ${r.before.ruleset_id})`);
+  console.log(`After:  ${after} (${r.after.created_utc}, ${r.after.ruleset_id})`);
+  for (const w of r.warnings) console.log(`  WARNING  ${w}`);
+  console.log(`Clients: ${s.clients_before ?? '?'} → ${s.clients_after ?? '?'}  up ${s.band_up ?? '?'}  down ${s.band_down ?? '?'}  new ${s.new_clients ?? '?'}  removed ${s.removed_clients ?? '?'}`);
+  for (const c of r.clients) {
+    const band = x => x ? `${x.band} ${x.score}` : '—';
+    console.log(`  ${c.change.toUpperCase().padEnd(8)} ${c.client_id}: ${band(c.before)} → ${band(c.after)}`);
+    for (const t of c.reasons_added) console.log(`             + ${t}`);
+    for (const t of c.reasons_removed) console.log(`             - ${t}`);
+  }
+  console.log(`Cases: ${s.cases_new} new, ${s.cases_closed} closed, ${s.cases_continuing} continuing`);
+  for (const k of r.cases.new) console.log(`  NEW      ${k.client_id}: ${k.rule || k.type}`);
+  for (const k of r.cases.closed) console.log(`  CLOSED   ${k.client_id}: ${k.rule || k.type}`);
+  if (r.ruleset.changed) {
+    console.log(`Ruleset: ${r.ruleset.before.id} ${r.ruleset.before.version} → ${r.ruleset.after.id} ${r.ruleset.after.version}`);
+    if (r.ruleset.note) console.log(`  ${r.ruleset.note}`);
+    const d = r.ruleset.details;
+    if (d) {
+      if (d.lookback_months) console.log(`  lookback_months ${d.lookback_months.before} → ${d.lookback_months.after}`);
+      for (const x of d.rules_added) console.log(`  + rule ${x.id} (${x.family}, ${x.points} pts)`);
+      for (const x of d.rules_removed) console.log(`  - rule ${x.id} (${x.family}, ${x.points} pts)`);
+      for (const x of d.rules_changed) console.log(`  ~ rule ${x.id} ${x.field}: ${JSON.stringify(x.before)} → ${JSON.stringify(x.after)}`);
+      for (const x of d.bands) console.log(`  ~ band ${x.key} threshold: ${x.before ?? '—'} → ${x.after ?? '—'}`);
+      for (const x of d.caps) console.log(`  ~ family ${x.key} cap: ${x.before ?? '—'} → ${x.after ?? '—'}`);
+    }
+  }
+}
+
+// The JSON export ({ chain, entries, head, … }) or JSON Lines (one entry per line).
+function readAuditExport(text) {
+  let whole = null;
+  try { whole = JSON.parse(text); } catch { /* JSON Lines */ }
+  if (Array.isArray(whole?.entries)) return whole.entries;
+  return text.split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+function printAudit(file, entries, r) {
+  console.log(`Audit export: ${file}`);
+  if (entries.length) console.log(`Chain: ${entries[0].chain}  Entries: ${r.entries} (seq ${r.first_seq}..${r.last_seq}, ${entries[0].at} .. ${entries[entries.length - 1].at})`);
+  for (const e of r.errors) console.log(`  BROKEN   seq ${e.seq}: ${e.reason}`);
+  for (const h of r.heads) console.log(`  ${h.found ? 'FOUND   ' : 'MISSING '} head ${h.hash}`);
+  console.log(`Head: ${r.head_hash || '—'}`);
+  console.log(r.ok ? 'RESULT: INTACT' : 'RESULT: FAIL');
+}
+
+function keysFrom(values) {
+  return [...(values['public-key'] || []), ...(values['public-key-file'] || []).flatMap(f => readKeyFile(f))];
+}
+
+// Key files hold one base64 key per line (blank lines and # comments ignored),
+// or the JSON published at /api/keys.
+function readKeyFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (text.trim().startsWith('{')) return (JSON.parse(text).keys || []).map(k => k.public_key);
+  return text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+}
+
+function usage() {
+  console.error(USAGE);
+  return 2;
+}
+
+const [cmd, ...rest] = process.argv.slice(2);
+try {
+  process.exitCode = commands[cmd] ? await commands[cmd](rest) : usage();
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { cfg } from './config.js';
+import { openDatabase } from './sqlite.js';
+
+// Organisations, users, API keys and sessions (lib/accounts.js): kind → id → record.
+// Same three backends as lib/case-store.js behind one synchronous get/put/remove/list contract.
+export const KINDS = ['orgs', 'users', 'api_keys', 'sessions'];
+const ID_RE = /^[A-Za-z0-9_-]{8,128}$/;
+
+class MemoryAccountStore {
+  constructor(){ this.maps = new Map(KINDS.map(k => [k, new Map()])); }
+  get(kind, id){ const r = this.map(kind).get(id); return r ? structuredClone(r) : null; }
+  put(kind, record){ assertId(record.id); this.map(kind).set(record.id, structuredClone(record)); }
+  remove(kind, id){ this.map(kind).delete(id); }
+  list(kind){ return [...this.map(kind).values()].map(r => structuredClone(r)); }
+  map(kind){ assertKind(kind); return this.maps.get(kind); }
+}
+
+// <dir>/<kind>/<id>.json, written to a temp name and renamed.
+class FsAccountStore {
+  constructor(dir){
+    this.dir = dir;
+    for (const k of KINDS) fs.mkdirSync(path.join(dir, k), { recursive: true, mode: 0o700 });
+  }
+  get(kind, id){
+    if (!ID_RE.test(id || '')) return null;
+    try { return JSON.parse(fs.readFileSync(this.file(kind, id), 'utf8')); }
+    catch { return null; }
+  }
+  put(kind, record){
+    assertId(record.id);
+    const file = this.file(kind, record.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+  remove(kind, id){ if (ID_RE.test(id || '')) fs.rmSync(this.file(kind, id), { force: true }); }
+  list(kind){
+    assertKind(kind);
+    const out = [];
+    for (const f of fs.readdirSync(path.join(this.dir, kind))) {
+      if (!f.endsWith('.json')) continue;
+      try { out.push(JSON.parse(fs.readFileSync(path.join(this.dir, kind, f), 'utf8'))); }
+      catch { /* partially written by another instance: picked up next time */ }
+    }
+    return out;
+  }
+  file(kind, id){ assertKind(kind); return path.join(this.dir, kind, `${id}.json`); }
+}
+
+class SqliteAccountStore {
+  constructor(file){
+    this.db = openDatabase(file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS account_records (
+      kind TEXT NOT NULL,
+      id TEXT NOT NULL,
+      record TEXT NOT NULL,
+      PRIMARY KEY (kind, id)
+    )`);
+    this.stmts = {
+      put: this.db.prepare('INSERT OR REPLACE INTO account_records (kind, id, record) VALUES (?, ?, ?)'),
+      get: this.db.prepare('SELECT record FROM account_records WHERE kind = ? AND id = ?'),
+      del: this.db.prepare('DELETE FROM account_records WHERE kind = ? AND id = ?'),
+      list: this.db.prepare('SELECT record FROM account_records WHERE kind = ?')
+    };
+  }
+  get(kind, id){
+    assertKind(kind);
+    const row = this.stmts.get.get(kind, id);
+    return row ? JSON.parse(row.record) : null;
+  }
+  put(kind, record){
+    assertKind(kind); assertId(record.id);
+    this.stmts.put.run(kind, record.id, JSON.stringify(record));
+  }
+  remove(kind, id){ assertKind(kind); this.stmts.del.run(kind, id); }
+  list(kind){ assertKind(kind); return this.stmts.list.all(kind).map(r => JSON.parse(r.record)); }
+}
+
+export function createAccountStore({ backend = 'fs', location = '' } = {}){
+  if (backend === 'memory') return new MemoryAccountStore();
+  if (backend === 'fs') return new FsAccountStore(location || path.join('var', 'accounts'));
+  if (backend === 'sqlite') return new SqliteAccountStore(location || path.join('var', 'accounts.sqlite'));
+  throw new Error(`Unknown ACCOUNT_STORE backend: ${backend}`);
+}
+
+function assertKind(kind){
+  if (!KINDS.includes(kind)) throw new Error(`Unknown account record kind: ${kind}`);
+}
+function assertId(id){
+  if (!ID_RE.test(id || '')) throw new Error('Invalid account record id');
+}
+
+export const accountStore = createAccountStore({ backend: cfg.ACCOUNT_STORE, location: cfg.ACCOUNT_STORE_PATH });
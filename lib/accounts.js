@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import { cfg } from './config.js';
+import { accountStore } from './account-store.js';
+import { otpauthUrl, totpSecret, verifyTotp } from './totp.js';
+
+// Organisations (reporting entities), their users and API keys. Each org's packs, cases and
+// mapping profiles are kept apart (server.js scopes every request by `auth.org_id`).
+//
+// Users sign in with email + password (scrypt), plus a TOTP code once they have enrolled one.
+// Sessions are random tokens held in an HttpOnly cookie; only their SHA-256 is stored. API keys
+// (`trk_<id>_<secret>`, shown once) are for scripts, e.g. a nightly /upload; only a hash is stored.
+//
+// Roles:
+//   admin     everything below, plus users and API keys of the org
+//   preparer  uploads, validation, mapping profiles, case notes
+//   reviewer  case status, assignment and notes, completed KYC reviews
+//   auditor   read-only: packs, reports, cases, profiles, the review schedule, the audit log
+export const ROLES = ['admin', 'preparer', 'reviewer', 'auditor'];
+export const PERMISSIONS = {
+  'packs:read': ['admin', 'preparer', 'reviewer', 'auditor'],
+  'packs:create': ['admin', 'preparer'],
+  'profiles:write': ['admin', 'preparer'],
+  'cases:read': ['admin', 'preparer', 'reviewer', 'auditor'],
+  'cases:note': ['admin', 'preparer', 'reviewer'],
+  'cases:review': ['admin', 'reviewer'],
+  'reviews:read': ['admin', 'preparer', 'reviewer', 'auditor'],
+  'reviews:record': ['admin', 'reviewer'],
+  'audit:read': ['admin', 'auditor'],
+  'org:admin': ['admin']
+};
+const ISSUER = 'TrancheReady';
+const KEY_RE = /^trk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+export function accountError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/** Whether `auth` (from sessionAuth/apiKeyAuth) holds `permission`. */
+export function can(auth, permission) {
+  return !!auth && (PERMISSIONS[permission] || []).includes(auth.role);
+}
+
+const email = z.string().trim().toLowerCase().email().max(254);
+const password = z.string().min(12, 'password must be at least 12 characters').max(256);
+const newOrg = z.object({ name: z.string().trim().min(1).max(200), admin_email: email, admin_password: password }).strict();
+const newUser = z.object({ email, password, role: z.enum(ROLES) }).strict();
+const userChange = z.object({ role: z.enum(ROLES).optional(), disabled: z.boolean().optional(), reset_totp: z.boolean().optional() }).strict();
+const newKey = z.object({ name: z.string().trim().min(1).max(100), role: z.enum(ROLES.filter(r => r !== 'admin')).default('preparer') }).strict();
+const passwordChange = z.object({ current_password: z.string().min(1), new_password: password }).strict();
+
+// ---------- Organisations & users ----------
+
+/** New org with its first admin user (server operators only: POST /api/admin/orgs). */
+export function createOrg(body, store = accountStore) {
+  const { name, admin_email, admin_password } = parse(newOrg, body);
+  assertEmailFree(admin_email, store);
+  const org = { id: newId('org'), name, created_utc: now() };
+  store.put('orgs', org);
+  const admin = putUser(store, { org_id: org.id, email: admin_email, password: admin_password, role: 'admin' });
+  return { org, admin: publicUser(admin) };
+}
+
+export function getOrg(id, store = accountStore) {
+  const org = store.get('orgs', id);
+  if (!org) throw accountError('ACCOUNT_NOT_FOUND', `Organisation not found: ${id}`);
+  return org;
+}
+
+export function listUsers(orgId, store = accountStore) {
+  return store.list('users').filter(u => u.org_id === orgId).sort((a, b) => a.email.localeCompare(b.email)).map(publicUser);
+}
+
+export function createUser(orgId, body, store = accountStore) {
+  const { email: addr, password: pw, role } = parse(newUser, body);
+  assertEmailFree(addr, store);
+  return publicUser(putUser(store, { org_id: orgId, email: addr, password: pw, role }));
+}
+
+/** Role, disabled flag, or a TOTP reset (user re-enrols). Disabling ends the user's sessions. */
+export function updateUser(orgId, userId, body, store = accountStore) {
+  const change = parse(userChange, body);
+  const user = orgUser(orgId, userId, store);
+  if ((change.role && change.role !== 'admin') || change.disabled === true) assertNotLastAdmin(user, store);
+  if (change.role) user.role = change.role;
+  if (change.disabled != null) user.disabled = change.disabled;
+  if (change.reset_totp) Object.assign(user, { totp_secret: null, totp_pending: null, totp_last_step: -1 });
+  store.put('users', user);
+  if (user.disabled || change.role) endSessions(user.id, store);
+  return publicUser(user);
+}
+
+/** Remove a user and end their sessions; the org's last enabled admin can't be removed. */
+export function deleteUser(orgId, userId, store = accountStore) {
+  const user = orgUser(orgId, userId, store);
+  assertNotLastAdmin(user, store);
+  endSessions(user.id, store);
+  store.remove('users', user.id);
+  return publicUser(user);
+}
+
+export function changePassword(userId, body, store = accountStore) {
+  const { current_password, new_password } = parse(passwordChange, body);
+  const user = store.get('users', userId);
+  if (!user || !checkPassword(current_password, user.password_hash)) throw accountError('AUTH_INVALID', 'Current password is incorrect');
+  user.password_hash = hashPassword(new_password);
+  store.put('users', user);
+  return publicUser(user);
+}
+
+// ---------- Sign-in & sessions ----------
+
+/**
+ * Email + password (+ TOTP when enrolled) → a new session. Failures say no more than
+ * "incorrect" (and whether a TOTP code is needed) so accounts can't be enumerated.
+ */
+export function login({ email: addr = '', password: pw = '', totp = '' } = {}, store = accountStore) {
+  const user = findUserByEmail(addr.toString().trim().toLowerCase(), store);
+  const ok = checkPassword(pw.toString(), user?.password_hash || DUMMY_HASH);
+  if (!user || !ok || user.disabled) throw accountError('AUTH_INVALID', 'Email or password is incorrect');
+  if (user.totp_secret) {
+    if (!totp) throw accountError('AUTH_TOTP_REQUIRED', 'Enter the code from your authenticator app');
+    const step = verifyTotp(user.totp_secret, totp, { after: user.totp_last_step ?? -1 });
+    if (step == null) throw accountError('AUTH_INVALID', 'Authenticator code is incorrect or already used');
+    user.totp_last_step = step;
+  }
+  user.last_login_utc = now();
+  store.put('users', user);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = { id: tokenHash(token), user_id: user.id, org_id: user.org_id, created_utc: now(), expires_utc: new Date(Date.now() + cfg.SESSION_TTL_MIN * 60 * 1000).toISOString() };
+  store.put('sessions', session);
+  return { token, expires_utc: session.expires_utc, user: publicUser(user) };
+}
+
+/** Auth for a session cookie value, or null (unknown, expired, or the user was disabled). */
+export function sessionAuth(token, store = accountStore) {
+  if (!token) return null;
+  const session = store.get('sessions', tokenHash(token));
+  if (!session) return null;
+  if (session.expires_utc < now()) { store.remove('sessions', session.id); return null; }
+  const user = store.get('users', session.user_id);
+  if (!user || user.disabled) return null;
+  return { via: 'session', org_id: user.org_id, user_id: user.id, role: user.role, actor: user.email, session_id: session.id };
+}
+
+export function logout(token, store = accountStore) {
+  if (token) store.remove('sessions', tokenHash(token));
+}
+
+// ---------- TOTP enrolment ----------
+
+/** Start enrolment: a pending secret the user adds to an authenticator app, confirmed by enableTotp(). */
+export function beginTotp(userId, store = accountStore) {
+  const user = store.get('users', userId);
+  if (!user) throw accountError('ACCOUNT_NOT_FOUND', 'User not found');
+  if (user.totp_secret) throw accountError('ACCOUNT_INVALID', 'Two-factor sign-in is already on; ask an admin to reset it');
+  user.totp_pending = totpSecret();
+  store.put('users', user);
+  return { secret: user.totp_pending, otpauth_url: otpauthUrl(user.totp_pending, user.email, ISSUER) };
+}
+
+export function enableTotp(userId, { code } = {}, store = accountStore) {
+  const user = store.get('users', userId);
+  if (!user?.totp_pending) throw accountError('ACCOUNT_INVALID', 'Start two-factor setup first');
+  const step = verifyTotp(user.totp_pending, code);
+  if (step == null) throw accountError('ACCOUNT_INVALID', 'Code does not match; check the device clock and try again');
+  Object.assign(user, { totp_secret: user.totp_pending, totp_pending: null, totp_last_step: step });
+  store.put('users', user);
+  return publicUser(user);
+}
+
+// ---------- API keys ----------
+
+/** New key for the org. The returned `key` is the only time the secret is available. */
+export function createApiKey(orgId, body, by, store = accountStore) {
+  const { name, role } = parse(newKey, body);
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = { id: `key_${id}`, org_id: orgId, name, role, prefix: `trk_${id}`, secret_hash: tokenHash(secret), created_utc: now(), created_by: by, last_used_utc: null, revoked_utc: null };
+  store.put('api_keys', record);
+  return { key: `trk_${id}_${secret}`, ...publicKey(record) };
+}
+
+export function listApiKeys(orgId, store = accountStore) {
+  return store.list('api_keys').filter(k => k.org_id === orgId).sort((a, b) => a.created_utc.localeCompare(b.created_utc)).map(publicKey);
+}
+
+export function revokeApiKey(orgId, id, by, store = accountStore) {
+  const record = store.get('api_keys', id);
+  if (!record || record.org_id !== orgId) throw accountError('ACCOUNT_NOT_FOUND', `API key not found: ${id}`);
+  if (!record.revoked_utc) Object.assign(record, { revoked_utc: now(), revoked_by: by });
+  store.put('api_keys', record);
+  return publicKey(record);
+}
+
+/** Auth for an `Authorization: Bearer trk_…` key, or null. */
+export function apiKeyAuth(key, store = accountStore) {
+  const m = KEY_RE.exec(key || '');
+  if (!m) return null;
+  const record = store.get('api_keys', `key_${m[1]}`);
+  if (!record || record.revoked_utc) return null;
+  const given = Buffer.from(tokenHash(m[2]));
+  if (!crypto.timingSafeEqual(given, Buffer.from(record.secret_hash))) return null;
+  if (!record.last_used_utc || Date.now() - Date.parse(record.last_used_utc) > 60 * 1000) {
+    record.last_used_utc = now();   // at most once a minute, not on every poll
+    store.put('api_keys', record);
+  }
+  return { via: 'api_key', org_id: record.org_id, key_id: record.id, role: record.role, actor: `api-key:${record.name}` };
+}
+
+// ---------- Helpers ----------
+
+export function publicUser(u) {
+  return { id: u.id, org_id: u.org_id, email: u.email, role: u.role, totp_enabled: !!u.totp_secret, disabled: !!u.disabled, created_utc: u.created_utc, last_login_utc: u.last_login_utc || null };
+}
+
+function publicKey(k) {
+  const { secret_hash: _s, ...rest } = k;
+  return rest;
+}
+
+function putUser(store, { org_id, email: addr, password: pw, role }) {
+  const user = { id: newId('usr'), org_id, email: addr, role, password_hash: hashPassword(pw), totp_secret: null, totp_pending: null, totp_last_step: -1, disabled: false, created_utc: now(), last_login_utc: null };
+  store.put('users', user);
+  return user;
+}
+
+function orgUser(orgId, userId, store) {
+  const user = store.get('users', userId);
+  if (!user || user.org_id !== orgId) throw accountError('ACCOUNT_NOT_FOUND', `User not found: ${userId}`);
+  return user;
+}
+
+// Demoting, disabling or removing an enabled admin must leave the org another enabled admin.
+function assertNotLastAdmin(user, store) {
+  if (user.role === 'admin' && !user.disabled && otherAdmins(user.org_id, user.id, store) === 0) {
+    throw accountError('ACCOUNT_INVALID', 'An organisation needs at least one admin');
+  }
+}
+
+function otherAdmins(orgId, userId, store) {
+  return store.list('users').filter(u => u.org_id === orgId && u.id !== userId && u.role === 'admin' && !u.disabled).length;
+}
+
+function findUserByEmail(addr, store) {
+  return store.list('users').find(u => u.email === addr) || null;
+}
+
+function assertEmailFree(addr, store) {
+  if (findUserByEmail(addr, store)) throw accountError('ACCOUNT_EXISTS', `A user with email ${addr} already exists`);
+}
+
+function endSessions(userId, store) {
+  for (const s of store.list('sessions')) if (s.user_id === userId) store.remove('sessions', s.id);
+}
+
+export function hashPassword(pw) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(pw, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function checkPassword(pw, stored) {
+  const [algo, N, r, p, salt, hash] = (stored || '').split('$');
+  if (algo !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(pw, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email is unknown, so a miss takes as long as a wrong password.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function parse(schema, body) {
+  const parsed = schema.safeParse(body || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw accountError('ACCOUNT_INVALID', `${issue.path.join('.') || 'body'}: ${issue.message}`);
+  }
+  return parsed.data;
+}
+
+function newId(prefix) { return `${prefix}_${crypto.randomBytes(8).toString('hex')}`; }
+function tokenHash(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+function now() { return new Date().toISOString(); }
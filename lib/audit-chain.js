@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+import { canonicalJson } from './signing.js';
+
+// Hash chaining for the audit log (lib/audit.js). No store or config here, so the offline CLI
+// (`trancheready audit`) can check an exported log without an app install's data.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+/** sha256 of the canonical JSON of an entry without its `hash`. */
+export function entryHash(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+}
+
+/**
+ * Check entries in order: each hash matches its content, each prev_hash is the hash before it and
+ * seq has no gaps. For an exported range, `prevHash` defaults to the first entry's own prev_hash
+ * (the range is then only as trustworthy as that starting point — compare it with another export
+ * or a pack's `audit` head).
+ * @returns {{ ok, entries, first_seq, last_seq, head_hash, errors: { seq, reason }[] }}
+ */
+export function verifyAuditEntries(entries, { prevHash = entries[0]?.prev_hash ?? GENESIS_HASH, firstSeq = entries[0]?.seq ?? 1 } = {}) {
+  const errors = [];
+  let expectPrev = prevHash;
+  let expectSeq = firstSeq;
+  for (const [i, e] of entries.entries()) {
+    if (!e || typeof e !== 'object' || e.unreadable != null || typeof e.hash !== 'string') {
+      errors.push({ seq: expectSeq, reason: `entry ${i + 1} is unreadable` });
+      expectSeq++;
+      continue;
+    }
+    const { hash, ...body } = e;
+    if (e.seq !== expectSeq) errors.push({ seq: e.seq, reason: `expected seq ${expectSeq}` });
+    if (e.prev_hash !== expectPrev) errors.push({ seq: e.seq, reason: 'prev_hash does not match the entry before it' });
+    if (entryHash(body) !== hash) errors.push({ seq: e.seq, reason: 'hash does not match the entry content' });
+    expectPrev = hash;
+    expectSeq = e.seq + 1;
+  }
+  const last = entries[entries.length - 1];
+  return { ok: errors.length === 0, entries: entries.length, first_seq: entries[0]?.seq ?? null, last_seq: last?.seq ?? null, head_hash: last?.hash ?? null, errors };
+}
+
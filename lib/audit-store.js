@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { cfg } from './config.js';
+import { openDatabase } from './sqlite.js';
+
+// Audit log entries (lib/audit.js), one append-only chain per organisation plus `system`.
+// Backends share one synchronous append/list contract like lib/case-store.js; nothing here
+// updates or deletes. append(chain, build) passes the chain's last entry (or null) to `build`
+// and stores what it returns, so the hash link is made against what is actually stored.
+const CHAIN_RE = /^[A-Za-z0-9_-]{2,64}$/;
+
+class MemoryAuditStore {
+  constructor(){ this.chains = new Map(); }
+  append(chain, build){
+    assertChain(chain);
+    if (!this.chains.has(chain)) this.chains.set(chain, []);
+    const entries = this.chains.get(chain);
+    const record = build(entries.length ? structuredClone(entries[entries.length - 1]) : null);
+    entries.push(structuredClone(record));
+    return record;
+  }
+  list(chain){ assertChain(chain); return (this.chains.get(chain) || []).map(r => structuredClone(r)); }
+}
+
+// <dir>/<chain>.jsonl, one entry per line. Appends come from this process only: the last entry
+// of each chain is cached after the first read. Use the sqlite backend for several instances.
+class FsAuditStore {
+  constructor(dir){
+    this.dir = dir;
+    this.last = new Map();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  append(chain, build){
+    assertChain(chain);
+    if (!this.last.has(chain)) { const all = this.list(chain); this.last.set(chain, all.length ? all[all.length - 1] : null); }
+    const record = build(this.last.get(chain));
+    fs.appendFileSync(this.file(chain), JSON.stringify(record) + '\n', { mode: 0o600 });
+    this.last.set(chain, record);
+    return structuredClone(record);
+  }
+  list(chain){
+    assertChain(chain);
+    let text;
+    try { text = fs.readFileSync(this.file(chain), 'utf8'); }
+    catch { return []; }
+    // A damaged line is kept as-is so verification reports it rather than skipping it.
+    return text.split('\n').filter(Boolean).map(line => { try { return JSON.parse(line); } catch { return { unreadable: line }; } });
+  }
+  file(chain){ return path.join(this.dir, `${chain}.jsonl`); }
+}
+
+// Appends run in an IMMEDIATE transaction, so instances sharing the file extend one chain.
+class SqliteAuditStore {
+  constructor(file){
+    this.db = openDatabase(file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS audit_log (
+      chain TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      record TEXT NOT NULL,
+      PRIMARY KEY (chain, seq)
+    )`);
+    this.stmts = {
+      last: this.db.prepare('SELECT record FROM audit_log WHERE chain = ? ORDER BY seq DESC LIMIT 1'),
+      insert: this.db.prepare('INSERT INTO audit_log (chain, seq, record) VALUES (?, ?, ?)'),
+      list: this.db.prepare('SELECT record FROM audit_log WHERE chain = ? ORDER BY seq')
+    };
+    this.appendTx = this.db.transaction((chain, build) => {
+      const row = this.stmts.last.get(chain);
+      const record = build(row ? JSON.parse(row.record) : null);
+      this.stmts.insert.run(chain, record.seq, JSON.stringify(record));
+      return record;
+    });
+  }
+  append(chain, build){ assertChain(chain); return this.appendTx.immediate(chain, build); }
+  list(chain){ assertChain(chain); return this.stmts.list.all(chain).map(r => JSON.parse(r.record)); }
+}
+
+export function createAuditStore({ backend = 'fs', location = '' } = {}){
+  if (backend === 'memory') return new MemoryAuditStore();
+  if (backend === 'fs') return new FsAuditStore(location || path.join('var', 'audit'));
+  if (backend === 'sqlite') return new SqliteAuditStore(location || path.join('var', 'audit.sqlite'));
+  throw new Error(`Unknown AUDIT_STORE backend: ${backend}`);
+}
+
+function assertChain(chain){
+  if (!CHAIN_RE.test(chain || '')) throw new Error('Invalid audit chain id');
+}
+
+export const auditStore = createAuditStore({ backend: cfg.AUDIT_STORE, location: cfg.AUDIT_STORE_PATH });
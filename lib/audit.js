@@ -0,0 +1,86 @@
+import { auditStore } from './audit-store.js';
+import { GENESIS_HASH, entryHash, verifyAuditEntries } from './audit-chain.js';
+import { csvCell } from './utils.js';
+
+// Tamper-evident audit log. Every entry names who did what and is hash-chained to the one
+// before it in its chain (one chain per organisation; server-wide changes such as country list
+// uploads and ruleset activations go to `system`):
+//
+//   { seq, at, chain, actor, ip, action, subject, detail, prev_hash, hash }
+//   hash = sha256(canonical JSON of the entry without `hash`); the first entry's prev_hash is 64 zeros.
+//
+// Changing, removing or reordering an entry breaks every later link, which verifyAuditEntries()
+// (lib/audit-chain.js, shared with the offline CLI) reports. Each new evidence pack records its org chain's head in the manifest (`audit`), so a
+// pack also vouches for the log up to the moment it was made.
+//
+// Actions: org.created, auth.login, auth.logout, auth.totp_enabled, auth.password_changed,
+// user.created, user.updated, user.deleted, api_key.created, api_key.revoked, upload, pack.created,
+// pack.downloaded, pack.report_downloaded, pack.verify_viewed, pack.client_viewed,
+// profile.saved, case.status, case.assigned, case.note, kyc_review.recorded,
+// country_list.saved, ruleset.activated, audit.exported.
+
+export const SYSTEM_CHAIN = 'system';
+
+/**
+ * Append one entry to the org's chain (`system` when org_id is null) and return it.
+ * Failures propagate: an action that can't be audited should not go ahead silently.
+ */
+export function recordAudit({ org_id = null, actor = 'system', ip = null, action, subject = null, detail = {} }, store = auditStore) {
+  const chain = org_id || SYSTEM_CHAIN;
+  return store.append(chain, last => {
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      at: new Date().toISOString(),
+      chain, actor, ip, action, subject, detail,
+      prev_hash: last ? last.hash : GENESIS_HASH
+    };
+    return { ...entry, hash: entryHash(entry) };
+  });
+}
+
+/**
+ * `ruleset.activated` in the system chain when the server starts on a ruleset (id, version and
+ * file hash) other than the last one recorded, so rule changes are on record even though
+ * rulesets are files rather than API edits. Returns the entry, or null when nothing changed.
+ */
+export function recordRulesetInUse(ruleset, store = auditStore) {
+  const last = store.list(SYSTEM_CHAIN).filter(e => e.action === 'ruleset.activated').pop();
+  if (last && last.subject === ruleset.id && last.detail?.sha256 === ruleset.sha256) return null;
+  return recordAudit({ action: 'ruleset.activated', subject: ruleset.id, detail: {
+    version: ruleset.version,
+    sha256: ruleset.sha256,
+    previous: last ? { id: last.subject, version: last.detail?.version ?? null, sha256: last.detail?.sha256 ?? null } : null
+  } }, store);
+}
+
+/** { chain, seq, hash } of the chain's latest entry, or null while it is empty. */
+export function auditHead(orgId, store = auditStore) {
+  const entries = store.list(orgId || SYSTEM_CHAIN);
+  const last = entries[entries.length - 1];
+  return last ? { chain: last.chain, seq: last.seq, hash: last.hash } : null;
+}
+
+/**
+ * Entries whose `at` falls on or between `from` and `to` (YYYY-MM-DD, inclusive; either may be
+ * omitted). The first entry's prev_hash ties the range to what came before; `head` is the
+ * chain's latest entry now, so the export can be matched against a later one.
+ */
+export function exportAudit(orgId, { from = null, to = null } = {}, store = auditStore) {
+  const chain = orgId || SYSTEM_CHAIN;
+  const all = store.list(chain);
+  const entries = all.filter(e => (!from || e.at?.slice(0, 10) >= from) && (!to || e.at?.slice(0, 10) <= to));
+  const last = all[all.length - 1];
+  return { chain, from, to, exported_utc: new Date().toISOString(), entries, head: last ? { seq: last.seq, hash: last.hash } : null };
+}
+
+/** Check the whole chain from its first entry. */
+export function verifyAuditChain(orgId, store = auditStore) {
+  return verifyAuditEntries(store.list(orgId || SYSTEM_CHAIN), { prevHash: GENESIS_HASH, firstSeq: 1 });
+}
+
+/** Export entries as CSV (detail as JSON in one column). */
+export function auditCsv(entries) {
+  const cols = ['seq', 'at', 'chain', 'actor', 'ip', 'action', 'subject', 'detail', 'prev_hash', 'hash'];
+  const lines = [cols, ...entries.map(e => cols.map(c => e[c] != null && typeof e[c] === 'object' ? JSON.stringify(e[c]) : e[c]))];
+  return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
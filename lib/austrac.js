@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { XMLBuilder } from 'fast-xml-parser';
+import { cfg } from './config.js';
+import { csvCell } from './utils.js';
+
+// Draft AUSTRAC reports for human review, packed under austrac/ in the evidence zip:
+//   TTR  one per cash transaction ≥ A$10,000 in the lookback window (Threshold Transaction Report)
+//   SMR  one per structuring / large_domestic case (Suspicious Matter Report)
+// Fields follow the parts of the AUSTRAC Online forms (customer, transaction, other party,
+// reporting entity; for SMRs the grounds for suspicion and the suspicion categories). Values
+// the uploads can't supply (address, occupation, ID documents, the date the suspicion was formed)
+// are left blank and listed in `fields_to_complete`. Every record is marked DRAFT: nothing here
+// is lodged, and the layout must be checked against the current AUSTRAC schema before upload.
+
+export const TTR_THRESHOLD_AUD = 10000;
+export const SMR_CASE_TYPES = {
+  structuring: 'Avoiding reporting obligations (structuring)',
+  large_domestic: 'Unusually large transaction'
+};
+const DRAFT = 'DRAFT - NOT LODGED';
+
+export const TTR_COLUMNS = [
+  'draft_status', 'report_reference', 'reporting_entity_name', 'reporting_entity_id',
+  'transaction_date', 'transaction_reference', 'transaction_type', 'designated_service',
+  'total_amount', 'currency', 'cash_amount_aud', 'foreign_currency',
+  'customer_number', 'customer_full_name', 'customer_dob', 'customer_residency_country',
+  'customer_address', 'customer_occupation', 'customer_id_document',
+  'other_party_name', 'other_party_country', 'matter_reference', 'fields_to_complete'
+];
+export const SMR_COLUMNS = [
+  'draft_status', 'report_reference', 'case_id', 'reporting_entity_name', 'reporting_entity_id',
+  'suspicion_categories', 'grounds_for_suspicion', 'date_suspicion_formed',
+  'subject_customer_number', 'subject_full_name', 'subject_dob', 'subject_residency_country', 'subject_address',
+  'subject_risk_band', 'subject_risk_score',
+  'transaction_count', 'total_amount_aud', 'first_transaction_date', 'last_transaction_date', 'transactions',
+  'fields_to_complete'
+];
+
+function entity() {
+  return { name: cfg.AUSTRAC_REPORTING_ENTITY_NAME, id: cfg.AUSTRAC_REPORTING_ENTITY_ID };
+}
+
+/** Cash, at or over the TTR threshold, inside the lookback window. */
+export function isTtrTransaction(t, lookback) {
+  return t.method === 'cash' && (t.amount_aud ?? 0) >= TTR_THRESHOLD_AUD
+    && (!lookback || (t.date >= lookback.start && t.date <= lookback.end));
+}
+
+export function ttrDraft(t, client) {
+  const e = entity();
+  const record = {
+    draft_status: DRAFT,
+    report_reference: `TTR-${shortHash([t.client_id, t.tx_id, t.date, t.amount, t.currency, t.direction].join('|'))}`,
+    reporting_entity_name: e.name,
+    reporting_entity_id: e.id,
+    transaction_date: t.date,
+    transaction_reference: t.tx_id ?? '',
+    transaction_type: t.direction === 'out' ? 'Cash withdrawal / payment out' : 'Cash deposit / payment in',
+    designated_service: '',
+    total_amount: t.amount,
+    currency: t.currency,
+    cash_amount_aud: t.amount_aud,
+    foreign_currency: t.currency && t.currency !== 'AUD' ? 'Y' : 'N',
+    customer_number: t.client_id,
+    customer_full_name: client?.full_name || '',
+    customer_dob: client?.dob || '',
+    customer_residency_country: client?.residency_country || '',
+    customer_address: '',
+    customer_occupation: '',
+    customer_id_document: '',
+    other_party_name: t.counterparty_name || '',
+    other_party_country: t.counterparty_country || '',
+    matter_reference: t.matter_id || ''
+  };
+  record.fields_to_complete = missing(record, ['reporting_entity_name', 'reporting_entity_id', 'designated_service', 'customer_full_name', 'customer_dob', 'customer_address', 'customer_occupation', 'customer_id_document']);
+  return record;
+}
+
+/** Count, A$ total and dates are over every transaction behind the case (c.transactions); only the samples are listed. */
+export function smrDraft(c, client, score) {
+  const e = entity();
+  const txs = c.samples || [];
+  const all = c.transactions;
+  const listed = txs.map(txLine).join('; ') + (all.count > txs.length ? `; and ${all.count - txs.length} more` : '');
+  const reasons = (score?.reasons || []).filter(r => r.type !== 'context').map(r => r.text);
+  const record = {
+    draft_status: DRAFT,
+    report_reference: `SMR-${c.case_id ? c.case_id.slice(5) : shortHash(`${c.client_id}|${c.rule_id}`)}`,
+    case_id: c.case_id || '',
+    reporting_entity_name: e.name,
+    reporting_entity_id: e.id,
+    suspicion_categories: SMR_CASE_TYPES[c.type] || c.type,
+    grounds_for_suspicion: [
+      `Monitoring rule "${c.rule_id}" raised a ${c.type} case: ${c.rule}.`,
+      all.count ? `${all.count} transaction(s) totalling A$${all.total_aud.toLocaleString('en-AU')} from ${all.first_date} to ${all.last_date}: ${listed}.` : '',
+      reasons.length ? `Client risk ${score.band} (${score.score}): ${reasons.join('; ')}.` : '',
+      'Draft generated from monitoring output; reviewer to confirm facts and add context before lodging.'
+    ].filter(Boolean).join(' '),
+    date_suspicion_formed: '',
+    subject_customer_number: c.client_id,
+    subject_full_name: client?.full_name || '',
+    subject_dob: client?.dob || '',
+    subject_residency_country: client?.residency_country || '',
+    subject_address: '',
+    subject_risk_band: score?.band || '',
+    subject_risk_score: score?.score ?? '',
+    transaction_count: all.count,
+    total_amount_aud: all.total_aud,
+    first_transaction_date: all.first_date || '',
+    last_transaction_date: all.last_date || '',
+    transactions: listed
+  };
+  record.fields_to_complete = missing(record, ['reporting_entity_name', 'reporting_entity_id', 'date_suspicion_formed', 'subject_full_name', 'subject_dob', 'subject_address']);
+  return record;
+}
+
+/** SMR drafts for the cases of the reportable types, with client details and scores. */
+export function smrDrafts(cases, clients, scores) {
+  const byId = new Map(clients.map(c => [String(c.client_id ?? '').trim(), c]));
+  const scoreOf = new Map(scores.map(s => [String(s.client_id), s]));
+  return cases.filter(c => SMR_CASE_TYPES[c.type]).map(c => smrDraft(c, byId.get(String(c.client_id)), scoreOf.get(String(c.client_id))));
+}
+
+/** austrac/*.csv and austrac/*.xml for the pack (written even when empty, so "none due" is explicit). */
+export function austracFiles({ ttrs, smrs, generatedUtc }) {
+  return {
+    'austrac/ttr-drafts.csv': toCsv(TTR_COLUMNS, ttrs),
+    'austrac/ttr-drafts.xml': toXml('ttrDraftList', 'ttr', ttrs, generatedUtc, ttrXml),
+    'austrac/smr-drafts.csv': toCsv(SMR_COLUMNS, smrs),
+    'austrac/smr-drafts.xml': toXml('smrDraftList', 'smr', smrs, generatedUtc, smrXml)
+  };
+}
+
+function toCsv(columns, records) {
+  const lines = [columns, ...records.map(r => columns.map(c => r[c]))];
+  return Buffer.from(lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n');
+}
+
+function toXml(rootName, itemName, records, generatedUtc, shape) {
+  const e = entity();
+  const doc = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    [rootName]: {
+      '@_status': 'DRAFT',
+      header: {
+        generated: generatedUtc,
+        reportingEntity: { name: e.name, id: e.id },
+        reportCount: records.length,
+        notice: 'Drafts for review. Not lodged with AUSTRAC; check against the current AUSTRAC Online schema before submission.'
+      },
+      [itemName]: records.map(shape)
+    }
+  };
+  const builder = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: '@_', format: true, suppressEmptyNode: true });
+  return Buffer.from(builder.build(doc));
+}
+
+function ttrXml(r) {
+  return {
+    '@_reference': r.report_reference,
+    transaction: {
+      date: r.transaction_date, reference: r.transaction_reference, type: r.transaction_type,
+      designatedService: r.designated_service, totalAmount: { '#text': r.total_amount, '@_currency': r.currency },
+      cashAmountAud: r.cash_amount_aud, foreignCurrency: r.foreign_currency
+    },
+    customer: {
+      customerNumber: r.customer_number, fullName: r.customer_full_name, dateOfBirth: r.customer_dob,
+      residencyCountry: r.customer_residency_country, address: r.customer_address,
+      occupation: r.customer_occupation, identification: r.customer_id_document
+    },
+    otherParty: { name: r.other_party_name, country: r.other_party_country },
+    matterReference: r.matter_reference,
+    fieldsToComplete: { field: splitList(r.fields_to_complete) }
+  };
+}
+
+function smrXml(r) {
+  return {
+    '@_reference': r.report_reference,
+    '@_caseId': r.case_id,
+    suspicion: { categories: r.suspicion_categories, grounds: r.grounds_for_suspicion, dateFormed: r.date_suspicion_formed },
+    subject: {
+      customerNumber: r.subject_customer_number, fullName: r.subject_full_name, dateOfBirth: r.subject_dob,
+      residencyCountry: r.subject_residency_country, address: r.subject_address,
+      riskBand: r.subject_risk_band, riskScore: r.subject_risk_score
+    },
+    transactions: {
+      '@_count': r.transaction_count, '@_totalAud': r.total_amount_aud,
+      '@_first': r.first_transaction_date, '@_last': r.last_transaction_date,
+      transaction: splitList(r.transactions)
+    },
+    fieldsToComplete: { field: splitList(r.fields_to_complete) }
+  };
+}
+
+function missing(record, fields) { return fields.filter(f => record[f] === '' || record[f] == null).join('; '); }
+function splitList(s) { return s ? s.split('; ') : []; }
+function txLine(t) { return [t.date, t.tx_id, `${t.amount} ${t.currency}`, t.method, t.counterparty_country].filter(Boolean).join(' '); }
+function shortHash(s) { return crypto.createHash('sha256').update(s).digest('hex').slice(0, 16); }
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { cfg } from './config.js';
+import { openDatabase } from './sqlite.js';
+
+// Case records (lib/case-workflow.js): case_id → { case_id, client_id, status, ... }.
+// Same shape as lib/verify-store.js — memory | fs | sqlite behind one synchronous
+// get/put/list/count contract — but records never expire: dispositions must outlive the packs.
+// Each organisation (lib/accounts.js) has its own cases: forOrg(orgId) returns a store of the
+// same shape holding only that org's records.
+const ID_RE = /^case_[a-f0-9]{8,64}$/;
+const ORG_RE = /^org_[a-f0-9]{8,64}$/;
+
+class MemoryCaseStore {
+  constructor(){ this.map = new Map(); this.orgs = new Map(); }
+  forOrg(orgId){
+    assertOrg(orgId);
+    if (!this.orgs.has(orgId)) this.orgs.set(orgId, new MemoryCaseStore());
+    return this.orgs.get(orgId);
+  }
+  get(id){ return this.map.has(id) ? structuredClone(this.map.get(id)) : null; }
+  put(record){ assertId(record.case_id); this.map.set(record.case_id, structuredClone(record)); }
+  list(){ return [...this.map.values()].map(r => structuredClone(r)); }
+  count(){ return this.map.size; }
+}
+
+// One <case_id>.json per case, written to a temp name and renamed; an org's cases under <dir>/<org_id>/.
+class FsCaseStore {
+  constructor(dir){
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  forOrg(orgId){ assertOrg(orgId); return new FsCaseStore(path.join(this.dir, orgId)); }
+  get(id){
+    if (!ID_RE.test(id)) return null;
+    try { return JSON.parse(fs.readFileSync(this.file(id), 'utf8')); }
+    catch { return null; }
+  }
+  put(record){
+    assertId(record.case_id);
+    const file = this.file(record.case_id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  list(){
+    const out = [];
+    for (const f of fs.readdirSync(this.dir)) {
+      if (!f.endsWith('.json')) continue;
+      try { out.push(JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'))); }
+      catch { /* partially written by another instance: picked up next time */ }
+    }
+    return out;
+  }
+  count(){ return fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).length; }
+  file(id){ return path.join(this.dir, `${id}.json`); }
+}
+
+// Org-scoped cases live in `org_cases`, keyed by (org_id, case_id); `cases` keeps unscoped ones.
+class SqliteCaseStore {
+  constructor(file, { db = null, orgId = null } = {}){
+    this.orgId = orgId;
+    if (db) { this.db = db; } else {
+      this.db = openDatabase(file);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS cases (
+        case_id TEXT PRIMARY KEY,
+        record TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS org_cases (
+        org_id TEXT NOT NULL,
+        case_id TEXT NOT NULL,
+        record TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (org_id, case_id)
+      )`);
+    }
+    const [table, where] = orgId ? ['org_cases', 'org_id = ?'] : ['cases', '1'];
+    this.stmts = {
+      put: orgId
+        ? this.db.prepare('INSERT OR REPLACE INTO org_cases (org_id, case_id, record, updated_at) VALUES (?, ?, ?, ?)')
+        : this.db.prepare('INSERT OR REPLACE INTO cases (case_id, record, updated_at) VALUES (?, ?, ?)'),
+      get: this.db.prepare(`SELECT record FROM ${table} WHERE ${where} AND case_id = ?`),
+      list: this.db.prepare(`SELECT record FROM ${table} WHERE ${where}`),
+      count: this.db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE ${where}`)
+    };
+    this.scope = orgId ? [orgId] : [];
+  }
+  forOrg(orgId){ assertOrg(orgId); return new SqliteCaseStore(null, { db: this.db, orgId }); }
+  get(id){
+    if (!ID_RE.test(id)) return null;
+    const row = this.stmts.get.get(...this.scope, id);
+    return row ? JSON.parse(row.record) : null;
+  }
+  put(record){
+    assertId(record.case_id);
+    this.stmts.put.run(...this.scope, record.case_id, JSON.stringify(record), Date.now());
+  }
+  list(){ return this.stmts.list.all(...this.scope).map(r => JSON.parse(r.record)); }
+  count(){ return this.stmts.count.get(...this.scope).n; }
+}
+
+export function createCaseStore({ backend = 'fs', location = '' } = {}){
+  if (backend === 'memory') return new MemoryCaseStore();
+  if (backend === 'fs') return new FsCaseStore(location || path.join('var', 'cases'));
+  if (backend === 'sqlite') return new SqliteCaseStore(location || path.join('var', 'cases.sqlite'));
+  throw new Error(`Unknown CASE_STORE backend: ${backend}`);
+}
+
+function assertId(id){
+  if (!ID_RE.test(id || '')) throw new Error('Invalid case id');
+}
+function assertOrg(orgId){
+  if (!ORG_RE.test(orgId || '')) throw new Error('Invalid organisation id');
+}
+
+export const caseStore = createCaseStore({ backend: cfg.CASE_STORE, location: cfg.CASE_STORE_PATH });
@@ -0,0 +1,160 @@
+import { z } from 'zod';
+import { caseStore } from './case-store.js';
+
+// Case management on top of the cases each evidence run raises (lib/engine.js gives them a
+// stable case_id). Lifecycle:
+//
+//   open → under_review → escalated → smr_filed | closed_no_action
+//                       ↘ smr_filed | closed_no_action
+//
+// escalated, smr_filed and closed_no_action need a rationale; so does reopening a closed case.
+// recordCases() runs after each upload: unseen ids are raised as `open`, known ids keep their
+// status and disposition (they are not re-raised), so reviewed cases carry forward.
+
+export const CASE_STATUSES = ['open', 'under_review', 'escalated', 'smr_filed', 'closed_no_action'];
+export const CLOSED_STATUSES = ['smr_filed', 'closed_no_action'];
+const TRANSITIONS = {
+  open: ['under_review'],
+  under_review: ['open', 'escalated', 'smr_filed', 'closed_no_action'],
+  escalated: ['under_review', 'smr_filed', 'closed_no_action'],
+  smr_filed: ['under_review'],
+  closed_no_action: ['under_review']
+};
+const NEEDS_RATIONALE = ['escalated', 'smr_filed', 'closed_no_action'];
+const MAX_SEEN = 20;   // most recent uploads remembered per case
+
+export function caseError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+const actor = z.string().trim().min(1).max(200).optional();
+const statusChange = z.object({ status: z.enum(CASE_STATUSES), rationale: z.string().trim().max(5000).optional(), by: actor }).strict();
+const assignment = z.object({ assignee: z.string().trim().max(200).nullable(), by: actor }).strict();
+const note = z.object({ text: z.string().trim().min(1).max(5000), author: actor }).strict();
+
+/**
+ * Record the cases of one evidence run. New ids are stored as `open` (with `related` pointing
+ * at earlier closed cases for the same client and rule); known ids only get `last_seen_utc`
+ * and the latest samples. Returns counts and ids for the upload result.
+ * @param {object[]} cases  cases.json entries
+ * @param {{ ruleset_id?: string, token?: string, at?: string }} run
+ */
+export function recordCases(cases, { ruleset_id = null, token = null, at = new Date().toISOString() } = {}, store = caseStore) {
+  const closedByRule = new Map();
+  for (const r of store.list()) {
+    if (!CLOSED_STATUSES.includes(r.status)) continue;
+    const key = `${r.client_id}\u0000${r.rule_id}`;
+    closedByRule.set(key, [...(closedByRule.get(key) || []), r.case_id]);
+  }
+
+  const out = { new: [], known: [], previously_reviewed: [] };
+  for (const c of cases) {
+    if (!c.case_id) continue;
+    const seen = { at, ruleset_id, token };
+    const existing = store.get(c.case_id);
+    if (existing) {
+      existing.last_seen_utc = at;
+      existing.seen = [...existing.seen, seen].slice(-MAX_SEEN);
+      existing.samples = c.samples || [];
+      store.put(existing);
+      out.known.push(c.case_id);
+      if (existing.status !== 'open') out.previously_reviewed.push(c.case_id);
+      continue;
+    }
+    const { case_id, type, client_id, rule_id, rule, samples = [], ...detail } = c;
+    store.put({
+      case_id, type, client_id, rule_id, rule, detail, samples,
+      status: 'open',
+      assignee: null,
+      disposition: null,
+      notes: [],
+      history: [{ at, by: 'system', action: 'raised', to: 'open' }],
+      related: closedByRule.get(`${client_id}\u0000${rule_id}`) || [],
+      first_seen_utc: at,
+      last_seen_utc: at,
+      seen: [seen]
+    });
+    out.new.push(case_id);
+  }
+  return out;
+}
+
+/** Cases filtered by status (one or a comma list), assignee and client_id; open work first, then most recently seen. */
+export function listCases({ status, assignee, client_id } = {}, store = caseStore) {
+  const statuses = status ? status.toString().split(',').map(s => s.trim()).filter(Boolean) : null;
+  const all = store.list();
+  const counts = Object.fromEntries(CASE_STATUSES.map(s => [s, all.filter(r => r.status === s).length]));
+  const cases = all
+    .filter(r => !statuses || statuses.includes(r.status))
+    .filter(r => assignee == null || assignee === '' || (r.assignee || '') === assignee)
+    .filter(r => !client_id || String(r.client_id) === String(client_id))
+    .sort((a, b) => CLOSED_STATUSES.includes(a.status) - CLOSED_STATUSES.includes(b.status) || (a.last_seen_utc < b.last_seen_utc ? 1 : a.last_seen_utc > b.last_seen_utc ? -1 : 0))
+    .map(summary);
+  return { cases, counts };
+}
+
+export function getCase(id, store = caseStore) {
+  const record = store.get(id);
+  if (!record) throw caseError('CASE_NOT_FOUND', `Case not found: ${id}`);
+  return withNext(record);
+}
+
+export function setStatus(id, body, store = caseStore) {
+  const { status, rationale, by = 'anonymous' } = parse(statusChange, body);
+  const record = store.get(id);
+  if (!record) throw caseError('CASE_NOT_FOUND', `Case not found: ${id}`);
+  if (!TRANSITIONS[record.status].includes(status)) {
+    throw caseError('CASE_TRANSITION', `Cannot move a case from ${record.status} to ${status} (allowed: ${TRANSITIONS[record.status].join(', ')})`);
+  }
+  const reopening = CLOSED_STATUSES.includes(record.status);
+  if ((NEEDS_RATIONALE.includes(status) || reopening) && !rationale) {
+    throw caseError('CASE_INVALID', `A rationale is required to ${reopening ? 'reopen a case' : `move a case to ${status}`}`);
+  }
+  const at = new Date().toISOString();
+  record.history.push({ at, by, action: 'status', from: record.status, to: status, ...(rationale ? { rationale } : {}) });
+  record.status = status;
+  record.disposition = CLOSED_STATUSES.includes(status) ? { status, rationale, by, at } : null;
+  store.put(record);
+  return withNext(record);
+}
+
+export function assignCase(id, body, store = caseStore) {
+  const { assignee, by = 'anonymous' } = parse(assignment, body);
+  const record = store.get(id);
+  if (!record) throw caseError('CASE_NOT_FOUND', `Case not found: ${id}`);
+  const to = assignee || null;
+  record.history.push({ at: new Date().toISOString(), by, action: 'assigned', from: record.assignee, to });
+  record.assignee = to;
+  store.put(record);
+  return withNext(record);
+}
+
+export function addNote(id, body, store = caseStore) {
+  const { text, author = 'anonymous' } = parse(note, body);
+  const record = store.get(id);
+  if (!record) throw caseError('CASE_NOT_FOUND', `Case not found: ${id}`);
+  record.notes.push({ at: new Date().toISOString(), author, text });
+  store.put(record);
+  return withNext(record);
+}
+
+function summary(r) {
+  return {
+    case_id: r.case_id, type: r.type, client_id: r.client_id, rule_id: r.rule_id, rule: r.rule,
+    status: r.status, assignee: r.assignee, notes: r.notes.length,
+    first_seen_utc: r.first_seen_utc, last_seen_utc: r.last_seen_utc
+  };
+}
+
+function withNext(record) {
+  return { ...record, next_statuses: TRANSITIONS[record.status] };
+}
+
+function parse(schema, body) {
+  const parsed = schema.safeParse(body || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw caseError('CASE_INVALID', `${issue.path.join('.') || 'body'}: ${issue.message}`);
+  }
+  return parsed.data;
+}
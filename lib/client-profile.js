@@ -0,0 +1,160 @@
+import { readZipEntriesNamed, zipEntryLines } from './zip.js';
+import { CLIENT_FIELDS } from './csv-normalize.js';
+
+// One client of an evidence pack, for views/client.ejs: profile fields (clients.json), band,
+// scored and context reasons (scores.json) and narrative, the transactions behind each reason
+// (triggers.json; older packs fall back to the tx_ids in the client's case samples), the
+// client's transactions (transactions.json) on a timeline across the recorded lookback, and
+// the pack's cases.
+//
+// Everything comes from the pack, so the page shows what the pack proves rather than the
+// latest upload. Live case status is the caller's to add (lib/case-workflow.js).
+
+const CHART = { width: 960, height: 260, left: 64, right: 16, top: 16, bottom: 32 };
+const MAX_POINTS = 3000;   // transactions drawn on the timeline
+
+/** Clients of the pack, highest score first: { created_utc, lookback, clients: [{ client_id, full_name, band, score, reasons, cases }] } */
+export async function packClients(zip) {
+  const pack = await readPack(zip, ['manifest.json', 'clients.json', 'scores.json', 'cases.json']);
+  if (!pack) return null;
+  const names = new Map((pack['clients.json'] || []).map(c => [clientKey(c.client_id), c.full_name || null]));
+  const caseCounts = new Map();
+  for (const c of pack['cases.json'] || []) caseCounts.set(clientKey(c.client_id), (caseCounts.get(clientKey(c.client_id)) || 0) + 1);
+  const clients = (pack['scores.json'] || [])
+    .map(s => ({ client_id: s.client_id, full_name: names.get(clientKey(s.client_id)) ?? null, band: s.band, score: s.score, reasons: s.reasons.filter(r => r.type === 'reason').length, cases: caseCounts.get(clientKey(s.client_id)) || 0 }))
+    .sort((a, b) => b.score - a.score || String(a.client_id).localeCompare(String(b.client_id)));
+  const m = pack['manifest.json'];
+  return { created_utc: m.created_utc, ruleset: { id: m.ruleset_id, version: m.ruleset_version }, lookback: m.lookback, clients };
+}
+
+/**
+ * @param {Buffer|string} zip  pack contents or path
+ * @param {string} clientId
+ * @param {{ maxRows?: number }} opts  transactions listed in the table (triggering ones always are)
+ * @returns {Promise<object|null>} model for views/client.ejs, or null when the client is not in the pack
+ */
+export async function clientProfile(zip, clientId, { maxRows = 500 } = {}) {
+  const pack = await readPack(zip, ['manifest.json', 'clients.json', 'scores.json', 'cases.json', 'triggers.json', 'narratives.json']);
+  if (!pack) return null;
+  const id = clientKey(clientId);
+  const client = (pack['clients.json'] || []).find(c => clientKey(c.client_id) === id) || null;
+  const score = (pack['scores.json'] || []).find(s => clientKey(s.client_id) === id) || null;
+  const cases = (pack['cases.json'] || []).filter(c => clientKey(c.client_id) === id);
+  const txs = await clientTransactions(zip, id);
+  if (!client && !score && !cases.length && !txs.length) return null;
+
+  // tx_id → rule ids that used it
+  const triggers = pack['triggers.json']?.[score?.client_id ?? id]
+    || cases.map(c => ({ rule_id: c.rule_id, tx_ids: (c.samples || []).map(t => t.tx_id).filter(x => x != null).map(String) }));
+  const byTx = new Map();
+  for (const t of triggers) for (const tx of t.tx_ids) byTx.set(tx, [...new Set([...(byTx.get(tx) || []), t.rule_id])]);
+  const idsByRule = new Map(triggers.map(t => [t.rule_id, t.tx_ids]));
+
+  const m = pack['manifest.json'];
+  const lookback = m.lookback || span(txs);
+  const inWindow = t => !lookback || (t.date >= lookback.start && t.date <= lookback.end);
+  const rows = txs.map((t, i) => ({ ...t, anchor: t.tx_id != null ? txAnchor(t.tx_id) : `row-${i + 1}`, in_window: inWindow(t), rules: byTx.get(String(t.tx_id)) || [] }));
+  const windowed = rows.filter(t => t.in_window);
+  const sum = pred => round2(windowed.filter(pred).reduce((a, t) => a + (t.amount_aud ?? t.amount ?? 0), 0));
+
+  return {
+    client_id: score?.client_id ?? client?.client_id ?? clientId,
+    profile: client ? CLIENT_FIELDS.filter(f => f !== 'client_id').map(f => ({ field: f, value: client[f] ?? null })) : null,
+    band: score?.band ?? null,
+    score: score?.score ?? null,
+    narrative: (pack['narratives.json'] || []).find(n => clientKey(n.client_id) === id)?.text || null,
+    reasons: (score?.reasons || []).filter(r => r.type === 'reason').map(r => ({ ...r, txs: (idsByRule.get(r.rule_id) || r.tx_ids || []).map(tx_id => ({ tx_id, anchor: txAnchor(tx_id) })) })),
+    context: (score?.reasons || []).filter(r => r.type === 'context'),
+    cases,
+    lookback,
+    pack: { created_utc: m.created_utc, ruleset: { id: m.ruleset_id, version: m.ruleset_version }, triggers: pack['triggers.json'] ? 'triggers.json' : 'case samples' },
+    totals: {
+      transactions: rows.length,
+      in_window: windowed.length,
+      outside_window: rows.length - windowed.length,
+      in_aud: sum(t => t.direction === 'in'),
+      out_aud: sum(t => t.direction === 'out'),
+      cash_aud: sum(t => t.method === 'cash'),
+      triggering: windowed.filter(t => t.rules.length).length
+    },
+    chart: timeline(windowed, lookback),
+    ...tableRows(windowed, maxRows)
+  };
+}
+
+// Date on x (across the lookback), AUD amount on a square-root y axis so a few large
+// transactions don't flatten the rest. Triggering transactions are drawn last, on top.
+function timeline(txs, lookback) {
+  if (!lookback || !txs.length) return null;
+  const { width, height, left, right, top, bottom } = CHART;
+  const [d0, d1] = [dayNumber(lookback.start), dayNumber(lookback.end)];
+  const max = txs.reduce((m, t) => Math.max(m, Math.abs(t.amount_aud ?? t.amount ?? 0)), 1);
+  const x = date => left + (width - left - right) * ((dayNumber(date) - d0) / Math.max(1, d1 - d0));
+  const y = amount => height - bottom - (height - top - bottom) * Math.sqrt(Math.abs(amount) / max);
+  const drawn = txs.length > MAX_POINTS ? keepTriggering(txs, MAX_POINTS) : txs;
+  const points = drawn
+    .map(t => ({
+      x: round1(x(t.date)), y: round1(y(t.amount_aud ?? t.amount ?? 0)),
+      anchor: t.anchor, direction: t.direction === 'out' ? 'out' : 'in', triggered: t.rules.length > 0,
+      title: `${t.date} ${t.tx_id ?? ''} ${t.direction || ''} ${t.amount} ${t.currency}${t.method ? ` ${t.method}` : ''}${t.rules.length ? ` · ${t.rules.join(', ')}` : ''}`.replace(/\s+/g, ' ')
+    }))
+    .sort((a, b) => a.triggered - b.triggered);
+  // Month ticks, thinned to at most 12 labels
+  const months = [];
+  for (let d = new Date(`${lookback.start.slice(0, 7)}-01T00:00:00Z`); d.toISOString().slice(0, 10) <= lookback.end; d.setUTCMonth(d.getUTCMonth() + 1)) {
+    const iso = d.toISOString().slice(0, 10);
+    if (iso >= lookback.start) months.push(iso);
+  }
+  const step = Math.ceil(months.length / 12) || 1;
+  const ticks = months.filter((_, i) => i % step === 0).map(iso => ({ x: round1(x(iso)), label: iso.slice(0, 7) }));
+  const yTicks = [0, 0.25, 1].map(f => ({ y: round1(y(max * f)), label: Math.round(max * f).toLocaleString('en-AU') }));
+  return { width, height, left, right, top, bottom, points, ticks, yTicks, omitted: txs.length - drawn.length };
+}
+
+function tableRows(txs, maxRows) {
+  const kept = txs.length > maxRows ? keepTriggering(txs, maxRows) : txs;
+  return { transactions: kept, transactions_omitted: txs.length - kept.length };
+}
+
+// Every triggering transaction, then the most recent others up to `max`, in date order.
+function keepTriggering(txs, max) {
+  const triggered = txs.filter(t => t.rules.length);
+  const others = txs.filter(t => !t.rules.length);
+  const room = Math.max(0, max - triggered.length);
+  const keep = new Set([...triggered, ...others.slice(others.length - Math.min(room, others.length))]);
+  return txs.filter(t => keep.has(t));
+}
+
+// transactions.json is written one transaction per line (lib/ingest.js), so it is streamed line
+// by line and the client's rows are found without parsing (or holding) everyone else's.
+async function clientTransactions(zip, id) {
+  const needle = JSON.stringify(id).slice(1, -1);
+  const out = [];
+  for await (let line of zipEntryLines(zip, 'transactions.json')) {
+    if (!line.includes(needle)) continue;
+    line = line.trim().replace(/,$/, '');
+    if (!line.startsWith('{')) continue;
+    const t = JSON.parse(line);
+    if (clientKey(t.client_id) === id) out.push(t);
+  }
+  return out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// The named (small) JSON entries, parsed.
+async function readPack(zip, names) {
+  const entries = await readZipEntriesNamed(zip, names);
+  const out = {};
+  for (const [name, buf] of Object.entries(entries)) out[name] = buf && JSON.parse(buf.toString('utf8'));
+  return out['manifest.json'] ? out : null;
+}
+
+function span(txs) {
+  const dates = txs.map(t => t.date).filter(Boolean).sort();
+  return dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null;
+}
+
+function clientKey(v) { return String(v ?? '').trim(); }
+function txAnchor(txId) { return `tx-${String(txId).replace(/[^A-Za-z0-9_-]/g, '_')}`; }
+function dayNumber(iso) { return Date.parse(`${iso}T00:00:00Z`) / 86400000; }
+function round1(n) { return Math.round(n * 10) / 10; }
+function round2(n) { return Math.round(n * 100) / 100; }
@@ -1,15 +1,72 @@
+import os from 'os';
+import path from 'path';
+
 export const cfg = {
   PORT: parseInt(process.env.PORT || '10000', 10),
   APP_ORIGIN: process.env.APP_ORIGIN || 'http://localhost:10000',
   MARKETING_ORIGIN: process.env.MARKETING_ORIGIN || 'http://localhost:5500',
-  VERIFY_TTL_MIN: parseInt(process.env.VERIFY_TTL_MIN || '60', 10),
+  UPLOAD_MAX_MB: parseInt(process.env.UPLOAD_MAX_MB || '1024', 10),
+  WORK_DIR: process.env.WORK_DIR || path.join(os.tmpdir(), 'trancheready'), // uploads + per-run scratch
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+  JOB_TTL_MIN: parseInt(process.env.JOB_TTL_MIN || '60', 10),      // finished job status kept this long
+  PACK_INCLUDE_INPUTS: process.env.PACK_INCLUDE_INPUTS === 'true',  // default for packing original uploads (per-upload include_inputs overrides)
+  VERIFY_TTL_MIN: parseInt(process.env.VERIFY_TTL_MIN || '43200', 10), // verify/download links last 30 days by default
+  VERIFY_STORE: process.env.VERIFY_STORE || 'fs',               // fs | sqlite | memory (links lost on restart)
+  VERIFY_STORE_PATH: process.env.VERIFY_STORE_PATH || '',       // directory (fs, memory) or database file (sqlite)
+  VERIFY_SWEEP_MIN: parseInt(process.env.VERIFY_SWEEP_MIN || '10', 10),
+
+  CASE_STORE: process.env.CASE_STORE || 'fs',                     // memory | fs | sqlite
+  CASE_STORE_PATH: process.env.CASE_STORE_PATH || '',             // directory (fs) or database file (sqlite)
 
   SIGN_PRIVATE_KEY: process.env.SIGN_PRIVATE_KEY || '',
   SIGN_PUBLIC_KEY: process.env.SIGN_PUBLIC_KEY || '',
+  SIGN_PUBLIC_KEYS: process.env.SIGN_PUBLIC_KEYS || '', // retired keys still published for old packs (comma-separated)
 
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || '',
   STRIPE_PRICE_ID_TEAM: process.env.STRIPE_PRICE_ID_TEAM || '',
   STRIPE_PRICE_ID_STARTER: process.env.STRIPE_PRICE_ID_STARTER || '',
 
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY || ''
+  RULESET_ID: process.env.RULESET_ID || 'dnfbp-2026.11',
+  RULESET_DIR: process.env.RULESET_DIR || '',
+  COUNTRY_RISK_DIR: process.env.COUNTRY_RISK_DIR || '', // uploaded country risk list versions (default var/country-risk)
+
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '', // Bearer token for /api/admin/*; empty = admin endpoints disabled
+
+  ACCOUNT_STORE: process.env.ACCOUNT_STORE || 'fs',               // memory | fs | sqlite (orgs, users, API keys, sessions)
+  ACCOUNT_STORE_PATH: process.env.ACCOUNT_STORE_PATH || '',       // directory (fs) or database file (sqlite)
+  SESSION_TTL_MIN: parseInt(process.env.SESSION_TTL_MIN || '480', 10),
+
+  AUDIT_STORE: process.env.AUDIT_STORE || 'fs',                   // memory | fs | sqlite (hash-chained audit log)
+  AUDIT_STORE_PATH: process.env.AUDIT_STORE_PATH || '',           // directory (fs) or database file (sqlite)
+
+  REVIEW_STORE: process.env.REVIEW_STORE || 'fs',                 // memory | fs | sqlite (KYC review schedule)
+  REVIEW_STORE_PATH: process.env.REVIEW_STORE_PATH || '',         // directory (fs) or database file (sqlite)
+  KYC_REVIEW_MONTHS: process.env.KYC_REVIEW_MONTHS || 'High:6,Medium:12,Low:24', // review interval per band, unless the ruleset's band sets review_months
+
+  MAPPING_PROFILE_DIR: process.env.MAPPING_PROFILE_DIR || '', // saved column-mapping profiles (default var/mapping-profiles)
+
+  REPORT_MAX_ROWS: parseInt(process.env.REPORT_MAX_ROWS || '500', 10), // clients/cases/rejects listed in program.html/pdf
+  REPORT_FONT_FILE: process.env.REPORT_FONT_FILE || '',                // TTF for program.pdf when names use non-Latin scripts
+
+  // Prefilled into the draft TTR/SMR files (austrac/ in each pack).
+  AUSTRAC_REPORTING_ENTITY_NAME: process.env.AUSTRAC_REPORTING_ENTITY_NAME || '',
+  AUSTRAC_REPORTING_ENTITY_ID: process.env.AUSTRAC_REPORTING_ENTITY_ID || '',
+
+  FX_RATES_FILE: process.env.FX_RATES_FILE || '',
+  FX_MAX_STALE_DAYS: parseInt(process.env.FX_MAX_STALE_DAYS || '7', 10),
+
+  // Screening lists (CSV/XML). Empty (or 'none') = not screened; data/screening/*.sample.csv are demo lists.
+  SANCTIONS_LIST_FILE: process.env.SANCTIONS_LIST_FILE || '',
+  PEP_LIST_FILE: process.env.PEP_LIST_FILE || '',
+
+  // Client narratives (lib/narrative.js): none | template | openai (any OpenAI-compatible endpoint).
+  // OPENAI_API_KEY alone still turns on OpenAI narratives, as before.
+  NARRATIVE_PROVIDER: process.env.NARRATIVE_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+  NARRATIVE_BASE_URL: process.env.NARRATIVE_BASE_URL || 'https://api.openai.com/v1',
+  NARRATIVE_API_KEY: process.env.NARRATIVE_API_KEY || process.env.OPENAI_API_KEY || '',
+  NARRATIVE_MODEL: process.env.NARRATIVE_MODEL || 'gpt-4o-mini',
+  NARRATIVE_CONCURRENCY: parseInt(process.env.NARRATIVE_CONCURRENCY || '4', 10),
+  NARRATIVE_TIMEOUT_MS: parseInt(process.env.NARRATIVE_TIMEOUT_MS || '15000', 10),
+  NARRATIVE_FALLBACK: process.env.NARRATIVE_FALLBACK || 'template',   // template | none, when a call fails
+  NARRATIVE_CACHE_MAX: parseInt(process.env.NARRATIVE_CACHE_MAX || '5000', 10)
 };
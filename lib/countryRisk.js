@@ -1,15 +1,129 @@
-// Timestamped context so auditors see when lists were last reviewed.
-export const RISK_SOURCES = {
-  fatf_call_for_action_as_at: "2025-10-24",
-  fatf_grey_list_as_at: "2025-06-13",
-  au_tranche2_context_as_at: "2025-10-20"
-};
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { cfg } from './config.js';
+import { isCountryCode } from './iso3166.js';
 
-// FATF call-for-action (very high risk) — sample set
-export const VERY_HIGH_RISK = ['IR', 'KP', 'RU'];
+// Country risk lists as dated, versioned data files, so updating a list is a data change and
+// each pack records which version it ran with:
+//   data/country-risk/<list>/<version>.json    bundled versions
+//   COUNTRY_RISK_DIR/<list>/<version>.json     versions uploaded through POST /api/admin/country-lists
+// { list, version, effective_from: YYYY-MM-DD, name?, source, countries: [ISO 3166 alpha-2] }
+// A run uses, per list, the version with the latest effective_from on or before its lookback end
+// date (the earliest version when the run predates them all). Versions are append-only — an
+// upload can't replace an existing one — so a recorded (list, version, sha256) names one file.
 
-// Increased monitoring (grey list) — sample subset for demo
-export const INCREASED_MONITORING = ['AE','TR','MY','PH','BG','MA'];
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'country-risk');
+const ID_RE = /^[a-z][a-z0-9_]{1,39}$/;
+const VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
 
-// Corridor rule per your brief
-export const CORRIDOR_SET = ['RU','CN','HK','AE','IN','IR'];
+// Older rulesets (destination_context `source`) and packs name list dates by these manifest.sources keys.
+const SOURCE_KEYS = { very_high_risk: 'fatf_call_for_action_as_at', increased_monitoring: 'fatf_grey_list_as_at', corridor: 'au_tranche2_context_as_at' };
+
+const listSchema = z.object({
+  list: z.string().regex(ID_RE, 'list must be lower-case letters, digits and _ (2–40 chars)'),
+  version: z.string().regex(VERSION_RE, 'version must be letters, digits, . _ - (up to 64 chars)'),
+  effective_from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'effective_from must be YYYY-MM-DD').refine(d => !Number.isNaN(Date.parse(d)) && new Date(d).toISOString().startsWith(d), 'effective_from is not a date'),
+  name: z.string().optional(),
+  source: z.string().min(1),
+  countries: z.array(z.string().transform(c => c.trim().toUpperCase()).refine(isCountryCode, c => ({ message: `Unknown country code ${c}` })))
+}).strict();
+
+let cached = null;
+
+function savedDir() { return cfg.COUNTRY_RISK_DIR || path.join('var', 'country-risk'); }
+
+/** Validate a list version (object or JSON text). Throws `COUNTRY_LIST_INVALID` with the first issue. */
+export function parseCountryList(raw) {
+  let obj = raw;
+  try { if (typeof raw === 'string' || Buffer.isBuffer(raw)) obj = JSON.parse(raw.toString('utf8')); }
+  catch (e) { throw listError('COUNTRY_LIST_INVALID', `Country list is not valid JSON: ${e.message}`); }
+  const parsed = listSchema.safeParse(obj);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw listError('COUNTRY_LIST_INVALID', `Invalid country list at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+  return { ...parsed.data, countries: [...new Set(parsed.data.countries)] };
+}
+
+/** list id → its versions, oldest effective_from first. Each carries `sha256` of its file and `builtin`. */
+export function countryListVersions() {
+  if (cached) return cached;
+  const out = new Map();
+  for (const [dir, builtin] of [[BUILTIN_DIR, true], [savedDir(), false]]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const list of fs.readdirSync(dir).filter(d => ID_RE.test(d)).sort()) {
+      for (const f of fs.readdirSync(path.join(dir, list)).filter(f => f.endsWith('.json')).sort()) {
+        const raw = fs.readFileSync(path.join(dir, list, f));
+        const v = parseCountryList(raw);
+        if (v.list !== list || `${v.version}.json` !== f) throw new Error(`Country list file ${list}/${f} declares ${v.list}/${v.version}`);
+        if (!out.has(list)) out.set(list, []);
+        out.get(list).push({ ...v, sha256: sha256Hex(raw), builtin });
+      }
+    }
+  }
+  for (const versions of out.values()) versions.sort((a, b) => a.effective_from.localeCompare(b.effective_from) || a.version.localeCompare(b.version));
+  cached = out;
+  return out;
+}
+
+/**
+ * The lists in effect on `asOf` (YYYY-MM-DD): { lists: { <list>: countries }, versions, sources },
+ * where `versions` is what the manifest records and `sources` the as-at dates rules quote.
+ */
+export function countryListsAt(asOf) {
+  const chosen = [];
+  for (const versions of countryListVersions().values()) {
+    const inEffect = versions.filter(v => v.effective_from <= asOf);
+    chosen.push(inEffect.length ? { ...inEffect[inEffect.length - 1], in_effect: true } : { ...versions[0], in_effect: false });
+  }
+  return selection(chosen);
+}
+
+/**
+ * The exact versions a pack recorded (manifest.country_lists), for re-runs. `missing` lists
+ * recorded versions that aren't on this server or whose file hash differs.
+ */
+export function countryListsRecorded(recorded = []) {
+  const all = countryListVersions();
+  const chosen = [];
+  const missing = [];
+  for (const r of recorded) {
+    const local = (all.get(r.list) || []).find(v => v.version === r.version);
+    if (local && local.sha256 === r.sha256) chosen.push({ ...local, in_effect: r.in_effect });
+    else missing.push({ list: r.list, version: r.version, recorded_sha256: r.sha256, local_sha256: local?.sha256 || null });
+  }
+  return { ...selection(chosen), missing };
+}
+
+/** Store an uploaded version under COUNTRY_RISK_DIR. Existing versions (bundled or saved) are never replaced. */
+export function saveCountryList(raw) {
+  const list = parseCountryList(raw);
+  if ((countryListVersions().get(list.list) || []).some(v => v.version === list.version)) {
+    throw listError('COUNTRY_LIST_EXISTS', `Country list ${list.list} already has a version ${list.version}; upload it under a new version`);
+  }
+  const dir = path.join(savedDir(), list.list);
+  fs.mkdirSync(dir, { recursive: true });
+  const body = Buffer.from(JSON.stringify(list, null, 2) + '\n');
+  const file = path.join(dir, `${list.version}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, body);
+  fs.renameSync(tmp, file);
+  cached = null;
+  return { ...list, sha256: sha256Hex(body), builtin: false };
+}
+
+function selection(chosen) {
+  const sources = {};
+  for (const v of chosen) if (SOURCE_KEYS[v.list]) sources[SOURCE_KEYS[v.list]] = v.effective_from;
+  return {
+    lists: Object.fromEntries(chosen.map(v => [v.list, v.countries])),
+    versions: chosen.map(v => ({ list: v.list, version: v.version, effective_from: v.effective_from, in_effect: v.in_effect, source: v.source, countries: v.countries.length, sha256: v.sha256 })),
+    sources
+  };
+}
+
+function listError(code, message) { return Object.assign(new Error(message), { code }); }
+function sha256Hex(buf) { return crypto.createHash('sha256').update(buf).digest('hex'); }
@@ -1,5 +1,7 @@
-import { parseISO, isValid, isAfter, subMonths } from 'date-fns';
+import { parseISO, isValid } from 'date-fns';
 import { z } from 'zod';
+import { isCountryCode } from './iso3166.js';
+import { isoDay, addMonths } from './utils.js';
 
 // Canonical client fields and synonyms (case-insensitive)
 const CLIENT_MAP = {
@@ -27,120 +29,282 @@ const TX_MAP = {
   matter_id: ['matter_id','file_id','case_id','engagement_id']
 };
 
+export const CLIENT_FIELDS = Object.keys(CLIENT_MAP);
+export const TX_FIELDS = Object.keys(TX_MAP);
+
 const CASH_KEYS = ['cash','notes','branch_cash'];
 const OUT_KEYS = ['out','debit','send'];
 const IN_KEYS  = ['in','credit','receive'];
 
 const lower = s => (s ?? '').toString().trim().toLowerCase();
 
-function mapHeaders(row, dict) {
-  const out = {};
-  for (const k of Object.keys(row)) {
-    const lk = lower(k);
-    const canonical = Object.keys(dict).find(can =>
-      dict[can].some(a => a === lk)
-    );
-    out[canonical || lk] = row[k];
+// Values the engine reads as yes/no (truthy() in lib/engine.js).
+const FLAG_VALUES = ['true','false','yes','no','y','n','1','0'];
+const DATE_HINT = 'Not a valid date (expected YYYY-MM-DD)';
+
+const blank = v => v == null || v.toString().trim() === '';
+const isDate = v => isValid(parseISO(v.toString().trim()));
+const notFuture = v => blank(v) || !isDate(v) || v.toString().trim().slice(0, 10) <= new Date().toISOString().slice(0, 10);
+const optionalDate = z.string().optional()
+  .refine(v => blank(v) || isDate(v), DATE_HINT)
+  .refine(notFuture, 'Date is in the future');
+const optionalCountry = z.string().optional()
+  .refine(v => blank(v) || isCountryCode(v), 'Not an ISO 3166-1 alpha-2 country code');
+const optionalFlag = z.string().optional()
+  .refine(v => blank(v) || FLAG_VALUES.includes(lower(v)), 'Expected yes/no, true/false or 1/0');
+
+const CLIENT_SCHEMA = z.object({
+  client_id: z.string({ required_error: 'Missing client_id' }).trim().min(1, 'Missing client_id').or(z.number().transform(String)),
+  full_name: z.string().optional(),
+  dob: optionalDate,
+  residency_country: optionalCountry,
+  delivery_channel: z.string().optional(),
+  services: z.string().optional(),
+  pep_flag: optionalFlag,
+  sanctions_flag: optionalFlag,
+  kyc_last_reviewed_at: optionalDate
+});
+
+// Mapping profile side (lib/mapping-profiles.js) → lower-cased lookups, built once per profile.
+const compiled = new WeakMap();
+function compile(side) {
+  if (!side) return null;
+  if (!compiled.has(side)) {
+    const lowerKeys = o => Object.fromEntries(Object.entries(o || {}).map(([k, v]) => [lower(k), v]));
+    const split = side.split_amount;
+    compiled.set(side, {
+      columns: lowerKeys(side.columns),
+      direction: lowerKeys(side.values?.direction),
+      method: lowerKeys(side.values?.method),
+      split: split ? { debit: lower(split.debit), credit: lower(split.credit), debit_direction: split.debit_direction || 'out' } : null
+    });
   }
-  return out;
+  return compiled.get(side);
 }
 
-export function normalizeClients(rows) {
-  const headerMap = {};
-  if (rows[0]) {
-    for (const k of Object.keys(rows[0])) {
-      const lk = lower(k);
-      const canonical = Object.keys(CLIENT_MAP).find(can => CLIENT_MAP[can].includes(lk));
-      headerMap[k] = canonical || lk;
-    }
-  }
+// Profile columns first, then the synonym lists; unknown headers keep their lower-cased name.
+function canonicalOf(header, dict, map) {
+  const lk = lower(header);
+  return map?.columns[lk] || Object.keys(dict).find(can => dict[can].includes(lk)) || lk;
+}
 
-  const schema = z.object({
-    client_id: z.string().min(1).or(z.number().transform(String)),
-    full_name: z.string().optional(),
-    dob: z.string().optional(),
-    residency_country: z.string().optional(),
-    delivery_channel: z.string().optional(),
-    services: z.string().optional(),
-    pep_flag: z.string().optional(),
-    sanctions_flag: z.string().optional(),
-    kyc_last_reviewed_at: z.string().optional()
-  });
+/**
+ * Row-level issue for the validation report. `row` is the 1-based line in the file
+ * (header is line 1); `column` is the uploader's own header where the field was present.
+ */
+function issue(i, raw, dict, map, field, value, reason, severity = 'warning') {
+  const column = Object.keys(raw).find(k => canonicalOf(k, dict, map) === field) || field;
+  return { row: i + 2, column, value: value ?? '', reason, severity };
+}
 
-  const normalized = rows.map(r => mapHeaders(r, CLIENT_MAP)).map(r => schema.safeParse(r).success ? r : r);
-  return { clients: normalized, clientHeaderMap: headerMap };
+function mapHeaders(row, dict, map = null) {
+  const out = {};
+  for (const k of Object.keys(row)) out[canonicalOf(k, dict, map)] = row[k];
+  return out;
 }
 
-export function normalizeTransactions(rows) {
+function headerMapOf(row, dict, map = null) {
   const headerMap = {};
-  if (rows[0]) {
-    for (const k of Object.keys(rows[0])) {
-      const lk = lower(k);
-      const canonical = Object.keys(TX_MAP).find(can => TX_MAP[can].includes(lk));
-      headerMap[k] = canonical || lk;
+  for (const k of Object.keys(row || {})) headerMap[k] = canonicalOf(k, dict, map);
+  if (map?.split) for (const k of Object.keys(row || {})) if ([map.split.debit, map.split.credit].includes(lower(k))) headerMap[k] = 'amount';
+  return headerMap;
+}
+
+/** `profile` is an optional mapping profile (lib/mapping-profiles.js); its clients.columns win over synonyms. */
+export function normalizeClients(rows, { profile = null } = {}) {
+  const map = compile(profile?.clients);
+  const headerMap = clientHeaderMap(rows[0], profile);
+
+  // Invalid rows are still scored (dropping a client would hide it from monitoring);
+  // what's wrong with them goes to `issues` for the validation report.
+  const issues = [];
+  const seen = new Map();
+  const normalized = rows.map((r, i) => {
+    const c = mapHeaders(r, CLIENT_MAP, map);
+    const parsed = CLIENT_SCHEMA.safeParse(c);
+    if (!parsed.success) {
+      for (const e of parsed.error.issues) {
+        const field = e.path[0];
+        issues.push(issue(i, r, CLIENT_MAP, map, field, c[field], e.message, field === 'client_id' ? 'error' : 'warning'));
+      }
     }
-  }
+    const id = (c.client_id ?? '').toString().trim();
+    if (id && seen.has(id)) issues.push(issue(i, r, CLIENT_MAP, map, 'client_id', id, `Duplicate client_id (first seen on row ${seen.get(id)})`, 'error'));
+    else if (id) seen.set(id, i + 2);
+    return c;
+  });
+  return { clients: normalized, clientHeaderMap: headerMap, issues };
+}
+
+/**
+ * Normalize transaction rows. With an FX table (lib/fx.js) every row gets `amount_aud`
+ * at the rate for its date; rows whose currency/date can't be converted are rejected
+ * rather than scored against AUD thresholds in the wrong currency.
+ * With `asOf`, rows dated after it are left out and counted in `excluded` (see lookbackFrom()).
+ */
+export function normalizeTransactions(rows, { lookbackMonths = 18, asOf = null, fx = null, profile = null } = {}) {
+  const headerMap = rows[0] ? txHeaderMap(rows[0], profile) : {};
 
   const rejects = [];
+  const excluded = asOf ? { after_as_of: 0, latest: null } : null;
   const txs = rows.map((r, i) => {
-    const t = mapHeaders(r, TX_MAP);
+    const { tx, reject } = normalizeTxRow(r, i, { fx, profile });
+    if (reject) rejects.push(reject);
+    if (tx && excluded && tx.date > asOf) { excludeAfter(excluded, tx); return null; }
+    return tx;
+  }).filter(Boolean);
 
-    // date
-    let d = typeof t.date === 'string' ? parseISO(t.date) : null;
-    if (!isValid(d)) d = null;
+  // lookback: last N months (ruleset lookback_months) from the as-of or latest tx date
+  const latest = txs.reduce((acc, t) => !acc || t.date > acc ? t.date : acc, null);
+  return { txs, rejects, excluded, txHeaderMap: headerMap, lookback: lookbackFrom(latest, lookbackMonths, asOf) };
+}
 
-    // amount
-    let amt = typeof t.amount === 'string' ? Number(t.amount.replace(/[^0-9.-]/g, '')) : Number(t.amount);
-    if (!Number.isFinite(amt)) amt = null;
+export function clientHeaderMap(row, profile = null) {
+  return headerMapOf(row, CLIENT_MAP, compile(profile?.clients));
+}
 
-    // direction
-    const dirRaw = lower(t.direction);
-    let direction = null;
+export function txHeaderMap(row, profile = null) {
+  return headerMapOf(row, TX_MAP, compile(profile?.transactions));
+}
+
+/**
+ * Lookback window of `lookbackMonths` ending on `asOf` when the run names one ("as at 30 June"),
+ * else on the latest transaction date (today when there are none). `months` and `anchor` are
+ * recorded with it in the manifest and program report; the rules, cases and KYC age all measure
+ * from `end`. Both dates are YYYY-MM-DD computed in UTC, so the host's time zone can't shift them.
+ */
+export function lookbackFrom(latestISO, lookbackMonths, asOf = null) {
+  const end = asOf || latestISO || new Date().toISOString().slice(0,10);
+  return {
+    end,
+    start: addMonths(end, -lookbackMonths),
+    months: lookbackMonths,
+    anchor: asOf ? 'as_of' : 'latest_transaction'
+  };
+}
+
+export const MAX_LOOKBACK_MONTHS = 120;
+
+/**
+ * A run's `as_of` (YYYY-MM-DD, not in the future) and `lookback_months` (1–MAX_LOOKBACK_MONTHS,
+ * default `defaultMonths`, the ruleset's) → { asOf, lookbackMonths } for lib/ingest.js.
+ * Throws LOOKBACK_INVALID.
+ */
+export function lookbackOptions({ as_of, lookback_months } = {}, defaultMonths) {
+  const fail = message => Object.assign(new Error(message), { code: 'LOOKBACK_INVALID' });
+  const asOf = (as_of ?? '').toString().trim() || null;
+  if (asOf) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || !isValid(parseISO(asOf))) throw fail('as_of: Not a valid date (expected YYYY-MM-DD)');
+    if (asOf > new Date().toISOString().slice(0, 10)) throw fail('as_of: Date is in the future');
+  }
+  const raw = (lookback_months ?? '').toString().trim();
+  if (raw && !/^\d+$/.test(raw)) throw fail('lookback_months: Expected a whole number of months');
+  const lookbackMonths = raw ? Number(raw) : defaultMonths;
+  if (lookbackMonths < 1 || lookbackMonths > MAX_LOOKBACK_MONTHS) throw fail(`lookback_months: Expected 1 to ${MAX_LOOKBACK_MONTHS}`);
+  return { asOf, lookbackMonths };
+}
+
+/** Count a transaction left out for being dated after the run's as-of date. */
+export function excludeAfter(excluded, tx) {
+  excluded.after_as_of++;
+  if (!excluded.latest || tx.date > excluded.latest) excluded.latest = tx.date;
+}
+
+/**
+ * Normalize one raw transaction row (index i, 0-based). Returns { tx, issues } or
+ * { reject, issues }; used row-by-row by the streaming ingest in lib/ingest.js.
+ * `issues` lists every field problem (see issue()); a reject carries the first fatal one.
+ * A mapping `profile` adds header/value mappings and split debit/credit amount columns.
+ */
+export function normalizeTxRow(r, i, { fx = null, profile = null } = {}) {
+  const map = compile(profile?.transactions);
+  const t = mapHeaders(r, TX_MAP, map);
+
+  const issues = [];
+  const flag = (field, reason, severity) => issues.push(issue(i, r, TX_MAP, map, field, t[field], reason, severity));
+
+  // split debit/credit columns → one unsigned amount + direction
+  let splitDirection = null;
+  let splitConflict = false;
+  if (map?.split) {
+    const { debit, credit, debit_direction } = map.split;
+    const set = v => !blank(v) && Number(v.toString().replace(/[^0-9.-]/g, '')) !== 0;
+    const dr = set(t[debit]) ? t[debit] : null;
+    const cr = set(t[credit]) ? t[credit] : null;
+    if (dr != null && cr != null) {
+      splitConflict = true;
+      const column = Object.keys(r).filter(k => [debit, credit].includes(lower(k))).join('/');
+      issues.push({ row: i + 2, column, value: `${dr} / ${cr}`, reason: 'Both debit and credit are set', severity: 'error' });
+    } else if (dr != null || cr != null) {
+      t.amount = (dr ?? cr).toString().replace(/^-/, '');
+      splitDirection = dr != null ? debit_direction : debit_direction === 'out' ? 'in' : 'out';
+    }
+  }
+
+  // date
+  let d = typeof t.date === 'string' ? parseISO(t.date.trim()) : null;
+  if (!isValid(d)) d = null;
+
+  // amount
+  // (currency symbols and thousands separators are stripped; nothing numeric left is not an amount)
+  const amtRaw = typeof t.amount === 'string' ? t.amount.replace(/[^0-9.-]/g, '') : t.amount;
+  let amt = blank(amtRaw) ? null : Number(amtRaw);
+  if (!Number.isFinite(amt)) amt = null;
+
+  // direction (split columns or profile value map, then keywords)
+  const dirRaw = lower(t.direction);
+  let direction = splitDirection || map?.direction[dirRaw] || null;
+  if (!direction) {
     if (OUT_KEYS.some(x => dirRaw.includes(x))) direction = 'out';
     else if (IN_KEYS.some(x => dirRaw.includes(x))) direction = 'in';
     else if (dirRaw === 'in' || dirRaw === 'out') direction = dirRaw;
+  }
 
-    // method
-    const mRaw = lower(t.method);
-    let method = null;
+  // method (profile value map, then keywords)
+  const mRaw = lower(t.method);
+  let method = map?.method[mRaw] || null;
+  if (!method) {
     if (CASH_KEYS.some(x => mRaw.includes(x))) method = 'cash';
     else if (mRaw.includes('wire') || mRaw.includes('swift') || mRaw.includes('intl')) method = 'wire';
     else if (mRaw.includes('eft') || mRaw.includes('ach') || mRaw.includes('transfer')) method = 'eft';
     else if (mRaw.includes('cheque') || mRaw.includes('check')) method = 'cheque';
     else if (mRaw.includes('mo') || mRaw.includes('money order')) method = 'money_order';
     else method = mRaw || null;
+  }
+  if (dirRaw && !direction) flag('direction', 'Unrecognised direction (expected in/out)');
+  if (mRaw && !['cash','wire','eft','cheque','money_order'].includes(method)) flag('method', 'Unrecognised method (expected cash/wire/eft/cheque/money order)');
 
-    // country
-    const ctry = (t.counterparty_country || '').toString().trim().toUpperCase();
-    const tx = {
-      tx_id: t.tx_id ?? null,
-      client_id: (t.client_id ?? '').toString(),
-      date: d ? d.toISOString().slice(0, 10) : null,
-      amount: amt,
-      currency: (t.currency || 'AUD').toString().toUpperCase(),
-      direction,
-      method,
-      counterparty_name: t.counterparty_name || null,
-      counterparty_country: ctry || null,
-      matter_id: t.matter_id || null
-    };
-
-    if (!tx.client_id || !tx.date || !Number.isFinite(tx.amount)) {
-      rejects.push({ index: i, reason: 'Missing client_id/date/amount', row: r });
-      return null;
-    }
-    return tx;
-  }).filter(Boolean);
-
-  // lookback: last 18 months from latest tx date
-  const latest = txs.reduce((acc, t) => {
-    const d = parseISO(t.date);
-    return !acc || isAfter(d, acc) ? d : acc;
-  }, null);
-  const lookback = {
-    end: (latest || new Date()).toISOString().slice(0,10),
-    start: subMonths(latest || new Date(), 18).toISOString().slice(0,10)
+  // country
+  const ctry = (t.counterparty_country || '').toString().trim().toUpperCase();
+  if (ctry && !isCountryCode(ctry)) flag('counterparty_country', 'Not an ISO 3166-1 alpha-2 country code');
+  const tx = {
+    tx_id: t.tx_id ?? null,
+    client_id: (t.client_id ?? '').toString(),
+    date: d ? isoDay(d) : null,
+    amount: amt,
+    currency: (t.currency || 'AUD').toString().toUpperCase(),
+    direction,
+    method,
+    counterparty_name: t.counterparty_name || null,
+    counterparty_country: ctry || null,
+    matter_id: t.matter_id || null
   };
 
-  return { txs, rejects, txHeaderMap: headerMap, lookback };
+  if (!tx.client_id.trim()) flag('client_id', 'Missing client_id', 'error');
+  if (!tx.date) flag('date', blank(t.date) ? 'Missing date' : DATE_HINT, 'error');
+  if (!Number.isFinite(tx.amount) && !splitConflict) flag('amount', blank(t.amount) ? 'Missing amount' : 'Not a number', 'error');
+  if (!blank(t.currency) && !/^[A-Z]{3}$/.test(tx.currency)) flag('currency', 'Not an ISO 4217 currency code', 'error');
+  const fatal = issues.find(x => x.severity === 'error');
+  if (fatal) return { reject: { index: i, row_number: fatal.row, column: fatal.column, reason: fatal.reason, row: r }, issues };
+
+  // FX → AUD
+  const conv = fx ? fx.lookup(tx.currency, tx.date)
+    : tx.currency === 'AUD' ? { rate: 1, rate_date: tx.date } : { error: `No FX table loaded for ${tx.currency}` };
+  if (conv.error) {
+    flag('currency', conv.error, 'error');
+    return { reject: { index: i, row_number: i + 2, column: issues.at(-1).column, reason: conv.error, row: r }, issues };
+  }
+  tx.amount_aud = Math.round((tx.amount / conv.rate) * 100) / 100;
+  if (tx.currency !== 'AUD') { tx.fx_rate = conv.rate; tx.fx_rate_date = conv.rate_date; }
+  return { tx, issues };
 }
@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import { parseISO, isValid } from 'date-fns';
+import { countryListsAt } from './countryRisk.js';
+import { monthsBetween } from './utils.js';
+import { analyzeNetwork, buildNetwork, counterpartyKey } from './network.js';
+
+/**
+ * Evaluate a ruleset (see lib/ruleset.js) over normalized clients and txs.
+ * One pass produces both the scored reasons per client and the monitoring cases,
+ * so packs can never carry cases from a different rule version than the scores.
+ *
+ * `screener` (lib/screening.js) supplies sanctions/PEP lists to `screening` rules;
+ * without it those rules never fire.
+ *
+ * `network` is the counterparty index of `network_link` rules (see counterpartyNetwork()).
+ * It must cover every client's transactions; when omitted it is built from `txs`, which is
+ * only right when `txs` is the whole file (callers scoring partitions build it up front).
+ * `graph` (analyzeNetwork() from lib/network.js) feeds `network_context` rules, on the same terms.
+ * `countryLists` (lib/countryRisk.js) defaults to the versions in effect at the lookback end.
+ */
+export function evaluateRuleset(ruleset, clients, txs, lookback, { screener = null, network, graph, countryLists = countryListsAt(lookback.end) } = {}) {
+  const byClient = groupByClient(txs, lookback);
+  const lists = ruleLists(ruleset, countryLists);
+  if (network === undefined) {
+    const net = counterpartyNetwork(ruleset, lookback, countryLists);
+    if (net) for (const t of txs) net.add(t);
+    network = net?.index || null;
+  }
+  if (graph === undefined) graph = ruleset.rules.some(r => r.kind === 'network_context') ? analyzeNetwork(buildNetwork(txs, lookback)) : null;
+  const ctx = { ruleset, lists, listVersions: versionsByList(countryLists), sources: countryLists.sources, lookback, screener, network, graph };
+
+  const scores = [];
+  const cases = [];
+  const seen = new Set();
+  for (const c of clients) {
+    const cid = clientId(c);
+    seen.add(cid);
+    const result = evaluateClient(ctx, cid, c, byClient.get(cid) || []);
+    scores.push(result.score);
+    cases.push(...result.cases);
+  }
+  // Transactions for clients missing from Clients.csv still raise cases.
+  for (const [cid, list] of byClient.entries()) {
+    if (seen.has(cid)) continue;
+    cases.push(...evaluateClient(ctx, cid, null, list).cases);
+  }
+
+  return { scores, cases, rulesMeta: rulesMeta(ruleset, lists, countryLists) };
+}
+
+function evaluateClient(ctx, cid, client, txs) {
+  const { ruleset } = ctx;
+  const reasons = [];
+  const cases = [];
+  const fam = Object.fromEntries(Object.keys(ruleset.families).map(f => [f, 0]));
+
+  for (const rule of ruleset.rules) {
+    const kind = KINDS[rule.kind];
+    if (!kind) throw new Error(`Unknown rule kind ${rule.kind} (${rule.id})`);
+    if (kind.needsClient && !client) continue;
+    const hit = kind.evaluate(rule, { ...ctx, cid, client, txs });
+    if (!hit) continue;
+
+    if (hit.context) {
+      reasons.push(...hit.context.map(text => context(text, rule)));
+      continue;
+    }
+    const vars = { ...rule.params, ...hit.vars };
+    const txIds = triggerIds(hit.txs);
+    reasons.push({ ...reason(fill(rule.text || rule.id, vars), rule.points || 0, rule.family, rule.id), ...(hit.evidence ? { evidence: hit.evidence } : {}), ...(txIds.length ? { tx_ids: txIds } : {}) });
+    fam[rule.family] += rule.points || 0;
+    if (rule.case) {
+      cases.push({
+        case_id: caseId(cid, rule.id, hit),
+        type: rule.case.type,
+        client_id: cid,
+        rule_id: rule.id,
+        rule: fill(rule.case.text, vars),
+        ...(hit.detail || {}),
+        transactions: txTotals(hit.txs),
+        samples: (hit.txs || []).slice(0, 5).map(pickTx)
+      });
+    }
+  }
+
+  const total = Object.entries(fam).reduce((acc, [f, pts]) => acc + Math.min(pts, ruleset.families[f].cap), 0);
+  const band = [...ruleset.bands].sort((a, b) => b.min - a.min).find(b => total >= b.min)?.band || ruleset.bands[ruleset.bands.length - 1].band;
+  return { score: { client_id: cid, score: total, band, reasons }, cases };
+}
+
+// Rule kinds. Each returns null (no hit) or { vars, txs, detail } / { context: [text] }.
+const KINDS = {
+  flag: {
+    needsClient: true,
+    evaluate: (rule, { client }) => truthy(client[rule.params.field]) ? { vars: {} } : null
+  },
+  kyc_age: {
+    needsClient: true,
+    evaluate: (rule, { client, lookback }) => {
+      const reviewed = (client.kyc_last_reviewed_at || '').toString().trim().slice(0, 10);
+      // A run as at an earlier date can't know how old the KYC was then if it has since been redone.
+      if (reviewed && lookback.anchor === 'as_of' && reviewed > lookback.end) {
+        return { context: [`KYC last reviewed ${reviewed}, after the as-of date ${lookback.end}; its age at that date is not known`] };
+      }
+      const months = client.kyc_last_reviewed_at ? monthsBetween(client.kyc_last_reviewed_at, lookback.end) : null;
+      return months != null && months >= rule.params.min_months ? { vars: { months } } : null;
+    }
+  },
+  pattern: {
+    needsClient: true,
+    evaluate: (rule, { client }) => new RegExp(rule.params.pattern, 'i').test((client[rule.params.field] || '').toString()) ? { vars: {} } : null
+  },
+  non_resident: {
+    needsClient: true,
+    evaluate: (_rule, { client, ruleset }) => {
+      const country = (client.residency_country || '').toString().trim().toUpperCase();
+      return country && country !== ruleset.home_country ? { vars: { country } } : null;
+    }
+  },
+  // Residency country on a country risk list (params.list); {list_version} names the version used.
+  residency_list: {
+    needsClient: true,
+    evaluate: (rule, { client, lists, listVersions }) => {
+      const country = (client.residency_country || '').toString().trim().toUpperCase();
+      if (!country || !(lists[rule.params.list] || []).includes(country)) return null;
+      const v = listVersions[rule.params.list];
+      return { vars: { country, list_version: v ? `${rule.params.list} ${v.version}` : rule.params.list } };
+    }
+  },
+  window_count: {
+    evaluate: (rule, ctx) => {
+      const hits = matching(rule, ctx);
+      return hasNInWindow(hits, rule.params.count, rule.params.window_days) ? { vars: { count: hits.length }, txs: hits } : null;
+    }
+  },
+  tx_count: {
+    evaluate: (rule, ctx) => {
+      const hits = matching(rule, ctx);
+      const { min_count = 1, any_amount_min } = rule.params;
+      if (hits.length < min_count) return null;
+      if (any_amount_min != null && !hits.some(t => aud(t) >= any_amount_min)) return null;
+      const countries = [...new Set(hits.map(t => t.counterparty_country).filter(Boolean))];
+      const listName = rule.params.match?.counterparty_country?.list;
+      return {
+        vars: { count: hits.length, countries: countries.join(','), list_countries: listName ? (ctx.lists[listName] || []).join('/') : '' },
+        txs: hits,
+        detail: listName ? { countries } : undefined
+      };
+    }
+  },
+  screening: {
+    evaluate: (rule, ctx) => {
+      const list = ctx.screener?.list(rule.params.list);
+      if (!list) return null;
+      const threshold = rule.params.threshold ?? 0.9;
+
+      if (rule.params.subject === 'counterparty') {
+        const groups = new Map();
+        for (const t of ctx.txs) {
+          if (!t.counterparty_name) continue;
+          const key = `${t.counterparty_name}|${t.counterparty_country || ''}`;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(t);
+        }
+        const matches = [];
+        const hitTxs = [];
+        for (const group of groups.values()) {
+          const { counterparty_name: name, counterparty_country: country } = group[0];
+          const best = list.match({ name, country }, threshold)[0];
+          if (!best) continue;
+          matches.push({ subject: name, subject_country: country, ...best, tx_ids: group.map(t => t.tx_id) });
+          hitTxs.push(...group);
+        }
+        if (!matches.length) return null;
+        matches.sort((a, b) => b.score - a.score);
+        return screeningHit(matches, hitTxs.sort((a, b) => a.date.localeCompare(b.date)));
+      }
+
+      if (!ctx.client) return null;
+      const { full_name: name, dob, residency_country: country } = ctx.client;
+      const matches = list.match({ name, dob, country }, threshold).map(m => ({ subject: name, ...m }));
+      return matches.length ? screeningHit(matches, []) : null;
+    }
+  },
+  rapid_in_out: {
+    // Each `in` tx paired with the first unused `out` tx within window_days whose A$ amount is within ±tolerance.
+    evaluate: (rule, ctx) => {
+      const { window_days, tolerance = 0.1, min_pairs = 1 } = rule.params;
+      const outs = matchingTxs(rule.params.out, ctx);
+      const used = new Set();
+      const pairs = [];
+      for (const i of matchingTxs(rule.params.in, ctx)) {
+        const o = outs.find(o => !used.has(o) && o.date >= i.date && daysBetween(i.date, o.date) <= window_days
+          && Math.abs(aud(o) - aud(i)) <= tolerance * aud(i));
+        if (!o) continue;
+        used.add(o);
+        pairs.push({ in: i, out: o, days: daysBetween(i.date, o.date) });
+      }
+      if (pairs.length < min_pairs) return null;
+      return {
+        vars: { count: pairs.length, tolerance_pct: Math.round(tolerance * 100), total: money(pairs.reduce((acc, p) => acc + aud(p.in), 0)) },
+        txs: pairs.flatMap(p => [p.in, p.out]),
+        detail: { pairs: pairs.slice(0, 5).map(p => ({ in_tx_id: p.in.tx_id ?? null, out_tx_id: p.out.tx_id ?? null, days: p.days })) }
+      };
+    }
+  },
+  round_amounts: {
+    // Whole multiples of `multiple` (in the transaction currency) among the matching txs.
+    evaluate: (rule, ctx) => {
+      const { multiple = 1000, min_count = 3, min_share = 0 } = rule.params;
+      const all = matching(rule, ctx);
+      const hits = all.filter(t => Number.isFinite(t.amount) && t.amount !== 0 && t.amount % multiple === 0);
+      if (hits.length < min_count || hits.length < min_share * all.length) return null;
+      return { vars: { count: hits.length, of: all.length, share_pct: Math.round(100 * hits.length / all.length) }, txs: hits };
+    }
+  },
+  volume_spike: {
+    // Consecutive window_days windows counted back from the lookback end; a window whose A$ total
+    // is ≥ factor × the mean of the baseline_windows before it (all inside the lookback) and ≥ min_total.
+    // The baseline needs min_baseline_txs transactions, so one earlier payment isn't a "profile".
+    evaluate: (rule, ctx) => {
+      const { window_days = 30, baseline_windows = 3, factor = 3, min_total = 0, min_baseline_txs = 1 } = rule.params;
+      const span = daysBetween(ctx.lookback.start, ctx.lookback.end);
+      const windows = Math.floor(span / window_days);
+      if (windows <= baseline_windows) return null;
+      const buckets = Array.from({ length: windows }, () => ({ total: 0, txs: [] }));
+      for (const t of matching(rule, ctx)) {
+        const b = buckets[Math.floor(daysBetween(t.date, ctx.lookback.end) / window_days)];
+        if (b) { b.total += aud(t); b.txs.push(t); }
+      }
+      let best = null;
+      for (let i = 0; i + baseline_windows < windows; i++) {
+        const prior = buckets.slice(i + 1, i + 1 + baseline_windows);
+        const baseline = prior.reduce((acc, b) => acc + b.total, 0) / baseline_windows;
+        const { total, txs } = buckets[i];
+        if (prior.reduce((acc, b) => acc + b.txs.length, 0) < min_baseline_txs) continue;
+        if (!(baseline > 0) || total < min_total || total < factor * baseline) continue;
+        if (!best || total / baseline > best.ratio) best = { ratio: total / baseline, total, baseline, txs };
+      }
+      if (!best) return null;
+      return {
+        vars: { total: money(best.total), baseline: money(best.baseline), ratio: best.ratio.toFixed(1), from: best.txs[0].date, to: best.txs[best.txs.length - 1].date },
+        txs: best.txs
+      };
+    }
+  },
+  dormant_reactivation: {
+    // Most recent gap of ≥ dormant_days between matching txs, followed by ≥ min_total A$ within window_days.
+    evaluate: (rule, ctx) => {
+      const { dormant_days = 180, window_days = 30, min_total = 0 } = rule.params;
+      const txs = matching(rule, ctx);
+      for (let i = txs.length - 1; i > 0; i--) {
+        const gap = daysBetween(txs[i - 1].date, txs[i].date);
+        if (gap < dormant_days) continue;
+        const burst = txs.slice(i).filter(t => daysBetween(txs[i].date, t.date) <= window_days);
+        const total = burst.reduce((acc, t) => acc + aud(t), 0);
+        if (total < min_total) continue;
+        return { vars: { gap_days: gap, date: txs[i].date, count: burst.length, total: money(total) }, txs: burst };
+      }
+      return null;
+    }
+  },
+  counterparty_count: {
+    // Most distinct counterparties within any window_days window.
+    evaluate: (rule, ctx) => {
+      const { count, window_days } = rule.params;
+      const txs = matching(rule, ctx).filter(t => counterpartyKey(t));
+      const inWindow = new Map();
+      let best = null;
+      for (let lo = 0, hi = 0; hi < txs.length; hi++) {
+        const k = counterpartyKey(txs[hi]);
+        inWindow.set(k, (inWindow.get(k) || 0) + 1);
+        while (daysBetween(txs[lo].date, txs[hi].date) >= window_days) {
+          const kl = counterpartyKey(txs[lo++]);
+          if (inWindow.get(kl) === 1) inWindow.delete(kl); else inWindow.set(kl, inWindow.get(kl) - 1);
+        }
+        if (!best || inWindow.size > best.distinct) best = { distinct: inWindow.size, txs: txs.slice(lo, hi + 1) };
+      }
+      if (!best || best.distinct < count) return null;
+      return { vars: { distinct: best.distinct, from: best.txs[0].date, to: best.txs[best.txs.length - 1].date }, txs: best.txs };
+    }
+  },
+  network_link: {
+    // Counterparties this client shares with at least min_clients − 1 other clients (ctx.network).
+    evaluate: (rule, ctx) => {
+      const index = ctx.network?.get(rule.id);
+      if (!index) return null;
+      const { min_clients = 2 } = rule.params;
+      const links = new Map();
+      for (const t of matching(rule, ctx)) {
+        const key = counterpartyKey(t);
+        const clients = key && index.get(key);
+        if (!clients || clients.size < min_clients) continue;
+        if (!links.has(key)) {
+          const others = [...clients].filter(c => c !== ctx.cid).sort();
+          links.set(key, { counterparty: t.counterparty_name, counterparty_country: t.counterparty_country || null, clients: others, txs: [] });
+        }
+        links.get(key).txs.push(t);
+      }
+      if (!links.size) return null;
+      const ranked = [...links.values()].sort((a, b) => b.clients.length - a.clients.length || a.counterparty.localeCompare(b.counterparty));
+      const top = ranked[0];
+      return {
+        vars: { count: ranked.length, counterparty: top.counterparty, linked: top.clients.length, clients: top.clients.slice(0, 5).join(', ') },
+        txs: ranked.flatMap(l => l.txs).sort((a, b) => a.date.localeCompare(b.date)),
+        detail: { links: ranked.slice(0, 5).map(({ txs: _t, ...l }) => ({ ...l, clients: l.clients.slice(0, 20) })) }
+      };
+    }
+  },
+  network_context: {
+    // Where the client sits in the counterparty graph: its cluster, and hub counterparties it uses.
+    evaluate: (rule, ctx) => {
+      const info = ctx.graph?.byClient.get(ctx.cid);
+      if (!info) return null;
+      const { max_hubs = 3 } = rule.params;
+      const notes = [fill(rule.params.cluster_text, { cluster: info.cluster.id, linked: info.cluster.size - 1, shared: info.shared.length })];
+      for (const h of info.hubs.slice(0, max_hubs)) notes.push(fill(rule.params.hub_text, { counterparty: h.name, country: h.country || 'n/a', clients: h.clients }));
+      return { context: notes };
+    }
+  },
+  destination_context: {
+    evaluate: (rule, ctx) => {
+      const notes = [];
+      for (const cc of new Set(matching(rule, ctx).map(t => t.counterparty_country))) {
+        const entry = rule.params.lists.find(l => (ctx.lists[l.list] || []).includes(cc));
+        if (entry) notes.push(fill(entry.text, { country: cc, as_at: ctx.sources[entry.source] ?? ctx.listVersions[entry.list]?.effective_from ?? 'n/a' }));
+      }
+      return notes.length ? { context: notes } : null;
+    }
+  }
+};
+
+export const RULE_KINDS = Object.keys(KINDS);
+
+// Stable case id: client, rule and every transaction behind the hit (or, for list matches
+// without transactions, the matched entries). The same facts in a later upload give the same
+// id, so lib/case-workflow.js recognises cases that were already reviewed.
+function caseId(cid, ruleId, hit) {
+  const facts = (hit.txs || []).length
+    ? hit.txs.map(t => t.tx_id || [t.date, t.amount, t.currency, t.direction, t.method, t.counterparty_country].join('|'))
+    : (hit.detail?.matches || []).map(m => `${m.list}:${m.ref || m.name}`);
+  const hash = crypto.createHash('sha256').update([cid, ruleId, ...[...facts].sort()].join('\n')).digest('hex');
+  return `case_${hash.slice(0, 20)}`;
+}
+
+// Best match drives the reason text; up to five matches (entry, similarity) go with the reason and case.
+function screeningHit(matches, txs) {
+  const top = matches[0];
+  const evidence = matches.slice(0, 5);
+  return {
+    vars: { subject: top.subject, entry_name: top.name, entry_ref: top.ref || 'n/a', score: top.score.toFixed(2), count: matches.length },
+    txs,
+    evidence,
+    detail: { matches: evidence }
+  };
+}
+
+/**
+ * Counterparty → client ids for each `network_link` rule, over transactions in the lookback
+ * that match the rule (null when the ruleset has none). Feed every transaction to add();
+ * `index` is what evaluateRuleset() takes as `network` (with the same `countryLists`).
+ */
+export function counterpartyNetwork(ruleset, lookback, countryLists = countryListsAt(lookback.end)) {
+  const rules = ruleset.rules.filter(r => r.kind === 'network_link');
+  if (!rules.length) return null;
+  const lists = ruleLists(ruleset, countryLists);
+  const index = new Map(rules.map(r => [r.id, new Map()]));
+  return {
+    index,
+    add(t) {
+      const key = counterpartyKey(t);
+      if (!key || !(t.date >= lookback.start && t.date <= lookback.end)) return;
+      for (const r of rules) {
+        if (!matchTx(r.params.match || {}, t, lists, ruleset.home_country)) continue;
+        const byKey = index.get(r.id);
+        if (!byKey.has(key)) byKey.set(key, new Set());
+        byKey.get(key).add(t.client_id);
+      }
+    }
+  };
+}
+
+function matching(rule, ctx) {
+  return matchingTxs(rule.params.match, ctx);
+}
+
+function matchingTxs(m = {}, { txs, lists, ruleset }) {
+  return txs.filter(t => matchTx(m, t, lists, ruleset.home_country)).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function matchTx(m, t, lists, home) {
+  if (m.direction && t.direction !== m.direction) return false;
+  if (m.method && ![].concat(m.method).includes(t.method)) return false;
+  if (m.amount?.min != null && !(aud(t) >= m.amount.min)) return false;
+  if (m.amount?.max != null && !(aud(t) <= m.amount.max)) return false;
+  const cc = m.counterparty_country;
+  if (cc) {
+    if (cc.domestic && t.counterparty_country && t.counterparty_country !== home) return false;
+    if (cc.list && !(lists[cc.list] || []).includes(t.counterparty_country)) return false;
+    if (cc.in && !cc.in.includes(t.counterparty_country)) return false;
+  }
+  return true;
+}
+
+// Country risk lists in effect, with any the ruleset defines itself taking precedence.
+function ruleLists(ruleset, countryLists) {
+  return { ...countryLists.lists, ...ruleset.lists };
+}
+
+function versionsByList(countryLists) {
+  return Object.fromEntries(countryLists.versions.map(v => [v.list, v]));
+}
+
+function rulesMeta(ruleset, lists, countryLists) {
+  const bands = [...ruleset.bands].sort((a, b) => b.min - a.min);
+  return {
+    id: ruleset.id,
+    version: ruleset.version,
+    sha256: ruleset.sha256,
+    lookback_months: ruleset.lookback_months,
+    bands: Object.fromEntries(bands.map((b, i) => [b.band, i === bands.length - 1 && i > 0 ? `<${bands[i - 1].min}` : `≥${b.min}`])),
+    caps: Object.fromEntries(Object.entries(ruleset.families).map(([f, v]) => [f, v.cap])),
+    rules: ruleset.rules.map(r => ({ id: r.id, family: r.family, kind: r.kind, points: r.points ?? 0 })),
+    corridor_countries: lists.corridor || [],
+    country_lists: countryLists.versions
+  };
+}
+
+export function groupByClient(txs, lookback) {
+  const from = parseISO(lookback.start);
+  const to = parseISO(lookback.end);
+  const byClient = new Map();
+  for (const t of txs) {
+    const d = parseISO(t.date);
+    if (!isValid(d) || d < from || d > to) continue;
+    if (!byClient.has(t.client_id)) byClient.set(t.client_id, []);
+    byClient.get(t.client_id).push(t);
+  }
+  return byClient;
+}
+
+export function hasNInWindow(txList, required, windowDays) {
+  if (txList.length < required) return false;
+  const dates = txList.map(t => parseISO(t.date)).filter(isValid).sort((a,b)=>a-b);
+  for (let i=0; i<=dates.length - required; i++) {
+    const spanDays = (dates[i + required - 1] - dates[i]) / (24*3600*1000);
+    if (spanDays <= windowDays - 1e-9) return true;
+  }
+  return false;
+}
+
+// tx_id of each transaction behind a hit, in evaluation order (ids only; rows without one are
+// left out). Kept off scores.json: lib/rerun.js packs them separately as triggers.json.
+const MAX_TRIGGER_IDS = 100;
+function triggerIds(txs = []) {
+  return [...new Set(txs.map(t => t.tx_id).filter(id => id != null && id !== '').map(String))].slice(0, MAX_TRIGGER_IDS);
+}
+
+export function pickTx(t){ return { tx_id: t.tx_id ?? null, date: t.date, amount: t.amount, currency: t.currency, amount_aud: aud(t), method: t.method, counterparty_country: t.counterparty_country }; }
+
+// Every transaction behind a case, not just the samples shown: what SMR drafts (lib/austrac.js) report.
+function txTotals(txs = []) {
+  let total = 0, first = null, last = null;
+  const unique = [...new Set(txs)];
+  for (const t of unique) {
+    total += aud(t) || 0;
+    if (t.date && (!first || t.date < first)) first = t.date;
+    if (t.date && (!last || t.date > last)) last = t.date;
+  }
+  return { count: unique.length, total_aud: Math.round(total * 100) / 100, first_date: first, last_date: last };
+}
+
+// Thresholds are AUD; amount_aud is set by normalizeTransactions() via the FX table.
+function aud(t) { return t.amount_aud ?? t.amount; }
+
+// Normalized dates are YYYY-MM-DD; plain UTC day numbers keep the per-tx window rules cheap.
+function daysBetween(a, b) { return dayNumber(b) - dayNumber(a); }
+function dayNumber(iso) { return Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10)) / 86400000; }
+function money(n) { return Math.round(n).toLocaleString('en-AU'); }
+function clientId(c) { return c.client_id || c.id || c.customer_id || 'unknown'; }
+function fill(text, vars) { return text.replace(/\{(\w+)\}/g, (m, k) => vars[k] != null ? String(vars[k]) : m); }
+
+function reason(text, points, family, ruleId) {
+  return { type: 'reason', family, points, text, rule_id: ruleId };
+}
+function context(text, rule) {
+  return { type: 'context', text, rule_id: rule.id };
+}
+function truthy(v) {
+  const s = (v ?? '').toString().trim().toLowerCase();
+  return s === 'true' || s === 'yes' || s === 'y' || s === '1';
+}
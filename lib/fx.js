@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { parse as csvParse } from 'csv-parse/sync';
+import { parseISO, isValid } from 'date-fns';
+import { cfg } from './config.js';
+import { addDays, isoDay } from './utils.js';
+
+export const SAMPLE_FX_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'fx', 'rates.sample.csv');
+
+/**
+ * Local FX table: rates are quoted as foreign currency units per A$1 (RBA F11.1 style).
+ *
+ * CSV:  `# source: ...` / `# as_at: YYYY-MM-DD` header comments, then date,currency,per_aud
+ * JSON: { source, as_at, rates: { USD: { "2025-09-01": 0.65, ... }, ... } }
+ *
+ * A transaction uses the rate for its own date, or the latest earlier rate within
+ * FX_MAX_STALE_DAYS (weekends/public holidays). Anything else is a reject.
+ * `sample` marks the bundled demo table (no FX_RATES_FILE); the manifest records it as fx_source.
+ */
+export class FxTable {
+  constructor({ source, as_at, rates, sha256, maxStaleDays = 7, sample = false }) {
+    this.source = source;
+    this.sample = sample;
+    this.as_at = as_at;
+    this.sha256 = sha256;
+    this.maxStaleDays = maxStaleDays;
+    this.rates = rates; // Map<currency, Map<isoDate, per_aud>>
+  }
+
+  get currencies() { return ['AUD', ...this.rates.keys()]; }
+
+  /** Returns { rate, rate_date } or { error } for a currency on an ISO date. */
+  lookup(currency, isoDate) {
+    if (currency === 'AUD') return { rate: 1, rate_date: isoDate };
+    const series = this.rates.get(currency);
+    if (!series) return { error: `Unknown currency ${currency}` };
+    for (let i = 0; i <= this.maxStaleDays; i++) {
+      const key = addDays(isoDate, -i);
+      if (series.has(key)) return { rate: series.get(key), rate_date: key };
+    }
+    return { error: `No ${currency} rate on or within ${this.maxStaleDays} days before ${isoDate}` };
+  }
+
+  /** Source metadata recorded in manifest.sources alongside RISK_SOURCES. */
+  meta() {
+    return { fx_source: this.sample ? 'sample' : 'configured', fx_rates_source: this.source, fx_rates_as_at: this.as_at, fx_rates_sha256: this.sha256 };
+  }
+}
+
+let cached = null;
+
+// Without FX_RATES_FILE the demo table is used: non-AUD rows after its last rate are rejected, so
+// the server warns at start-up (usingSampleFx()) and each manifest says fx_source: sample.
+export function loadFxTable(file = cfg.FX_RATES_FILE || SAMPLE_FX_FILE) {
+  if (cached?.file === file) return cached.table;
+  const raw = fs.readFileSync(file);
+  const table = file.endsWith('.json') ? fromJson(raw) : fromCsv(raw, path.basename(file));
+  table.sample = path.resolve(file) === SAMPLE_FX_FILE;
+  cached = { file, table };
+  return table;
+}
+
+export function usingSampleFx() { return !cfg.FX_RATES_FILE; }
+
+function fromCsv(raw, fallbackSource) {
+  const text = raw.toString('utf8');
+  const header = {};
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^#\s*(\w+)\s*:\s*(.+)$/);
+    if (m) header[m[1].toLowerCase()] = m[2].trim();
+  }
+  const rows = csvParse(text, { columns: true, skip_empty_lines: true, comment: '#' });
+  const rates = new Map();
+  for (const r of rows) addRate(rates, r.currency, r.date, r.per_aud);
+  return new FxTable({
+    source: header.source || fallbackSource,
+    as_at: header.as_at || latestDate(rates),
+    rates,
+    sha256: sha256Hex(raw),
+    maxStaleDays: cfg.FX_MAX_STALE_DAYS
+  });
+}
+
+function fromJson(raw) {
+  const doc = JSON.parse(raw.toString('utf8'));
+  const rates = new Map();
+  for (const [ccy, series] of Object.entries(doc.rates || {})) {
+    for (const [date, perAud] of Object.entries(series)) addRate(rates, ccy, date, perAud);
+  }
+  return new FxTable({
+    source: doc.source || 'fx.json',
+    as_at: doc.as_at || latestDate(rates),
+    rates,
+    sha256: sha256Hex(raw),
+    maxStaleDays: cfg.FX_MAX_STALE_DAYS
+  });
+}
+
+function addRate(rates, ccy, date, perAud) {
+  const c = (ccy || '').toString().trim().toUpperCase();
+  const d = parseISO((date || '').toString().trim());
+  const v = Number(perAud);
+  if (!c || !isValid(d) || !(v > 0)) throw new Error(`Invalid FX row: ${ccy},${date},${perAud}`);
+  if (!rates.has(c)) rates.set(c, new Map());
+  rates.get(c).set(isoDay(d), v);
+}
+
+function latestDate(rates) {
+  let latest = null;
+  for (const series of rates.values()) for (const d of series.keys()) if (!latest || d > latest) latest = d;
+  return latest;
+}
+
+function sha256Hex(buf){ return crypto.createHash('sha256').update(buf).digest('hex'); }
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { once } from 'events';
+import { resolveInput, inputRows } from './inputs.js';
+import { normalizeClients, normalizeTxRow, txHeaderMap, lookbackFrom, excludeAfter } from './csv-normalize.js';
+
+// Streaming ingestion for large exports.
+//   upload on disk → row stream (CSV/XLSX/JSON, lib/inputs.js) → normalizeTxRow() per row → NDJSON partitions by client
+// `file` arguments are a path or an input { path, name, format?, sheet? }; results carry the
+// resolved input as `source` (format + sheet actually read).
+// Memory holds one partition at a time during scoring, never the whole file.
+
+const MAX_REJECTS = 1000;      // full reject rows kept for the report; the rest are only counted
+
+/**
+ * Clients files are small relative to transactions; parse then normalize as before.
+ * A ValidationReport (lib/validation.js) passed as `report` receives the row issues.
+ */
+export async function ingestClients(file, { onProgress, report, profile = null } = {}) {
+  const source = await resolveInput(file, 'clients', { profile });
+  const rows = [];
+  for await (const row of inputRows(source, { onProgress })) rows.push(row);
+  const result = normalizeClients(rows, { profile });
+  report?.clients(result);
+  return { ...result, source };
+}
+
+/**
+ * Stream-normalize a transactions file.
+ * With `workDir`, normalized txs are written to transactions.ndjson and to `partitions`
+ * NDJSON files keyed by client_id hash (see partitionOf); without it only the report
+ * fields are produced (header map, rejects, lookback) — enough for /api/validate, which
+ * also passes a ValidationReport as `report` to see every row's issues. `profile` is an
+ * optional mapping profile (lib/mapping-profiles.js). With `asOf` (YYYY-MM-DD) the lookback
+ * ends on that date and later transactions are neither spooled nor counted; `excluded` reports
+ * how many there were and the latest one's date (null without `asOf`).
+ */
+export async function ingestTransactions(file, { fx = null, lookbackMonths = 18, asOf = null, workDir = null, partitions = 32, onProgress, report, profile = null } = {}) {
+  const source = await resolveInput(file, 'transactions', { profile });
+  const writers = workDir ? openSpool(workDir, partitions) : null;
+
+  let headerMap = null;
+  let latest = null;
+  let count = 0;
+  let rejectCount = 0;
+  const rejects = [];
+  const excluded = asOf ? { after_as_of: 0, latest: null } : null;
+  let i = 0;
+  for await (const row of inputRows(source, { onProgress })) {
+    if (!headerMap) headerMap = txHeaderMap(row, profile);
+    const result = normalizeTxRow(row, i, { fx, profile });
+    report?.transaction(i++, row, result);
+    const { tx, reject } = result;
+    if (reject) {
+      rejectCount++;
+      if (rejects.length < MAX_REJECTS) rejects.push(reject);
+      continue;
+    }
+    if (excluded && tx.date > asOf) { excludeAfter(excluded, tx); continue; }
+    count++;
+    if (!latest || tx.date > latest) latest = tx.date;
+    if (writers) await writers.add(tx.client_id, JSON.stringify(tx));
+  }
+  if (writers) await writers.close();
+
+  return {
+    txHeaderMap: headerMap || {},
+    rejects,
+    rejectCount,
+    count,
+    excluded,
+    lookback: lookbackFrom(latest, lookbackMonths, asOf),
+    workDir,
+    partitions,
+    source
+  };
+}
+
+/**
+ * Spool a packed transactions.json (as writeTransactionsJson() writes it: one transaction per
+ * line) into `workDir` the way ingestTransactions() does, without loading the file, so
+ * scorePartitions() and transactionsOf() can re-score a pack (lib/rerun.js). Throws
+ * INPUT_TRANSACTIONS_JSON on any other layout.
+ */
+export async function spoolTransactionsJson(file, { workDir, partitions = 32 }) {
+  const writers = openSpool(workDir, partitions);
+  let count = 0;
+  try {
+    for await (const raw of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+      const line = raw.trim().replace(/,$/, '');
+      if (!line || line === '[' || line === ']' || line === '[]') continue;
+      let tx;
+      try { tx = JSON.parse(line); } catch { tx = null; }
+      if (!tx || typeof tx !== 'object' || Array.isArray(tx)) {
+        throw Object.assign(new Error('transactions.json is not one transaction per line'), { code: 'INPUT_TRANSACTIONS_JSON' });
+      }
+      count++;
+      await writers.add(tx.client_id, line);
+    }
+  } finally {
+    await writers.close();
+  }
+  return { count, workDir, partitions };
+}
+
+/** Read one partition's transactions back into memory. */
+export async function readPartition(workDir, i) {
+  const out = [];
+  for await (const line of readline.createInterface({ input: fs.createReadStream(partitionFile(workDir, i)), crlfDelay: Infinity })) {
+    if (line) out.push(JSON.parse(line));
+  }
+  return out;
+}
+
+/**
+ * Run `evaluate(clients, txs)` once per partition and merge the results in a fixed order
+ * (see orderResults). `evaluate` returns { scores, cases, rulesMeta } (scoreAll shape).
+ */
+export async function scorePartitions(ingest, clients, evaluate, { onProgress } = {}) {
+  const byPart = Array.from({ length: ingest.partitions }, () => []);
+  clients.forEach(c => byPart[partitionOf(clientKey(c), ingest.partitions)].push(c));
+
+  const scores = [];
+  const cases = [];
+  let rulesMeta = null;
+  for (let i = 0; i < ingest.partitions; i++) {
+    const txs = await readPartition(ingest.workDir, i);
+    const r = await evaluate(byPart[i], txs);
+    scores.push(...r.scores);
+    cases.push(...r.cases);
+    rulesMeta = r.rulesMeta;
+    onProgress?.({ partition: i + 1, partitions: ingest.partitions });
+  }
+  return { ...orderResults({ scores, cases }, clients), rulesMeta };
+}
+
+/**
+ * Canonical order for scores and cases: the clients file's order, then transaction-only
+ * clients by id; cases keep rule order within a client. Partitioned and whole-file
+ * evaluation therefore produce byte-identical scores.json / cases.json (lib/rerun.js).
+ */
+export function orderResults({ scores, cases }, clients) {
+  const order = new Map(clients.map((c, i) => [clientKey(c), i]));
+  const rank = id => order.get(id) ?? clients.length;
+  const byId = (a, b) => (a < b ? -1 : a > b ? 1 : 0); // not localeCompare: must not vary by machine locale
+  const cmp = (a, b) => rank(a.client_id) - rank(b.client_id) || (rank(a.client_id) === clients.length ? byId(String(a.client_id), String(b.client_id)) : 0);
+  return { scores: [...scores].sort(cmp), cases: [...cases].sort(cmp) };
+}
+
+/**
+ * Write transactions.json (a JSON array, one tx per line) from the NDJSON spool
+ * without loading it. Returns the output path.
+ */
+export async function writeTransactionsJson(ingest, outFile) {
+  const out = fs.createWriteStream(outFile);
+  await write(out, '[\n');
+  let first = true;
+  for await (const line of spoolLines(ingest)) {
+    await write(out, (first ? '  ' : ',\n  ') + line);
+    first = false;
+  }
+  await write(out, '\n]\n');
+  await end(out);
+  return outFile;
+}
+
+/** Normalized transactions from the NDJSON spool, one at a time (all clients, file order). */
+export async function* transactionsOf(ingest) {
+  for await (const line of spoolLines(ingest)) yield JSON.parse(line);
+}
+
+async function* spoolLines(ingest) {
+  for await (const line of readline.createInterface({ input: fs.createReadStream(path.join(ingest.workDir, 'transactions.ndjson')), crlfDelay: Infinity })) {
+    if (line) yield line;
+  }
+}
+
+// Same hash for a client row and its transactions, so both land in one partition.
+export function partitionOf(clientId, partitions) {
+  let h = 2166136261;
+  const s = (clientId ?? '').toString();
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+  return (h >>> 0) % partitions;
+}
+
+function clientKey(c) { return c.client_id || c.id || c.customer_id || 'unknown'; }
+// transactions.ndjson (file order) plus one NDJSON file per partition; add() takes a serialized tx.
+function openSpool(workDir, partitions) {
+  const all = fs.createWriteStream(path.join(workDir, 'transactions.ndjson'));
+  const parts = Array.from({ length: partitions }, (_, i) => fs.createWriteStream(partitionFile(workDir, i)));
+  return {
+    async add(clientId, json) {
+      const line = json + '\n';
+      await write(all, line);
+      await write(parts[partitionOf(clientId, partitions)], line);
+    },
+    close: () => Promise.all([all, ...parts].map(end))
+  };
+}
+function partitionFile(workDir, i) { return path.join(workDir, `part-${String(i).padStart(3, '0')}.ndjson`); }
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+function end(stream) {
+  return new Promise((resolve, reject) => { stream.on('error', reject); stream.end(resolve); });
+}
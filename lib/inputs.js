@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parse as csvParse } from 'csv-parse';
+import { clientHeaderMap, txHeaderMap, CLIENT_FIELDS, TX_FIELDS } from './csv-normalize.js';
+
+// Input formats for Clients/Transactions: CSV, Excel (.xlsx) and JSON. Every reader yields
+// plain { header: string } records, so normalizeClients/normalizeTxRow never see the format.
+//
+// An input is { path, name?, format?, sheet? }: `name` is the uploader's file name (used to
+// detect the format), `sheet` picks a worksheet (or JSON key) when one file holds both.
+
+const PROGRESS_EVERY = 5000;              // rows between progress callbacks
+const JSON_MAX_BYTES = 200 * 1024 * 1024; // JSON is parsed whole; larger exports should be CSV/XLSX
+
+// Worksheet names that give the role away; otherwise headers decide (see resolveInput).
+const SHEET_NAMES = {
+  clients: /client|customer|contact|kyc/i,
+  transactions: /transaction|txn|ledger|payment|receipt|bank|trust/i
+};
+// Fields only one of the two files has; client_id appears in both.
+const ROLE_FIELDS = {
+  clients: CLIENT_FIELDS.filter(f => f !== 'client_id'),
+  transactions: TX_FIELDS.filter(f => f !== 'client_id')
+};
+
+export function inputError(message) {
+  return Object.assign(new Error(message), { code: 'INPUT_INVALID' });
+}
+
+/** csv | xlsx | json from the uploader's file name, falling back to the first bytes. */
+export function detectFormat(file, name = '') {
+  const ext = path.extname(name || file).toLowerCase();
+  if (ext === '.xls') throw inputError(`${name || path.basename(file)}: legacy .xls workbooks are not supported; save as .xlsx`);
+  if (ext === '.xlsx' || ext === '.xlsm') return 'xlsx';
+  if (ext === '.json') return 'json';
+  if (ext === '.csv' || ext === '.txt') return 'csv';
+  const fd = fs.openSync(file, 'r');
+  const head = Buffer.alloc(64);
+  const n = fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) return 'xlsx';
+  return /^\s*[[{]/.test(head.subarray(0, n).toString('utf8').replace(/^\uFEFF/, '')) ? 'json' : 'csv';
+}
+
+/**
+ * Fill in `format` and, for workbooks/JSON objects, the `sheet` holding `role`
+ * ('clients' | 'transactions'): the requested one, else a sheet named for the role,
+ * else the sheet whose headers look most like that file, else the only sheet.
+ */
+export async function resolveInput(input, role, { profile = null } = {}) {
+  const src = typeof input === 'string' ? { path: input } : { ...input };
+  src.name = src.name || path.basename(src.path);
+  src.format = src.format || detectFormat(src.path, src.name);
+  if (src.format === 'csv') return { ...src, sheet: null };
+
+  const sheets = src.format === 'xlsx' ? await xlsxSheets(src.path) : jsonSheets(src.path);
+  if (!sheets.length) throw inputError(`${src.name}: no data found`);
+  if (src.sheet) {
+    if (!sheets.some(s => s.name === src.sheet)) throw inputError(`${src.name}: no sheet named "${src.sheet}" (found: ${sheets.map(s => s.name).join(', ')})`);
+    return src;
+  }
+  if (sheets.length === 1) return { ...src, sheet: sheets[0].name };
+
+  const named = sheets.filter(s => s.name && SHEET_NAMES[role].test(s.name));
+  if (named.length === 1) return { ...src, sheet: named[0].name };
+
+  const other = role === 'clients' ? 'transactions' : 'clients';
+  const score = (s, r) => new Set(Object.values((r === 'clients' ? clientHeaderMap : txHeaderMap)(s.headers, profile))
+    .filter(f => ROLE_FIELDS[r].includes(f))).size;
+  const ranked = sheets.map(s => ({ s, mine: score(s, role), theirs: score(s, other) }))
+    .filter(x => x.mine > x.theirs)
+    .sort((a, b) => b.mine - a.mine);
+  if (ranked.length) return { ...src, sheet: ranked[0].s.name };
+  throw inputError(`${src.name}: could not tell which sheet holds ${role} (found: ${sheets.map(s => s.name).join(', ')}); choose one with ${role}_sheet`);
+}
+
+/** Async iterator over the records of a resolved input, reporting { bytes, total, rows } progress. */
+export async function* inputRows(src, { onProgress } = {}) {
+  if (src.format === 'xlsx') yield* xlsxRows(src.path, src.sheet, { onProgress });
+  else if (src.format === 'json') yield* jsonRows(src.path, src.sheet, { onProgress });
+  else yield* csvRows(src.path, { onProgress });
+}
+
+export async function* csvRows(file, { onProgress } = {}) {
+  const total = (await fs.promises.stat(file)).size;
+  const input = fs.createReadStream(file);
+  let bytes = 0;
+  input.on('data', chunk => { bytes += chunk.length; });
+  const parser = input.pipe(csvParse({ columns: true, skip_empty_lines: true, bom: true }));
+  let rows = 0;
+  for await (const row of parser) {
+    rows++;
+    if (onProgress && rows % PROGRESS_EVERY === 0) onProgress({ bytes, total, rows });
+    yield row;
+  }
+  onProgress?.({ bytes: total, total, rows });
+}
+
+// ---------- Excel ----------
+// Streaming reader: one row in memory at a time. The first non-empty row of a sheet is its header.
+
+function workbookReader(file, counter) {
+  const input = fs.createReadStream(file);
+  if (counter) input.on('data', chunk => { counter.bytes += chunk.length; });
+  return new ExcelJS.stream.xlsx.WorkbookReader(input, { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit', entries: 'emit' });
+}
+
+async function xlsxSheets(file) {
+  const sheets = [];
+  for await (const ws of workbookReader(file)) {
+    let headers = null;
+    for await (const row of ws) {
+      const cells = rowCells(row);
+      if (cells.some(Boolean)) { headers = cells; break; }
+    }
+    if (headers) sheets.push({ name: ws.name, headers: Object.fromEntries(headers.filter(Boolean).map(h => [h, ''])) });
+  }
+  return sheets;
+}
+
+async function* xlsxRows(file, sheet, { onProgress } = {}) {
+  const total = (await fs.promises.stat(file)).size;
+  const counter = { bytes: 0 };
+  let rows = 0;
+  for await (const ws of workbookReader(file, counter)) {
+    if (ws.name !== sheet) { for await (const _row of ws) { /* drain */ } continue; }
+    let headers = null;
+    for await (const row of ws) {
+      const cells = rowCells(row);
+      if (!cells.some(Boolean)) continue;
+      if (!headers) { headers = cells.map((h, i) => h || `column_${i + 1}`); continue; }
+      rows++;
+      if (onProgress && rows % PROGRESS_EVERY === 0) onProgress({ bytes: counter.bytes, total, rows });
+      yield Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? '']));
+    }
+  }
+  onProgress?.({ bytes: total, total, rows });
+}
+
+function rowCells(row) {
+  const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+  return Array.from(values, cellText);
+}
+
+// Formulas give their cached result, rich text its plain text; date cells become ISO dates.
+function cellText(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString().endsWith('T00:00:00.000Z') ? v.toISOString().slice(0, 10) : v.toISOString();
+  if (typeof v === 'object') {
+    if ('result' in v) return cellText(v.result);
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if ('text' in v) return cellText(v.text);
+    if ('error' in v) return '';
+    return JSON.stringify(v);
+  }
+  return String(v).trim();
+}
+
+// ---------- JSON ----------
+// Either an array of records, or an object whose keys (e.g. "clients", "transactions") hold arrays.
+
+function readJson(file) {
+  if (fs.statSync(file).size > JSON_MAX_BYTES) throw inputError(`${path.basename(file)}: JSON input over ${JSON_MAX_BYTES / 1024 / 1024} MB; export as CSV or XLSX instead`);
+  try { return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '')); }
+  catch (e) { throw inputError(`Invalid JSON: ${e.message}`); }
+}
+
+function jsonSheets(file) {
+  const doc = readJson(file);
+  if (Array.isArray(doc)) return [{ name: null, headers: doc[0] && typeof doc[0] === 'object' ? doc[0] : {} }];
+  if (!doc || typeof doc !== 'object') throw inputError('JSON input must be an array of records or an object of arrays');
+  return Object.entries(doc).filter(([, v]) => Array.isArray(v)).map(([name, v]) => ({ name, headers: v[0] && typeof v[0] === 'object' ? v[0] : {} }));
+}
+
+async function* jsonRows(file, sheet, { onProgress } = {}) {
+  const doc = readJson(file);
+  const records = Array.isArray(doc) ? doc : doc?.[sheet];
+  if (!Array.isArray(records)) throw inputError(`JSON input has no array${sheet ? ` under "${sheet}"` : ''}`);
+  const total = fs.statSync(file).size;
+  let rows = 0;
+  for (const rec of records) {
+    if (!rec || typeof rec !== 'object' || Array.isArray(rec)) throw inputError(`JSON record ${rows + 1} is not an object`);
+    rows++;
+    yield Object.fromEntries(Object.entries(rec).map(([k, v]) => [k, cellText(v)]));
+  }
+  onProgress?.({ bytes: total, total, rows });
+}
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+
+// Background jobs for long-running evidence generation. Jobs live in memory for JOB_TTL_MIN
+// after they finish; their outputs (packs) are persisted by the verify store, not here.
+//
+// Job shape (see publicJob()):
+//   { id, status: queued|running|done|failed, stage, progress (0–100), created_utc, updated_utc, result?, error? }
+// Jobs also carry the submitting `org_id` (not shown), so only that org can poll them, and
+// failed jobs an `exposed` flag (not shown) that is set when the error came from the upload.
+
+// Every stage a job reports, in order. lib/pipeline.js maps these to progress bands and
+// public/app.js labels them; update() refuses any other stage.
+export const STAGES = ['queued', 'parsing', 'scoring', 'narratives', 'cases', 'packaging', 'done'];
+
+export class JobQueue {
+  constructor({ concurrency = 1, ttlMin = 60, logger = null } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.ttlMs = ttlMin * 60 * 1000;
+    this.logger = logger;
+    this.jobs = new Map();
+    this.settled = new Map(); // job id → promise resolved with the job once it finishes
+    this.pending = [];
+    this.running = 0;
+    setInterval(() => this.sweep(), 60 * 1000).unref();
+  }
+
+  /**
+   * Queue `work(ctx)`; ctx.update(stage, progress) reports progress. The resolved value
+   * becomes job.result. `cleanup` always runs once the job settles.
+   */
+  submit(work, { cleanup, org_id = null } = {}) {
+    const now = new Date().toISOString();
+    const job = { id: crypto.randomBytes(12).toString('hex'), org_id, status: 'queued', stage: 'queued', progress: 0, created_utc: now, updated_utc: now };
+    this.jobs.set(job.id, job);
+    let settle;
+    this.settled.set(job.id, new Promise(resolve => { settle = resolve; }));
+    this.pending.push({ job, work, cleanup, settle });
+    this.drain();
+    return job;
+  }
+
+  get(id) { return this.jobs.get(id) || null; }
+
+  /** Promise that settles when the job does (for synchronous callers). */
+  wait(id) {
+    return this.settled.get(id) || Promise.resolve(this.get(id));
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length) {
+      const { job, work, cleanup, settle } = this.pending.shift();
+      this.running++;
+      this.run(job, work, cleanup).finally(() => { this.running--; settle(job); this.drain(); });
+    }
+  }
+
+  async run(job, work, cleanup) {
+    const update = (stage, progress) => {
+      if (!STAGES.includes(stage)) throw new Error(`Unknown job stage: ${stage}`);
+      job.stage = stage;
+      job.progress = Math.max(job.progress, Math.min(100, Math.round(progress)));
+      job.updated_utc = new Date().toISOString();
+    };
+    job.status = 'running';
+    try {
+      job.result = await work({ update, id: job.id });
+      job.status = 'done';
+      update('done', 100);
+    } catch (e) {
+      job.status = 'failed';
+      job.exposed = Boolean(e.expose);
+      job.error = job.exposed ? e.message : 'Processing failed.';
+      job.updated_utc = new Date().toISOString();
+      this.logger?.error({ err: e, job_id: job.id }, 'job_failed');
+    } finally {
+      job.finished_at = Date.now();
+      try { await cleanup?.(); } catch { /* best effort */ }
+    }
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && job.finished_at < cutoff) { this.jobs.delete(id); this.settled.delete(id); }
+    }
+  }
+
+  count() { return this.jobs.size; }
+}
+
+/** Error whose message is safe to show to the uploader (bad input, missing config). */
+export class UserFacingError extends Error {
+  constructor(message) {
+    super(message);
+    this.expose = true;
+  }
+}
+
+export function publicJob(job) {
+  const { finished_at: _f, org_id: _o, exposed: _e, ...rest } = job;
+  return rest;
+}
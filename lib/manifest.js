@@ -1,40 +1,56 @@
 import crypto from 'crypto';
-import nacl from 'tweetnacl';
-import { cfg } from './config.js';
+import fs from 'fs';
+import { MANIFEST_SCHEMA, signManifest } from './signing.js';
 
-export function buildManifest(namedFiles, rulesMeta) {
-  const files = Object.entries(namedFiles).map(([name, buf]) => ({
-    name, bytes: buf.length, sha256: sha256Hex(buf)
-  }));
+/**
+ * @param namedFiles { name: Buffer | { bytes, sha256 } } — use digestFile() for packed files on disk
+ * @param opts.mappingProfile { id, name, sha256 } of the column-mapping profile used, if any
+ * @param opts.inputs [{ role, name, format, sheet, bytes, sha256, file }] of the original uploads
+ *   (`file` is the packed copy under inputs/, or null when originals were not included)
+ * @param opts.lookback { start, end, months, anchor } window the rules ran over — with ruleset_id,
+ *   what a re-run needs (rulesMeta.country_lists: the country risk list versions and hashes in
+ *   effect at its end)
+ * @param opts.excluded { after_as_of, latest } transactions left out for postdating the as-of date
+ *   (null unless the run named one)
+ * @param opts.kycReviewsApplied [{ client_id, date }] KYC review dates recorded in the app that replaced
+ *   uploaded kyc_last_reviewed_at values for scoring (lib/reviews.js); clients.json stays as uploaded
+ * @param opts.narratives provider/model/counts behind narratives.json (lib/narrative.js), if any
+ * @param opts.audit { chain, seq, hash } head of the org's audit log when the pack was built (lib/audit.js)
+ */
+export function buildManifest(namedFiles, rulesMeta, { mappingProfile = null, inputs = [], lookback = null, excluded = null, kycReviewsApplied = [], narratives = null, audit = null } = {}) {
+  const files = Object.entries(namedFiles).map(([name, v]) => Buffer.isBuffer(v)
+    ? { name, bytes: v.length, sha256: sha256Hex(v) }
+    : { name, bytes: v.bytes, sha256: v.sha256 });
   const manifest = {
-    schema: 'trancheready.manifest.v1',
+    schema: MANIFEST_SCHEMA,
     created_utc: new Date().toISOString(),
     app_version: '1.0.0',
     ruleset_id: rulesMeta?.id || 'dnfbp-starter',
+    ruleset_version: rulesMeta?.version || null,
+    ruleset_sha256: rulesMeta?.sha256 || null,
+    lookback,
+    excluded,
+    kyc_reviews_applied: kycReviewsApplied,
+    country_lists: rulesMeta?.country_lists || [],
+    mapping_profile: mappingProfile,
+    inputs,
+    narratives,
+    audit,
     hash_algo: 'sha256',
     files,
     sources: rulesMeta?.sources || {}
   };
 
-  if (cfg.SIGN_PRIVATE_KEY) {
-    try {
-      const secretKey = Buffer.from(cfg.SIGN_PRIVATE_KEY, 'base64');
-      const message = Buffer.from(JSON.stringify({
-        files: manifest.files,
-        created_utc: manifest.created_utc,
-        ruleset_id: manifest.ruleset_id
-      }));
-      const sig = nacl.sign.detached(message, new Uint8Array(secretKey));
-      manifest.signing = {
-        alg: 'ed25519',
-        key_id: 'trancheready',
-        signature: Buffer.from(sig).toString('base64')
-      };
-    } catch {
-      // ignore signing errors
-    }
-  }
-  return manifest;
+  // Signs everything above; throws rather than returning an unsigned pack when a key is set.
+  return signManifest(manifest);
 }
 
-function sha256Hex(buf){ return crypto.createHash('sha256').update(buf).digest('hex'); }
+/** Streaming SHA-256 and size of a file on disk. */
+export async function digestFile(file) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(file)) { hash.update(chunk); bytes += chunk.length; }
+  return { bytes, sha256: hash.digest('hex') };
+}
+
+export function sha256Hex(buf){ return crypto.createHash('sha256').update(buf).digest('hex'); }
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { cfg } from './config.js';
+import { CLIENT_FIELDS, TX_FIELDS } from './csv-normalize.js';
+import { canonicalJson } from './signing.js';
+
+// Column-mapping profiles: how one data source's exports (Xero, MYOB, trust-accounting
+// systems) map onto the canonical client/transaction fields. Built-in examples ship in
+// data/mapping-profiles and are shared; saved profiles belong to one organisation and are
+// <org_id>/<id>.json files under MAPPING_PROFILE_DIR.
+//
+// {
+//   id, name, description?,
+//   clients:      { columns: { "<source header>": "<canonical field>" } },
+//   transactions: { columns: {...},
+//                   values: { direction: { "<source value>": "in"|"out" }, method: { "<source value>": "cash"|... } },
+//                   split_amount?: { debit: "<header>", credit: "<header>", debit_direction: "out" } }
+// }
+// Header and value keys match case-insensitively; unmapped headers still go through the synonym lists.
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'mapping-profiles');
+const ID_RE = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+const ORG_RE = /^org_[a-f0-9]{8,64}$/;
+export const METHODS = ['cash', 'wire', 'eft', 'cheque', 'money_order'];
+
+const columns = fields => z.record(z.enum(fields)).default({});
+
+const profileSchema = z.object({
+  id: z.string().regex(ID_RE, 'id must be lower-case letters, digits, . _ - (2–64 chars)'),
+  name: z.string().min(1),
+  description: z.string().optional(),
+  clients: z.object({ columns: columns(CLIENT_FIELDS) }).default({}),
+  transactions: z.object({
+    columns: columns(TX_FIELDS),
+    values: z.object({
+      direction: z.record(z.enum(['in', 'out'])).optional(),
+      method: z.record(z.enum(METHODS)).optional()
+    }).default({}),
+    split_amount: z.object({
+      debit: z.string().min(1),
+      credit: z.string().min(1),
+      debit_direction: z.enum(['in', 'out']).default('out')
+    }).optional()
+  }).default({})
+}).strict();
+
+function savedDir(orgId) {
+  if (!ORG_RE.test(orgId || '')) throw new Error('Invalid organisation id');
+  return path.join(cfg.MAPPING_PROFILE_DIR || path.join('var', 'mapping-profiles'), orgId);
+}
+
+/**
+ * Validate a profile (object or JSON text). Returns it frozen with `sha256` over its
+ * canonical JSON, which is what evidence packs record. Throws with the first schema issue.
+ */
+export function parseProfile(raw) {
+  const obj = typeof raw === 'string' || Buffer.isBuffer(raw) ? JSON.parse(raw.toString('utf8')) : raw;
+  const parsed = profileSchema.safeParse(obj);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid mapping profile at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+  const profile = parsed.data;
+  return deepFreeze({ ...profile, sha256: crypto.createHash('sha256').update(canonicalJson(profile)).digest('hex') });
+}
+
+/** A saved profile of `orgId`, or a built-in one. */
+export function loadProfile(id, orgId) {
+  if (!ID_RE.test(id || '')) throw new Error(`Invalid mapping profile id: ${id}`);
+  for (const dir of [savedDir(orgId), BUILTIN_DIR]) {
+    const file = path.join(dir, `${id}.json`);
+    if (fs.existsSync(file)) return parseProfile(fs.readFileSync(file));
+  }
+  throw new Error(`Mapping profile not found: ${id}`);
+}
+
+export function listProfiles(orgId) {
+  const out = new Map();
+  for (const [dir, builtin] of [[BUILTIN_DIR, true], [savedDir(orgId), false]]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      try {
+        const p = parseProfile(fs.readFileSync(path.join(dir, f)));
+        out.set(p.id, { id: p.id, name: p.name, description: p.description || null, builtin, sha256: p.sha256 });
+      } catch { /* unreadable profile: skipped from the list, loadProfile() reports why */ }
+    }
+  }
+  return [...out.values()];
+}
+
+/** Store a profile for `orgId` (replacing a saved one with the same id). Built-in ids are reserved. */
+export function saveProfile(raw, orgId) {
+  const profile = parseProfile(raw);
+  if (fs.existsSync(path.join(BUILTIN_DIR, `${profile.id}.json`))) throw new Error(`Mapping profile id is reserved: ${profile.id}`);
+  const dir = savedDir(orgId);
+  fs.mkdirSync(dir, { recursive: true });
+  const { sha256: _s, ...body } = profile;
+  const file = path.join(dir, `${profile.id}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(body, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return profile;
+}
+
+/**
+ * Draft a profile from /api/validate's clientHeaderMap / txHeaderMap (edited or not).
+ * Entries pointing at canonical fields become columns; anything else is left out.
+ */
+export function profileFromHeaderMaps({ clientHeaderMap = {}, txHeaderMap = {} }, base = {}) {
+  const pick = (map, fields) => Object.fromEntries(Object.entries(map).filter(([, f]) => fields.includes(f)));
+  return {
+    ...base,
+    clients: { ...base.clients, columns: { ...pick(clientHeaderMap, CLIENT_FIELDS), ...base.clients?.columns } },
+    transactions: { ...base.transactions, columns: { ...pick(txHeaderMap, TX_FIELDS), ...base.transactions?.columns } }
+  };
+}
+
+/** What packs record about the profile used (null = synonym lists only). */
+export function profileMeta(profile) {
+  return profile ? { id: profile.id, name: profile.name, sha256: profile.sha256 } : null;
+}
+
+function deepFreeze(o) {
+  for (const v of Object.values(o)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(o);
+}
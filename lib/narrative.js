@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import { cfg } from './config.js';
+
+// Client narratives: a one-sentence summary of each client's band and reasons, packed as
+// narratives.json (never in scores.json — model output can vary run to run).
+//
+// Providers (NARRATIVE_PROVIDER):
+//   none      no narratives
+//   template  deterministic sentence built from the reasons; nothing leaves the process
+//   openai    any OpenAI-compatible /chat/completions endpoint (NARRATIVE_BASE_URL): OpenAI itself,
+//             or a local llama.cpp / Ollama / vLLM server so client data stays on-premises
+// A failed or timed-out call falls back to the template (NARRATIVE_FALLBACK=template) or to no
+// narrative. Before anything is sent, the client's name, date of birth and ids, its counterparty
+// names, screening list entries and id-like tokens are replaced by placeholders (redactor()).
+// Results are cached by the redacted prompt, so clients with the same reasons cost one call.
+
+export const PROMPT_VERSION = 'narrative-v1';
+const TEMPLATE_MODEL = 'template-v1';
+const SYSTEM = 'You summarise anti-money-laundering client risk assessments for a compliance file. '
+  + 'Words in square brackets are placeholders for redacted details; never guess what they stand for.';
+
+const cache = new Map();      // redacted prompt hash → text (LRU by insertion order)
+const inflight = new Map();   // same key requested while a call is running
+
+/**
+ * Narrator for one run, or null when NARRATIVE_PROVIDER is none.
+ * narrate() fills `narrative` on the scores; entries() and meta() feed narratives.json and
+ * the manifest.
+ * @param {{ clients: object[] }} run  all clients of the run (their ids are redacted everywhere)
+ */
+export function createNarrator({ clients = [] } = {}, opts = narrativeConfig()) {
+  const primary = providerFor(opts);
+  if (!primary) return null;
+  const fallback = opts.fallback === 'template' && primary.id !== 'template' ? templateProvider() : null;
+  const byClient = new Map(clients.map(c => [String(c.client_id ?? '').trim(), c]));
+  const knownIds = new Set([...byClient.keys()].filter(Boolean));
+  const entries = new Map();
+  const counts = { generated: 0, cached: 0, fallback: 0, failed: 0 };
+
+  async function narrateOne(s, client, counterparties) {
+    const input = { band: s.band, score: s.score, reasons: (s.reasons || []).filter(r => r.type === 'reason') };
+    let text = null, by = primary, cached = false;
+    if (primary.id === 'template') {
+      text = templateNarrative(input);
+    } else {
+      const redact = redactor(client, counterparties, s.reasons, knownIds);
+      const prompt = userPrompt({ band: input.band, reasons: input.reasons.map(r => redact(r.text)) });
+      const key = crypto.createHash('sha256').update([primary.id, primary.model, PROMPT_VERSION, prompt].join('\n')).digest('hex');
+      try {
+        if (cache.has(key)) {
+          text = cache.get(key); cached = true;
+          cache.delete(key); cache.set(key, text);
+        } else {
+          if (!inflight.has(key)) inflight.set(key, primary.complete(prompt).finally(() => inflight.delete(key)));
+          text = await inflight.get(key);
+          remember(key, text, opts.cacheMax);
+        }
+      } catch {
+        if (fallback) { text = templateNarrative(input); by = fallback; counts.fallback++; }
+        else counts.failed++;
+      }
+    }
+    if (text == null) return;
+    if (cached) counts.cached++; else if (by === primary) counts.generated++;
+    s.narrative = text;
+    entries.set(String(s.client_id), { client_id: s.client_id, text, provider: by.id, model: by.model, cached });
+  }
+
+  return {
+    /**
+     * Narratives for all scores of the run, at most NARRATIVE_CONCURRENCY calls at a time.
+     * `counterparties`: client_id → counterparty names seen for it (redacted from its prompt).
+     */
+    async narrate(scores, { counterparties = new Map(), onProgress } = {}) {
+      let done = 0;
+      await eachLimited(scores, opts.concurrency, async s => {
+        await narrateOne(s, byClient.get(String(s.client_id)), counterparties.get(s.client_id) || []);
+        onProgress?.(++done / scores.length);
+      });
+    },
+    /** narratives.json rows in the given score order. */
+    entries(scores) {
+      return scores.map(s => entries.get(String(s.client_id))).filter(Boolean);
+    },
+    /** Manifest block: which provider/model wrote the narratives and how. */
+    meta() {
+      const used = new Map();
+      for (const e of entries.values()) {
+        const k = `${e.provider}\u0000${e.model}`;
+        used.set(k, { provider: e.provider, model: e.model, count: (used.get(k)?.count || 0) + 1 });
+      }
+      return {
+        file: 'narratives.json',
+        provider: primary.id,
+        model: primary.model,
+        endpoint: primary.endpoint || null,
+        fallback: fallback ? fallback.id : null,
+        prompt_version: PROMPT_VERSION,
+        redaction: primary.id === 'template' ? null : 'client names, dates of birth, client/transaction/matter ids, counterparty and list-entry names',
+        used: [...used.values()],
+        counts
+      };
+    }
+  };
+}
+
+export function narrativeConfig() {
+  return {
+    provider: cfg.NARRATIVE_PROVIDER,
+    baseUrl: cfg.NARRATIVE_BASE_URL,
+    apiKey: cfg.NARRATIVE_API_KEY,
+    model: cfg.NARRATIVE_MODEL,
+    timeoutMs: cfg.NARRATIVE_TIMEOUT_MS,
+    concurrency: Math.max(1, cfg.NARRATIVE_CONCURRENCY),
+    fallback: cfg.NARRATIVE_FALLBACK,
+    cacheMax: cfg.NARRATIVE_CACHE_MAX
+  };
+}
+
+function providerFor(opts) {
+  if (opts.provider === 'none' || !opts.provider) return null;
+  if (opts.provider === 'template') return templateProvider();
+  if (opts.provider === 'openai') return openAiCompatibleProvider(opts);
+  throw new Error(`Unknown NARRATIVE_PROVIDER: ${opts.provider}`);
+}
+
+function templateProvider() {
+  return { id: 'template', model: TEMPLATE_MODEL };
+}
+
+// POST {baseUrl}/chat/completions — the shape OpenAI, llama.cpp's server, Ollama and vLLM all accept.
+function openAiCompatibleProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    id: 'openai',
+    model,
+    endpoint: new URL(url).host,
+    async complete(prompt) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'system', content: SYSTEM }, { role: 'user', content: prompt }],
+          temperature: 0.2,
+          max_tokens: 80
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`Narrative endpoint returned ${res.status}`);
+      const text = (await res.json()).choices?.[0]?.message?.content?.trim();
+      if (!text) throw new Error('Narrative endpoint returned no text');
+      return text;
+    }
+  };
+}
+
+function userPrompt({ band, reasons }) {
+  return [
+    'Write one sentence (at most 35 words) summarising why this client has this risk band.',
+    'Use only the facts below, give no advice, and refer to the person only as "the client".',
+    `Band: ${band}`,
+    'Reasons:',
+    ...(reasons.length ? reasons.map(r => `- ${r}`) : ['- none'])
+  ].join('\n');
+}
+
+/** Deterministic narrative: band, score and the three highest-scoring reasons. */
+export function templateNarrative({ band, score, reasons }) {
+  if (!reasons.length) return `${band} risk (score ${score}); no rule-based risk factors were triggered.`;
+  const top = [...reasons].sort((a, b) => (b.points || 0) - (a.points || 0)).slice(0, 3);
+  const more = reasons.length - top.length;
+  return `${band} risk (score ${score}), mainly: ${top.map(r => `${r.text} (+${r.points || 0})`).join('; ')}${more ? `; and ${more} more factor${more === 1 ? '' : 's'}` : ''}.`;
+}
+
+/**
+ * Text → text with the client's identifying details replaced: its name (whole and each part of
+ * three letters or more), DOB, counterparty names and matched list entries, any known client id,
+ * and id-like tokens (letters and digits joined by dashes, long digit runs, e-mail addresses).
+ */
+export function redactor(client, counterparties = [], reasons = [], knownIds = new Set()) {
+  const terms = [];
+  const name = (client?.full_name || '').toString().trim();
+  if (name) {
+    terms.push([name, '[CLIENT]']);
+    for (const part of name.split(/\s+/)) if (part.length >= 3) terms.push([part, '[CLIENT]']);
+  }
+  if (client?.dob) terms.push([String(client.dob), '[DOB]']);
+  for (const name of counterparties) if (name) terms.push([String(name), '[COUNTERPARTY]']);
+  for (const r of reasons) for (const e of r.evidence || []) if (e.name) terms.push([String(e.name), '[LIST_ENTRY]']);
+  // Longest first, so "Jane Smith" is replaced before "Smith".
+  const unique = [...new Map(terms.map(([t, p]) => [t.toLowerCase(), [t, p]])).values()].sort((a, b) => b[0].length - a[0].length);
+  const patterns = unique.map(([t, p]) => [new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(t)}(?![\\p{L}\\p{N}])`, 'giu'), p]);
+
+  return text => {
+    let out = String(text);
+    for (const [re, p] of patterns) out = out.replace(re, p);
+    out = out.replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[EMAIL]');
+    out = out.replace(/[^\s,;()]+/g, tok => knownIds.has(tok) ? '[CLIENT_ID]' : tok);
+    out = out.replace(/\b(?=[A-Za-z0-9]*[A-Za-z])(?=[A-Za-z0-9]*\d)[A-Za-z0-9]+(?:-[A-Za-z0-9]+)+\b|\b(?=[A-Za-z]+-\d)[A-Za-z]+-\d+\b/g, '[ID]');
+    return out.replace(/\b\d{6,}\b/g, '[NUMBER]');
+  };
+}
+
+function remember(key, text, max) {
+  cache.set(key, text);
+  while (cache.size > max) cache.delete(cache.keys().next().value);
+}
+
+async function eachLimited(items, limit, fn) {
+  let next = 0;
+  const worker = async () => { while (next < items.length) await fn(items[next++]); };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function escapeRegExp(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
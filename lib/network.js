@@ -0,0 +1,200 @@
+// Counterparty network across clients. Counterparties are resolved by normalized name plus
+// country (counterpartyKey), so "HARBOUR HOLDINGS" and "Harbour Holdings." are one node while
+// the same name in two countries stays two. The graph links
+//   client ── counterparty   transactions between them (count, A$ in/out, first/last date)
+//   client ── matter         matter_id on the client's transactions
+//   counterparty ── matter   the counterparty appears on that matter
+// analyzeNetwork() derives shared counterparties (≥2 clients), clusters (clients joined through
+// shared counterparties or matters) and hubs (counterparties shared by ≥ HUB_MIN_CLIENTS clients).
+// Scoring reads the per-client view (`network_context` rules); network.json in each pack holds
+// the linked part of the graph for reviewers.
+
+export const HUB_MIN_CLIENTS = 3;
+
+/** Resolution key: case/punctuation/whitespace-insensitive name plus country; null without a name. */
+export function counterpartyKey(t) {
+  const name = (t.counterparty_name || '').toString().normalize('NFKC').toLowerCase().replace(/[\s\p{P}]+/gu, ' ').trim();
+  return name ? `${name}|${t.counterparty_country || ''}` : null;
+}
+
+/**
+ * Empty graph for one run; feed every normalized transaction to add() (those outside the
+ * lookback are ignored, matching what scoring sees).
+ */
+export function createNetwork(lookback) {
+  const graph = { clients: new Set(), counterparties: new Map(), matters: new Map(), edges: new Map() };
+  return {
+    graph,
+    add(t) {
+      if (!t.client_id || !(t.date >= lookback.start && t.date <= lookback.end)) return;
+      const cid = t.client_id;
+      graph.clients.add(cid);
+      const matter = t.matter_id ? String(t.matter_id) : null;
+      if (matter) {
+        if (!graph.matters.has(matter)) graph.matters.set(matter, { id: matter, clients: new Set() });
+        graph.matters.get(matter).clients.add(cid);
+      }
+      const key = counterpartyKey(t);
+      if (!key) return;
+      if (!graph.counterparties.has(key)) {
+        graph.counterparties.set(key, { key, country: t.counterparty_country || null, names: new Map(), clients: new Set(), matters: new Set() });
+      }
+      const cp = graph.counterparties.get(key);
+      cp.names.set(t.counterparty_name, (cp.names.get(t.counterparty_name) || 0) + 1);
+      cp.clients.add(cid);
+      if (matter) cp.matters.add(matter);
+
+      const ek = `${cid}\u0000${key}`;
+      if (!graph.edges.has(ek)) graph.edges.set(ek, { client_id: cid, key, tx_count: 0, in_aud: 0, out_aud: 0, first_date: t.date, last_date: t.date });
+      const e = graph.edges.get(ek);
+      const aud = t.amount_aud ?? t.amount ?? 0;
+      e.tx_count++;
+      if (t.direction === 'out') e.out_aud += aud; else e.in_aud += aud;
+      if (t.date < e.first_date) e.first_date = t.date;
+      if (t.date > e.last_date) e.last_date = t.date;
+    }
+  };
+}
+
+/** Graph from an in-memory list (whole-file evaluation, lib/rerun.js). */
+export function buildNetwork(txs, lookback) {
+  const net = createNetwork(lookback);
+  for (const t of txs) net.add(t);
+  return net.graph;
+}
+
+/** client_id → every spelling of every counterparty it transacted with (prompt redaction, lib/narrative.js). */
+export function counterpartyNamesByClient(graph) {
+  const out = new Map();
+  for (const e of graph.edges.values()) {
+    if (!out.has(e.client_id)) out.set(e.client_id, []);
+    out.get(e.client_id).push(...graph.counterparties.get(e.key).names.keys());
+  }
+  return out;
+}
+
+/**
+ * Shared counterparties, clusters and hubs, plus `byClient`: client_id → { cluster, shared, hubs }
+ * for clients linked to at least one other client.
+ */
+export function analyzeNetwork(graph) {
+  const shared = [...graph.counterparties.values()]
+    .filter(cp => cp.clients.size >= 2)
+    .map(cp => ({ id: cpId(cp.key), key: cp.key, name: displayName(cp), country: cp.country, clients: [...cp.clients].sort() }))
+    .sort((a, b) => b.clients.length - a.clients.length || a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+  const sharedMatters = [...graph.matters.values()]
+    .filter(m => m.clients.size >= 2)
+    .map(m => ({ id: matterId(m.id), matter_id: m.id, clients: [...m.clients].sort() }))
+    .sort((a, b) => b.clients.length - a.clients.length || a.matter_id.localeCompare(b.matter_id));
+
+  // Union-find over clients joined by a shared counterparty or matter.
+  const parent = new Map();
+  const find = c => { while (parent.get(c) !== c) { parent.set(c, parent.get(parent.get(c))); c = parent.get(c); } return c; };
+  const union = list => {
+    for (const c of list) if (!parent.has(c)) parent.set(c, c);
+    for (let i = 1; i < list.length; i++) {
+      const a = find(list[0]); const b = find(list[i]);
+      if (a !== b) parent.set(a < b ? b : a, a < b ? a : b);
+    }
+  };
+  shared.forEach(s => union(s.clients));
+  sharedMatters.forEach(m => union(m.clients));
+
+  const groups = new Map();
+  for (const c of parent.keys()) {
+    const root = find(c);
+    if (!groups.has(root)) groups.set(root, { clients: [], counterparties: [], matters: [] });
+    groups.get(root).clients.push(c);
+  }
+  shared.forEach(s => groups.get(find(s.clients[0])).counterparties.push(s.id));
+  sharedMatters.forEach(m => groups.get(find(m.clients[0])).matters.push(m.id));
+  const clusters = [...groups.values()]
+    .map(g => ({ ...g, clients: g.clients.sort() }))
+    .sort((a, b) => b.clients.length - a.clients.length || a.clients[0].localeCompare(b.clients[0]))
+    .map((g, i) => ({ id: `cluster-${i + 1}`, ...g }));
+
+  const hubs = shared.filter(s => s.clients.length >= HUB_MIN_CLIENTS);
+
+  const byClient = new Map();
+  for (const cl of clusters) for (const c of cl.clients) byClient.set(c, { cluster: { id: cl.id, size: cl.clients.length }, shared: [], hubs: [] });
+  for (const s of shared) {
+    for (const c of s.clients) {
+      const entry = byClient.get(c);
+      const link = { id: s.id, name: s.name, country: s.country, clients: s.clients.length };
+      entry.shared.push(link);
+      if (s.clients.length >= HUB_MIN_CLIENTS) entry.hubs.push(link);
+    }
+  }
+
+  return { shared, sharedMatters, clusters, hubs, byClient };
+}
+
+/**
+ * network.json: the linked part of the graph (clients in clusters, shared counterparties and
+ * shared matters, and the edges between them) with totals for the whole graph. No timestamps,
+ * so the same inputs give the same file.
+ */
+export function networkJson(graph, analysis, lookback) {
+  const clusterOf = new Map(analysis.clusters.flatMap(cl => cl.clients.map(c => [c, cl.id])));
+  const sharedKeys = new Set(analysis.shared.map(s => s.key));
+  const sharedMatters = new Set(analysis.sharedMatters.map(m => m.matter_id));
+  const hubIds = new Set(analysis.hubs.map(h => h.id));
+
+  const nodes = [
+    ...[...clusterOf.keys()].sort().map(c => ({ id: clientNodeId(c), type: 'client', label: c, cluster: clusterOf.get(c) })),
+    ...analysis.shared.map(s => {
+      const cp = graph.counterparties.get(s.key);
+      return { id: s.id, type: 'counterparty', label: s.name, country: s.country, clients: s.clients.length, hub: hubIds.has(s.id), aliases: [...cp.names.keys()].sort() };
+    }),
+    ...analysis.sharedMatters.map(m => ({ id: m.id, type: 'matter', label: m.matter_id, clients: m.clients.length }))
+  ];
+
+  const edges = [];
+  for (const e of graph.edges.values()) {
+    if (!sharedKeys.has(e.key) || !clusterOf.has(e.client_id)) continue;
+    edges.push({
+      source: clientNodeId(e.client_id), target: cpId(e.key), type: 'client_counterparty',
+      tx_count: e.tx_count, in_aud: round2(e.in_aud), out_aud: round2(e.out_aud), first_date: e.first_date, last_date: e.last_date
+    });
+  }
+  for (const m of analysis.sharedMatters) {
+    for (const c of m.clients) edges.push({ source: clientNodeId(c), target: m.id, type: 'client_matter' });
+  }
+  for (const s of analysis.shared) {
+    for (const m of [...graph.counterparties.get(s.key).matters].sort()) {
+      if (sharedMatters.has(m)) edges.push({ source: s.id, target: matterId(m), type: 'counterparty_matter' });
+    }
+  }
+  edges.sort((a, b) => a.type.localeCompare(b.type) || a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+
+  return {
+    resolution: 'counterparty_name normalized for case, punctuation and whitespace, plus counterparty_country',
+    lookback,
+    hub_min_clients: HUB_MIN_CLIENTS,
+    stats: {
+      clients: graph.clients.size,
+      counterparties: graph.counterparties.size,
+      matters: graph.matters.size,
+      client_counterparty_links: graph.edges.size,
+      shared_counterparties: analysis.shared.length,
+      shared_matters: analysis.sharedMatters.length,
+      clusters: analysis.clusters.length,
+      hubs: analysis.hubs.length
+    },
+    clusters: analysis.clusters,
+    hubs: analysis.hubs.map(h => h.id),
+    nodes,
+    edges
+  };
+}
+
+function displayName(cp) {
+  // Most frequent spelling; ties go to the one seen first.
+  let best = null;
+  for (const [name, n] of cp.names) if (!best || n > best[1]) best = [name, n];
+  return best[0];
+}
+function cpId(key) { return `counterparty:${key}`; }
+function matterId(id) { return `matter:${id}`; }
+function clientNodeId(id) { return `client:${id}`; }
+function round2(n) { return Math.round(n * 100) / 100; }
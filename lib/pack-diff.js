@@ -0,0 +1,184 @@
+import { readZipEntriesNamed } from './zip.js';
+import { verifyPack } from './verify-pack.js';
+import { loadRuleset } from './ruleset.js';
+
+// Period-over-period comparison of two evidence packs (e.g. last quarter's and this quarter's):
+//   clients   band/score moves and reasons added or removed (scores.json)
+//   cases     new and closed cases, keyed by client_id + rule_id (cases.json)
+//   ruleset   id/version/sha256 from the manifests; rule, band, cap and lookback changes when
+//             both ruleset files are available locally under data/rulesets
+//   sources   country list versions and list/FX/reference dates that changed between the runs
+// Unchanged clients are left out of `clients`. Packs are hash-checked first; a pack that fails
+// is still compared, with a warning, so a broken pack can be investigated rather than refused.
+
+const DEFAULT_BANDS = ['Low', 'Medium', 'High'];
+
+/**
+ * @param {Buffer|string} before  older pack (contents or path)
+ * @param {Buffer|string} after   newer pack
+ * @param {{ publicKeys?: string[] }} opts  base64 Ed25519 keys for the signature check
+ * @returns {Promise<{ before, after, summary, ruleset, sources, clients, cases, warnings }>}
+ */
+export async function diffPacks(before, after, { publicKeys = [] } = {}) {
+  const a = await readPack(before, publicKeys, 'before');
+  const b = await readPack(after, publicKeys, 'after');
+  const warnings = [...a.warnings, ...b.warnings];
+
+  const [ra, rb] = [localRuleset(a.manifest), localRuleset(b.manifest)];
+  const ruleset = diffRuleset(a.manifest, b.manifest, ra, rb);
+  const rank = bandRank(rb, ra);
+  const clients = a.scores && b.scores ? diffScores(a.scores, b.scores, rank) : null;
+  if (!clients) warnings.push('Client changes need scores.json in both packs (packs created before re-run support do not have it)');
+  const cases = diffCases(a.cases || [], b.cases || []);
+
+  return {
+    before: a.info,
+    after: b.info,
+    summary: {
+      clients_before: a.scores?.length ?? null,
+      clients_after: b.scores?.length ?? null,
+      new_clients: count(clients, 'new'),
+      removed_clients: count(clients, 'removed'),
+      band_up: count(clients, 'up'),
+      band_down: count(clients, 'down'),
+      score_changed: count(clients, 'score'),
+      reasons_changed: count(clients, 'reasons'),
+      cases_new: cases.new.length,
+      cases_closed: cases.closed.length,
+      cases_continuing: cases.continuing
+    },
+    ruleset,
+    sources: changedEntries(sourcesOf(a.manifest), sourcesOf(b.manifest)),
+    clients: clients || [],
+    cases,
+    warnings
+  };
+}
+
+async function readPack(zip, publicKeys, label) {
+  const check = await verifyPack(zip, { publicKeys });
+  const m = check.manifest;
+  const warnings = check.ok ? [] : check.errors.map(e => `${label}: ${e}`);
+  const info = {
+    ok: check.ok,
+    signature: check.signature.status,
+    created_utc: m?.created_utc || null,
+    ruleset_id: m?.ruleset_id || null,
+    ruleset_version: m?.ruleset_version || null,
+    lookback: m?.lookback || null
+  };
+  if (!m) return { info, manifest: null, scores: null, cases: null, warnings };
+  const entries = await readZipEntriesNamed(zip, ['scores.json', 'cases.json']);
+  const json = name => {
+    if (!entries[name]) return null;
+    try { return JSON.parse(entries[name].toString('utf8')); }
+    catch { warnings.push(`${label}: ${name} is not valid JSON`); return null; }
+  };
+  return { info, manifest: m, scores: json('scores.json'), cases: json('cases.json'), warnings };
+}
+
+// ---------- Clients ----------
+
+function diffScores(before, after, rank) {
+  const prev = new Map(before.map(s => [String(s.client_id), s]));
+  const seen = new Set();
+  const out = [];
+  for (const s of after) {
+    const id = String(s.client_id);
+    seen.add(id);
+    const p = prev.get(id);
+    if (!p) { out.push({ client_id: s.client_id, change: 'new', before: null, after: brief(s), reasons_added: reasonTexts(s.reasons), reasons_removed: [] }); continue; }
+
+    const [had, has] = [reasonMap(p.reasons), reasonMap(s.reasons)];
+    const added = [...has].filter(([k]) => !had.has(k)).map(([, r]) => r.text);
+    const removed = [...had].filter(([k]) => !has.has(k)).map(([, r]) => r.text);
+    const move = rank(s.band, s.score) - rank(p.band, p.score);
+    const change = p.band !== s.band ? (move >= 0 ? 'up' : 'down')
+      : p.score !== s.score ? 'score'
+      : added.length || removed.length ? 'reasons'
+      : null;
+    if (change) out.push({ client_id: s.client_id, change, before: brief(p), after: brief(s), reasons_added: added, reasons_removed: removed });
+  }
+  for (const p of before) {
+    if (!seen.has(String(p.client_id))) out.push({ client_id: p.client_id, change: 'removed', before: brief(p), after: null, reasons_added: [], reasons_removed: reasonTexts(p.reasons) });
+  }
+  return out;
+}
+
+function brief(s) { return { score: s.score, band: s.band }; }
+function reasonTexts(reasons = []) { return reasons.map(r => r.text); }
+// Reasons are matched by rule; legacy reasons without rule_id by their text.
+function reasonMap(reasons = []) { return new Map(reasons.map(r => [r.rule_id || r.text, r])); }
+function count(list, change) { return list ? list.filter(c => c.change === change).length : null; }
+
+// Band order from the rulesets' thresholds (falling back to Low < Medium < High), so "up"
+// means riskier whatever the bands are called; unknown bands fall back to the score.
+function bandRank(...rulesets) {
+  const order = new Map();
+  for (const r of rulesets) {
+    if (r) [...r.bands].sort((x, y) => x.min - y.min).forEach((x, i) => { if (!order.has(x.band)) order.set(x.band, i); });
+  }
+  if (!order.size) DEFAULT_BANDS.forEach((band, i) => order.set(band, i));
+  return (band, score) => order.has(band) ? order.get(band) : score;
+}
+
+// ---------- Cases ----------
+
+function diffCases(before, after) {
+  const key = c => `${c.client_id}\u0000${c.rule_id || c.type}`;
+  const had = new Set(before.map(key));
+  const has = new Set(after.map(key));
+  const brief = c => ({ client_id: c.client_id, rule_id: c.rule_id || null, type: c.type, rule: c.rule, transactions: c.samples?.length || 0 });
+  return {
+    new: after.filter(c => !had.has(key(c))).map(brief),
+    closed: before.filter(c => !has.has(key(c))).map(brief),
+    continuing: after.filter(c => had.has(key(c))).length
+  };
+}
+
+// ---------- Ruleset & sources ----------
+
+function diffRuleset(a, b, ra, rb) {
+  const side = m => ({ id: m?.ruleset_id || null, version: m?.ruleset_version || null, sha256: m?.ruleset_sha256 || null });
+  const out = { changed: side(a).sha256 !== side(b).sha256 || side(a).id !== side(b).id, before: side(a), after: side(b), details: null, note: null };
+  if (!out.changed) return out;
+  if (!ra || !rb) {
+    out.note = `Rule-level changes need both ruleset files (${[side(a), side(b)].map(s => `${s.id} ${s.version || ''}`.trim()).join(', ')}) as recorded in the packs; only ids and hashes are compared`;
+    return out;
+  }
+
+  const rules = r => new Map(r.rules.map(x => [x.id, x]));
+  const [was, now] = [rules(ra), rules(rb)];
+  const fields = ['family', 'kind', 'points', 'params'];
+  out.details = {
+    lookback_months: ra.lookback_months !== rb.lookback_months ? { before: ra.lookback_months, after: rb.lookback_months } : null,
+    rules_added: [...now.values()].filter(r => !was.has(r.id)).map(r => ({ id: r.id, family: r.family, points: r.points ?? 0 })),
+    rules_removed: [...was.values()].filter(r => !now.has(r.id)).map(r => ({ id: r.id, family: r.family, points: r.points ?? 0 })),
+    rules_changed: [...now.values()].filter(r => was.has(r.id)).flatMap(r => fields
+      .filter(f => JSON.stringify(was.get(r.id)[f] ?? null) !== JSON.stringify(r[f] ?? null))
+      .map(f => ({ id: r.id, field: f, before: was.get(r.id)[f] ?? null, after: r[f] ?? null }))),
+    bands: changedEntries(Object.fromEntries(ra.bands.map(x => [x.band, x.min])), Object.fromEntries(rb.bands.map(x => [x.band, x.min]))),
+    caps: changedEntries(Object.fromEntries(Object.entries(ra.families).map(([f, v]) => [f, v.cap])), Object.fromEntries(Object.entries(rb.families).map(([f, v]) => [f, v.cap])))
+  };
+  return out;
+}
+
+// manifest.sources plus the country risk list versions (country_list_<list> → version).
+function sourcesOf(m) {
+  return { ...m?.sources, ...Object.fromEntries((m?.country_lists || []).map(v => [`country_list_${v.list}`, v.version])) };
+}
+
+// The local ruleset file, only if it is byte-for-byte the one the pack recorded.
+function localRuleset(m) {
+  if (!m?.ruleset_id) return null;
+  try {
+    const r = loadRuleset(m.ruleset_id);
+    return !m.ruleset_sha256 || r.sha256 === m.ruleset_sha256 ? r : null;
+  } catch { return null; }
+}
+
+function changedEntries(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(k => JSON.stringify(a[k] ?? null) !== JSON.stringify(b[k] ?? null))
+    .map(key => ({ key, before: a[key] ?? null, after: b[key] ?? null }));
+}
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { cfg } from './config.js';
+import { ingestClients, ingestTransactions, scorePartitions, transactionsOf, writeTransactionsJson } from './ingest.js';
+import { scoreAll } from './rules.js';
+import { counterpartyNetwork } from './engine.js';
+import { loadRuleset } from './ruleset.js';
+import { loadFxTable } from './fx.js';
+import { loadScreener } from './screening.js';
+import { countryListsAt } from './countryRisk.js';
+import { buildManifest, digestFile, sha256Hex } from './manifest.js';
+import { zipNamedEntriesToFile } from './zip.js';
+import { verifyStore } from './verify-store.js';
+import { UserFacingError } from './jobs.js';
+import { profileMeta } from './mapping-profiles.js';
+import { jsonFile, scoresFile, triggersFile } from './rerun.js';
+import { reportModel, renderReportHtml, renderReportPdf } from './report.js';
+import { recordCases } from './case-workflow.js';
+import { caseStore } from './case-store.js';
+import { austracFiles, isTtrTransaction, smrDrafts, ttrDraft } from './austrac.js';
+import { analyzeNetwork, counterpartyNamesByClient, createNetwork, networkJson } from './network.js';
+import { createNarrator } from './narrative.js';
+import { auditHead, recordAudit } from './audit.js';
+import { recordSchedule, reviewOverrides, withReviews } from './reviews.js';
+import { reviewStore } from './review-store.js';
+
+// Progress bands per stage (job.progress is 0–100 across the whole run).
+const BANDS = { parsing: [2, 40], scoring: [40, 65], narratives: [65, 75], cases: [75, 80], packaging: [80, 99] };
+
+/**
+ * Uploads → evidence pack. Streaming pipeline: csv-parse stream → per-client partitions →
+ * scoring one partition at a time → zip streamed into `workDir` → verify store.
+ *
+ * @param {{ orgId: string, clients: object, transactions: object, workDir: string, profile?: object, update?: (stage, progress) => void }} opts
+ *   `orgId` is the organisation running the upload (lib/accounts.js): the pack link and its cases belong to it.
+ *   `actor` (user email or API key) is recorded in the org's audit log (lib/audit.js) with the input
+ *   hashes as soon as the run starts, and again with the manifest hash once the pack is stored; the
+ *   manifest records the log's head as `audit`.
+ *   `clients` / `transactions` are inputs { path, name, format?, sheet? } (lib/inputs.js) — possibly
+ *   the same workbook; their hashes are recorded in the manifest as `inputs`.
+ *   `profile` is a loaded mapping profile (lib/mapping-profiles.js); it is packed and named in the manifest.
+ *   `includeInputs` packs the original uploads under inputs/ (default PACK_INCLUDE_INPUTS).
+ *   `asOf` / `lookbackMonths` (lib/csv-normalize.js lookbackOptions()) set the lookback: by default
+ *   the ruleset's lookback_months up to the latest transaction. Transactions after `asOf` are left
+ *   out of the pack; the manifest, program report and result record the window and `excluded`.
+ *   Cases are recorded for review (lib/case-workflow.js); `cases` counts new vs already-known ones.
+ *   KYC reviews recorded here (up to the lookback end) replace older kyc_last_reviewed_at values
+ *   for scoring, and each client's band sets its next review date (lib/reviews.js). clients.json
+ *   is packed as uploaded and the manifest lists the replaced dates as `kyc_reviews_applied`;
+ *   `reviews` counts them and the clients now overdue.
+ *   Draft TTRs/SMRs (lib/austrac.js) are packed under austrac/; `austrac` counts them.
+ *   Narratives (lib/narrative.js, NARRATIVE_PROVIDER) are packed as narratives.json; the manifest
+ *   records the provider and model.
+ *   Country risk lists are the versions in effect at the lookback end (lib/countryRisk.js); the
+ *   manifest records each one's version and hash as `country_lists`.
+ *   network.json is the counterparty graph across clients (lib/network.js); its analysis is also
+ *   scoring context for `network_context` rules.
+ * @returns {Promise<{ risk, lookback, excluded, cases, reviews, austrac, verify_url, download_url, report_url, network_url }>}
+ */
+export async function generateEvidence({ orgId, actor = 'system', clients: clientsInput, transactions: txInput, workDir, profile = null, asOf = null, lookbackMonths = null, includeInputs = cfg.PACK_INCLUDE_INPUTS, update = () => {} }) {
+  if (!orgId) throw new Error('generateEvidence needs the organisation (orgId)');
+  const at = (stage, fraction) => { const [a, b] = BANDS[stage]; update(stage, a + (b - a) * Math.min(1, fraction)); };
+
+  const ruleset = loadRuleset(cfg.RULESET_ID);
+  const fx = loadFxTable();
+
+  at('parsing', 0);
+  // Hashed before parsing so the upload is on record even when the run fails.
+  const inputDigests = new Map();
+  for (const input of [clientsInput, txInput]) if (!inputDigests.has(input.path)) inputDigests.set(input.path, await digestFile(input.path));
+  recordAudit({ org_id: orgId, actor, action: 'upload', detail: {
+    inputs: [['clients', clientsInput], ['transactions', txInput]].map(([role, i]) => ({ role, name: i.name, sheet: i.sheet || null, ...inputDigests.get(i.path) })),
+    mapping_profile: profileMeta(profile)
+  } });
+
+  const { clients, clientHeaderMap, source: clientsSource } = await parseStep('Clients', () => ingestClients(clientsInput, { profile }));
+  const ingest = await parseStep('Transactions', () => ingestTransactions(txInput, {
+    lookbackMonths: lookbackMonths ?? ruleset.lookback_months, asOf, fx, workDir, profile,
+    onProgress: p => at('parsing', p.total ? p.bytes / p.total : 0)
+  }));
+  const { txHeaderMap, rejects, rejectCount, lookback, excluded } = ingest;
+  const reviews = reviewStore.forOrg(orgId);
+  const kycReviews = reviewOverrides(clients, reviews, { asOf: lookback.end });
+  const scored = withReviews(clients, kycReviews);
+
+  const screener = loadScreener();
+  const countryLists = countryListsAt(lookback.end);
+  at('scoring', 0);
+  const { network, graph, ttrs } = await crossClientPass(ruleset, ingest, clients, lookback, countryLists);
+  const analysis = analyzeNetwork(graph);
+  const { scores, cases, rulesMeta } = await scorePartitions(ingest, scored,
+    (c, t) => scoreAll(c, t, lookback, ruleset, { screener, network, graph: analysis, countryLists }),
+    { onProgress: p => at('scoring', p.partition / p.partitions) });
+  const narrator = createNarrator({ clients });
+  if (narrator) {
+    at('narratives', 0);
+    await narrator.narrate(scores, { counterparties: counterpartyNamesByClient(graph), onProgress: p => at('narratives', p) });
+  }
+  const sources = { ...fx.meta(), ...screener.meta() };
+
+  at('cases', 0);
+  const files = {
+    'clients.json': jsonFile(clients),
+    'transactions.json': { path: await writeTransactionsJson(ingest, path.join(workDir, 'transactions.json')) },
+    'scores.json': scoresFile(scores),
+    'triggers.json': triggersFile(scores),
+    'cases.json': jsonFile(cases),
+    'network.json': jsonFile(networkJson(graph, analysis, lookback)),
+    ...await programReport({ clients, scores, cases, rulesMeta, sources, clientHeaderMap, txHeaderMap, rejects, rejectCount, txCount: ingest.count, lookback, excluded, profile })
+  };
+  const smrs = smrDrafts(cases, clients, scores);
+  Object.assign(files, austracFiles({ ttrs, smrs, generatedUtc: new Date().toISOString() }));
+  if (narrator) files['narratives.json'] = jsonFile(narrator.entries(scores));
+  if (profile) {
+    const { sha256: _s, ...body } = profile;
+    files['mapping-profile.json'] = Buffer.from(JSON.stringify(body, null, 2));
+  }
+
+  at('packaging', 0);
+  const inputs = [];
+  for (const [role, src] of [['clients', clientsSource], ['transactions', ingest.source]]) {
+    const entry = { role, name: src.name, format: src.format, sheet: src.sheet, ...inputDigests.get(src.path) || await digestFile(src.path), file: null };
+    if (includeInputs) {
+      // One workbook holding both sheets is packed once.
+      const same = inputs.find(x => x.file && x.sha256 === entry.sha256);
+      entry.file = same ? same.file : `inputs/${role}-${safeName(src.name)}`;
+      if (!same) files[entry.file] = { path: src.path };
+    }
+    inputs.push(entry);
+  }
+  const digests = {};
+  for (const [name, v] of Object.entries(files)) digests[name] = Buffer.isBuffer(v) ? v : await digestFile(v.path);
+  const manifest = buildManifest(digests, { ...rulesMeta, sources }, { mappingProfile: profileMeta(profile), inputs, lookback, excluded, kycReviewsApplied: kycReviews, narratives: narrator?.meta() || null, audit: auditHead(orgId) });
+  const manifestJson = Buffer.from(JSON.stringify(manifest, null, 2));
+  at('packaging', 0.3);
+  const zipPath = path.join(workDir, 'pack.zip');
+  await zipNamedEntriesToFile({ ...files, 'manifest.json': manifestJson }, zipPath);
+  at('packaging', 0.9);
+
+  const token = crypto.randomBytes(16).toString('hex');
+  await verifyStore.putFile(token, zipPath, manifest, cfg.VERIFY_TTL_MIN, { org_id: orgId });
+  const tracked = recordCases(cases, { ruleset_id: rulesMeta.id, token, at: manifest.created_utc }, caseStore.forOrg(orgId));
+  const schedule = recordSchedule(scores, scored, { ruleset, token, at: manifest.created_utc }, reviews);
+  recordAudit({ org_id: orgId, actor, action: 'pack.created', subject: token, detail: {
+    manifest_sha256: sha256Hex(manifestJson),
+    ruleset: { id: manifest.ruleset_id, version: manifest.ruleset_version },
+    lookback,
+    excluded,
+    clients: scores.length,
+    cases: { total: cases.length, new: tracked.new.length },
+    kyc_reviews_applied: kycReviews.length,
+    signing_key_id: manifest.signing?.key_id || null
+  } });
+
+  return {
+    risk: scores,
+    lookback,
+    excluded,
+    cases: { total: cases.length, new: tracked.new.length, known: tracked.known.length, previously_reviewed: tracked.previously_reviewed.length },
+    reviews: { applied: kycReviews.length, overdue: schedule.overdue },
+    austrac: { ttr_drafts: ttrs.length, smr_drafts: smrs.length },
+    verify_url: new URL('/verify/' + token, cfg.APP_ORIGIN).toString(),
+    download_url: new URL('/download/' + token, cfg.APP_ORIGIN).toString(),
+    report_url: new URL(`/report/${token}.pdf`, cfg.APP_ORIGIN).toString(),
+    network_url: new URL(`/api/network/${token}`, cfg.APP_ORIGIN).toString()
+  };
+}
+
+/** Fresh scratch directory for one run under WORK_DIR. */
+export function makeWorkDir() {
+  return fs.promises.mkdtemp(path.join(cfg.WORK_DIR, 'job-'));
+}
+
+// program.html + program.pdf from one model (lib/report.js).
+async function programReport(run) {
+  const model = reportModel(run);
+  return {
+    'program.html': Buffer.from(await renderReportHtml(model)),
+    'program.pdf': await renderReportPdf(model)
+  };
+}
+
+// Everything that needs all clients' transactions, in one pass over the spool before the
+// partitions are scored: the network_link index (null when the ruleset has none), the
+// counterparty graph (lib/network.js) and TTR drafts (only cash ≥ A$10,000 is kept in memory).
+async function crossClientPass(ruleset, ingest, clients, lookback, countryLists) {
+  const net = counterpartyNetwork(ruleset, lookback, countryLists);
+  const graph = createNetwork(lookback);
+  const byId = new Map(clients.map(c => [String(c.client_id ?? '').trim(), c]));
+  const ttrs = [];
+  for await (const t of transactionsOf(ingest)) {
+    net?.add(t);
+    graph.add(t);
+    if (isTtrTransaction(t, lookback)) ttrs.push(ttrDraft(t, byId.get(t.client_id.trim())));
+  }
+  return { network: net?.index || null, graph: graph.graph, ttrs };
+}
+
+function safeName(name) { return path.basename(name || 'upload').replace(/[^A-Za-z0-9._-]+/g, '_'); }
+
+// Unreadable inputs are the uploader's to fix; surface csv-parse's message (it names the
+// line) and lib/inputs.js errors (sheet selection, bad JSON).
+async function parseStep(label, fn) {
+  try { return await fn(); }
+  catch (e) {
+    if (typeof e.code === 'string' && (e.code.startsWith('CSV_') || e.code.startsWith('INPUT_'))) throw new UserFacingError(`${label}: ${e.message}`);
+    throw e;
+  }
+}
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
+import PDFDocument from 'pdfkit';
+import { cfg } from './config.js';
+
+// Program report packed as program.html (views/report.ejs, self-contained so it opens offline)
+// and program.pdf (pdfkit, drawn locally — no browser or network). Both render the same model:
+//   summary   band distribution and counts
+//   clients   highest scores first: band, score, capped points by family, reasons
+//   cases     write-ups with sample transactions
+//   mapping   header mapping and mapping profile; rejects; sources with as-at dates
+// Long lists stop at REPORT_MAX_ROWS; the full data is in scores.json / cases.json.
+
+const VIEW = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'views', 'report.ejs');
+
+/**
+ * @param {object} run  what lib/pipeline.js has after scoring: clients, scores, cases, rulesMeta,
+ *   sources, clientHeaderMap, txHeaderMap, rejects, rejectCount, txCount, lookback, excluded, profile
+ */
+export function reportModel(run, { maxRows = cfg.REPORT_MAX_ROWS, generatedUtc = new Date().toISOString() } = {}) {
+  const { clients, scores, cases, rulesMeta, sources } = run;
+  const names = new Map(clients.map(c => [String(c.client_id ?? '').trim(), c.full_name || '']));
+  const families = Object.keys(rulesMeta.caps || {});
+  const bands = Object.keys(rulesMeta.bands || {});
+
+  const distribution = bands.map(band => ({ band, threshold: rulesMeta.bands[band], count: 0 }));
+  for (const s of scores) {
+    const d = distribution.find(x => x.band === s.band) || distribution[distribution.push({ band: s.band, threshold: '', count: 0 }) - 1];
+    d.count++;
+  }
+
+  const ranked = [...scores].sort((a, b) => b.score - a.score || bands.indexOf(a.band) - bands.indexOf(b.band));
+  const clientRows = ranked.slice(0, maxRows).map(s => ({
+    client_id: s.client_id,
+    name: names.get(String(s.client_id)) || '',
+    score: s.score,
+    band: s.band,
+    families: Object.fromEntries(families.map(f => [f, Math.min(
+      (s.reasons || []).filter(r => r.family === f).reduce((acc, r) => acc + (r.points || 0), 0),
+      rulesMeta.caps[f])])),
+    reasons: (s.reasons || []).map(r => ({ text: r.text, family: r.family || null, points: r.points || 0, context: r.type === 'context' }))
+  }));
+
+  return {
+    generated_utc: generatedUtc,
+    ruleset: { id: rulesMeta.id, version: rulesMeta.version, sha256: rulesMeta.sha256, lookback_months: rulesMeta.lookback_months, caps: rulesMeta.caps },
+    lookback: run.lookback ? { ...run.lookback, months: run.lookback.months ?? rulesMeta.lookback_months } : null,
+    excluded: run.excluded || null,
+    profile: run.profile ? { id: run.profile.id, name: run.profile.name } : null,
+    summary: {
+      clients: scores.length,
+      transactions: run.txCount,
+      cases: cases.length,
+      rejects: run.rejectCount,
+      distribution
+    },
+    families,
+    clients: clientRows,
+    clients_omitted: Math.max(0, scores.length - clientRows.length),
+    cases: cases.slice(0, maxRows).map(c => ({ ...c, name: names.get(String(c.client_id)) || '' })),
+    cases_omitted: Math.max(0, cases.length - maxRows),
+    mapping: { clients: run.clientHeaderMap || {}, transactions: run.txHeaderMap || {} },
+    rejects: run.rejects.slice(0, maxRows),
+    sources: [...countryListRows(rulesMeta.country_lists), ...sourceRows(sources)]
+  };
+}
+
+// Country risk list versions (lib/countryRisk.js) as source rows; as-at is the effective date.
+function countryListRows(versions = []) {
+  return versions.map(v => ({
+    name: `country list ${v.list.replace(/_/g, ' ')}`,
+    as_at: v.effective_from,
+    source: `${v.source} — version ${v.version}, ${v.countries} countries${v.in_effect ? '' : ' (earliest version; predates the lookback end)'}`,
+    sha256: v.sha256,
+    value: null
+  }));
+}
+
+// { x_as_at, x_source, x_sha256 } groups → one row per source; other keys are listed as-is.
+function sourceRows(sources = {}) {
+  const rows = new Map();
+  for (const [key, value] of Object.entries(sources)) {
+    const m = key.match(/^(.*)_(as_at|source|sha256)$/);
+    const name = m ? m[1] : key;
+    const row = rows.get(name) || { name: name.replace(/_/g, ' '), as_at: null, source: null, sha256: null, value: null };
+    if (m) row[m[2]] = value;
+    else row.value = value;
+    rows.set(name, row);
+  }
+  return [...rows.values()];
+}
+
+export function renderReportHtml(model) {
+  return ejs.renderFile(VIEW, { report: model });
+}
+
+// ---------- PDF ----------
+// The standard PDF fonts only cover Latin-1; set REPORT_FONT_FILE to a TTF (e.g. Noto Sans)
+// for names in other scripts. Without it, symbols are spelled out and other characters become '?'.
+
+const PAGE = { size: 'A4', margins: { top: 50, bottom: 50, left: 45, right: 45 } };
+const SPELLED = { '≥': '>=', '≤': '<=', '≈': '~', '→': '->', '−': '-', '✓': 'v', '✔': 'v', '✖': 'x' };
+const BAND_COLOURS = { High: '#B42318', Medium: '#B54708', Low: '#067647' };
+
+export function renderReportPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ ...PAGE, bufferPages: true, info: { Title: 'TrancheReady program report', Creator: 'TrancheReady' } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      drawReport(doc, model);
+      footer(doc, model);
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+function drawReport(doc, model) {
+  const font = fonts(doc);
+  const t = font.text;
+  const width = doc.page.width - PAGE.margins.left - PAGE.margins.right;
+  const left = PAGE.margins.left;
+  const heading = (text, size = 14) => {
+    ensure(doc, size * 3);
+    doc.moveDown(0.6).font(font.bold).fontSize(size).fillColor('#0D1321').text(t(text), left);
+    doc.moveDown(0.3).font(font.regular).fontSize(9);
+  };
+  const kv = (k, v) => doc.font(font.bold).fontSize(9).fillColor('#5B677A').text(t(`${k}: `), left, undefined, { continued: true })
+    .font(font.regular).fillColor('#0D1321').text(t(v ?? '—'));
+
+  doc.font(font.bold).fontSize(20).fillColor('#0D1321').text('TrancheReady program report', left);
+  doc.font(font.regular).fontSize(9).fillColor('#5B677A').text(t(`Generated ${model.generated_utc} (UTC)`));
+  doc.moveDown(0.5);
+  kv('Ruleset', `${model.ruleset.id} ${model.ruleset.version || ''}`.trim());
+  kv('Lookback', model.lookback ? `${model.lookback.start} to ${model.lookback.end} (${model.lookback.months} months, ${model.lookback.anchor === 'as_of' ? `as at ${model.lookback.end}` : 'to the latest transaction'})` : null);
+  if (model.excluded) kv('After the as-of date', `${model.excluded.after_as_of} transactions left out${model.excluded.latest ? ` (latest ${model.excluded.latest})` : ''}`);
+  kv('Mapping profile', model.profile ? `${model.profile.name} (${model.profile.id})` : 'none (built-in synonyms)');
+
+  heading('Executive summary');
+  const s = model.summary;
+  kv('Clients scored', s.clients);
+  kv('Transactions in scope', s.transactions);
+  kv('Monitoring cases', s.cases);
+  kv('Rows rejected', s.rejects);
+  doc.moveDown(0.5);
+  const max = Math.max(1, ...s.distribution.map(d => d.count));
+  for (const d of s.distribution) {
+    ensure(doc, 16);
+    const y = doc.y;
+    doc.font(font.bold).fontSize(9).fillColor('#0D1321').text(t(`${d.band} ${d.threshold}`), left, y, { width: 90 });
+    doc.rect(left + 95, y, Math.max(1, (width - 150) * d.count / max), 9).fill(BAND_COLOURS[d.band] || '#5B677A');
+    doc.fillColor('#0D1321').font(font.regular).text(String(d.count), left + width - 45, y, { width: 45, align: 'right' });
+    doc.y = y + 14;
+  }
+
+  heading('Client risk');
+  const famCols = model.families;
+  const cols = [{ label: 'Client', w: 70 }, { label: 'Name', w: 110 }, { label: 'Band', w: 50 }, { label: 'Score', w: 35 },
+    ...famCols.map(f => ({ label: f, w: Math.max(40, (width - 265) / Math.max(1, famCols.length)) }))];
+  const row = (cells, { bold = false, fill = null } = {}) => {
+    ensure(doc, 14);
+    const y = doc.y;
+    let x = left;
+    if (fill) doc.rect(left, y - 2, width, 13).fill(fill);
+    cells.forEach((c, i) => {
+      doc.font(bold ? font.bold : font.regular).fontSize(8).fillColor('#0D1321').text(t(c), x + 2, y, { width: cols[i].w - 4, lineBreak: false, ellipsis: true });
+      x += cols[i].w;
+    });
+    doc.y = y + 13;
+  };
+  row(cols.map(c => c.label), { bold: true, fill: '#EEF1F6' });
+  for (const c of model.clients) {
+    row([c.client_id, c.name, c.band, c.score, ...famCols.map(f => c.families[f] || '')]);
+    for (const r of c.reasons) {
+      ensure(doc, 11);
+      doc.font(font.regular).fontSize(7.5).fillColor(r.context ? '#5B677A' : '#0D1321')
+        .text(t(r.context ? `· ${r.text}` : `+${r.points} ${r.family}: ${r.text}`), left + 75, undefined, { width: width - 75 });
+    }
+    doc.moveDown(0.2);
+  }
+  if (model.clients_omitted) doc.font(font.regular).fontSize(8).fillColor('#5B677A').text(t(`${model.clients_omitted} lower-scoring clients not shown; see scores.json.`), left);
+
+  heading('Monitoring cases');
+  if (!model.cases.length) doc.text('No cases raised in the lookback window.', left);
+  for (const c of model.cases) {
+    ensure(doc, 60);
+    doc.font(font.bold).fontSize(10).fillColor('#0D1321').text(t(`${c.type} — ${c.client_id}${c.name ? ` (${c.name})` : ''}`), left);
+    doc.font(font.regular).fontSize(9).text(t(c.rule), left);
+    for (const x of c.samples || []) {
+      ensure(doc, 11);
+      doc.fontSize(8).fillColor('#5B677A').text(t([x.date, x.tx_id, `${x.amount} ${x.currency}`, x.amount_aud != null && x.currency !== 'AUD' ? `(A$${x.amount_aud})` : '', x.method, x.counterparty_country].filter(Boolean).join('  ')), left + 12);
+    }
+    doc.moveDown(0.4);
+  }
+  if (model.cases_omitted) doc.fontSize(8).fillColor('#5B677A').text(t(`${model.cases_omitted} more cases in cases.json.`), left);
+
+  heading('Header mapping');
+  for (const [file, map] of Object.entries(model.mapping)) {
+    doc.font(font.bold).fontSize(9).fillColor('#0D1321').text(t(file), left);
+    const entries = Object.entries(map);
+    if (!entries.length) doc.font(font.regular).text('—', left + 12);
+    for (const [header, field] of entries) doc.font(font.regular).fontSize(8).text(t(`${header} -> ${field}`), left + 12);
+  }
+
+  heading(`Rejected rows (${model.summary.rejects})`);
+  if (!model.rejects.length) doc.text('None.', left);
+  for (const r of model.rejects) {
+    ensure(doc, 11);
+    doc.font(font.regular).fontSize(8).fillColor('#0D1321').text(t(`Row ${r.row_number}${r.column ? ` [${r.column}]` : ''}: ${r.reason}`), left);
+  }
+  if (model.summary.rejects > model.rejects.length) doc.fontSize(8).fillColor('#5B677A').text(t(`First ${model.rejects.length} shown.`), left);
+
+  heading('Sources and as-at dates');
+  for (const src of model.sources) {
+    ensure(doc, 22);
+    doc.font(font.bold).fontSize(8.5).fillColor('#0D1321').text(t(`${src.name}${src.as_at ? ` — as at ${src.as_at}` : ''}`), left);
+    const detail = [src.source, src.value != null ? JSON.stringify(src.value) : null, src.sha256 ? `sha256 ${src.sha256}` : null].filter(Boolean).join('  ');
+    if (detail) doc.font(font.regular).fontSize(7.5).fillColor('#5B677A').text(t(detail), left + 12);
+  }
+}
+
+function footer(doc, model) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor('#5B677A')
+      .text(`TrancheReady · ${model.ruleset.id} · generated ${model.generated_utc} · page ${i + 1} of ${range.count}`,
+        PAGE.margins.left, doc.page.height - 30, { width: doc.page.width - PAGE.margins.left - PAGE.margins.right, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+function ensure(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE.margins.bottom) doc.addPage();
+}
+
+function fonts(doc) {
+  if (cfg.REPORT_FONT_FILE && fs.existsSync(cfg.REPORT_FONT_FILE)) {
+    doc.registerFont('report', cfg.REPORT_FONT_FILE);
+    return { regular: 'report', bold: 'report', text: v => (v ?? '').toString() };
+  }
+  return {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    text: v => (v ?? '').toString().replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”…•·€]/g, c => SPELLED[c] ?? '?')
+  };
+}
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { verifyPack } from './verify-pack.js';
+import { sha256Hex, digestFile } from './manifest.js';
+import { loadRuleset } from './ruleset.js';
+import { evaluateRuleset, counterpartyNetwork } from './engine.js';
+import { analyzeNetwork, createNetwork } from './network.js';
+import { loadFxTable } from './fx.js';
+import { loadScreener } from './screening.js';
+import { countryListsAt, countryListsRecorded } from './countryRisk.js';
+import { parseProfile } from './mapping-profiles.js';
+import { withReviews } from './reviews.js';
+import { ingestClients, ingestTransactions, writeTransactionsJson, spoolTransactionsJson, scorePartitions, transactionsOf } from './ingest.js';
+
+// Point-in-time re-run of an evidence pack ("show me how you got this band"):
+//   pack      every hash (and the signature, given keys) still matches — lib/verify-pack.js
+//   normalize packed original uploads → clients.json / transactions.json   (only when inputs/ was packed)
+//   score     clients.json + transactions.json → scores.json / cases.json (and triggers.json,
+//             when packed) with the recorded ruleset_id and lookback, and the KYC review dates
+//             the run took from recorded reviews (manifest.kyc_reviews_applied)
+// Each step is identical | differs | skipped (with why). Only local ruleset, FX and list files
+// are used, and a step whose recorded hash doesn't match them is skipped rather than guessed at.
+// Country risk lists are the exact versions in manifest.country_lists (packs from before they were
+// recorded use the versions in effect at the lookback end). Normalizing re-applies the recorded
+// lookback, so transactions after a run's as-of date stay out of transactions.json.
+// The pack is read once: verifying unpacks it to a scratch directory, and the packed
+// transactions are scored partition by partition from there, as lib/pipeline.js scores uploads.
+
+const MAX_DIFFS = 50;
+
+export function jsonFile(value) { return Buffer.from(JSON.stringify(value, null, 2)); }
+
+/**
+ * scores.json: what the rules produced. AI narratives vary run to run and are left out, and so
+ * are the tx_ids behind each reason: they go to triggers.json, so scores.json reads the same as
+ * in packs made before reasons carried them.
+ */
+export function scoresFile(scores) { return jsonFile(scores.map(packedScore)); }
+
+/** triggers.json: client_id → [{ rule_id, tx_ids }] for reasons raised by transactions. */
+export function triggersFile(scores) {
+  const out = {};
+  for (const s of scores) {
+    const hits = (s.reasons || []).filter(r => r.tx_ids?.length).map(r => ({ rule_id: r.rule_id, tx_ids: r.tx_ids }));
+    if (hits.length) out[s.client_id] = hits;
+  }
+  return jsonFile(out);
+}
+
+function packedScore({ narrative: _n, ...s }) {
+  return { ...s, reasons: (s.reasons || []).map(({ tx_ids: _t, ...r }) => r) };
+}
+
+/**
+ * @param {Buffer|string} zip  pack contents or path
+ * @param {{ publicKeys?: string[], workDir?: string }} opts  workDir: scratch parent (default os.tmpdir())
+ * @returns {Promise<{ ok, manifest, pack, ruleset, environment, steps }>}
+ */
+export async function rerunPack(zip, { publicKeys = [], workDir = os.tmpdir() } = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(workDir, 'rerun-'));
+  try {
+    return await rerunIn(dir, zip, publicKeys);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function rerunIn(dir, zip, publicKeys) {
+  const packDir = path.join(dir, 'pack');
+  await fs.promises.mkdir(packDir);
+  const pack = await verifyPack(zip, { publicKeys, extractTo: packDir });
+  const { entries } = pack;
+  const m = pack.manifest;
+  const out = {
+    ok: false,
+    manifest: m ? { created_utc: m.created_utc, ruleset_id: m.ruleset_id, ruleset_version: m.ruleset_version, lookback: m.lookback || null } : null,
+    pack: { status: pack.ok ? 'identical' : 'differs', errors: pack.errors, signature: pack.signature.status },
+    ruleset: null,
+    environment: [],
+    steps: []
+  };
+  if (!m) return out;
+  if (!m.lookback || !entries['scores.json']) {
+    out.steps.push(skipped('score', 'Pack predates re-run support (no lookback or scores.json)'));
+    return out;
+  }
+
+  let ruleset;
+  try { ruleset = loadRuleset(m.ruleset_id); }
+  catch (e) {
+    out.steps.push(skipped('score', e.message));
+    return out;
+  }
+  out.ruleset = { id: ruleset.id, version: ruleset.version, recorded_sha256: m.ruleset_sha256, local_sha256: ruleset.sha256, status: ruleset.sha256 === m.ruleset_sha256 ? 'identical' : 'differs' };
+  if (out.ruleset.status !== 'identical') {
+    out.steps.push(skipped('score', `Local ${ruleset.id}.json is not the file recorded in the pack`));
+    return out;
+  }
+
+  const fx = loadFxTable();
+  const screener = loadScreener();
+  const local = { ...fx.meta(), ...screener.meta(), ...Object.fromEntries(['sanctions', 'pep'].map(k => [`${k}_list_sha256`, screener.list(k)?.sha256])) };
+  const screens = ruleset.rules.some(r => r.kind === 'screening');
+  for (const [name, key, needed] of [['FX rates', 'fx_rates_sha256', false], ['Sanctions list', 'sanctions_list_sha256', screens], ['PEP list', 'pep_list_sha256', screens]]) {
+    const recorded = m.sources?.[key] || null;
+    out.environment.push({ name, recorded_sha256: recorded, local_sha256: local[key] || null, status: recorded === (local[key] || null) ? 'identical' : 'differs', needed_for: needed ? 'score' : 'normalize' });
+  }
+  const countryLists = m.country_lists ? countryListsRecorded(m.country_lists) : countryListsAt(m.lookback.end);
+  for (const v of m.country_lists || []) {
+    const miss = countryLists.missing.find(x => x.list === v.list && x.version === v.version);
+    out.environment.push({ name: `Country list ${v.list} ${v.version}`, recorded_sha256: v.sha256, local_sha256: miss ? miss.local_sha256 : v.sha256, status: miss ? 'differs' : 'identical', needed_for: 'score' });
+  }
+
+  out.steps.push(await normalizeStep(m, entries, { fx, fxSame: out.environment[0].status === 'identical', workDir: dir }));
+  out.steps.push(await scoreStep(m, entries, { ruleset, screener, countryLists, listsSame: out.environment.every(e => e.needed_for !== 'score' || e.status === 'identical'), workDir: dir }));
+
+  out.ok = out.pack.status === 'identical' && out.steps.every(s => s.status === 'identical' || (s.step === 'normalize' && s.status === 'skipped'));
+  return out;
+}
+
+async function normalizeStep(m, entries, { fx, fxSame, workDir }) {
+  const inputs = m.inputs || [];
+  if (!inputs.length || inputs.some(i => !i.file || !entries[i.file])) return skipped('normalize', 'Original uploads were not included in the pack');
+  if (!fxSame) return skipped('normalize', 'Local FX table differs from the one recorded in the pack');
+
+  let profile = null;
+  if (m.mapping_profile) {
+    if (!entries['mapping-profile.json']) return skipped('normalize', 'mapping-profile.json missing from the pack');
+    profile = parseProfile(await fs.promises.readFile(entries['mapping-profile.json'].path));
+    if (profile.sha256 !== m.mapping_profile.sha256) return skipped('normalize', 'Packed mapping profile does not match the manifest');
+  }
+
+  const dir = await fs.promises.mkdtemp(path.join(workDir, 'normalize-'));
+  const src = Object.fromEntries(inputs.map(i => [i.role, { path: entries[i.file].path, name: i.name, format: i.format, sheet: i.sheet || undefined }]));
+  const { clients } = await ingestClients(src.clients, { profile });
+  const ingest = await ingestTransactions(src.transactions, { fx, lookbackMonths: m.lookback.months, asOf: m.lookback.anchor === 'as_of' ? m.lookback.end : null, workDir: dir, profile });
+  const tx = await digestFile(await writeTransactionsJson(ingest, path.join(dir, 'transactions.json')));
+
+  const differences = [];
+  if (sha256Hex(jsonFile(clients)) !== entries['clients.json']?.sha256) differences.push('clients.json');
+  if (tx.sha256 !== entries['transactions.json']?.sha256) differences.push('transactions.json');
+  if (ingest.lookback.start !== m.lookback.start || ingest.lookback.end !== m.lookback.end) differences.push(`lookback ${ingest.lookback.start}..${ingest.lookback.end}`);
+  return { step: 'normalize', status: differences.length ? 'differs' : 'identical', differences };
+}
+
+async function scoreStep(m, entries, { ruleset, screener, countryLists, listsSame, workDir }) {
+  if (!listsSame) return skipped('score', 'Local screening or country risk lists differ from those recorded in the pack');
+  if (!entries['clients.json'] || !entries['transactions.json']) return skipped('score', 'clients.json or transactions.json missing from the pack');
+  const clients = withReviews(await readJson(entries['clients.json']), m.kyc_reviews_applied);
+  let spool;
+  try { spool = await spoolTransactionsJson(entries['transactions.json'].path, { workDir: await fs.promises.mkdtemp(path.join(workDir, 'score-')) }); }
+  catch (e) {
+    if (e.code === 'INPUT_TRANSACTIONS_JSON') return skipped('score', `Packed ${e.message}`);
+    throw e;
+  }
+
+  // Cross-client context first (one pass over the spool), then one partition at a time.
+  const lookback = m.lookback;
+  const net = counterpartyNetwork(ruleset, lookback, countryLists);
+  const graph = ruleset.rules.some(r => r.kind === 'network_context') ? createNetwork(lookback) : null;
+  if (net || graph) for await (const t of transactionsOf(spool)) { net?.add(t); graph?.add(t); }
+  const context = { screener, countryLists, network: net?.index || null, graph: graph ? analyzeNetwork(graph.graph) : null };
+  const { scores, cases } = await scorePartitions(spool, clients, (c, t) => evaluateRuleset(ruleset, c, t, lookback, context));
+
+  const scoresSame = sha256Hex(scoresFile(scores)) === entries['scores.json'].sha256;
+  const casesSame = !entries['cases.json'] || sha256Hex(jsonFile(cases)) === entries['cases.json'].sha256;
+  const triggersSame = !entries['triggers.json'] || sha256Hex(triggersFile(scores)) === entries['triggers.json'].sha256;
+  const differences = [];
+  if (!scoresSame) {
+    const recorded = new Map((await readJson(entries['scores.json'])).map(s => [s.client_id, s]));
+    for (const s of scores.map(packedScore)) {
+      const r = recorded.get(s.client_id);
+      if (r && r.score === s.score && r.band === s.band && JSON.stringify(r.reasons) === JSON.stringify(s.reasons)) continue;
+      differences.push({ client_id: s.client_id, recorded: r ? { score: r.score, band: r.band } : null, rerun: { score: s.score, band: s.band } });
+      if (differences.length >= MAX_DIFFS) break;
+    }
+  }
+  if (!casesSame) differences.push({ file: 'cases.json', recorded: (await readJson(entries['cases.json'])).length, rerun: cases.length });
+  if (!triggersSame) differences.push({ file: 'triggers.json' });
+  return { step: 'score', status: scoresSame && casesSame && triggersSame ? 'identical' : 'differs', clients: scores.length, cases: cases.length, differences };
+}
+
+async function readJson(entry) { return JSON.parse(await fs.promises.readFile(entry.path, 'utf8')); }
+
+function skipped(step, reason) { return { step, status: 'skipped', reason }; }
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { cfg } from './config.js';
+import { openDatabase } from './sqlite.js';
+
+// KYC review schedule records (lib/reviews.js): one per client per organisation, keyed by
+// client_id. Same synchronous get/put/list contract as lib/case-store.js; records are always
+// org-scoped, so the store itself only hands out forOrg(orgId).
+const ORG_RE = /^org_[a-f0-9]{8,64}$/;
+
+class MemoryReviewStore {
+  constructor(){ this.orgs = new Map(); }
+  forOrg(orgId){
+    assertOrg(orgId);
+    if (!this.orgs.has(orgId)) this.orgs.set(orgId, new MemoryOrgReviews());
+    return this.orgs.get(orgId);
+  }
+}
+
+class MemoryOrgReviews {
+  constructor(){ this.map = new Map(); }
+  get(clientId){ return this.map.has(clientId) ? structuredClone(this.map.get(clientId)) : null; }
+  put(record){ assertClient(record.client_id); this.map.set(record.client_id, structuredClone(record)); }
+  list(){ return [...this.map.values()].map(r => structuredClone(r)); }
+}
+
+// <dir>/<org_id>/<sha256(client_id)>.json (client ids are free text), written to a temp name and renamed.
+class FsReviewStore {
+  constructor(dir){
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  forOrg(orgId){ assertOrg(orgId); return new FsOrgReviews(path.join(this.dir, orgId)); }
+}
+
+class FsOrgReviews {
+  constructor(dir){
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  get(clientId){
+    try { return JSON.parse(fs.readFileSync(this.file(clientId), 'utf8')); }
+    catch { return null; }
+  }
+  put(record){
+    assertClient(record.client_id);
+    const file = this.file(record.client_id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  list(){
+    const out = [];
+    for (const f of fs.readdirSync(this.dir)) {
+      if (!f.endsWith('.json')) continue;
+      try { out.push(JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'))); }
+      catch { /* partially written by another instance: picked up next time */ }
+    }
+    return out;
+  }
+  file(clientId){ return path.join(this.dir, `${crypto.createHash('sha256').update(String(clientId)).digest('hex')}.json`); }
+}
+
+class SqliteReviewStore {
+  constructor(file){
+    this.db = openDatabase(file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS client_reviews (
+      org_id TEXT NOT NULL,
+      client_id TEXT NOT NULL,
+      record TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (org_id, client_id)
+    )`);
+    this.stmts = {
+      get: this.db.prepare('SELECT record FROM client_reviews WHERE org_id = ? AND client_id = ?'),
+      put: this.db.prepare('INSERT OR REPLACE INTO client_reviews (org_id, client_id, record, updated_at) VALUES (?, ?, ?, ?)'),
+      list: this.db.prepare('SELECT record FROM client_reviews WHERE org_id = ?')
+    };
+  }
+  forOrg(orgId){
+    assertOrg(orgId);
+    const { stmts } = this;
+    return {
+      get: clientId => { const row = stmts.get.get(orgId, String(clientId)); return row ? JSON.parse(row.record) : null; },
+      put: record => { assertClient(record.client_id); stmts.put.run(orgId, record.client_id, JSON.stringify(record), Date.now()); },
+      list: () => stmts.list.all(orgId).map(r => JSON.parse(r.record))
+    };
+  }
+}
+
+export function createReviewStore({ backend = 'fs', location = '' } = {}){
+  if (backend === 'memory') return new MemoryReviewStore();
+  if (backend === 'fs') return new FsReviewStore(location || path.join('var', 'reviews'));
+  if (backend === 'sqlite') return new SqliteReviewStore(location || path.join('var', 'reviews.sqlite'));
+  throw new Error(`Unknown REVIEW_STORE backend: ${backend}`);
+}
+
+function assertClient(id){
+  if (typeof id !== 'string' || !id || id.length > 200) throw new Error('Invalid client id');
+}
+function assertOrg(orgId){
+  if (!ORG_RE.test(orgId || '')) throw new Error('Invalid organisation id');
+}
+
+export const reviewStore = createReviewStore({ backend: cfg.REVIEW_STORE, location: cfg.REVIEW_STORE_PATH });
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import { cfg } from './config.js';
+import { loadRuleset } from './ruleset.js';
+import { reviewStore } from './review-store.js';
+import { csvCell, addDays, addMonths } from './utils.js';
+
+// Periodic KYC review schedule. Each upload records every scored client's band, and the
+// client is due for review `review_months` after its last KYC review: the band's
+// `review_months` in the ruleset, else KYC_REVIEW_MONTHS (High:6,Medium:12,Low:24), else the
+// shortest interval configured. A client with no review date on record is overdue.
+//
+// Record (lib/review-store.js), one per client:
+//   { client_id, full_name, band, score, review_months, last_reviewed_at, next_review_due,
+//     last_scored_utc, last_token, ruleset_id, reviews: [{ at, reviewed_at, by, band, note? }] }
+//
+// recordReview() logs a completed review; the next upload scores with the latest recorded review
+// date up to its lookback end as the client's kyc_last_reviewed_at when the uploaded one is older
+// (reviewOverrides() / withReviews()), so the kyc_age rule and the schedule both start from it.
+// The packed clients.json stays as uploaded; the manifest lists the dates taken from here as
+// `kyc_reviews_applied`. Clients missing from a later upload keep their last record.
+
+const MAX_REVIEWS = 50;   // review history kept per client
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function reviewError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+const isoDate = z.string().regex(DATE_RE, 'expected YYYY-MM-DD').refine(v => !Number.isNaN(Date.parse(`${v}T00:00:00Z`)) && new Date(`${v}T00:00:00Z`).toISOString().startsWith(v), 'not a valid date');
+const review = z.object({
+  reviewed_at: isoDate.optional(),
+  note: z.string().trim().max(5000).optional(),
+  by: z.string().trim().min(1).max(200).optional()
+}).strict();
+const scheduleQuery = z.object({
+  as_of: isoDate.optional(),
+  days: z.coerce.number().int().min(0).max(3650).default(90)
+});
+
+/** Review interval in months per band of `ruleset`. */
+export function reviewIntervals(ruleset = loadRuleset(cfg.RULESET_ID)) {
+  const configured = parseIntervals(cfg.KYC_REVIEW_MONTHS);
+  const shortest = Math.min(...Object.values(configured));
+  return Object.fromEntries(ruleset.bands.map(b => [b.band, b.review_months ?? configured[b.band] ?? shortest]));
+}
+
+/**
+ * Before scoring: the recorded review dates that replace a client's blank or older uploaded
+ * kyc_last_reviewed_at, as [{ client_id, date }] in upload order. Only reviews on or before
+ * `asOf` (the lookback end the kyc_age rule measures from) count. `clients` is not changed.
+ */
+export function reviewOverrides(clients, store = reviewStore, { asOf = today() } = {}) {
+  const recorded = new Map(store.list().map(r => [r.client_id, latestReview(r, asOf)]).filter(([, d]) => d));
+  const out = [];
+  for (const c of clients) {
+    const client_id = String(c.client_id ?? '').trim();
+    const date = recorded.get(client_id);
+    if (date && !(dateOnly(c.kyc_last_reviewed_at) >= date)) out.push({ client_id, date });
+  }
+  return out;
+}
+
+/** Copies of `clients` with the review dates of `overrides` (reviewOverrides(), or a manifest's kyc_reviews_applied). */
+export function withReviews(clients, overrides = []) {
+  if (!overrides.length) return clients;
+  const dates = new Map(overrides.map(o => [o.client_id, o.date]));
+  return clients.map(c => {
+    const date = dates.get(String(c.client_id ?? '').trim());
+    return date ? { ...c, kyc_last_reviewed_at: date } : c;
+  });
+}
+
+/**
+ * After scoring: update each scored client's band and due date. Returns counts as of today.
+ * @param {{ ruleset: object, token?: string, at?: string }} run
+ */
+export function recordSchedule(scores, clients, { ruleset, token = null, at = new Date().toISOString() }, store = reviewStore) {
+  const months = reviewIntervals(ruleset);
+  const byId = new Map(clients.map(c => [String(c.client_id ?? '').trim(), c]));
+  const existing = new Map(store.list().map(r => [r.client_id, r]));
+  const asOf = today();
+  let overdue = 0;
+  for (const s of scores) {
+    const client = byId.get(s.client_id) || {};
+    const prev = existing.get(s.client_id);
+    const last = [dateOnly(client.kyc_last_reviewed_at), latestReview(prev)].filter(Boolean).sort().pop() || null;
+    const record = {
+      client_id: s.client_id,
+      full_name: client.full_name || prev?.full_name || null,
+      band: s.band,
+      score: s.score,
+      review_months: months[s.band],
+      last_reviewed_at: last,
+      next_review_due: last ? addMonths(last, months[s.band]) : null,
+      last_scored_utc: at,
+      last_token: token,
+      ruleset_id: ruleset.id,
+      reviews: prev?.reviews || []
+    };
+    store.put(record);
+    if (!record.next_review_due || record.next_review_due < asOf) overdue++;
+  }
+  return { clients: scores.length, overdue };
+}
+
+/**
+ * Overdue reviews and those due within `days` of `as_of` (default today), earliest first;
+ * never-reviewed clients lead. `counts.scheduled` is everyone else on record.
+ */
+export function reviewSchedule(query = {}, store = reviewStore) {
+  const { as_of = today(), days } = parse(scheduleQuery, query);
+  const horizon = addDays(as_of, days);
+  const items = store.list().map(r => withStatus(r, as_of, horizon))
+    .sort((a, b) => (a.next_review_due || '') < (b.next_review_due || '') ? -1 : (a.next_review_due || '') > (b.next_review_due || '') ? 1 : String(a.client_id).localeCompare(String(b.client_id)));
+  const overdue = items.filter(i => i.status === 'overdue');
+  const upcoming = items.filter(i => i.status === 'upcoming');
+  return { as_of, days, counts: { overdue: overdue.length, upcoming: upcoming.length, scheduled: items.length - overdue.length - upcoming.length }, overdue, upcoming };
+}
+
+export function getReview(clientId, store = reviewStore) {
+  const record = store.get(clientId);
+  if (!record) throw reviewError('REVIEW_NOT_FOUND', `No review schedule for client ${clientId}`);
+  const asOf = today();
+  return { ...withStatus(record, asOf, asOf), reviews: record.reviews };
+}
+
+/** Record a completed review (default today); the client's next review is due from that date. */
+export function recordReview(clientId, body, store = reviewStore) {
+  const { reviewed_at = today(), note, by = 'anonymous' } = parse(review, body);
+  const record = store.get(clientId);
+  if (!record) throw reviewError('REVIEW_NOT_FOUND', `No review schedule for client ${clientId}`);
+  if (reviewed_at > today()) throw reviewError('REVIEW_INVALID', 'reviewed_at: Date is in the future');
+  if (record.last_reviewed_at && reviewed_at < record.last_reviewed_at) {
+    throw reviewError('REVIEW_INVALID', `reviewed_at: Earlier than the last review on record (${record.last_reviewed_at})`);
+  }
+  record.reviews = [...record.reviews, { at: new Date().toISOString(), reviewed_at, by, band: record.band, ...(note ? { note } : {}) }].slice(-MAX_REVIEWS);
+  record.last_reviewed_at = reviewed_at;
+  record.next_review_due = addMonths(reviewed_at, record.review_months);
+  store.put(record);
+  return getReview(clientId, store);
+}
+
+/** Overdue then upcoming reviews as CSV. */
+export function scheduleCsv(schedule) {
+  const cols = ['status', 'client_id', 'full_name', 'band', 'score', 'review_months', 'last_reviewed_at', 'next_review_due', 'days_until_due'];
+  const lines = [cols, ...[...schedule.overdue, ...schedule.upcoming].map(i => cols.map(c => i[c]))];
+  return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The same reviews as an iCalendar feed (RFC 5545): one all-day event per client on its due
+ * date, or on `as_of` when overdue. UIDs are stable per org and client, so re-importing a newer
+ * export moves events rather than duplicating them. Events carry client ids, not names.
+ */
+export function scheduleIcs(schedule, { orgId = '' } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//TrancheReady//KYC reviews//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:KYC reviews'];
+  for (const i of [...schedule.overdue, ...schedule.upcoming]) {
+    const day = i.status === 'overdue' ? schedule.as_of : i.next_review_due;
+    const uid = crypto.createHash('sha256').update(`${orgId}\u0000${i.client_id}`).digest('hex').slice(0, 32);
+    const last = i.last_reviewed_at ? `Last reviewed ${i.last_reviewed_at}` : 'No KYC review on record';
+    lines.push('BEGIN:VEVENT',
+      `UID:kyc-review-${uid}@trancheready`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(day, 1).replace(/-/g, '')}`,
+      `SUMMARY:${icsText(`KYC review ${i.status === 'overdue' ? 'overdue' : 'due'}: ${i.client_id} (${i.band})`)}`,
+      `DESCRIPTION:${icsText(`${last}. ${i.band} risk: review every ${i.review_months} months${i.next_review_due ? `, due ${i.next_review_due}` : ''}.`)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function withStatus(r, asOf, horizon) {
+  const { reviews: _r, ...rest } = r;
+  const due = r.next_review_due;
+  const status = !due || due < asOf ? 'overdue' : due <= horizon ? 'upcoming' : 'scheduled';
+  return { ...rest, status, days_until_due: due ? dayNumber(due) - dayNumber(asOf) : null };
+}
+
+function latestReview(record, asOf = null) {
+  return (record?.reviews || []).map(r => r.reviewed_at).filter(d => !asOf || d <= asOf).sort().pop() || null;
+}
+
+function dateOnly(v) {
+  const s = (v ?? '').toString().trim().slice(0, 10);
+  return DATE_RE.test(s) ? s : null;
+}
+
+function today() { return new Date().toISOString().slice(0, 10); }
+function dayNumber(iso) { return Date.parse(`${iso}T00:00:00Z`) / 86400000; }
+
+// "High:6,Medium:12,Low:24" → { High: 6, Medium: 12, Low: 24 }
+function parseIntervals(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [band, months] = part.split(':').map(s => s.trim());
+    if (!band || !/^\d+$/.test(months || '') || Number(months) < 1) throw new Error(`Invalid KYC_REVIEW_MONTHS entry: ${part}`);
+    out[band] = Number(months);
+  }
+  if (!Object.keys(out).length) throw new Error('KYC_REVIEW_MONTHS is empty');
+  return out;
+}
+
+function icsText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character.
+function foldLine(line) {
+  const out = [];
+  let cur = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function parse(schema, body) {
+  const parsed = schema.safeParse(body || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw reviewError('REVIEW_INVALID', `${issue.path.join('.') || 'body'}: ${issue.message}`);
+  }
+  return parsed.data;
+}
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { cfg } from './config.js';
+
+// Rulesets are plain JSON files: data/rulesets/<id>.json (override dir with RULESET_DIR).
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'rulesets');
+
+const countryMatch = z.object({
+  list: z.string().optional(),
+  in: z.array(z.string()).optional(),
+  domestic: z.boolean().optional()
+});
+
+const txMatch = z.object({
+  direction: z.enum(['in', 'out']).optional(),
+  method: z.string().or(z.array(z.string())).optional(),
+  amount: z.object({ min: z.number().optional(), max: z.number().optional() }).optional(),
+  counterparty_country: countryMatch.optional()
+});
+
+const ruleSchema = z.object({
+  id: z.string().min(1),
+  family: z.string().min(1),
+  kind: z.string().min(1),
+  points: z.number().optional(),
+  params: z.record(z.any()).default({}),
+  text: z.string().optional(),
+  case: z.object({ type: z.string().min(1), text: z.string() }).optional()
+});
+
+const rulesetSchema = z.object({
+  id: z.string().min(1),
+  version: z.string().min(1),
+  description: z.string().optional(),
+  home_country: z.string().length(2).default('AU'),
+  lookback_months: z.number().int().positive(),
+  // review_months: KYC review interval for the band (lib/reviews.js; default KYC_REVIEW_MONTHS)
+  bands: z.array(z.object({ band: z.string().min(1), min: z.number(), review_months: z.number().int().positive().optional() })).min(1),
+  families: z.record(z.object({ cap: z.number() })),
+  lists: z.record(z.array(z.string())).default({}),
+  rules: z.array(ruleSchema).min(1)
+}).superRefine((rs, ctx) => {
+  const seen = new Set();
+  rs.rules.forEach((r, i) => {
+    if (seen.has(r.id)) ctx.addIssue({ code: 'custom', path: ['rules', i, 'id'], message: `Duplicate rule id ${r.id}` });
+    seen.add(r.id);
+    if (!rs.families[r.family]) ctx.addIssue({ code: 'custom', path: ['rules', i, 'family'], message: `Unknown family ${r.family}` });
+    for (const key of ['match', 'in', 'out']) {   // `in` / `out`: the two legs of rapid_in_out
+      if (r.params[key] && !txMatch.safeParse(r.params[key]).success) {
+        ctx.addIssue({ code: 'custom', path: ['rules', i, 'params', key], message: 'Invalid transaction match' });
+      }
+    }
+  });
+});
+
+const cache = new Map();
+
+function rulesetDir() { return cfg.RULESET_DIR || DEFAULT_DIR; }
+
+/**
+ * Load and validate a ruleset by id. The returned object is frozen and carries
+ * `sha256` of the source file so packs can prove which rules ran.
+ */
+export function loadRuleset(id = cfg.RULESET_ID) {
+  if (!/^[A-Za-z0-9._-]+$/.test(id || '')) throw new Error(`Invalid ruleset id: ${id}`);
+  if (cache.has(id)) return cache.get(id);
+  const file = path.join(rulesetDir(), `${id}.json`);
+  if (!fs.existsSync(file)) throw new Error(`Ruleset not found: ${id}`);
+  const raw = fs.readFileSync(file);
+  const ruleset = parseRuleset(raw);
+  if (ruleset.id !== id) throw new Error(`Ruleset file ${id}.json declares id ${ruleset.id}`);
+  cache.set(id, ruleset);
+  return ruleset;
+}
+
+/** Validate a ruleset from a Buffer/string of JSON. Throws with the first schema issue. */
+export function parseRuleset(raw) {
+  const parsed = rulesetSchema.safeParse(JSON.parse(raw.toString('utf8')));
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid ruleset: ${issue.path.join('.')} ${issue.message}`);
+  }
+  const sha256 = crypto.createHash('sha256').update(raw).digest('hex');
+  return deepFreeze({ ...parsed.data, sha256 });
+}
+
+export function listRulesets() {
+  const dir = rulesetDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+function deepFreeze(o) {
+  for (const v of Object.values(o)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(o);
+}
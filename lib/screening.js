@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { parse as csvParse } from 'csv-parse/sync';
+import { XMLParser } from 'fast-xml-parser';
+import { cfg } from './config.js';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'screening');
+
+/** Bundled fictitious lists, for demos and tests only: never screened against unless named explicitly. */
+export const SAMPLE_LISTS = {
+  sanctions: path.join(DATA_DIR, 'sanctions.sample.csv'),
+  pep: path.join(DATA_DIR, 'pep.sample.csv')
+};
+
+// Column synonyms (case-insensitive). The first set covers the DFAT Consolidated List export.
+const FIELD_MAP = {
+  ref: ['reference', 'ref', 'id', 'dataid'],
+  name: ['name of individual or entity', 'name', 'full_name', 'entity_name'],
+  type: ['type', 'entity_type'],
+  dob: ['date of birth', 'dob', 'date_of_birth'],
+  country: ['citizenship', 'country', 'nationality'],
+  position: ['position', 'role', 'listing information']
+};
+
+// Dropped before comparison: honorifics and company suffixes carry no identity.
+const STOP_TOKENS = new Set(['mr', 'mrs', 'ms', 'dr', 'the', 'pty', 'ltd', 'limited', 'llc', 'inc', 'co', 'corp', 'company', 'plc', 'gmbh', 'sa']);
+
+const COUNTRY_NAMES = {
+  russia: 'RU', 'russian federation': 'RU', iran: 'IR', china: 'CN', 'hong kong': 'HK', 'united arab emirates': 'AE',
+  india: 'IN', 'north korea': 'KP', dprk: 'KP', syria: 'SY', myanmar: 'MM', philippines: 'PH', australia: 'AU'
+};
+
+/**
+ * A loaded screening list (sanctions or PEP). Entries are indexed by 3-char token
+ * prefixes so each name is only compared with plausible candidates.
+ */
+export class ScreeningList {
+  constructor(kind, { source, as_at, sha256, entries }) {
+    this.kind = kind;
+    this.source = source;
+    this.as_at = as_at;
+    this.sha256 = sha256;
+    this.entries = entries.map(e => ({ ...e, tokens: nameTokens(e.name), year: dobYear(e.dob), date: dobDate(e.dob) }));
+    this.index = new Map();
+    this.entries.forEach((e, i) => {
+      for (const t of e.tokens) {
+        const k = t.slice(0, 3);
+        if (!this.index.has(k)) this.index.set(k, new Set());
+        this.index.get(k).add(i);
+      }
+    });
+  }
+
+  /**
+   * Best match per list reference with similarity ≥ threshold, strongest first.
+   * A differing birth year counts against a match; an equal full DOB or country counts for it.
+   */
+  match({ name, dob, country }, threshold) {
+    const tokens = nameTokens(name);
+    if (!tokens.length) return [];
+    const candidates = new Set();
+    for (const t of tokens) for (const i of this.index.get(t.slice(0, 3)) || []) candidates.add(i);
+
+    const year = dobYear(dob);
+    const date = dobDate(dob);
+    const cc = (country || '').toString().trim().toUpperCase();
+    const best = new Map();
+    for (const i of candidates) {
+      const e = this.entries[i];
+      let score = nameSimilarity(tokens, e.tokens);
+      if (year && e.year) score = year === e.year ? (date && e.date === date ? score + 0.05 : score) : score * 0.8;
+      if (cc && e.country && e.country === cc) score += 0.03;
+      score = Math.min(1, Math.round(score * 1000) / 1000);
+      if (score < threshold) continue;
+      const key = e.ref || e.name;
+      if (!best.has(key) || best.get(key).score < score) {
+        best.set(key, { list: this.kind, ref: e.ref || null, name: e.name, dob: e.dob || null, country: e.country || null, type: e.type || null, score });
+      }
+    }
+    return [...best.values()].sort((a, b) => b.score - a.score);
+  }
+
+  meta() {
+    return {
+      [`${this.kind}_list_source`]: this.source,
+      [`${this.kind}_list_as_at`]: this.as_at,
+      [`${this.kind}_list_sha256`]: this.sha256
+    };
+  }
+}
+
+/**
+ * Lists used by the `screening` rule kind, keyed by kind ('sanctions', 'pep'). A kind without a
+ * list is not screened: its rules never fire and the manifest says so.
+ */
+export class Screener {
+  constructor(lists) { this.lists = lists; }
+  list(kind) { return this.lists[kind] || null; }
+  meta() {
+    const out = {};
+    for (const kind of ['sanctions', 'pep']) Object.assign(out, this.lists[kind]?.meta() || { [`${kind}_list_source`]: 'not screened' });
+    return out;
+  }
+}
+
+let cached = null;
+
+// Only lists given by path are loaded; empty (or 'none') leaves that kind unscreened.
+export function loadScreener({ sanctionsFile = cfg.SANCTIONS_LIST_FILE, pepFile = cfg.PEP_LIST_FILE } = {}) {
+  const key = `${sanctionsFile}|${pepFile}`;
+  if (cached?.key === key) return cached.screener;
+  const lists = {};
+  const s = sanctionsFile === 'none' ? null : sanctionsFile || null;
+  const p = pepFile === 'none' ? null : pepFile || null;
+  if (s) lists.sanctions = loadList('sanctions', s);
+  if (p) lists.pep = loadList('pep', p);
+  const screener = new Screener(lists);
+  cached = { key, screener };
+  return screener;
+}
+
+export function loadList(kind, file) {
+  const raw = fs.readFileSync(file);
+  const text = raw.toString('utf8');
+  const header = {};
+  for (const line of text.split(/\r?\n/, 20)) {
+    const m = line.match(/^#\s*(\w+)\s*:\s*(.+)$/);
+    if (m) header[m[1].toLowerCase()] = m[2].trim();
+  }
+  const rows = /\.xml$/i.test(file) ? xmlRows(text) : csvParse(text, { columns: true, skip_empty_lines: true, comment: '#', relax_column_count: true });
+  const entries = rows.map(mapFields).filter(e => e.name);
+  return new ScreeningList(kind, {
+    source: header.source || path.basename(file),
+    // No header: fall back to the export's file date so the pack still says how old the list was.
+    as_at: header.as_at || fs.statSync(file).mtime.toISOString().slice(0, 10),
+    sha256: crypto.createHash('sha256').update(raw).digest('hex'),
+    entries
+  });
+}
+
+// XML exports: records are the first repeated element whose children look like list fields.
+function xmlRows(text) {
+  const doc = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', textNodeName: 'value' }).parse(text);
+  const stack = [doc];
+  while (stack.length) {
+    const node = stack.shift();
+    if (Array.isArray(node) && node.some(n => n && typeof n === 'object' && Object.keys(n).some(k => FIELD_MAP.name.includes(normKey(k))))) {
+      return node.map(flatten);
+    }
+    if (node && typeof node === 'object') stack.push(...Object.values(node));
+  }
+  return [];
+}
+
+function flatten(node) {
+  const out = {};
+  for (const [k, v] of Object.entries(node || {})) out[k] = v && typeof v === 'object' ? (v.value ?? '') : v;
+  return out;
+}
+
+function mapFields(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    const field = Object.keys(FIELD_MAP).find(f => FIELD_MAP[f].includes(normKey(k)));
+    if (field && out[field] == null) out[field] = (v ?? '').toString().trim();
+  }
+  if (out.country) out.country = toCountryCode(out.country);
+  return out;
+}
+
+function normKey(k) { return k.toString().trim().toLowerCase().replace(/\s+/g, ' '); }
+
+function toCountryCode(v) {
+  const s = v.trim();
+  if (/^[A-Za-z]{2}$/.test(s)) return s.toUpperCase();
+  return COUNTRY_NAMES[s.toLowerCase()] || s.toUpperCase();
+}
+
+export function nameTokens(name) {
+  return (name || '').toString().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/\./g, '').replace(/[^a-z0-9]+/g, ' ').split(' ').filter(t => t && !STOP_TOKENS.has(t)).sort();
+}
+
+/**
+ * 0..1 similarity over sorted tokens: each token's best Jaro-Winkler partner on the
+ * other side (below 0.8 counts as unmatched), averaged over both names. So "Chen Wei"
+ * ≈ "Wei Chen" but "Acme Import" is only a partial match for "Acme Import Trading".
+ * Whole-string Jaro-Winkler only counts when token counts agree (spacing typos).
+ */
+export function nameSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const side = (x, y) => x.reduce((acc, t) => {
+    const best = Math.max(...y.map(u => jaroWinkler(t, u)));
+    return acc + (best >= 0.8 ? best : 0);
+  }, 0);
+  const tokens = (side(a, b) + side(b, a)) / (a.length + b.length);
+  return a.length === b.length ? Math.max(tokens, jaroWinkler(a.join(' '), b.join(' '))) : tokens;
+}
+
+function jaroWinkler(s, t) {
+  if (s === t) return 1;
+  const range = Math.max(0, Math.floor(Math.max(s.length, t.length) / 2) - 1);
+  const sm = new Array(s.length).fill(false);
+  const tm = new Array(t.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < s.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(t.length, i + range + 1); j++) {
+      if (tm[j] || s[i] !== t[j]) continue;
+      sm[i] = tm[j] = true; matches++; break;
+    }
+  }
+  if (!matches) return 0;
+  let k = 0, transpositions = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (!sm[i]) continue;
+    while (!tm[k]) k++;
+    if (s[i] !== t[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / s.length + matches / t.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && s[prefix] && s[prefix] === t[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function dobYear(v) {
+  const m = (v || '').toString().match(/\b(19|20)\d{2}\b/);
+  return m ? m[0] : null;
+}
+
+// Full date as YYYY-MM-DD from ISO or DFAT-style dd/mm/yyyy; null for partial dates.
+function dobDate(v) {
+  const s = (v || '').toString().trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
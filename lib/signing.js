@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import nacl from 'tweetnacl';
+import { cfg } from './config.js';
+
+// Manifest schemas and what their signature covers.
+//   v1 (legacy): JSON.stringify({ files, created_utc, ruleset_id }) — kept so old packs still verify.
+//   v2: canonical JSON of the whole manifest except the `signing` block.
+export const MANIFEST_SCHEMA = 'trancheready.manifest.v2';
+const LEGACY_SCHEMA = 'trancheready.manifest.v1';
+
+/**
+ * Canonical JSON: object keys sorted by code point, no insignificant whitespace,
+ * undefined members dropped. Same input object → same bytes regardless of key order.
+ */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(v => v === undefined ? 'null' : canonicalJson(v)).join(',')}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+}
+
+/** Exact bytes covered by manifest.signing (shared with the offline verifier). */
+export function signingPayload(manifest) {
+  if (manifest.schema === LEGACY_SCHEMA) {
+    return Buffer.from(JSON.stringify({
+      files: manifest.files,
+      created_utc: manifest.created_utc,
+      ruleset_id: manifest.ruleset_id
+    }));
+  }
+  const { signing: _signing, ...signed } = manifest;
+  return Buffer.from(canonicalJson(signed), 'utf8');
+}
+
+/** Stable key id: first 16 hex chars of SHA-256 over the raw 32-byte public key. */
+export function keyId(publicKeyB64) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKeyB64, 'base64')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Ed25519 key pair from SIGN_PRIVATE_KEY. Accepts a 64-byte tweetnacl secret key
+ * or a 32-byte seed (both base64). Returns null when signing is not configured.
+ */
+export function signingKey() {
+  if (!cfg.SIGN_PRIVATE_KEY) return null;
+  const raw = new Uint8Array(Buffer.from(cfg.SIGN_PRIVATE_KEY, 'base64'));
+  let pair;
+  if (raw.length === nacl.sign.secretKeyLength) pair = nacl.sign.keyPair.fromSecretKey(raw);
+  else if (raw.length === nacl.sign.seedLength) pair = nacl.sign.keyPair.fromSeed(raw);
+  else throw new Error(`SIGN_PRIVATE_KEY must be a base64 Ed25519 secret key (64 bytes) or seed (32 bytes), got ${raw.length} bytes`);
+  const publicKey = Buffer.from(pair.publicKey).toString('base64');
+  return { secretKey: pair.secretKey, publicKeyBytes: pair.publicKey, publicKey, keyId: keyId(publicKey) };
+}
+
+/**
+ * Sign a manifest in place. Throws if a key is configured but signing fails —
+ * an unsigned pack must never be produced silently.
+ */
+export function signManifest(manifest) {
+  const key = signingKey();
+  if (!key) return manifest;
+  const message = new Uint8Array(signingPayload(manifest));
+  const sig = nacl.sign.detached(message, key.secretKey);
+  if (!nacl.sign.detached.verify(message, sig, key.publicKeyBytes)) {
+    throw new Error('Manifest signature self-check failed');
+  }
+  manifest.signing = {
+    alg: 'ed25519',
+    scheme: 'canonical-json',
+    key_id: key.keyId,
+    signature: Buffer.from(sig).toString('base64')
+  };
+  return manifest;
+}
+
+/**
+ * Published verification keys: the current key plus any retired keys still needed
+ * for older packs (SIGN_PUBLIC_KEYS, comma-separated).
+ */
+export function publishedKeys() {
+  const all = [cfg.SIGN_PUBLIC_KEY, ...cfg.SIGN_PUBLIC_KEYS.split(',')].map(k => k.trim()).filter(Boolean);
+  const current = safeSigningKey()?.publicKey;
+  if (current) all.unshift(current);
+  return [...new Set(all)].map(public_key => ({
+    key_id: keyId(public_key),
+    alg: 'ed25519',
+    public_key,
+    current: public_key === current
+  }));
+}
+
+function safeSigningKey() {
+  try { return signingKey(); } catch { return null; }
+}
@@ -0,0 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Shared by the sqlite backends of the stores (verify, case, account, audit, review).
+// better-sqlite3 is an optional dependency (native build); it is only loaded when a store
+// selects sqlite, so installs without it still run on the fs and memory backends.
+
+/** Open (creating its directory) a database file in WAL mode, waiting up to 5 s for locks held by other instances. */
+export function openDatabase(file) {
+  const Database = createRequire(import.meta.url)('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  return db;
+}
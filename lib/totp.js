@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps) — what Google
+// Authenticator, 1Password, Authy and Microsoft Authenticator expect from an otpauth:// URI.
+const STEP_S = 30;
+const DIGITS = 6;
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** New random secret, base32 (160 bits, the RFC 4226 recommendation). */
+export function totpSecret() {
+  return base32(crypto.randomBytes(20));
+}
+
+export function otpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_S}`;
+}
+
+/** The code for one time step. */
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac('sha1', unbase32(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  const n = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(n).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step `code` belongs to, allowing `window` steps of clock drift either side, or null.
+ * Callers store the step and refuse it (and earlier ones) next time, so a code works once.
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, after = -1 } = {}) {
+  const given = (code ?? '').toString().replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const current = Math.floor(now / 1000 / STEP_S);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= after) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+function base32(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte; bits += 8;
+    while (bits >= 5) { out += B32[(value >>> (bits - 5)) & 31]; bits -= 5; }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function unbase32(s) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of s.toUpperCase().replace(/=+$/, '')) {
+    const i = B32.indexOf(ch);
+    if (i < 0) throw new Error('Invalid base32 secret');
+    value = (value << 5) | i; bits += 5;
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 255); bits -= 8; }
+  }
+  return Buffer.from(out);
+}
@@ -6,8 +6,38 @@ export function daysBetween(aISO, bISO) {
   return Math.abs(differenceInCalendarDays(a, b));
 }
 
+/**
+ * YYYY-MM-DD of a date parsed by date-fns parseISO(). Date-only strings parse to local midnight,
+ * so toISOString() would give the previous day on hosts east of UTC (e.g. Australia).
+ */
+export function isoDay(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+/** `days` (negative: earlier) from a YYYY-MM-DD date, in UTC whatever the host's time zone. */
+export function addDays(iso, days) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/** `months` (negative: earlier) from a YYYY-MM-DD date in UTC, clamped to the month's last day (31 Jan + 1 → 28/29 Feb). */
+export function addMonths(iso, months) {
+  const [y, m, d] = iso.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
 export function monthsBetween(aISO, bISO) {
   const d = daysBetween(aISO, bISO);
   if (d == null) return null;
   return Math.floor(d / 30);
 }
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+// Quote per RFC 4180; neutralise leading =+-@ so spreadsheet apps don't evaluate uploaded values.
+export function csvCell(v) {
+  let s = (v ?? '').toString();
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,88 @@
+import { CLIENT_FIELDS, TX_FIELDS, txHeaderMap } from './csv-normalize.js';
+import { csvCell } from './utils.js';
+
+// Row-level validation report for /api/validate. Fed by lib/ingest.js as rows stream past:
+//   report.clients(result)              once, with normalizeClients() output
+//   report.transaction(i, row, result)  per row, with normalizeTxRow() output
+// Issues: { file, row, column, value, reason, severity: error|warning }. Errors are rows
+// that were dropped (or clients without a usable id); warnings are rows scored as-is.
+
+const MAX_ISSUES = 5000;   // kept in full; the rest are only counted
+
+export class ValidationReport {
+  constructor({ maxIssues = MAX_ISSUES, profile = null } = {}) {
+    this.maxIssues = maxIssues;
+    this.profile = profile;
+    this.issues = [];
+    this.counts = { clients: { errors: 0, warnings: 0, rows: 0 }, transactions: { errors: 0, warnings: 0, rows: 0 } };
+    this.unknownHeaders = { clients: [], transactions: [] };
+    this.clientIds = null;
+    this.txColumns = null;
+    this.txIds = new Map();
+    this.unknownClients = new Map();
+  }
+
+  add(file, issue) {
+    this.counts[file][issue.severity === 'error' ? 'errors' : 'warnings']++;
+    if (this.issues.length < this.maxIssues) this.issues.push({ file, ...issue });
+  }
+
+  headers(file, headerMap, fields) {
+    this.unknownHeaders[file] = Object.entries(headerMap).filter(([, canonical]) => !fields.includes(canonical)).map(([h]) => h);
+  }
+
+  clients({ clients, clientHeaderMap, issues }) {
+    this.headers('clients', clientHeaderMap, CLIENT_FIELDS);
+    this.counts.clients.rows = clients.length;
+    issues.forEach(x => this.add('clients', x));
+    this.clientIds = new Set(clients.map(c => (c.client_id ?? '').toString().trim()).filter(Boolean));
+  }
+
+  transaction(i, row, { tx, issues = [] }) {
+    if (i === 0) {
+      const map = txHeaderMap(row, this.profile);
+      this.headers('transactions', map, TX_FIELDS);
+      this.txColumns = Object.fromEntries(Object.entries(map).map(([h, canonical]) => [canonical, h]));
+    }
+    this.counts.transactions.rows++;
+    issues.forEach(x => this.add('transactions', x));
+    if (!tx) return;
+
+    const rowNum = i + 2;
+    const column = name => this.txColumns?.[name] || name;
+    if (tx.tx_id != null && tx.tx_id !== '') {
+      const first = this.txIds.get(tx.tx_id);
+      if (first) this.add('transactions', { row: rowNum, column: column('tx_id'), value: tx.tx_id, reason: `Duplicate tx_id (first seen on row ${first})`, severity: 'warning' });
+      else this.txIds.set(tx.tx_id, rowNum);
+    }
+    if (this.clientIds && !this.clientIds.has(tx.client_id.trim())) {
+      this.unknownClients.set(tx.client_id, (this.unknownClients.get(tx.client_id) || 0) + 1);
+      this.add('transactions', { row: rowNum, column: column('client_id'), value: tx.client_id, reason: 'client_id not found in Clients.csv', severity: 'warning' });
+    }
+  }
+
+  toJSON() {
+    const total = f => this.counts[f].errors + this.counts[f].warnings;
+    return {
+      valid: !this.counts.clients.errors && !this.counts.transactions.errors,
+      summary: this.counts,
+      unknown_headers: this.unknownHeaders,
+      unknown_client_ids: [...this.unknownClients].map(([client_id, transactions]) => ({ client_id, transactions })),
+      issues: this.issues,
+      truncated: total('clients') + total('transactions') > this.issues.length
+    };
+  }
+
+  /** Errors CSV for bookkeepers: one line per issue, sorted by file then row. */
+  toCSV() {
+    const lines = [['file', 'row', 'column', 'value', 'severity', 'reason']];
+    const order = { clients: 0, transactions: 1 };
+    for (const x of [...this.issues].sort((a, b) => order[a.file] - order[b.file] || a.row - b.row)) {
+      lines.push([x.file, x.row, x.column, x.value, x.severity, x.reason]);
+    }
+    for (const f of ['clients', 'transactions']) {
+      for (const h of this.unknownHeaders[f]) lines.push([f, 1, h, '', 'warning', 'Unknown column (ignored)']);
+    }
+    return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+}
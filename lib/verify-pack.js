@@ -0,0 +1,69 @@
+import nacl from 'tweetnacl';
+import { digestZipEntries } from './zip.js';
+import { signingPayload, keyId } from './signing.js';
+
+/**
+ * Offline evidence-pack check: recompute every SHA-256 in manifest.json, flag missing
+ * and unlisted files, and verify the Ed25519 signature against caller-supplied keys
+ * (current and retired, so packs signed before a key rotation still verify).
+ * Needs nothing from the server that produced the pack.
+ *
+ * Entries are streamed and hashed one at a time. With `extractTo` (an existing directory) they are also
+ * unpacked there and returned as `entries` ({ name: { path, sha256, bytes } }), so a caller
+ * such as lib/rerun.js reads the pack only once.
+ *
+ * @param {Buffer|string} zip  pack contents or path
+ * @param {{ publicKeys?: string[], extractTo?: string }} opts  publicKeys: base64 Ed25519 public keys
+ * @returns {Promise<{ ok, manifest, files, extra, signature, errors, entries? }>}
+ */
+export async function verifyPack(zip, { publicKeys = [], extractTo = null } = {}) {
+  const errors = [];
+  const entries = await digestZipEntries(zip, { dir: extractTo, keep: ['manifest.json'] });
+  const unpacked = extractTo ? { entries } : {};
+  if (!entries['manifest.json']) {
+    return { ok: false, errors: ['manifest.json not found in pack'], files: [], extra: [], signature: { status: 'missing' }, ...unpacked };
+  }
+
+  let manifest;
+  try { manifest = JSON.parse(entries['manifest.json'].data.toString('utf8')); }
+  catch { return { ok: false, errors: ['manifest.json is not valid JSON'], files: [], extra: [], signature: { status: 'missing' }, ...unpacked }; }
+  if (manifest.hash_algo && manifest.hash_algo !== 'sha256') errors.push(`Unsupported hash_algo ${manifest.hash_algo}`);
+
+  const listed = new Set();
+  const files = (manifest.files || []).map(f => {
+    listed.add(f.name);
+    const entry = entries[f.name];
+    if (!entry) { errors.push(`Missing file: ${f.name}`); return { name: f.name, status: 'missing' }; }
+    const { sha256, bytes } = entry;
+    if (sha256 !== f.sha256 || bytes !== f.bytes) {
+      errors.push(`Hash mismatch: ${f.name}`);
+      return { name: f.name, status: 'mismatch', expected: f.sha256, actual: sha256, bytes };
+    }
+    return { name: f.name, status: 'ok', sha256 };
+  });
+
+  const extra = Object.keys(entries).filter(n => n !== 'manifest.json' && !listed.has(n));
+  for (const n of extra) errors.push(`Unlisted file: ${n}`);
+
+  const signature = checkSignature(manifest, publicKeys);
+  if (signature.status === 'invalid' || signature.status === 'unsigned') errors.push(signature.message);
+
+  return { ok: errors.length === 0, manifest, files, extra, signature, errors, ...unpacked };
+}
+
+function checkSignature(manifest, publicKeys) {
+  if (!publicKeys.length) return { status: 'skipped', message: 'No public key supplied; signature not checked' };
+  if (!manifest.signing?.signature) return { status: 'unsigned', message: 'Pack is not signed' };
+  if (manifest.signing.alg !== 'ed25519') return { status: 'invalid', message: `Unsupported signing alg ${manifest.signing.alg}` };
+
+  const sig = new Uint8Array(Buffer.from(manifest.signing.signature, 'base64'));
+  const message = new Uint8Array(signingPayload(manifest));
+  // Try the key named by key_id first; legacy packs carry a fixed label instead of a derived id.
+  const ordered = [...publicKeys].sort((a, b) => (keyId(b) === manifest.signing.key_id) - (keyId(a) === manifest.signing.key_id));
+  for (const key of ordered) {
+    const pub = new Uint8Array(Buffer.from(key, 'base64'));
+    if (pub.length !== nacl.sign.publicKeyLength || sig.length !== nacl.sign.signatureLength) continue;
+    if (nacl.sign.detached.verify(message, sig, pub)) return { status: 'valid', key_id: keyId(key), public_key: key };
+  }
+  return { status: 'invalid', message: `Signature does not match any supplied public key (pack key_id ${manifest.signing.key_id})` };
+}
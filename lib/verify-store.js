@@ -1,16 +1,194 @@
-// Simple memory store with TTL. Swap later for Redis/S3 if needed.
-class VerifyStore {
-  constructor(){ this.map = new Map(); }
-  put(token, zipBuffer, manifest, ttlMin){
+import fs from 'fs';
+import path from 'path';
+import { cfg } from './config.js';
+import { openDatabase } from './sqlite.js';
+
+// Verify/download links: token → { zipPath, manifest, expiresAt, org_id } (zipBuffer instead of
+// zipPath only for packs stored with put()). `org_id` is the organisation that generated the pack;
+// server.js only serves the zip to its members.
+// Backends share one put/putFile/get contract so server.js never cares which is active.
+// putFile() (async) copies the finished pack to disk without reading it into memory or blocking
+// the event loop while a large pack is copied; only metadata is
+// held in memory or in the database. Expiry is stored with each entry and swept periodically (and
+// at start-up). fs is the default; memory links (and their pack files) are gone after a restart.
+const TOKEN_RE = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Packs go to a scratch directory of this process (under WORK_DIR), removed with their link.
+class MemoryVerifyStore {
+  constructor(dir){
+    this.map = new Map();
+    this.dir = dir;
+  }
+  put(token, zipBuffer, manifest, ttlMin, { org_id = null } = {}){
+    assertToken(token);
     const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000);
-    this.map.set(token, { zipBuffer, manifest, expiresAt });
-    setTimeout(() => this.map.delete(token), ttlMin * 60 * 1000 + 5000);
+    this.map.set(token, { zipBuffer, manifest, expiresAt, org_id });
+  }
+  async putFile(token, zipPath, manifest, ttlMin, { org_id = null } = {}){
+    assertToken(token);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${token}.zip`);
+    await copyAtomic(zipPath, file);
+    this.map.set(token, { zipPath: file, manifest, expiresAt: new Date(Date.now() + ttlMin * 60 * 1000), org_id, get zipBuffer(){ return fs.readFileSync(file); } });
   }
   get(token){
     const entry = this.map.get(token);
     if (!entry) return null;
-    if (entry.expiresAt < new Date()) { this.map.delete(token); return null; }
+    if (entry.expiresAt < new Date()) { this.remove(token); return null; }
     return entry;
   }
+  sweep(){
+    const now = new Date();
+    let removed = 0;
+    for (const [token, entry] of this.map) if (entry.expiresAt < now) { this.remove(token); removed++; }
+    return removed;
+  }
+  count(){ return this.map.size; }
+  remove(token){
+    const entry = this.map.get(token);
+    if (entry?.zipPath) fs.rmSync(entry.zipPath, { force: true });
+    this.map.delete(token);
+  }
+}
+
+// One <token>.json (manifest + expiry) and one <token>.zip per link. Files are written
+// to a temp name and renamed so other instances sharing the directory never read partial packs.
+class FsVerifyStore {
+  constructor(dir){
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  put(token, zipBuffer, manifest, ttlMin, { org_id = null } = {}){
+    assertToken(token);
+    const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000);
+    writeAtomic(this.file(token, 'zip'), zipBuffer);
+    writeAtomic(this.file(token, 'json'), JSON.stringify({ manifest, expires_at: expiresAt.toISOString(), org_id }));
+  }
+  // Streamed packs: copy the finished zip in without reading it into memory.
+  async putFile(token, zipPath, manifest, ttlMin, { org_id = null } = {}){
+    assertToken(token);
+    const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000);
+    await copyAtomic(zipPath, this.file(token, 'zip'));
+    writeAtomic(this.file(token, 'json'), JSON.stringify({ manifest, expires_at: expiresAt.toISOString(), org_id }));
+  }
+  get(token){
+    if (!TOKEN_RE.test(token)) return null;
+    let meta;
+    try { meta = JSON.parse(fs.readFileSync(this.file(token, 'json'), 'utf8')); }
+    catch { return null; }
+    const expiresAt = new Date(meta.expires_at);
+    if (expiresAt < new Date()) { this.remove(token); return null; }
+    const zipPath = this.file(token, 'zip');
+    if (!fs.existsSync(zipPath)) return null;
+    return { zipPath, manifest: meta.manifest, expiresAt, org_id: meta.org_id || null, get zipBuffer(){ return fs.readFileSync(zipPath); } };
+  }
+  sweep(){
+    const now = new Date();
+    let removed = 0;
+    for (const f of fs.readdirSync(this.dir)) {
+      if (!f.endsWith('.json')) continue;
+      const token = f.slice(0, -5);
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'));
+        if (new Date(meta.expires_at) >= now) continue;
+      } catch { /* unreadable entry: treat as expired */ }
+      this.remove(token);
+      removed++;
+    }
+    return removed;
+  }
+  count(){ return fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).length; }
+  remove(token){
+    for (const ext of ['json', 'zip']) fs.rmSync(this.file(token, ext), { force: true });
+  }
+  file(token, ext){ return path.join(this.dir, `${token}.${ext}`); }
+}
+
+// Metadata rows in the database; the packs themselves are files in <file>-packs/ (the fs
+// backend's layout), written before their row so a listed link always has its zip.
+class SqliteVerifyStore {
+  constructor(file){
+    this.db = openDatabase(file);
+    this.dir = `${file}-packs`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.db.exec(`CREATE TABLE IF NOT EXISTS verify_links (
+      token TEXT PRIMARY KEY,
+      manifest TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      org_id TEXT
+    )`);
+    this.db.exec('CREATE INDEX IF NOT EXISTS verify_links_expires ON verify_links (expires_at)');
+    this.stmts = {
+      put: this.db.prepare('INSERT OR REPLACE INTO verify_links (token, manifest, expires_at, org_id) VALUES (?, ?, ?, ?)'),
+      get: this.db.prepare('SELECT manifest, expires_at, org_id FROM verify_links WHERE token = ?'),
+      del: this.db.prepare('DELETE FROM verify_links WHERE token = ?'),
+      expired: this.db.prepare('SELECT token FROM verify_links WHERE expires_at < ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS n FROM verify_links')
+    };
+  }
+  put(token, zipBuffer, manifest, ttlMin, meta){
+    assertToken(token);
+    writeAtomic(this.file(token), zipBuffer);
+    this.insert(token, manifest, ttlMin, meta);
+  }
+  async putFile(token, zipPath, manifest, ttlMin, meta){
+    assertToken(token);
+    await copyAtomic(zipPath, this.file(token));
+    this.insert(token, manifest, ttlMin, meta);
+  }
+  insert(token, manifest, ttlMin, { org_id = null } = {}){
+    this.stmts.put.run(token, JSON.stringify(manifest), Date.now() + ttlMin * 60 * 1000, org_id);
+  }
+  get(token){
+    if (!TOKEN_RE.test(token)) return null;
+    const row = this.stmts.get.get(token);
+    if (!row) return null;
+    if (row.expires_at < Date.now()) { this.remove(token); return null; }
+    const zipPath = this.file(token);
+    if (!fs.existsSync(zipPath)) return null;
+    return { zipPath, manifest: JSON.parse(row.manifest), expiresAt: new Date(row.expires_at), org_id: row.org_id, get zipBuffer(){ return fs.readFileSync(zipPath); } };
+  }
+  sweep(){
+    const expired = this.stmts.expired.all(Date.now());
+    for (const { token } of expired) this.remove(token);
+    return expired.length;
+  }
+  count(){ return this.stmts.count.get().n; }
+  remove(token){
+    this.stmts.del.run(token);
+    fs.rmSync(this.file(token), { force: true });
+  }
+  file(token){ return path.join(this.dir, `${token}.zip`); }
+}
+
+export function createVerifyStore({ backend = 'fs', location = '', sweepMin = 10 } = {}){
+  let store;
+  if (backend === 'memory') store = new MemoryVerifyStore(location || path.join(cfg.WORK_DIR, `verify-${process.pid}`));
+  else if (backend === 'fs') store = new FsVerifyStore(location || path.join('var', 'verify'));
+  else if (backend === 'sqlite') store = new SqliteVerifyStore(location || path.join('var', 'verify.sqlite'));
+  else throw new Error(`Unknown VERIFY_STORE backend: ${backend}`);
+
+  store.sweep();
+  if (sweepMin > 0) setInterval(() => { try { store.sweep(); } catch { /* next sweep retries */ } }, sweepMin * 60 * 1000).unref();
+  return store;
+}
+
+function assertToken(token){
+  if (!TOKEN_RE.test(token)) throw new Error('Invalid verify token');
+}
+function writeAtomic(file, data){
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+async function copyAtomic(from, file){
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.copyFile(from, tmp);
+  await fs.promises.rename(tmp, file);
 }
-export const verifyStore = new VerifyStore();
+
+export const verifyStore = createVerifyStore({
+  backend: cfg.VERIFY_STORE,
+  location: cfg.VERIFY_STORE_PATH,
+  sweepMin: cfg.VERIFY_SWEEP_MIN
+});
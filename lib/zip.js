@@ -1,4 +1,10 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
 import archiver from 'archiver';
+import yauzl from 'yauzl';
 
 export function zipNamedBuffers(namedBuffers) {
   return new Promise((resolve, reject) => {
@@ -13,3 +19,111 @@ export function zipNamedBuffers(namedBuffers) {
     archive.finalize();
   });
 }
+
+/**
+ * Stream a zip straight to `outFile`. Entries are Buffers or { path } of files on disk,
+ * so large transaction exports are never held in memory. Resolves with the zip size.
+ */
+export function zipNamedEntriesToFile(entries, outFile) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const out = fs.createWriteStream(outFile);
+    out.on('error', reject);
+    out.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    archive.pipe(out);
+    for (const [name, v] of Object.entries(entries)) {
+      if (Buffer.isBuffer(v)) archive.append(v, { name });
+      else archive.file(v.path, { name });
+    }
+    archive.finalize();
+  });
+}
+
+// Packs are read with yauzl: the central directory is read first and entries are inflated one
+// at a time as streams, so reading a pack holds at most the entries a caller keeps (manifest,
+// scores), never the whole zip or a multi-hundred-MB transactions.json. Callers pass a pack's
+// path (or, for small packs, its Buffer).
+
+function openZip(zip) {
+  const opts = { lazyEntries: true, validateEntrySizes: true };
+  return Buffer.isBuffer(zip) ? yauzl.fromBufferPromise(zip, opts) : yauzl.openPromise(zip, opts);
+}
+
+// fn(entry, i, openStream) for each file entry in zip order; returning true stops early.
+async function eachFileEntry(zip, fn) {
+  const zipfile = await openZip(zip);
+  let i = 0;
+  for await (const entry of zipfile.eachEntry()) {
+    if (entry.fileName.endsWith('/')) continue;
+    if (await fn(entry, i++, () => zipfile.openReadStreamPromise(entry))) break;
+  }
+}
+
+/**
+ * SHA-256 and size of every file entry of a zip (Buffer or path) as { name: { sha256, bytes } },
+ * streaming one entry at a time. Entries named in `keep` also carry their `data`. With `dir`,
+ * every entry is unpacked there too and carries its `path` (numbered files, so entry names never
+ * choose where they land).
+ */
+export async function digestZipEntries(zip, { dir = null, keep = [] } = {}) {
+  const out = {};
+  await eachFileEntry(zip, async (entry, i, open) => {
+    const hash = crypto.createHash('sha256');
+    const chunks = keep.includes(entry.fileName) ? [] : null;
+    const digest = {};
+    let bytes = 0;
+    const tap = async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+        bytes += chunk.length;
+        chunks?.push(chunk);
+        yield chunk;
+      }
+    };
+    if (dir) {
+      digest.path = path.join(dir, `${String(i).padStart(3, '0')}-${path.basename(entry.fileName)}`);
+      await pipeline(await open(), tap, fs.createWriteStream(digest.path));
+    } else {
+      await pipeline(await open(), tap, async source => { for await (const _ of source); });
+    }
+    out[entry.fileName] = { sha256: hash.digest('hex'), bytes, ...digest, ...(chunks ? { data: Buffer.concat(chunks) } : {}) };
+  });
+  return out;
+}
+
+/** Named entries of a zip (Buffer or path) as { name: Buffer | null }, reading the zip once. For small entries. */
+export async function readZipEntriesNamed(zip, names) {
+  const out = Object.fromEntries(names.map(name => [name, null]));
+  let left = names.length;
+  await eachFileEntry(zip, async (entry, _i, open) => {
+    if (!names.includes(entry.fileName) || out[entry.fileName]) return false;
+    out[entry.fileName] = await readStream(await open());
+    return --left === 0;
+  });
+  return out;
+}
+
+/** One entry of a zip (Buffer or path) as a readable stream, or null when absent. */
+export async function openZipEntry(zip, name) {
+  let stream = null;
+  await eachFileEntry(zip, async (entry, _i, open) => {
+    if (entry.fileName !== name) return false;
+    stream = await open();
+    return true;
+  });
+  return stream;
+}
+
+/** Lines of one entry of a zip (Buffer or path), streamed; nothing when the entry is absent. */
+export async function* zipEntryLines(zip, name) {
+  const stream = await openZipEntry(zip, name);
+  if (!stream) return;
+  yield* readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,144 @@
+// ===== Theme toggle (same as app.js) =====
+const root = document.documentElement;
+const metaTheme = document.getElementById('theme-color');
+const savedTheme = localStorage.getItem('tr.theme');
+applyTheme(savedTheme ? savedTheme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches);
+document.getElementById('modeToggle')?.addEventListener('click', () => applyTheme(!root.classList.contains('theme-dark')));
+function applyTheme(isDark){
+  root.classList.toggle('theme-dark', isDark);
+  localStorage.setItem('tr.theme', isDark ? 'dark' : 'light');
+  if (metaTheme) metaTheme.setAttribute('content', isDark ? '#0B1020' : '#FFFFFF');
+}
+
+// ===== Helpers =====
+const $ = id => document.getElementById(id);
+const toastEl = $('toast');
+const ROLES = ['admin', 'preparer', 'reviewer', 'auditor'];
+
+function toast(msg, ms=2600){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function el(tag, text, cls){ const e = document.createElement(tag); if (text != null) e.textContent = text; if (cls) e.className = cls; return e; }
+function when(iso){ return iso ? new Date(iso).toLocaleString() : '—'; }
+
+async function api(url, body){
+  const res = await fetch(url, body ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {});
+  if (res.status === 401 && !body) { location.href = '/login?next=/account'; return new Promise(() => {}); }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+// ===== Two-factor & password =====
+async function loadMe(){
+  const me = await api('/api/auth/me');
+  $('totpState').textContent = me.user.totp_enabled ? 'On: sign-in asks for a code from your authenticator app.' : 'Off: sign-in needs only your password.';
+  $('totpStart').hidden = me.user.totp_enabled;
+}
+
+$('totpStart').addEventListener('click', async () => {
+  try {
+    const { secret, otpauth_url } = await api('/api/auth/totp/setup', {});
+    $('totpSecret').textContent = secret.match(/.{1,4}/g).join(' ');
+    $('totpLink').href = otpauth_url;
+    $('totpForm').hidden = false; $('totpStart').hidden = true;
+    $('totpCode').focus();
+  } catch (e) { toast(e.message, 3500); }
+});
+$('totpForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  try {
+    await api('/api/auth/totp/enable', { code: $('totpCode').value });
+    $('totpForm').hidden = true;
+    toast('Two-factor sign-in is on');
+    loadMe();
+  } catch (err) { toast(err.message, 3500); }
+});
+
+$('passwordForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  try {
+    await api('/api/auth/password', { current_password: $('currentPassword').value, new_password: $('newPassword').value });
+    $('passwordForm').reset();
+    toast('Password changed');
+  } catch (err) { toast(err.message, 3500); }
+});
+
+// ===== Organisation admin =====
+async function loadUsers(){
+  const { users } = await api('/api/org/users');
+  $('userBody').replaceChildren(...users.map(u => {
+    const role = el('select');
+    role.replaceChildren(...ROLES.map(r => { const o = el('option', r); o.value = r; o.selected = r === u.role; return o; }));
+    role.addEventListener('change', () => updateUser(u.id, { role: role.value }, 'Role changed'));
+    const roleCell = el('td'); roleCell.append(role);
+    const actions = el('td');
+    const toggle = el('button', u.disabled ? 'Enable' : 'Disable', 'btn small ghost'); toggle.type = 'button';
+    toggle.addEventListener('click', () => updateUser(u.id, { disabled: !u.disabled }, u.disabled ? 'User enabled' : 'User disabled'));
+    actions.append(toggle);
+    if (u.totp_enabled) {
+      const reset = el('button', 'Reset two-factor', 'btn small ghost'); reset.type = 'button';
+      reset.addEventListener('click', () => updateUser(u.id, { reset_totp: true }, 'Two-factor reset'));
+      actions.append(reset);
+    }
+    const remove = el('button', 'Remove', 'btn small ghost'); remove.type = 'button';
+    remove.addEventListener('click', () => {
+      if (confirm(`Remove ${u.email}? They are signed out and can no longer sign in.`)) updateUser(u.id, null, 'User removed', '/delete');
+    });
+    actions.append(remove);
+    const tr = el('tr');
+    tr.append(el('td', u.email + (u.disabled ? ' (disabled)' : '')), roleCell, el('td', u.totp_enabled ? 'on' : 'off'), el('td', when(u.last_login_utc), 'small'), actions);
+    return tr;
+  }));
+}
+async function updateUser(id, change, done, action = ''){
+  try { await api(`/api/org/users/${encodeURIComponent(id)}${action}`, change || {}); toast(done); }
+  catch (e) { toast(e.message, 3500); }
+  loadUsers();
+}
+
+async function loadKeys(){
+  const { keys } = await api('/api/org/keys');
+  $('keyBody').replaceChildren(...keys.map(k => {
+    const actions = el('td');
+    if (!k.revoked_utc) {
+      const revoke = el('button', 'Revoke', 'btn small ghost'); revoke.type = 'button';
+      revoke.addEventListener('click', async () => {
+        try { await api(`/api/org/keys/${encodeURIComponent(k.id)}/revoke`, {}); toast('Key revoked'); }
+        catch (e) { toast(e.message, 3500); }
+        loadKeys();
+      });
+      actions.append(revoke);
+    } else actions.textContent = `revoked ${when(k.revoked_utc)}`;
+    const tr = el('tr');
+    tr.append(el('td', k.name), el('td', k.prefix, 'mono'), el('td', k.role), el('td', when(k.last_used_utc), 'small'), actions);
+    return tr;
+  }));
+}
+
+if ($('orgAdmin')) {
+  $('userForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await api('/api/org/users', { email: $('userEmail').value, password: $('userPassword').value, role: $('userRole').value });
+      $('userForm').reset();
+      toast('User added');
+      loadUsers();
+    } catch (err) { toast(err.message, 3500); }
+  });
+  $('keyForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const { key } = await api('/api/org/keys', { name: $('keyName').value, role: $('keyRole').value });
+      $('newKey').textContent = `New key (copy it now, it won't be shown again): ${key}`;
+      $('newKey').hidden = false;
+      $('keyForm').reset();
+      loadKeys();
+    } catch (err) { toast(err.message, 3500); }
+  });
+  loadUsers().catch(e => toast(e.message));
+  loadKeys().catch(e => toast(e.message));
+}
+loadMe().catch(e => toast(e.message));
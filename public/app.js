@@ -21,8 +21,15 @@ const skeleton = document.getElementById('skeleton');
 const riskWrap = document.getElementById('riskWrap'); const riskBody = document.getElementById('riskBody');
 const summary = document.getElementById('summary'); const verifyUrlEl = document.getElementById('verifyUrl');
 const copyVerify = document.getElementById('copyVerify'); const openVerify = document.getElementById('openVerify'); const downloadZip = document.getElementById('downloadZip');
+const downloadReport = document.getElementById('downloadReport');
 const toastEl = document.getElementById('toast');
 const submitBtn = document.getElementById('submitBtn');
+const stageEl = document.getElementById('stage');
+const profileSelect = document.getElementById('profileSelect');
+const includeInputs = document.getElementById('includeInputs');
+const asOfInput = document.getElementById('asOfInput'); const lookbackInput = document.getElementById('lookbackInput');
+const checkBtn = document.getElementById('checkBtn'); const downloadErrors = document.getElementById('downloadErrors');
+const validationEl = document.getElementById('validation'); const validationSummary = document.getElementById('validationSummary'); const validationList = document.getElementById('validationList');
 
 // ===== Toast =====
 function toast(msg, ms=2200){
@@ -31,6 +38,8 @@ function toast(msg, ms=2200){
   setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
 }
 
+const INPUT_RE = /\.(csv|xlsx|json)$/i;
+
 // ===== Drag & drop (assigns to existing inputs) =====
 if (drop){
   const setHover = (v)=> drop.setAttribute('data-hover', v?'true':'false');
@@ -41,71 +50,169 @@ if (drop){
 
   function handleDrop(e){
     const files = [...(e.dataTransfer?.files || [])];
-    const clients = findCsv(files, /clients?/i);
-    const txs = findCsv(files, /transactions?|transfers?/i);
+    // One workbook/JSON file can hold both; the server picks the sheets.
+    const single = files.length === 1 && /\.(xlsx|json)$/i.test(files[0].name) ? files[0] : null;
+    const clients = single || findInput(files, /clients?|customers?/i);
+    const txs = single || findInput(files, /transactions?|transfers?|ledger/i);
     if (clients) setFile(clientsInput, clients);
     if (txs) setFile(txInput, txs);
-    if (!clients || !txs) toast('Need both Clients.csv and Transactions.csv');
+    if (!clients || !txs) toast('Need both a clients and a transactions file');
   }
-  function findCsv(files, re){ return files.find(f => /\.csv$/i.test(f.name) && re.test(f.name)); }
+  function findInput(files, re){ return files.find(f => INPUT_RE.test(f.name) && re.test(f.name)); }
   function setFile(input, file){ const dt = new DataTransfer(); dt.items.add(file); input.files = dt.files; }
 }
 
 // ===== Submit handler =====
+function filesReady(){
+  if (!clientsInput.files[0] || !txInput.files[0]) { toast('Select both files'); return false; }
+  if (!INPUT_RE.test(clientsInput.files[0].name) || !INPUT_RE.test(txInput.files[0].name)) { toast('Files must be .csv, .xlsx or .json'); return false; }
+  return true;
+}
+function formData(){
+  const fd = new FormData();
+  const [c, t] = [clientsInput.files[0], txInput.files[0]];
+  if (c.name === t.name && c.size === t.size && c.lastModified === t.lastModified) fd.append('workbook', c);
+  else { fd.append('clients', c); fd.append('transactions', t); }
+  if (profileSelect?.value) fd.append('profile', profileSelect.value);
+  if (includeInputs?.checked) fd.append('include_inputs', '1');
+  if (asOfInput?.value) fd.append('as_of', asOfInput.value);
+  if (lookbackInput?.value) fd.append('lookback_months', lookbackInput.value);
+  return fd;
+}
+
+// ===== Mapping profiles =====
+(async ()=>{
+  if (!profileSelect) return;
+  try{
+    const { profiles } = await (await apiFetch('/api/profiles')).json();
+    for (const p of profiles) {
+      const opt = document.createElement('option'); opt.value = p.id; opt.textContent = p.name;
+      profileSelect.appendChild(opt);
+    }
+  }catch{ /* standard headers still work */ }
+})();
+
 form?.addEventListener('submit', async (e) => {
   e.preventDefault();
-  if (!clientsInput.files[0] || !txInput.files[0]) { toast('Select both files'); return; }
-  if (!/\.csv$/i.test(clientsInput.files[0].name) || !/\.csv$/i.test(txInput.files[0].name)) { toast('Files must be .csv'); return; }
+  if (!filesReady()) return;
 
   try{
     submitBtn.classList.add('loading');
     progress.hidden = false; setBar(8);
     skeleton.hidden = false; riskWrap.hidden = true; summary.hidden = true;
 
-    const fd = new FormData();
-    fd.append('clients', clientsInput.files[0]);
-    fd.append('transactions', txInput.files[0]);
-
-    setBar(30);
-    const res = await fetch('/upload', { method:'POST', body: fd });
-    setBar(65);
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Upload failed');
+    const res = await apiFetch('/upload', { method:'POST', body: formData() });
+    const queued = await res.json();
+    if (!res.ok) throw new Error(queued.error || 'Upload failed');
+    const data = await pollJob(`/api/jobs/${encodeURIComponent(queued.job_id)}`);
 
     verifyUrlEl.textContent = data.verify_url;
     openVerify.href = data.verify_url;
     downloadZip.href = data.download_url;
+    if (downloadReport) downloadReport.href = data.report_url;
     summary.hidden = false;
 
-    renderRisk(data.risk);
+    renderRisk(data.risk, data.verify_url.split('/').pop());
+    if (data.network_url) window.showNetwork?.(data.network_url);
     skeleton.hidden = true; riskWrap.hidden = false;
-    setBar(100); setTimeout(()=> progress.hidden = true, 600);
-    toast('Evidence ready');
+    setBar(100); setTimeout(()=> { progress.hidden = true; stageEl.hidden = true; }, 600);
+    const c = data.cases; const a = data.austrac;
+    const drafts = (a && (a.ttr_drafts || a.smr_drafts) ? ` · draft TTR ${a.ttr_drafts}, SMR ${a.smr_drafts}` : '')
+      + (data.reviews?.overdue ? ` · ${data.reviews.overdue} KYC review${data.reviews.overdue === 1 ? '' : 's'} overdue` : '')
+      + (data.excluded?.after_as_of ? ` · ${data.excluded.after_as_of} transaction${data.excluded.after_as_of === 1 ? '' : 's'} after ${data.lookback.end} left out` : '');
+    toast(c?.total ? `Evidence ready · ${c.new} new case${c.new === 1 ? '' : 's'}${c.known ? `, ${c.known} already tracked` : ''}${drafts}` : `Evidence ready${drafts}`, c?.total || drafts ? 3500 : 2200);
 
   }catch(err){
     skeleton.hidden = true; riskWrap.hidden = true; summary.hidden = true;
-    setBar(0); progress.hidden = true;
+    setBar(0); progress.hidden = true; stageEl.hidden = true;
     toast(err.message || 'Processing failed');
   }finally{
     submitBtn.classList.remove('loading');
   }
 });
 
+// ===== Validation report =====
+checkBtn?.addEventListener('click', async ()=>{
+  if (!filesReady()) return;
+  try{
+    checkBtn.classList.add('loading');
+    const res = await apiFetch('/api/validate', { method:'POST', body: formData() });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Validation failed');
+    renderValidation(data.report, data);
+  }catch(err){ toast(err.message || 'Validation failed'); }
+  finally{ checkBtn.classList.remove('loading'); }
+});
+
+downloadErrors?.addEventListener('click', async ()=>{
+  try{
+    const res = await apiFetch('/api/validate?format=csv', { method:'POST', body: formData() });
+    if (!res.ok) throw new Error((await res.json()).error || 'Download failed');
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(await res.blob()); a.download = 'validation-errors.csv';
+    a.click(); setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  }catch(err){ toast(err.message || 'Download failed'); }
+});
+
+function renderValidation(report, { lookback, excluded } = {}){
+  const { clients: c, transactions: t } = report.summary;
+  validationSummary.textContent = report.valid && !c.warnings && !t.warnings
+    ? `No issues in ${c.rows} clients and ${t.rows} transactions.`
+    : `Clients: ${c.errors} errors, ${c.warnings} warnings · Transactions: ${t.errors} errors, ${t.warnings} warnings.`;
+  validationList.innerHTML = '';
+  const notes = [
+    ...['clients','transactions'].filter(f => report.unknown_headers[f].length).map(f => `${f}: unknown columns ${report.unknown_headers[f].join(', ')}`),
+    ...(report.unknown_client_ids.length ? [`${report.unknown_client_ids.length} client_id(s) in transactions not found in clients`] : []),
+    ...(excluded?.after_as_of ? [`${excluded.after_as_of} transaction(s) dated after ${lookback.end} will be left out`] : []),
+    ...report.issues.slice(0, 8).map(x => `${x.file} row ${x.row}, ${x.column}: ${x.reason}${x.value ? ` (“${x.value}”)` : ''}`)
+  ];
+  for (const n of notes) { const li = document.createElement('li'); li.textContent = n; validationList.appendChild(li); }
+  downloadErrors.hidden = !report.issues.length && !notes.length;
+  validationEl.hidden = false;
+}
+
 copyVerify?.addEventListener('click', async ()=>{
   try { await navigator.clipboard.writeText(verifyUrlEl.textContent); toast('Verify link copied'); }
   catch { toast('Copy failed'); }
 });
 
+// Signed out (session expired or revoked): back to the sign-in page.
+async function apiFetch(url, opts){
+  const res = await fetch(url, opts);
+  if (res.status === 401) { location.href = '/login?next=/'; await new Promise(() => {}); }
+  return res;
+}
+
+// ===== Job polling =====
+const STAGE_LABELS = { queued:'Queued', parsing:'Reading files', scoring:'Scoring clients', narratives:'Writing narratives', cases:'Building cases', packaging:'Signing evidence pack', done:'Done' };
+async function pollJob(url){
+  for (;;) {
+    const res = await apiFetch(url, { cache:'no-store' });
+    const job = await res.json();
+    if (!res.ok) throw new Error(job.error || 'Job not found');
+    setBar(job.progress); setStage(job.stage);
+    if (job.status === 'done') return job.result;
+    if (job.status === 'failed') throw new Error(job.error || 'Processing failed');
+    await new Promise(r => setTimeout(r, 1000));
+  }
+}
+function setStage(stage){ stageEl.textContent = STAGE_LABELS[stage] || stage; stageEl.hidden = false; }
+
 function setBar(p){ if(bar) bar.style.width = `${Math.max(0, Math.min(100, p))}%`; }
 
-function renderRisk(items){
+// Client ids link to their profile page in this run's pack (views/client.ejs).
+function renderRisk(items, token){
   riskBody.innerHTML = '';
   const frag = document.createDocumentFragment();
   for (const item of items) {
     const tr = document.createElement('tr');
 
     // client
-    const tdC = document.createElement('td'); tdC.innerHTML = `<span class="mono">${esc(item.client_id||'—')}</span>`; tr.appendChild(tdC);
+    const tdC = document.createElement('td');
+    tdC.innerHTML = item.client_id && token
+      ? `<a class="mono" href="/clients/${encodeURIComponent(token)}/${encodeURIComponent(item.client_id)}">${esc(item.client_id)}</a>`
+      : `<span class="mono">${esc(item.client_id||'—')}</span>`;
+    tr.appendChild(tdC);
 
     // band
     const tdB = document.createElement('td');
@@ -129,6 +236,7 @@ function renderRisk(items){
       });
       det.append(sum, list); tdR.appendChild(det);
     } else { tdR.innerHTML = '<span class="muted">—</span>'; }
+    if (item.narrative) { const p = document.createElement('p'); p.className = 'muted small'; p.textContent = item.narrative; tdR.appendChild(p); }
     tr.appendChild(tdR);
 
     frag.appendChild(tr);
@@ -0,0 +1,112 @@
+// ===== Theme toggle (same as app.js) =====
+const root = document.documentElement;
+const metaTheme = document.getElementById('theme-color');
+const savedTheme = localStorage.getItem('tr.theme');
+applyTheme(savedTheme ? savedTheme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches);
+document.getElementById('modeToggle')?.addEventListener('click', () => applyTheme(!root.classList.contains('theme-dark')));
+function applyTheme(isDark){
+  root.classList.toggle('theme-dark', isDark);
+  localStorage.setItem('tr.theme', isDark ? 'dark' : 'light');
+  if (metaTheme) metaTheme.setAttribute('content', isDark ? '#0B1020' : '#FFFFFF');
+}
+
+// ===== Elements =====
+const $ = id => document.getElementById(id);
+const statusFilter = $('statusFilter'); const assigneeFilter = $('assigneeFilter'); const clientFilter = $('clientFilter');
+const caseBody = $('caseBody'); const caseCounts = $('caseCounts');
+const detail = $('caseDetail');
+const toastEl = $('toast');
+let current = null;
+
+const LABELS = { open: 'Open', under_review: 'Under review', escalated: 'Escalated', smr_filed: 'SMR filed', closed_no_action: 'Closed – no action' };
+const BADGE = { open: 'warn', under_review: 'med', escalated: 'high', smr_filed: 'good', closed_no_action: 'low' };
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function el(tag, text, cls){ const e = document.createElement(tag); if (text != null) e.textContent = text; if (cls) e.className = cls; return e; }
+function when(iso){ return iso ? new Date(iso).toLocaleString() : ''; }
+
+async function api(url, body){
+  const res = await fetch(url, body ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {});
+  if (res.status === 401) { location.href = '/login?next=/cases'; return new Promise(() => {}); }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+// ===== List =====
+async function loadCases(){
+  const q = new URLSearchParams();
+  if (statusFilter.value) q.set('status', statusFilter.value);
+  if (assigneeFilter.value.trim()) q.set('assignee', assigneeFilter.value.trim());
+  if (clientFilter.value.trim()) q.set('client_id', clientFilter.value.trim());
+  try {
+    const { cases, counts } = await api('/api/cases?' + q);
+    caseCounts.textContent = Object.entries(counts).map(([s, n]) => `${LABELS[s]}: ${n}`).join(' · ');
+    caseBody.replaceChildren(...cases.map(c => {
+      const tr = el('tr');
+      tr.tabIndex = 0;
+      const badge = el('span', LABELS[c.status], `badge ${BADGE[c.status]}`);
+      const status = el('td'); status.append(badge);
+      tr.append(el('td', c.case_id.slice(5, 15), 'mono'), el('td', c.client_id, 'mono'), el('td', c.type), status, el('td', c.assignee || '—'), el('td', when(c.last_seen_utc), 'small'));
+      tr.addEventListener('click', () => openCase(c.case_id));
+      tr.addEventListener('keydown', e => { if (e.key === 'Enter') openCase(c.case_id); });
+      return tr;
+    }));
+    if (!cases.length) { const tr = el('tr'); const td = el('td', 'No cases match.', 'muted'); td.colSpan = 6; tr.append(td); caseBody.append(tr); }
+  } catch (e) { toast(e.message); }
+}
+
+// ===== Detail =====
+async function openCase(id){
+  try { render(await api(`/api/cases/${encodeURIComponent(id)}`)); }
+  catch (e) { toast(e.message); }
+}
+
+function render(c){
+  current = c;
+  detail.hidden = false;
+  $('caseTitle').textContent = `${c.type} — ${c.client_id}`;
+  const badge = $('caseStatus'); badge.textContent = LABELS[c.status]; badge.className = `badge ${BADGE[c.status]}`;
+  $('caseRule').textContent = c.rule;
+  // Profile of the client in the latest pack that raised the case (gone once that pack expires)
+  const token = c.seen?.[c.seen.length - 1]?.token;
+  $('caseClientLink').hidden = !token;
+  if (token) $('caseClientLink').href = `/clients/${encodeURIComponent(token)}/${encodeURIComponent(c.client_id)}`;
+  $('caseSamples').replaceChildren(...(c.samples || []).map(t => el('li', [t.date, t.tx_id, `${t.amount} ${t.currency}`, t.method, t.counterparty_country].filter(Boolean).join('  '), 'mono')));
+  $('caseNotes').replaceChildren(...c.notes.map(n => el('li', `${when(n.at)} · ${n.author}: ${n.text}`)));
+  $('assigneeInput').value = c.assignee || '';
+  $('statusSelect').replaceChildren(...c.next_statuses.map(s => { const o = el('option', LABELS[s]); o.value = s; return o; }));
+  $('rationaleInput').value = '';
+  $('caseDisposition').textContent = c.disposition ? `Disposition: ${LABELS[c.disposition.status]} by ${c.disposition.by} on ${when(c.disposition.at)} — ${c.disposition.rationale}` : '';
+  $('caseHistory').replaceChildren(...[...c.history].reverse().map(h => el('li',
+    `${when(h.at)} · ${h.by}: ${h.action === 'assigned' ? `assigned to ${h.to || 'nobody'}` : h.action === 'raised' ? 'raised' : `${LABELS[h.from]} → ${LABELS[h.to]}`}${h.rationale ? ` — ${h.rationale}` : ''}`)));
+  detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function act(path, body, done){
+  if (!current) return;
+  try {
+    render(await api(`/api/cases/${encodeURIComponent(current.case_id)}/${path}`, body));
+    toast(done);
+    loadCases();
+  } catch (e) { toast(e.message, 3500); }
+}
+
+$('noteForm').addEventListener('submit', e => { e.preventDefault(); act('notes', { text: $('noteText').value }, 'Note added'); $('noteText').value = ''; });
+$('assignForm').addEventListener('submit', e => { e.preventDefault(); act('assign', { assignee: $('assigneeInput').value.trim() || null }, 'Assigned'); });
+$('statusForm').addEventListener('submit', e => {
+  e.preventDefault();
+  const rationale = $('rationaleInput').value.trim();
+  act('status', { status: $('statusSelect').value, ...(rationale ? { rationale } : {}) }, 'Status updated');
+});
+
+[statusFilter, assigneeFilter, clientFilter].forEach(i => i.addEventListener('change', loadCases));
+// Deep links from client profiles: /cases?case=<case_id>, /cases?client_id=<id>
+const params = new URLSearchParams(location.search);
+if (params.get('client_id')) { clientFilter.value = params.get('client_id'); statusFilter.value = ''; }
+if (params.get('case')) { statusFilter.value = ''; openCase(params.get('case')); }
+loadCases();
@@ -0,0 +1,41 @@
+// ===== Theme toggle (same as app.js) =====
+const root = document.documentElement;
+const metaTheme = document.getElementById('theme-color');
+const savedTheme = localStorage.getItem('tr.theme');
+applyTheme(savedTheme ? savedTheme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches);
+document.getElementById('modeToggle')?.addEventListener('click', () => applyTheme(!root.classList.contains('theme-dark')));
+function applyTheme(isDark){
+  root.classList.toggle('theme-dark', isDark);
+  localStorage.setItem('tr.theme', isDark ? 'dark' : 'light');
+  if (metaTheme) metaTheme.setAttribute('content', isDark ? '#0B1020' : '#FFFFFF');
+}
+
+// ===== Sign in =====
+const $ = id => document.getElementById(id);
+const form = $('loginForm'); const btn = $('loginBtn'); const toastEl = $('toast');
+
+function toast(msg, ms=2600){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+
+form.addEventListener('submit', async e => {
+  e.preventDefault();
+  btn.classList.add('loading');
+  try {
+    const body = { email: $('email').value, password: $('password').value, ...($('totp').value ? { totp: $('totp').value } : {}) };
+    const res = await fetch('/api/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const data = await res.json().catch(() => ({}));
+    if (data.totp_required) {
+      $('totpRow').hidden = false; $('totp').required = true; $('totp').focus();
+      return;
+    }
+    if (!res.ok) throw new Error(data.error || `Sign-in failed (${res.status})`);
+    location.href = form.dataset.next || '/';
+  } catch (err) {
+    toast(err.message);
+  } finally {
+    btn.classList.remove('loading');
+  }
+});
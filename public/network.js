@@ -0,0 +1,135 @@
+// ===== Counterparty network view (network.json from the evidence pack) =====
+// app.js calls showNetwork(url) after a run. One focus at a time — a cluster or a shared
+// counterparty with its clients — laid out with a small force simulation and drawn as SVG.
+(() => {
+  const card = document.getElementById('networkCard');
+  const stats = document.getElementById('networkStats');
+  const focus = document.getElementById('networkFocus');
+  const svg = document.getElementById('networkSvg');
+  const detail = document.getElementById('networkDetail');
+  const NS = 'http://www.w3.org/2000/svg';
+  const W = 800, H = 480, MAX_NODES = 120;
+  let net = null, byId = new Map(), adj = new Map();
+
+  window.showNetwork = async function(url){
+    try {
+      const res = await fetch(url, { cache: 'no-store' });
+      if (!res.ok) throw new Error('Network not available');
+      net = await res.json();
+    } catch { card.hidden = true; return; }
+    byId = new Map(net.nodes.map(n => [n.id, n]));
+    adj = new Map(net.nodes.map(n => [n.id, []]));
+    for (const e of net.edges) { adj.get(e.source)?.push(e); adj.get(e.target)?.push(e); }
+
+    const s = net.stats;
+    stats.textContent = `${s.clients} clients · ${s.counterparties} counterparties · ${s.shared_counterparties} shared · ${s.clusters} cluster${s.clusters === 1 ? '' : 's'} · ${s.hubs} hub${s.hubs === 1 ? '' : 's'} (≥${net.hub_min_clients} clients)`;
+    const options = [
+      ...net.clusters.map(c => [`cluster:${c.id}`, `${c.id} · ${c.clients.length} clients`]),
+      ...net.nodes.filter(n => n.type === 'counterparty').slice(0, 50)
+        .map(n => [`node:${n.id}`, `${n.hub ? 'Hub' : 'Shared'}: ${n.label}${n.country ? ` (${n.country})` : ''} · ${n.clients} clients`])
+    ];
+    focus.replaceChildren(...options.map(([v, t]) => { const o = document.createElement('option'); o.value = v; o.textContent = t; return o; }));
+    card.hidden = !options.length;
+    if (options.length) draw(focus.value);
+  };
+
+  focus?.addEventListener('change', () => draw(focus.value));
+
+  // Nodes for one focus, highest-linked first, capped at MAX_NODES.
+  function subgraph(value){
+    const [kind, id] = [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+    let ids;
+    if (kind === 'cluster') {
+      const c = net.clusters.find(x => x.id === id);
+      ids = [...c.counterparties, ...c.matters].sort((a, b) => byId.get(b).clients - byId.get(a).clients);
+      ids = [...ids, ...c.clients.map(x => `client:${x}`)];
+    } else {
+      const clients = adj.get(id).map(e => e.source === id ? e.target : e.source).filter(x => byId.get(x).type === 'client');
+      const others = new Set();
+      for (const c of clients) for (const e of adj.get(c)) others.add(e.source === c ? e.target : e.source);
+      others.delete(id);
+      ids = [id, ...clients, ...[...others].sort((a, b) => byId.get(b).clients - byId.get(a).clients)];
+    }
+    const keep = new Set(ids.slice(0, MAX_NODES));
+    return { nodes: [...keep].map(x => byId.get(x)), edges: net.edges.filter(e => keep.has(e.source) && keep.has(e.target)), total: ids.length };
+  }
+
+  function layout(nodes, edges){
+    const pos = new Map(nodes.map((n, i) => {
+      const a = 2 * Math.PI * i / nodes.length;
+      return [n.id, { x: W / 2 + Math.cos(a) * W / 3, y: H / 2 + Math.sin(a) * H / 3, vx: 0, vy: 0 }];
+    }));
+    const k = Math.sqrt(W * H / Math.max(nodes.length, 1)) * 0.6;
+    for (let it = 0; it < 250; it++) {
+      const t = 0.1 * (1 - it / 250);
+      for (const a of pos.values()) { a.vx = 0; a.vy = 0; }
+      const ps = [...pos.values()];
+      for (let i = 0; i < ps.length; i++) for (let j = i + 1; j < ps.length; j++) {
+        const dx = ps[i].x - ps[j].x, dy = ps[i].y - ps[j].y, d = Math.hypot(dx, dy) || 0.01, f = k * k / d;
+        ps[i].vx += dx / d * f; ps[i].vy += dy / d * f; ps[j].vx -= dx / d * f; ps[j].vy -= dy / d * f;
+      }
+      for (const e of edges) {
+        const a = pos.get(e.source), b = pos.get(e.target);
+        const dx = a.x - b.x, dy = a.y - b.y, d = Math.hypot(dx, dy) || 0.01, f = d * d / k;
+        a.vx -= dx / d * f; a.vy -= dy / d * f; b.vx += dx / d * f; b.vy += dy / d * f;
+      }
+      for (const p of ps) {
+        p.vx += (W / 2 - p.x) * 0.005 * k; p.vy += (H / 2 - p.y) * 0.005 * k;
+        const v = Math.hypot(p.vx, p.vy) || 1, step = Math.min(v, k * t * 10);
+        p.x = Math.min(W - 30, Math.max(30, p.x + p.vx / v * step));
+        p.y = Math.min(H - 20, Math.max(20, p.y + p.vy / v * step));
+      }
+    }
+    return pos;
+  }
+
+  function draw(value){
+    const { nodes, edges, total } = subgraph(value);
+    const pos = layout(nodes, edges);
+    const lines = edges.map(e => {
+      const l = el('line'); const a = pos.get(e.source), b = pos.get(e.target);
+      attrs(l, { x1: a.x, y1: a.y, x2: b.x, y2: b.y }); l._edge = e; return l;
+    });
+    const groups = nodes.map(n => {
+      const g = el('g'); const p = pos.get(n.id);
+      g.setAttribute('class', `node ${n.type === 'counterparty' && n.hub ? 'hub' : n.type}`);
+      g.setAttribute('transform', `translate(${p.x.toFixed(1)},${p.y.toFixed(1)})`);
+      g.setAttribute('tabindex', '0');
+      const r = n.type === 'client' ? 6 : 5 + Math.min(8, n.clients || 0);
+      const shape = n.type === 'matter' ? attrs(el('rect'), { x: -5, y: -5, width: 10, height: 10 }) : attrs(el('circle'), { r });
+      const label = attrs(el('text'), { x: r + 3, y: 4 }); label.textContent = n.label.length > 24 ? n.label.slice(0, 23) + '…' : n.label;
+      g.append(shape, label);
+      g._node = n;
+      g.addEventListener('click', () => select(n.id));
+      g.addEventListener('keydown', ev => { if (ev.key === 'Enter') select(n.id); });
+      return g;
+    });
+    svg.replaceChildren(...lines, ...groups);
+    detail.textContent = total > nodes.length ? `Showing the ${nodes.length} most-linked of ${total} nodes.` : '';
+
+    function select(id){
+      const near = new Set([id, ...adj.get(id).map(e => e.source === id ? e.target : e.source)]);
+      for (const g of groups) { g.classList.toggle('dim', !near.has(g._node.id)); g.classList.toggle('selected', g._node.id === id); }
+      for (const l of lines) { const on = l._edge.source === id || l._edge.target === id; l.classList.toggle('on', on); l.classList.toggle('dim', !on); }
+      detail.textContent = describe(byId.get(id));
+    }
+  }
+
+  function describe(n){
+    const links = adj.get(n.id);
+    if (n.type === 'client') {
+      const cps = links.filter(e => e.type === 'client_counterparty')
+        .map(e => `${byId.get(e.target).label} (${e.tx_count} tx, in A$${money(e.in_aud)}, out A$${money(e.out_aud)})`);
+      const matters = links.filter(e => e.type === 'client_matter').map(e => byId.get(e.target).label);
+      return `Client ${n.label} · ${n.cluster}. Shared counterparties: ${cps.join('; ') || 'none'}${matters.length ? `. Shared matters: ${matters.join(', ')}` : ''}.`;
+    }
+    const clients = links.filter(e => e.type !== 'counterparty_matter').map(e => byId.get(e.source).label);
+    if (n.type === 'matter') return `Matter ${n.label} · used by ${clients.join(', ')}.`;
+    const aliases = n.aliases.length > 1 ? ` Also written: ${n.aliases.filter(a => a !== n.label).map(a => `“${a}”`).join(', ')}.` : '';
+    return `${n.hub ? 'Hub counterparty' : 'Counterparty'} ${n.label}${n.country ? ` (${n.country})` : ''} · ${n.clients} clients: ${clients.join(', ')}.${aliases}`;
+  }
+
+  function el(tag){ return document.createElementNS(NS, tag); }
+  function attrs(node, a){ for (const [k, v] of Object.entries(a)) node.setAttribute(k, typeof v === 'number' ? v.toFixed(1) : v); return node; }
+  function money(n){ return Math.round(n).toLocaleString('en-AU'); }
+})();
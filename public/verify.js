@@ -0,0 +1,30 @@
+// ===== Verify page: in-browser signature check =====
+// The manifest is read back from the (HTML-escaped) raw manifest block and the key from the
+// button, so nothing uploader-controlled is ever written into a script.
+const btn = document.getElementById('verifyBtn');
+btn?.addEventListener('click', async ()=>{
+  const msg = document.getElementById('verifyMsg');
+  msg.textContent = 'Verifying…';
+  try{
+    const m = JSON.parse(document.getElementById('manifestJson').textContent);
+    const pub = btn.dataset.publicKey;
+    const enc = new TextEncoder();
+    // Mirrors signingPayload() in lib/signing.js: legacy v1 signs three fields, v2 the canonical manifest minus `signing`.
+    const canonical = v => v === null || typeof v !== 'object' ? JSON.stringify(v)
+      : Array.isArray(v) ? '[' + v.map(x => x === undefined ? 'null' : canonical(x)).join(',') + ']'
+      : '{' + Object.keys(v).filter(k => v[k] !== undefined).sort().map(k => JSON.stringify(k) + ':' + canonical(v[k])).join(',') + '}';
+    const { signing, ...signed } = m;
+    const message = enc.encode(m.schema === 'trancheready.manifest.v1'
+      ? JSON.stringify({ files: m.files, created_utc: m.created_utc, ruleset_id: m.ruleset_id })
+      : canonical(signed));
+    const sig = Uint8Array.from(atob(signing.signature), c=>c.charCodeAt(0));
+    const key = Uint8Array.from(atob(pub), c=>c.charCodeAt(0));
+    const ok = await crypto.subtle.verify(
+      { name: 'Ed25519' },
+      await crypto.subtle.importKey('raw', key, {name:'Ed25519'}, false, ['verify']),
+      sig,
+      message
+    );
+    msg.textContent = ok ? '✔ Signature valid' : '✖ Signature invalid';
+  }catch(e){ msg.textContent = 'Verification failed: ' + e.message; }
+});
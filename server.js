@@ -4,8 +4,6 @@ import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import cors from 'cors';
 import multer from 'multer';
-import { parse as csvParse } from 'csv-parse/sync';
-import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Stripe from 'stripe';
@@ -13,14 +11,34 @@ import pino from 'pino';
 import pinoHttp from 'pino-http';
 import swaggerUi from 'swagger-ui-express';
 import fs from 'fs';
+import crypto from 'crypto';
 
 import { cfg } from './lib/config.js';
-import { normalizeClients, normalizeTransactions } from './lib/csv-normalize.js';
-import { scoreAll } from './lib/rules.js';
-import { buildCases } from './lib/cases.js';
-import { buildManifest } from './lib/manifest.js';
-import { zipNamedBuffers } from './lib/zip.js';
+import { ingestClients, ingestTransactions } from './lib/ingest.js';
+import { lookbackOptions, MAX_LOOKBACK_MONTHS } from './lib/csv-normalize.js';
+import { loadRuleset } from './lib/ruleset.js';
+import { loadFxTable, usingSampleFx, SAMPLE_FX_FILE } from './lib/fx.js';
+import { publishedKeys } from './lib/signing.js';
 import { verifyStore } from './lib/verify-store.js';
+import { JobQueue, publicJob } from './lib/jobs.js';
+import { ValidationReport } from './lib/validation.js';
+import { listProfiles, loadProfile, saveProfile, profileFromHeaderMaps } from './lib/mapping-profiles.js';
+import { generateEvidence, makeWorkDir } from './lib/pipeline.js';
+import { rerunPack } from './lib/rerun.js';
+import { diffPacks } from './lib/pack-diff.js';
+import { openZipEntry } from './lib/zip.js';
+import { listCases, getCase, setStatus, assignCase, addNote } from './lib/case-workflow.js';
+import { caseStore } from './lib/case-store.js';
+import { reviewSchedule, getReview, recordReview, scheduleCsv, scheduleIcs } from './lib/reviews.js';
+import { reviewStore } from './lib/review-store.js';
+import { clientProfile, packClients } from './lib/client-profile.js';
+import { countryListVersions, countryListsAt, saveCountryList } from './lib/countryRisk.js';
+import {
+  can, createOrg, getOrg, login, logout, sessionAuth, apiKeyAuth, beginTotp, enableTotp, changePassword,
+  listUsers, createUser, updateUser, deleteUser, createApiKey, listApiKeys, revokeApiKey, publicUser
+} from './lib/accounts.js';
+import { accountStore } from './lib/account-store.js';
+import { recordAudit, recordRulesetInUse, exportAudit, verifyAuditChain, auditCsv } from './lib/audit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -75,34 +93,113 @@ app.use(cors({
 }));
 
 // Rate limits (stricter on heavy endpoints)
-const baseLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300 });
+const baseLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300, skip: req => req.path.startsWith('/api/jobs/') }); // job polling is cheap
 const heavyLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: 60 });
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20, skipSuccessfulRequests: true });
 app.use(baseLimiter);
 
-// Uploads (memory)
+// ---------- Accounts (lib/accounts.js) ----------
+// req.auth is the signed-in user (tr_session cookie) or API key (`Authorization: Bearer trk_…`),
+// null when anonymous. Everything an org owns — packs, cases, mapping profiles, jobs — is looked
+// up through req.auth.org_id; another org's token or id is answered as not found.
+const SESSION_COOKIE = 'tr_session';
+app.use((req, _res, next) => {
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  req.auth = bearer.startsWith('trk_') ? apiKeyAuth(bearer) : sessionAuth(cookieValue(req, SESSION_COOKIE));
+  next();
+});
+
+/**
+ * Signed in (and holding `permission`, when given). Pages redirect to /login instead of a 401.
+ * Cookie-authenticated POSTs must come from APP_ORIGIN (SameSite=Strict is the first line).
+ */
+function requireAuth(permission = null, { page = false } = {}) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      if (page) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      return res.status(401).json({ error: 'Sign in, or send an API key as `Authorization: Bearer trk_…`.' });
+    }
+    const origin = req.get('origin');
+    if (req.auth.via === 'session' && req.method === 'POST' && origin && origin !== cfg.APP_ORIGIN) {
+      return res.status(403).json({ error: 'Cross-origin request refused.' });
+    }
+    if (permission && !can(req.auth, permission)) {
+      if (page) return res.status(403).send('Your role does not allow this.');
+      return res.status(403).json({ error: `The ${req.auth.role} role cannot do this.` });
+    }
+    next();
+  };
+}
+
+function cookieValue(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+function sessionCookie(value, maxAgeS) {
+  return [`${SESSION_COOKIE}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeS}`,
+    ...(cfg.APP_ORIGIN.startsWith('https:') ? ['Secure'] : [])].join('; ');
+}
+
+/**
+ * Audit log entry for this request (lib/audit.js): the caller's org chain by default, `system`
+ * for operator (ADMIN_TOKEN) actions without an org.
+ */
+function audit(req, action, { subject = null, detail = {}, org_id = req.auth?.org_id || null, actor = req.auth?.actor || (req.operator ? 'operator' : 'anonymous') } = {}) {
+  return recordAudit({ org_id, actor, ip: req.ip, action, subject, detail });
+}
+
+/** What the header shows on server-rendered pages. */
+function viewer(req) {
+  return { actor: req.auth.actor, role: req.auth.role, org: getOrg(req.auth.org_id).name, admin: can(req.auth, 'org:admin') };
+}
+
+// Evidence generation runs as background jobs (see lib/jobs.js)
+const jobs = new JobQueue({ concurrency: cfg.JOB_CONCURRENCY, ttlMin: cfg.JOB_TTL_MIN, logger });
+
+// Uploads (disk, streamed through the ingest pipeline rather than buffered)
+fs.mkdirSync(cfg.WORK_DIR, { recursive: true });
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 25 * 1024 * 1024, files: 2 }
+  storage: multer.diskStorage({ destination: cfg.WORK_DIR }),
+  limits: { fileSize: cfg.UPLOAD_MAX_MB * 1024 * 1024, files: 2 }
 });
 
+// Inputs: `clients` + `transactions` files (CSV, XLSX or JSON), or one `workbook` holding both.
+const uploadInputs = upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }, { name: 'workbook', maxCount: 1 }]);
+
 // ---------- Health & status ----------
 app.get('/healthz', (_req, res) => res.send('ok'));
 app.get('/api/status', (_req, res) => {
   res.json({
     ok: true,
     time: new Date().toISOString(),
-    verify_store_entries: verifyStore.map?.size ?? 'n/a'
+    verify_store: cfg.VERIFY_STORE,
+    verify_store_entries: verifyStore.count(),
+    jobs: jobs.count()
   });
 });
 app.get('/api/version', (_req, res) => {
+  const ruleset = loadRuleset(cfg.RULESET_ID);
   res.json({
     name: 'trancheready-app',
     version: '1.1.0',
-    ruleset_id: 'dnfbp-2025.11',
-    lookback_months: 18
+    ruleset_id: ruleset.id,
+    ruleset_version: ruleset.version,
+    lookback_months: ruleset.lookback_months,
+    lookback_months_max: MAX_LOOKBACK_MONTHS
   });
 });
 
+// Public verification keys (current + retired) for offline checks after key rotation.
+app.get('/api/keys', (_req, res) => {
+  res.json({ keys: publishedKeys() });
+});
+
 // ---------- Docs (OpenAPI) ----------
 const openapiPath = path.join(__dirname, 'docs', 'openapi.yaml');
 if (fs.existsSync(openapiPath)) {
@@ -115,7 +212,102 @@ if (fs.existsSync(openapiPath)) {
 }
 
 // ---------- Minimal app UI ----------
-app.get('/', (_req, res) => res.render('app'));
+app.get('/', requireAuth(null, { page: true }), (req, res) => res.render('app', { viewer: viewer(req) }));
+app.get('/login', (req, res) => {
+  const next = (req.query.next || '').toString();
+  res.render('login', { next: next.startsWith('/') && !next.startsWith('//') ? next : '/' });
+});
+app.get('/account', requireAuth(null, { page: true }), (req, res) => res.render('account', { viewer: viewer(req) }));
+
+// ---------- Sign-in & account ----------
+const ACCOUNT_ERRORS = { AUTH_INVALID: 401, AUTH_TOTP_REQUIRED: 401, ACCOUNT_INVALID: 400, ACCOUNT_EXISTS: 409, ACCOUNT_NOT_FOUND: 404 };
+function accountAction(res, fn, status = 200) {
+  try {
+    res.status(status).json(fn());
+  } catch (e) {
+    if (!ACCOUNT_ERRORS[e.code]) throw e;
+    res.status(ACCOUNT_ERRORS[e.code]).json({ error: e.message, ...(e.code === 'AUTH_TOTP_REQUIRED' ? { totp_required: true } : {}) });
+  }
+}
+
+// Body: { email, password, totp? }. 401 with `totp_required` asks for the authenticator code.
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  const origin = req.get('origin');
+  if (origin && origin !== cfg.APP_ORIGIN) return res.status(403).json({ error: 'Cross-origin request refused.' });
+  accountAction(res, () => {
+    const session = login(req.body);
+    res.setHeader('Set-Cookie', sessionCookie(session.token, cfg.SESSION_TTL_MIN * 60));
+    req.log.info({ user_id: session.user.id, org_id: session.user.org_id }, 'login');
+    audit(req, 'auth.login', { subject: session.user.id, org_id: session.user.org_id, actor: session.user.email });
+    return { ok: true, user: session.user, expires_utc: session.expires_utc };
+  });
+});
+// JSON for scripts; the header's sign-out form posts here and is sent back to /login.
+app.post('/api/auth/logout', (req, res) => {
+  if (req.auth?.via === 'session') audit(req, 'auth.logout', { subject: req.auth.user_id });
+  logout(cookieValue(req, SESSION_COOKIE));
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+  if (req.is('application/x-www-form-urlencoded')) return res.redirect(303, '/login');
+  res.json({ ok: true });
+});
+app.get('/api/auth/me', requireAuth(), (req, res) => {
+  const { session_id: _s, ...auth } = req.auth;
+  const user = auth.user_id ? accountStore.get('users', auth.user_id) : null;
+  res.json({ ...auth, org: getOrg(auth.org_id), user: user && publicUser(user) });
+});
+app.post('/api/auth/totp/setup', requireAuth(), sessionOnly, (req, res) => accountAction(res, () => beginTotp(req.auth.user_id)));
+app.post('/api/auth/totp/enable', requireAuth(), sessionOnly, (req, res) => accountAction(res, () => {
+  const user = enableTotp(req.auth.user_id, req.body);
+  audit(req, 'auth.totp_enabled', { subject: user.id });
+  return user;
+}));
+app.post('/api/auth/password', requireAuth(), sessionOnly, (req, res) => accountAction(res, () => {
+  const user = changePassword(req.auth.user_id, req.body);
+  audit(req, 'auth.password_changed', { subject: user.id });
+  return user;
+}));
+
+function sessionOnly(req, res, next) {
+  if (req.auth.via !== 'session') return res.status(403).json({ error: 'Sign in as a user for this (API keys cannot).' });
+  next();
+}
+
+// ---------- Organisation admin: users & API keys ----------
+app.get('/api/org/users', requireAuth('org:admin'), (req, res) => res.json({ users: listUsers(req.auth.org_id) }));
+app.post('/api/org/users', requireAuth('org:admin'), (req, res) => accountAction(res, () => {
+  const user = createUser(req.auth.org_id, req.body);
+  req.log.info({ user_id: user.id, role: user.role, by: req.auth.actor }, 'user_created');
+  audit(req, 'user.created', { subject: user.id, detail: { email: user.email, role: user.role } });
+  return user;
+}, 201));
+// Body: { role?, disabled?, reset_totp? }
+app.post('/api/org/users/:id', requireAuth('org:admin'), (req, res) => accountAction(res, () => {
+  const user = updateUser(req.auth.org_id, req.params.id, req.body);
+  req.log.info({ user_id: user.id, change: req.body, by: req.auth.actor }, 'user_updated');
+  audit(req, 'user.updated', { subject: user.id, detail: { email: user.email, role: user.role, disabled: user.disabled, reset_totp: req.body?.reset_totp === true } });
+  return user;
+}));
+app.post('/api/org/users/:id/delete', requireAuth('org:admin'), (req, res) => accountAction(res, () => {
+  const user = deleteUser(req.auth.org_id, req.params.id);
+  req.log.info({ user_id: user.id, by: req.auth.actor }, 'user_deleted');
+  audit(req, 'user.deleted', { subject: user.id, detail: { email: user.email, role: user.role } });
+  return user;
+}));
+
+app.get('/api/org/keys', requireAuth('org:admin'), (req, res) => res.json({ keys: listApiKeys(req.auth.org_id) }));
+// Body: { name, role? } (preparer by default; admin keys are not issued). The key is only in this response.
+app.post('/api/org/keys', requireAuth('org:admin'), (req, res) => accountAction(res, () => {
+  const key = createApiKey(req.auth.org_id, req.body, req.auth.actor);
+  req.log.info({ key_id: key.id, role: key.role, by: req.auth.actor }, 'api_key_created');
+  audit(req, 'api_key.created', { subject: key.id, detail: { name: key.name, role: key.role } });
+  return key;
+}, 201));
+app.post('/api/org/keys/:id/revoke', requireAuth('org:admin'), (req, res) => accountAction(res, () => {
+  const key = revokeApiKey(req.auth.org_id, req.params.id, req.auth.actor);
+  req.log.info({ key_id: key.id, by: req.auth.actor }, 'api_key_revoked');
+  audit(req, 'api_key.revoked', { subject: key.id, detail: { name: key.name } });
+  return key;
+}));
 
 // ---------- Templates & validation ----------
 app.get('/api/templates', (_req, res) => {
@@ -129,89 +321,433 @@ app.get('/api/templates', (_req, res) => {
   fs.createReadStream(full).pipe(res);
 });
 
-app.post('/api/validate', heavyLimiter, upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }]), (req, res) => {
+// Row-level report for both files; ?format=csv returns the issues as a CSV for fixing the source export.
+app.post('/api/validate', requireAuth('packs:create'), heavyLimiter, uploadInputs, async (req, res) => {
   try {
-    const clientsFile = req.files?.clients?.[0];
-    const txFile = req.files?.transactions?.[0];
-    if (!clientsFile || !txFile) return res.status(400).json({ ok:false, error: 'Both files required' });
-    const clientsCsv = csvParse(clientsFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-    const txCsv = csvParse(txFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
+    const inputs = requestInputs(req);
+    if (!inputs) return res.status(400).json({ ok:false, error: 'Both files required' });
 
-    const { clientHeaderMap } = normalizeClients(clientsCsv);
-    const { txHeaderMap, rejects, lookback } = normalizeTransactions(txCsv);
+    let profile, period;
+    try { profile = requestedProfile(req); period = requestedLookback(req); }
+    catch (e) { return res.status(400).json({ ok:false, error: e.message }); }
 
-    res.json({ ok:true, clientHeaderMap, txHeaderMap, rejects, lookback });
+    const report = new ValidationReport({ profile });
+    const { clientHeaderMap, source: clientsSource } = await ingestClients(inputs.clients, { report, profile });
+    const { txHeaderMap, rejects, rejectCount, lookback, excluded, source: txSource } = await ingestTransactions(inputs.transactions, { ...period, fx: loadFxTable(), report, profile });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="validation-errors.csv"');
+      return res.send(report.toCSV());
+    }
+    const sources = { clients: { format: clientsSource.format, sheet: clientsSource.sheet }, transactions: { format: txSource.format, sheet: txSource.sheet } };
+    res.json({ ok:true, profile: profile?.id || null, sources, clientHeaderMap, txHeaderMap, rejects, reject_count: rejectCount, lookback, excluded, report: report.toJSON() });
   } catch (e) {
+    if (typeof e.code === 'string' && (e.code.startsWith('CSV_') || e.code.startsWith('INPUT_'))) return res.status(400).json({ ok:false, error: e.message });
     req.log.error(e, 'validate_failed');
     res.status(500).json({ ok:false, error: 'Validation failed' });
+  } finally {
+    removeUploads(req);
   }
 });
 
-// ---------- Upload → evidence ----------
-app.post('/upload', heavyLimiter, upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }]), async (req, res) => {
+// ---------- Upload → evidence (background job) ----------
+// Returns 202 + job id at once; poll GET /api/jobs/:id. ?wait=1 keeps the old blocking
+// response for scripts with small files: 400 when the job failed on the upload itself
+// (a UserFacingError), 500 otherwise.
+app.post('/upload', requireAuth('packs:create'), heavyLimiter, uploadInputs, async (req, res) => {
+  const inputs = requestInputs(req);
+  if (!inputs) {
+    removeUploads(req);
+    return res.status(400).json({ error: 'Both a clients and a transactions file (or one workbook with both) are required.' });
+  }
+  let profile, period;
+  try { profile = requestedProfile(req); period = requestedLookback(req); }
+  catch (e) { removeUploads(req); return res.status(400).json({ error: e.message }); }
+
+  let workDir = null;
+  const orgId = req.auth.org_id;
+  const job = jobs.submit(async ({ update }) => {
+    workDir = await makeWorkDir();
+    return generateEvidence({ ...inputs, orgId, actor: req.auth.actor, workDir, profile, ...period, includeInputs: requestedIncludeInputs(req), update });
+  }, {
+    org_id: orgId,
+    cleanup: async () => {
+      removeUploads(req);
+      if (workDir) await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  });
+  req.log.info({ job_id: job.id, profile: profile?.id, org_id: orgId, by: req.auth.actor }, 'job_submitted');
+
+  if (req.query.wait) {
+    const done = await jobs.wait(job.id);
+    if (done.status === 'failed') return res.status(done.exposed ? 400 : 500).json({ error: done.error, job_id: job.id });
+    return res.json({ ok: true, job_id: job.id, ...done.result });
+  }
+  res.status(202).json({ ok: true, job_id: job.id, status_url: new URL('/api/jobs/' + job.id, cfg.APP_ORIGIN).toString() });
+});
+
+app.get('/api/jobs/:id', requireAuth(), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || job.org_id !== req.auth.org_id) return res.status(404).json({ error: 'Job not found or expired.' });
+  res.json(publicJob(job));
+});
+
+// ---------- Column-mapping profiles ----------
+// Built-in profiles plus the org's own.
+app.get('/api/profiles', requireAuth(), (req, res) => res.json({ profiles: listProfiles(req.auth.org_id) }));
+
+app.get('/api/profiles/:id', requireAuth(), (req, res) => {
+  try { res.json(loadProfile(req.params.id, req.auth.org_id)); }
+  catch (e) { res.status(404).json({ error: e.message }); }
+});
+
+// Body: a full profile, or { id, name, clientHeaderMap, txHeaderMap, ... } built from /api/validate output.
+app.post('/api/profiles', requireAuth('profiles:write'), (req, res) => {
+  const { clientHeaderMap, txHeaderMap, ...base } = req.body || {};
   try {
-    const clientsFile = req.files?.clients?.[0];
-    const txFile = req.files?.transactions?.[0];
-    if (!clientsFile || !txFile) return res.status(400).json({ error: 'Both Clients.csv and Transactions.csv are required.' });
-
-    const clientsCsv = csvParse(clientsFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-    const txCsv = csvParse(txFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-
-    const { clients, clientHeaderMap } = normalizeClients(clientsCsv);
-    const { txs, txHeaderMap, rejects, lookback } = normalizeTransactions(txCsv);
-
-    const { scores, rulesMeta } = await scoreAll(clients, txs, lookback, cfg.OPENAI_API_KEY);
-    const cases = buildCases(txs, lookback);
-
-    const files = {
-      'clients.json': Buffer.from(JSON.stringify(clients, null, 2)),
-      'transactions.json': Buffer.from(JSON.stringify(txs, null, 2)),
-      'cases.json': Buffer.from(JSON.stringify(cases, null, 2)),
-      'program.html': Buffer.from([
-        '<!doctype html><meta charset="utf-8"><title>Program</title>',
-        `<h1>TrancheReady Evidence</h1>`,
-        `<p>Generated: ${new Date().toISOString()}</p>`,
-        `<h2>Ruleset</h2><pre>${JSON.stringify(rulesMeta, null, 2)}</pre>`,
-        `<h2>Header Mapping</h2><pre>${JSON.stringify({ clients: clientHeaderMap, transactions: txHeaderMap }, null, 2)}</pre>`,
-        `<h2>Row rejects</h2><pre>${JSON.stringify(rejects, null, 2)}</pre>`
-      ].join(''))
-    };
-
-    const manifest = buildManifest(files, rulesMeta);
-    const zipBuffer = await zipNamedBuffers({
-      ...files,
-      'manifest.json': Buffer.from(JSON.stringify(manifest, null, 2))
-    });
+    const profile = saveProfile(clientHeaderMap || txHeaderMap ? profileFromHeaderMaps({ clientHeaderMap, txHeaderMap }, base) : base, req.auth.org_id);
+    req.log.info({ profile_id: profile.id }, 'mapping_profile_saved');
+    audit(req, 'profile.saved', { subject: profile.id, detail: { name: profile.name, sha256: profile.sha256 } });
+    res.status(201).json(profile);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
 
-    const token = crypto.randomBytes(16).toString('hex');
-    verifyStore.put(token, zipBuffer, manifest, cfg.VERIFY_TTL_MIN);
+// ---------- Country risk lists ----------
+// Every version on this server, and the ones in effect on ?as_of= (default today).
+app.get('/api/country-lists', (req, res) => {
+  const asOf = (req.query.as_of || new Date().toISOString().slice(0, 10)).toString();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) return res.status(400).json({ error: 'as_of must be YYYY-MM-DD.' });
+  const lists = [...countryListVersions()].map(([list, versions]) => ({
+    list,
+    versions: versions.map(({ countries, ...v }) => ({ ...v, countries: countries.length }))
+  }));
+  res.json({ as_of: asOf, in_effect: countryListsAt(asOf).versions, lists });
+});
 
-    res.json({
-      ok: true,
-      risk: scores,
-      verify_url: new URL('/verify/' + token, cfg.APP_ORIGIN).toString(),
-      download_url: new URL('/download/' + token, cfg.APP_ORIGIN).toString()
-    });
+// New list version (lib/countryRisk.js format). Versions are append-only: a taken version is 409.
+const COUNTRY_LIST_ERRORS = { COUNTRY_LIST_INVALID: 400, COUNTRY_LIST_EXISTS: 409 };
+app.post('/api/admin/country-lists', requireAdmin, (req, res) => {
+  try {
+    const saved = saveCountryList(req.body || {});
+    req.log.info({ list: saved.list, version: saved.version, effective_from: saved.effective_from, sha256: saved.sha256 }, 'country_list_saved');
+    audit(req, 'country_list.saved', { subject: `${saved.list}/${saved.version}`, detail: { effective_from: saved.effective_from, source: saved.source, countries: saved.countries.length, sha256: saved.sha256 } });
+    res.status(201).json(saved);
   } catch (e) {
-    req.log.error(e, 'processing_failed');
-    res.status(500).json({ error: 'Processing failed.' });
+    if (!COUNTRY_LIST_ERRORS[e.code]) throw e;
+    res.status(COUNTRY_LIST_ERRORS[e.code]).json({ error: e.message });
   }
 });
 
+// ---------- Operator: organisations ----------
+// Body: { name, admin_email, admin_password } → the org and its first admin user, who adds the rest.
+app.post('/api/admin/orgs', requireAdmin, (req, res) => accountAction(res, () => {
+  const created = createOrg(req.body);
+  req.log.info({ org_id: created.org.id, admin_user_id: created.admin.id }, 'org_created');
+  audit(req, 'org.created', { subject: created.org.id, org_id: created.org.id, detail: { name: created.org.name, admin: created.admin.email } });
+  return created;
+}, 201));
+
+// /api/admin/* takes `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN they are switched off.
+function requireAdmin(req, res, next) {
+  if (!cfg.ADMIN_TOKEN) return res.status(404).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set).' });
+  const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(cfg.ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return res.status(401).json({ error: 'Admin token required.' });
+  req.operator = true;
+  next();
+}
+
+// { clients, transactions } inputs for lib/ingest.js; `clients_sheet` / `transactions_sheet`
+// (form fields or query) pick worksheets, otherwise lib/inputs.js detects them.
+function requestInputs(req) {
+  const workbook = req.files?.workbook?.[0];
+  const clients = req.files?.clients?.[0] || workbook;
+  const transactions = req.files?.transactions?.[0] || workbook;
+  if (!clients || !transactions) return null;
+  const sheet = field => (req.body?.[field] || req.query[field] || '').toString().trim() || undefined;
+  return {
+    clients: { path: clients.path, name: clients.originalname, sheet: sheet('clients_sheet') },
+    transactions: { path: transactions.path, name: transactions.originalname, sheet: sheet('transactions_sheet') }
+  };
+}
+
+// `profile` form field (or ?profile=) selects a mapping profile for /upload and /api/validate.
+function requestedProfile(req) {
+  const id = (req.body?.profile || req.query.profile || '').toString().trim();
+  return id ? loadProfile(id, req.auth.org_id) : null;
+}
+
+// `as_of` (YYYY-MM-DD) and `lookback_months` form fields (or query) set the run's lookback
+// window; without them it is the ruleset's lookback_months up to the latest transaction.
+function requestedLookback(req) {
+  const field = name => req.body?.[name] ?? req.query[name];
+  return lookbackOptions({ as_of: field('as_of'), lookback_months: field('lookback_months') }, loadRuleset(cfg.RULESET_ID).lookback_months);
+}
+
+// `include_inputs` = 1|0 packs the original uploads (default PACK_INCLUDE_INPUTS).
+function requestedIncludeInputs(req) {
+  const v = (req.body?.include_inputs ?? req.query.include_inputs ?? '').toString().trim();
+  return v ? ['1', 'true', 'on'].includes(v.toLowerCase()) : cfg.PACK_INCLUDE_INPUTS;
+}
+
+function removeUploads(req) {
+  for (const f of Object.values(req.files || {}).flat()) fs.promises.rm(f.path, { force: true }).catch(() => {});
+}
+
 // ---------- Verify & download ----------
+// The verify page is public (it shows the manifest, not client data); the pack itself is only
+// for members of the org that generated it.
 app.get('/verify/:token', (req, res) => {
   const entry = verifyStore.get(req.params.token);
   if (!entry) return res.status(404).send('Link expired or not found.');
-  res.render('verify', { manifest: entry.manifest, publicKey: cfg.SIGN_PUBLIC_KEY });
+  const keys = publishedKeys();
+  const key = keys.find(k => k.key_id === entry.manifest.signing?.key_id) || keys.find(k => k.current) || keys[0];
+  const member = req.auth && req.auth.org_id === entry.org_id;
+  audit(req, 'pack.verify_viewed', { subject: req.params.token, org_id: entry.org_id, actor: member ? req.auth.actor : 'anonymous' });
+  res.render('verify', { manifest: entry.manifest, publicKey: key?.public_key || '', clientsUrl: member ? `/clients/${req.params.token}` : null });
 });
-app.get('/download/:token', (req, res) => {
+app.get('/download/:token', requireAuth('packs:read', { page: true }), (req, res) => {
   const entry = verifyStore.get(req.params.token);
-  if (!entry) return res.status(404).send('Link expired or not found.');
+  if (!entry || entry.org_id !== req.auth.org_id) return res.status(404).send('Link expired or not found.');
+  audit(req, 'pack.downloaded', { subject: req.params.token });
   res.setHeader('Content-Type', 'application/zip');
   res.setHeader('Content-Disposition', 'attachment; filename="trancheready-evidence.zip"');
+  if (entry.zipPath) return fs.createReadStream(entry.zipPath).pipe(res);
   res.send(entry.zipBuffer);
 });
 
+// Re-run a pack with the recorded ruleset and lookback (lib/rerun.js): upload `pack`, or
+// `token` for one this server issued. 200 either way; `ok` says whether it reproduced.
+app.post('/api/rerun', requireAuth('packs:read'), heavyLimiter, upload.single('pack'), async (req, res) => {
+  const token = (req.body?.token || req.query.token || '').toString().trim();
+  const zip = req.file?.path || (token ? storedPack(token, req.auth) : null);
+  try {
+    if (!zip) return res.status(token ? 404 : 400).json({ error: token ? 'Link expired or not found.' : 'Upload a pack zip as `pack` or give a verify `token`.' });
+    const result = await rerunPack(zip, { publicKeys: publishedKeys().map(k => k.public_key), workDir: cfg.WORK_DIR });
+    req.log.info({ ok: result.ok, steps: result.steps.map(s => `${s.step}:${s.status}`) }, 'pack_rerun');
+    res.json(result);
+  } catch (e) {
+    req.log.error({ err: e }, 'pack_rerun_failed');
+    res.status(400).json({ error: `Could not re-run pack: ${e.message}` });
+  } finally {
+    if (req.file) fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+  }
+});
+
+// Program report from the pack, e.g. to attach the PDF to a board pack.
+app.get('/report/:token.:format(pdf|html)', requireAuth('packs:read', { page: true }), async (req, res, next) => {
+  try {
+    const zip = storedPack(req.params.token, req.auth);
+    const file = zip && await openZipEntry(zip, `program.${req.params.format}`);
+    if (!file) return res.status(404).send('Link expired or not found.');
+    audit(req, 'pack.report_downloaded', { subject: req.params.token, detail: { format: req.params.format } });
+    if (req.params.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'attachment; filename="trancheready-program-report.pdf"');
+    } else {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    }
+    file.pipe(res);
+  } catch (e) { next(e); }
+});
+
+// Counterparty graph from the pack (network.json, lib/network.js) for the app page's network view.
+app.get('/api/network/:token', requireAuth('packs:read'), async (req, res, next) => {
+  try {
+    const zip = storedPack(req.params.token, req.auth);
+    const file = zip && await openZipEntry(zip, 'network.json');
+    if (!file) return res.status(404).json({ error: 'Link expired or not found.' });
+    res.type('application/json');
+    file.pipe(res);
+  } catch (e) { next(e); }
+});
+
+// ---------- Client profiles (lib/client-profile.js) ----------
+// A pack's clients, and a page per client: profile, reasons, the transactions behind them on a
+// timeline, cases. Everything is read from the pack; case status and KYC review are today's.
+app.get('/clients/:token', requireAuth('packs:read', { page: true }), async (req, res, next) => {
+  try {
+    const zip = storedPack(req.params.token, req.auth);
+    const pack = zip && await packClients(zip);
+    if (!pack) return res.status(404).send('Link expired or not found.');
+    res.render('clients', { viewer: viewer(req), token: req.params.token, pack });
+  } catch (e) { next(e); }
+});
+app.get('/clients/:token/:client_id', requireAuth('packs:read', { page: true }), async (req, res, next) => {
+  try {
+    const zip = storedPack(req.params.token, req.auth);
+    if (!zip) return res.status(404).send('Link expired or not found.');
+    const p = await clientProfile(zip, req.params.client_id, { maxRows: cfg.REPORT_MAX_ROWS });
+    if (!p) return res.status(404).send('Client not found in this pack.');
+    audit(req, 'pack.client_viewed', { subject: req.params.token, detail: { client_id: p.client_id } });
+    const tracked = can(req.auth, 'cases:read') ? listCases({ client_id: p.client_id }, orgCases(req)).cases : [];
+    const live = new Map(tracked.map(c => [c.case_id, c]));
+    const cases = [
+      ...p.cases.map(c => ({ case_id: c.case_id, type: c.type, rule: c.rule, status: live.get(c.case_id)?.status, assignee: live.get(c.case_id)?.assignee, in_pack: true })),
+      ...tracked.filter(c => !p.cases.some(x => x.case_id === c.case_id)).map(c => ({ ...c, in_pack: false }))
+    ];
+    let review = null;
+    if (can(req.auth, 'reviews:read')) {
+      try { review = getReview(p.client_id, orgReviews(req)); }
+      catch (e) { if (e.code !== 'REVIEW_NOT_FOUND') throw e; }
+    }
+    res.render('client', { viewer: viewer(req), token: req.params.token, p, cases, review });
+  } catch (e) { next(e); }
+});
+
+// ---------- Case management ----------
+// The org's cases only; `by` / `author` are always the signed-in user (or API key), not the body's.
+app.get('/cases', requireAuth('cases:read', { page: true }), (req, res) => res.render('cases', { viewer: viewer(req), canReview: can(req.auth, 'cases:review'), canNote: can(req.auth, 'cases:note') }));
+
+app.get('/api/cases', requireAuth('cases:read'), (req, res) => {
+  const { status, assignee, client_id } = req.query;
+  res.json(listCases({ status, assignee, client_id }, orgCases(req)));
+});
+app.get('/api/cases/:id', requireAuth('cases:read'), (req, res) => caseAction(res, () => getCase(req.params.id, orgCases(req))));
+app.post('/api/cases/:id/status', requireAuth('cases:review'), (req, res) => caseAction(res, () => setStatus(req.params.id, { ...req.body, by: req.auth.actor }, orgCases(req)), req, 'case_status'));
+app.post('/api/cases/:id/assign', requireAuth('cases:review'), (req, res) => caseAction(res, () => assignCase(req.params.id, { ...req.body, by: req.auth.actor }, orgCases(req)), req, 'case_assigned'));
+app.post('/api/cases/:id/notes', requireAuth('cases:note'), (req, res) => caseAction(res, () => addNote(req.params.id, { ...req.body, author: req.auth.actor }, orgCases(req)), req, 'case_note'));
+
+function orgCases(req) { return caseStore.forOrg(req.auth.org_id); }
+
+const CASE_ERRORS = { CASE_NOT_FOUND: 404, CASE_INVALID: 400, CASE_TRANSITION: 409 };
+const CASE_AUDIT = { case_status: 'case.status', case_assigned: 'case.assigned', case_note: 'case.note' };
+function caseAction(res, fn, req = null, event = null) {
+  try {
+    const record = fn();
+    if (event) {
+      req.log.info({ case_id: record.case_id, status: record.status, assignee: record.assignee }, event);
+      audit(req, CASE_AUDIT[event], { subject: record.case_id, detail: caseAuditDetail(event, record) });
+    }
+    res.json(record);
+  } catch (e) {
+    if (!CASE_ERRORS[e.code]) throw e;
+    res.status(CASE_ERRORS[e.code]).json({ error: e.message });
+  }
+}
+
+// Status and assignment changes as recorded in the case history; notes by length and hash only.
+function caseAuditDetail(event, record) {
+  if (event === 'case_note') {
+    const note = record.notes[record.notes.length - 1];
+    return { client_id: record.client_id, chars: note.text.length, sha256: crypto.createHash('sha256').update(note.text).digest('hex') };
+  }
+  const { at: _a, by: _b, ...change } = record.history[record.history.length - 1];
+  return { client_id: record.client_id, ...change };
+}
+
+// ---------- KYC review schedule (lib/reviews.js) ----------
+// Overdue reviews and those due in the next ?days= (default 90) from ?as_of= (default today);
+// ?format=csv or ics (iCalendar, one all-day event per client). A completed review is recorded
+// against the client id; the next upload uses its date as kyc_last_reviewed_at.
+app.get('/api/reviews', requireAuth('reviews:read'), (req, res) => reviewAction(res, () => {
+  const { as_of, days } = req.query;
+  const schedule = reviewSchedule({ as_of, days }, orgReviews(req));
+  const name = `trancheready-kyc-reviews-${schedule.as_of}`;
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.send(scheduleCsv(schedule));
+  }
+  if (req.query.format === 'ics') {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.ics"`);
+    return res.send(scheduleIcs(schedule, { orgId: req.auth.org_id }));
+  }
+  res.json(schedule);
+}));
+app.get('/api/reviews/:client_id', requireAuth('reviews:read'), (req, res) => reviewAction(res, () => res.json(getReview(req.params.client_id, orgReviews(req)))));
+// Body: { reviewed_at? (YYYY-MM-DD, default today), note? }
+app.post('/api/reviews/:client_id', requireAuth('reviews:record'), (req, res) => reviewAction(res, () => {
+  const record = recordReview(req.params.client_id, { ...req.body, by: req.auth.actor }, orgReviews(req));
+  req.log.info({ client_id: record.client_id, reviewed_at: record.last_reviewed_at, by: req.auth.actor }, 'kyc_review_recorded');
+  audit(req, 'kyc_review.recorded', { subject: record.client_id, detail: {
+    reviewed_at: record.last_reviewed_at, band: record.band, next_review_due: record.next_review_due,
+    note_sha256: req.body?.note ? crypto.createHash('sha256').update(req.body.note.trim()).digest('hex') : null
+  } });
+  res.json(record);
+}));
+
+function orgReviews(req) { return reviewStore.forOrg(req.auth.org_id); }
+
+const REVIEW_ERRORS = { REVIEW_NOT_FOUND: 404, REVIEW_INVALID: 400 };
+function reviewAction(res, fn) {
+  try { fn(); }
+  catch (e) {
+    if (!REVIEW_ERRORS[e.code]) throw e;
+    res.status(REVIEW_ERRORS[e.code]).json({ error: e.message });
+  }
+}
+
+// ---------- Audit log (lib/audit.js) ----------
+// The caller's org chain (admin and auditor roles); /api/admin/audit* is the `system` chain
+// (country lists, ruleset activations). ?from= / ?to= (YYYY-MM-DD) limit the export by date;
+// ?format=jsonl (one entry per line, for `trancheready audit`) or csv.
+app.get('/api/audit', requireAuth('audit:read'), (req, res) => sendAuditExport(req, res, req.auth.org_id));
+app.get('/api/audit/verify', requireAuth('audit:read'), (req, res) => res.json({ chain: req.auth.org_id, ...verifyAuditChain(req.auth.org_id) }));
+app.get('/api/admin/audit', requireAdmin, (req, res) => sendAuditExport(req, res, null));
+app.get('/api/admin/audit/verify', requireAdmin, (req, res) => res.json({ chain: 'system', ...verifyAuditChain(null) }));
+
+function sendAuditExport(req, res, orgId) {
+  const [from, to] = ['from', 'to'].map(k => (req.query[k] || '').toString() || null);
+  if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) return res.status(400).json({ error: 'from and to must be YYYY-MM-DD.' });
+  const out = exportAudit(orgId, { from, to });
+  audit(req, 'audit.exported', { org_id: orgId, detail: { from, to, entries: out.entries.length, format: req.query.format || 'json' } });
+  const name = `trancheready-audit-${out.chain}${from ? `-${from}` : ''}${to ? `-${to}` : ''}`;
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.send(auditCsv(out.entries));
+  }
+  if (req.query.format === 'jsonl') {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.jsonl"`);
+    return res.send(out.entries.map(e => JSON.stringify(e)).join('\n') + (out.entries.length ? '\n' : ''));
+  }
+  res.json(out);
+}
+
+// ---------- Period-over-period comparison ----------
+// Two packs: `before` / `after` uploads, or `before_token` / `after_token` for packs this server
+// issued. JSON by default; ?format=html renders views/diff.ejs. GET /diff is the shareable page.
+app.get('/diff', requireAuth('packs:read', { page: true }), async (req, res, next) => {
+  const [before, after] = [req.query.before, req.query.after].map(t => (t || '').toString().trim());
+  if (!before && !after) return res.render('diff', { diff: null });
+  const packs = [before, after].map(t => storedPack(t, req.auth));
+  if (packs.some(p => !p)) return res.status(404).send('Link expired or not found.');
+  try { res.render('diff', { diff: await diffPacks(...packs, { publicKeys: publishedKeys().map(k => k.public_key) }) }); }
+  catch (e) { next(e); }
+});
+
+app.post('/api/diff', requireAuth('packs:read'), heavyLimiter, upload.fields([{ name: 'before', maxCount: 1 }, { name: 'after', maxCount: 1 }]), async (req, res) => {
+  const pick = role => {
+    const file = req.files?.[role]?.[0];
+    const token = (req.body?.[`${role}_token`] || '').toString().trim();
+    return file ? file.path : token ? storedPack(token, req.auth) : null;
+  };
+  try {
+    const [before, after] = [pick('before'), pick('after')];
+    if (!before || !after) return res.status(400).json({ error: 'Two packs are required: `before` and `after` uploads, or `before_token` / `after_token`.' });
+    const diff = await diffPacks(before, after, { publicKeys: publishedKeys().map(k => k.public_key) });
+    req.log.info({ summary: diff.summary }, 'pack_diff');
+    if (req.query.format === 'html') return res.render('diff', { diff });
+    res.json(diff);
+  } catch (e) {
+    res.status(400).json({ error: `Could not compare packs: ${e.message}` });
+  } finally {
+    removeUploads(req);
+  }
+});
+
+// A pack this server issued to the caller's org (null for unknown, expired or another org's token).
+function storedPack(token, auth) {
+  const entry = token ? verifyStore.get(token) : null;
+  return entry && entry.org_id === auth.org_id ? entry.zipPath || entry.zipBuffer : null;
+}
+
 // ---------- Stripe (optional) ----------
 app.post('/api/create-checkout-session', async (req, res) => {
   try {
@@ -234,6 +770,9 @@ app.post('/api/create-checkout-session', async (req, res) => {
 });
 
 // ---------- Start (with graceful shutdown) ----------
+const activated = recordRulesetInUse(loadRuleset(cfg.RULESET_ID));
+if (activated) logger.info({ ruleset_id: activated.subject, version: activated.detail.version, previous: activated.detail.previous }, 'ruleset_activated');
+if (usingSampleFx()) logger.warn({ fx_rates_file: SAMPLE_FX_FILE }, 'FX_RATES_FILE is not set: converting with the bundled demo rates (packs record fx_source: sample)');
 const server = app.listen(cfg.PORT, () => logger.info({ port: cfg.PORT }, 'TrancheReady app listening'));
 
 function shutdown(signal){
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccountStore } from '../lib/account-store.js';
+import {
+  createOrg, createUser, updateUser, deleteUser, listUsers, changePassword, login, sessionAuth, logout,
+  beginTotp, enableTotp, createApiKey, revokeApiKey, apiKeyAuth, can
+} from '../lib/accounts.js';
+import { totpCode, verifyTotp, otpauthUrl } from '../lib/totp.js';
+import { startServer } from './server.js';
+import { CLIENTS_CSV, TRANSACTIONS_CSV } from './evidence.js';
+
+const PASSWORD = 'correct horse battery';
+const org = (store, name = 'Smith Legal', admin_email = 'admin@smith.test') => createOrg({ name, admin_email, admin_password: PASSWORD }, store);
+const step = () => Math.floor(Date.now() / 30000);
+
+test('TOTP codes follow RFC 6238 and work once, within a step of drift', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890", T = 59 s → 94287082 (last six digits).
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.equal(totpCode(secret, 1), '287082');
+  assert.equal(verifyTotp(secret, '287 082', { now: 59_000 }), 1);
+  assert.equal(verifyTotp(secret, totpCode(secret, 2), { now: 59_000 }), 2, 'one step ahead is accepted');
+  assert.equal(verifyTotp(secret, totpCode(secret, 3), { now: 59_000 }), null, 'two steps ahead is not');
+  assert.equal(verifyTotp(secret, '287082', { now: 59_000, after: 1 }), null, 'a used step is refused');
+  assert.equal(verifyTotp(secret, 'abcdef', { now: 59_000 }), null);
+  assert.equal(otpauthUrl(secret, 'a@b.test', 'TrancheReady'), `otpauth://totp/TrancheReady%3Aa%40b.test?secret=${secret}&issuer=TrancheReady&algorithm=SHA1&digits=6&period=30`);
+});
+
+test('sign-in with password, then with a TOTP code once enrolled', () => {
+  const store = createAccountStore({ backend: 'memory' });
+  const { admin } = org(store);
+  assert.throws(() => login({ email: 'admin@smith.test', password: 'wrong password!' }, store), { code: 'AUTH_INVALID', message: 'Email or password is incorrect' });
+  assert.throws(() => login({ email: 'nobody@smith.test', password: PASSWORD }, store), { code: 'AUTH_INVALID', message: 'Email or password is incorrect' });
+
+  const session = login({ email: ' ADMIN@smith.test ', password: PASSWORD }, store);
+  const { session_id: _id, ...auth } = sessionAuth(session.token, store);
+  assert.deepEqual(auth, { via: 'session', org_id: admin.org_id, user_id: admin.id, role: 'admin', actor: 'admin@smith.test' });
+  assert.ok(!JSON.stringify(store.list('sessions')).includes(session.token), 'only a hash of the token is stored');
+
+  const { secret } = beginTotp(admin.id, store);
+  const now = step();
+  const code = totpCode(secret, now);
+  assert.throws(() => enableTotp(admin.id, { code: code === '000000' ? '111111' : '000000' }, store), { code: 'ACCOUNT_INVALID' });
+  assert.equal(enableTotp(admin.id, { code }, store).totp_enabled, true);
+
+  assert.throws(() => login({ email: 'admin@smith.test', password: PASSWORD }, store), { code: 'AUTH_TOTP_REQUIRED' });
+  assert.throws(() => login({ email: 'admin@smith.test', password: PASSWORD, totp: code }, store), { code: 'AUTH_INVALID' }, 'the enrolment code is spent');
+  assert.ok(login({ email: 'admin@smith.test', password: PASSWORD, totp: totpCode(secret, now + 1) }, store).token);
+
+  logout(session.token, store);
+  assert.equal(sessionAuth(session.token, store), null);
+  assert.throws(() => changePassword(admin.id, { current_password: 'nope', new_password: 'another long password' }, store), { code: 'AUTH_INVALID' });
+});
+
+test('roles decide what a user or key can do', () => {
+  assert.deepEqual(['packs:create', 'cases:review', 'cases:note', 'audit:read', 'org:admin'].map(p => can({ role: 'preparer' }, p)), [true, false, true, false, false]);
+  assert.deepEqual(['packs:create', 'cases:review', 'reviews:record'].map(p => can({ role: 'reviewer' }, p)), [false, true, true]);
+  assert.deepEqual(['packs:read', 'packs:create', 'cases:note', 'audit:read'].map(p => can({ role: 'auditor' }, p)), [true, false, false, true]);
+  assert.equal(can(null, 'packs:read'), false);
+});
+
+test('users: one email each, disabled users are signed out, the last admin stays', () => {
+  const store = createAccountStore({ backend: 'memory' });
+  const { org: o, admin } = org(store);
+  assert.throws(() => createUser(o.id, { email: 'admin@smith.test', password: PASSWORD, role: 'preparer' }, store), { code: 'ACCOUNT_EXISTS' });
+  assert.throws(() => createUser(o.id, { email: 'p@smith.test', password: 'short', role: 'preparer' }, store), { code: 'ACCOUNT_INVALID' });
+  const prep = createUser(o.id, { email: 'p@smith.test', password: PASSWORD, role: 'preparer' }, store);
+  const { token } = login({ email: 'p@smith.test', password: PASSWORD }, store);
+  updateUser(o.id, prep.id, { disabled: true }, store);
+  assert.equal(sessionAuth(token, store), null);
+  assert.throws(() => login({ email: 'p@smith.test', password: PASSWORD }, store), { code: 'AUTH_INVALID' });
+
+  for (const change of [() => updateUser(o.id, admin.id, { role: 'reviewer' }, store), () => updateUser(o.id, admin.id, { disabled: true }, store), () => deleteUser(o.id, admin.id, store)]) {
+    assert.throws(change, { code: 'ACCOUNT_INVALID', message: 'An organisation needs at least one admin' });
+  }
+  const second = createUser(o.id, { email: 'b@smith.test', password: PASSWORD, role: 'admin' }, store);
+  deleteUser(o.id, admin.id, store);
+  assert.deepEqual(listUsers(o.id, store).map(u => u.email), ['b@smith.test', 'p@smith.test']);
+  assert.throws(() => updateUser(o.id, second.id, { disabled: true }, store), { code: 'ACCOUNT_INVALID' });
+
+  const other = org(store, 'Other', 'x@other.test');
+  assert.throws(() => updateUser(other.org.id, second.id, { role: 'auditor' }, store), { code: 'ACCOUNT_NOT_FOUND' });
+});
+
+test('API keys are shown once, checked in full and revocable', () => {
+  const store = createAccountStore({ backend: 'memory' });
+  const { org: o } = org(store);
+  assert.throws(() => createApiKey(o.id, { name: 'root', role: 'admin' }, 'admin', store), { code: 'ACCOUNT_INVALID' });
+  const created = createApiKey(o.id, { name: 'nightly' }, 'admin@smith.test', store);
+  assert.match(created.key, /^trk_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+  assert.equal('secret_hash' in created, false);
+  assert.deepEqual(apiKeyAuth(created.key, store), { via: 'api_key', org_id: o.id, key_id: created.id, role: 'preparer', actor: 'api-key:nightly' });
+  assert.equal(apiKeyAuth(created.key.slice(0, -1) + (created.key.endsWith('A') ? 'B' : 'A'), store), null);
+  assert.equal(apiKeyAuth('trk_nope', store), null);
+  revokeApiKey(o.id, created.id, 'admin@smith.test', store);
+  assert.equal(apiKeyAuth(created.key, store), null);
+});
+
+test('over HTTP: uploads need a key, packs stay with their org, /verify stays public', async () => {
+  const server = await startServer({ ADMIN_TOKEN: 'operator-token-for-tests' });
+  const call = (path, { key, ...init } = {}) => fetch(server.origin + path, { redirect: 'manual', ...init, headers: { ...init.headers, ...(key ? { Authorization: `Bearer ${key}` } : {}) } });
+  const json = (path, body, key) => call(path, { key, method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  try {
+    const newOrg = async (name, email) => {
+      const res = await json('/api/admin/orgs', { name, admin_email: email, admin_password: PASSWORD }, 'operator-token-for-tests');
+      assert.equal(res.status, 201);
+      const login = await json('/api/auth/login', { email, password: PASSWORD });
+      const cookie = login.headers.get('set-cookie').split(';')[0];
+      const keys = async role => (await (await call('/api/org/keys', { method: 'POST', headers: { Cookie: cookie, 'Content-Type': 'application/json' }, body: JSON.stringify({ name: role, role }) })).json()).key;
+      return { preparer: await keys('preparer'), auditor: await keys('auditor') };
+    };
+    const a = await newOrg('Org A', 'a@a.test');
+    const b = await newOrg('Org B', 'b@b.test');
+
+    const form = (clients = CLIENTS_CSV) => {
+      const f = new FormData();
+      f.append('clients', new Blob([clients]), 'clients.csv');
+      f.append('transactions', new Blob([TRANSACTIONS_CSV]), 'transactions.csv');
+      return f;
+    };
+    assert.equal((await call('/upload', { method: 'POST', body: form() })).status, 401);
+    assert.equal((await call('/upload', { key: a.auditor, method: 'POST', body: form() })).status, 403);
+    const up = await call('/upload?wait=1', { key: a.preparer, method: 'POST', body: form() });
+    assert.equal(up.status, 200);
+    const token = new URL((await up.json()).download_url).pathname.split('/').pop();
+    const bad = await call('/upload?wait=1', { key: a.preparer, method: 'POST', body: form('client_id,name\n"C-001,unterminated\n') });
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).error, /^Clients: /);
+
+    assert.equal((await call(`/verify/${token}`)).status, 200);
+    const anonymous = await call(`/download/${token}`);
+    assert.deepEqual([anonymous.status, anonymous.headers.get('location')], [302, `/login?next=%2Fdownload%2F${token}`]);
+    assert.equal((await call(`/download/${token}`, { key: b.preparer })).status, 404);
+    const own = await call(`/download/${token}`, { key: a.auditor });
+    assert.deepEqual([own.status, own.headers.get('content-type')], [200, 'application/zip']);
+    assert.equal(Buffer.from(await own.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { recordAudit, recordRulesetInUse, auditHead, exportAudit, verifyAuditChain, auditCsv, SYSTEM_CHAIN } from '../lib/audit.js';
+import { GENESIS_HASH } from '../lib/audit-chain.js';
+import { createAuditStore, auditStore } from '../lib/audit-store.js';
+import { evidencePack } from './evidence.js';
+
+const CLI = fileURLToPath(new URL('../bin/trancheready.js', import.meta.url));
+const ORG = 'org_2200000000000000';
+
+function fill(store, n = 3) {
+  for (let i = 0; i < n; i++) recordAudit({ org_id: ORG, actor: 'a@a.test', ip: '10.0.0.1', action: 'case.note', subject: `case_${i}`, detail: { i } }, store);
+}
+
+test('entries are chained per organisation', () => {
+  const store = createAuditStore({ backend: 'memory' });
+  fill(store);
+  recordAudit({ action: 'country_list.saved', subject: 'corridor' }, store);
+  const entries = store.list(ORG);
+  assert.deepEqual(entries.map(e => e.seq), [1, 2, 3]);
+  assert.equal(entries[0].prev_hash, GENESIS_HASH);
+  assert.equal(entries[2].prev_hash, entries[1].hash);
+  assert.deepEqual(auditHead(ORG, store), { chain: ORG, seq: 3, hash: entries[2].hash });
+  assert.equal(auditHead(null, store).chain, SYSTEM_CHAIN);
+  assert.equal(auditHead('org_ffffffffffffffff', store), null);
+  assert.deepEqual(verifyAuditChain(ORG, store), { ok: true, entries: 3, first_seq: 1, last_seq: 3, head_hash: entries[2].hash, errors: [] });
+});
+
+test('edits, removals and damaged lines break the chain where they happen', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  try {
+    const store = createAuditStore({ backend: 'fs', location: dir });
+    fill(store, 4);
+    const file = path.join(dir, `${ORG}.jsonl`);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+
+    const edited = JSON.parse(lines[1]);
+    edited.actor = 'someone-else';
+    fs.writeFileSync(file, [lines[0], JSON.stringify(edited), ...lines.slice(2)].join('\n') + '\n');
+    assert.deepEqual(verifyAuditChain(ORG, createAuditStore({ backend: 'fs', location: dir })).errors, [{ seq: 2, reason: 'hash does not match the entry content' }]);
+
+    fs.writeFileSync(file, [lines[0], ...lines.slice(2)].join('\n') + '\n');
+    assert.deepEqual(verifyAuditChain(ORG, createAuditStore({ backend: 'fs', location: dir })).errors, [
+      { seq: 3, reason: 'expected seq 2' }, { seq: 3, reason: 'prev_hash does not match the entry before it' }
+    ]);
+
+    fs.writeFileSync(file, [lines[0], '{"seq":2,', ...lines.slice(2)].join('\n') + '\n');
+    const damaged = verifyAuditChain(ORG, createAuditStore({ backend: 'fs', location: dir }));
+    assert.deepEqual(damaged.errors[0], { seq: 2, reason: 'entry 2 is unreadable' });
+    assert.equal(damaged.ok, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('exports cover a date range and can be checked offline', async () => {
+  const store = createAuditStore({ backend: 'memory' });
+  fill(store, 3);
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal(exportAudit(ORG, { from: today, to: today }, store).entries.length, 3);
+  assert.equal(exportAudit(ORG, { to: '2000-01-01' }, store).entries.length, 0);
+  const exported = exportAudit(ORG, {}, store);
+  assert.deepEqual(exported.head, { seq: 3, hash: exported.entries[2].hash });
+
+  const csv = parseCsv(auditCsv(exported.entries));
+  assert.deepEqual(csv[0], ['seq', 'at', 'chain', 'actor', 'ip', 'action', 'subject', 'detail', 'prev_hash', 'hash']);
+  assert.deepEqual(JSON.parse(csv[1][7]), { i: 0 });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-cli-test-'));
+  const cli = args => new Promise(resolve => execFile(process.execPath, [CLI, 'audit', ...args], (err, stdout) => resolve({ code: err ? err.code : 0, stdout })));
+  try {
+    const file = path.join(dir, 'export.json');
+    fs.writeFileSync(file, JSON.stringify(exported));
+    const ok = await cli([file, '--head', exported.head.hash, '--json']);
+    assert.equal(ok.code, 0);
+    assert.deepEqual(JSON.parse(ok.stdout).heads, [{ hash: exported.head.hash, found: true }]);
+    assert.equal((await cli([file, '--head', 'f'.repeat(64)])).code, 1);
+
+    exported.entries[1].detail.i = 99;
+    fs.writeFileSync(file, JSON.stringify(exported));
+    assert.equal((await cli([file])).code, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('ruleset activations are recorded once per ruleset file', () => {
+  const store = createAuditStore({ backend: 'memory' });
+  const ruleset = { id: 'dnfbp-2026.11', version: '2026.11.0', sha256: 'a'.repeat(64) };
+  assert.equal(recordRulesetInUse(ruleset, store).detail.previous, null);
+  assert.equal(recordRulesetInUse(ruleset, store), null);
+  const next = recordRulesetInUse({ ...ruleset, version: '2026.11.1', sha256: 'b'.repeat(64) }, store);
+  assert.deepEqual(next.detail.previous, { id: 'dnfbp-2026.11', version: '2026.11.0', sha256: 'a'.repeat(64) });
+});
+
+test('a run records the upload and the pack, and the manifest carries the chain head', async () => {
+  const { manifest, token } = await evidencePack({ orgId: ORG });
+  const entries = auditStore.list(ORG);
+  assert.deepEqual(entries.map(e => e.action), ['upload', 'pack.created']);
+  const [upload, created] = entries;
+  assert.deepEqual(upload.detail.inputs.map(i => [i.role, i.name, i.sha256.length]), [['clients', 'clients.csv', 64], ['transactions', 'transactions.csv', 64]]);
+  assert.equal(created.subject, token);
+  assert.match(created.detail.manifest_sha256, /^[0-9a-f]{64}$/);
+  // The head the pack vouches for is the chain as it stood before pack.created.
+  assert.deepEqual(manifest.audit, { chain: ORG, seq: 1, hash: upload.hash });
+  assert.equal(verifyAuditChain(ORG).ok, true);
+});
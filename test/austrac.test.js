@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { XMLParser } from 'fast-xml-parser';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { isTtrTransaction, ttrDraft, smrDrafts, austracFiles, TTR_COLUMNS } from '../lib/austrac.js';
+import { cfg } from '../lib/config.js';
+import { evaluateRuleset } from '../lib/engine.js';
+import { loadRuleset } from '../lib/ruleset.js';
+import { sha256Hex } from '../lib/manifest.js';
+import { evidencePack } from './evidence.js';
+
+const lookback = { start: '2025-01-01', end: '2025-12-31' };
+const tx = over => ({ tx_id: 'T1', client_id: 'C1', date: '2025-10-01', amount: 15000, currency: 'USD', amount_aud: 22500, direction: 'in', method: 'cash', counterparty_name: 'Teller', counterparty_country: 'AU', matter_id: 'M-1', ...over });
+const client = { client_id: 'C1', full_name: 'Jane Smith', dob: '1982-05-21', residency_country: 'AU' };
+
+test('TTRs are cash at or over A$10,000 inside the lookback', () => {
+  assert.equal(isTtrTransaction(tx({ amount_aud: 10000 }), lookback), true);
+  assert.equal(isTtrTransaction(tx({ amount_aud: 9999.99 }), lookback), false);
+  assert.equal(isTtrTransaction(tx({ method: 'eft' }), lookback), false);
+  assert.equal(isTtrTransaction(tx({ date: '2024-12-31' }), lookback), false);
+  assert.equal(isTtrTransaction(tx({ amount_aud: null }), null), false);
+});
+
+test('a TTR draft is prefilled from the transaction and client, and lists what is left to fill in', () => {
+  const saved = { name: cfg.AUSTRAC_REPORTING_ENTITY_NAME, id: cfg.AUSTRAC_REPORTING_ENTITY_ID };
+  try {
+    Object.assign(cfg, { AUSTRAC_REPORTING_ENTITY_NAME: 'Smith Legal', AUSTRAC_REPORTING_ENTITY_ID: '12345' });
+    const d = ttrDraft(tx(), client);
+    assert.equal(d.draft_status, 'DRAFT - NOT LODGED');
+    assert.match(d.report_reference, /^TTR-[0-9a-f]{16}$/);
+    assert.equal(d.report_reference, ttrDraft(tx(), client).report_reference, 'references are stable');
+    assert.deepEqual([d.customer_full_name, d.cash_amount_aud, d.foreign_currency, d.transaction_type], ['Jane Smith', 22500, 'Y', 'Cash deposit / payment in']);
+    assert.equal(d.fields_to_complete, 'designated_service; customer_address; customer_occupation; customer_id_document');
+    assert.match(ttrDraft(tx(), undefined).fields_to_complete, /customer_full_name; customer_dob/);
+  } finally {
+    Object.assign(cfg, { AUSTRAC_REPORTING_ENTITY_NAME: saved.name, AUSTRAC_REPORTING_ENTITY_ID: saved.id });
+  }
+});
+
+test('SMRs come from structuring and large_domestic cases only', () => {
+  const samples = [tx({ tx_id: 'T2', date: '2025-09-16', amount: 9750, currency: 'AUD', amount_aud: 9750 }), tx({ date: '2025-09-14', amount: 9800, currency: 'AUD', amount_aud: 9800 })];
+  const transactions = { count: 2, total_aud: 19550, first_date: '2025-09-14', last_date: '2025-09-16' };
+  const cases = [
+    { case_id: 'case_0123456789abcdef0123', type: 'structuring', client_id: 'C1', rule_id: 'structuring', rule: 'Cash under the threshold', transactions, samples },
+    { case_id: 'case_ffffffffffffffffffff', type: 'corridor', client_id: 'C1', rule_id: 'hk', rule: 'Wires to HK', transactions, samples }
+  ];
+  const scores = [{ client_id: 'C1', score: 40, band: 'High', reasons: [{ text: 'Cash structuring' }, { text: 'Shared payee', type: 'context' }] }];
+  const [smr, ...rest] = smrDrafts(cases, [client], scores);
+  assert.equal(rest.length, 0);
+  assert.deepEqual([smr.report_reference, smr.suspicion_categories], ['SMR-0123456789abcdef0123', 'Avoiding reporting obligations (structuring)']);
+  assert.deepEqual([smr.transaction_count, smr.total_amount_aud, smr.first_transaction_date, smr.last_transaction_date], [2, 19550, '2025-09-14', '2025-09-16']);
+  assert.match(smr.grounds_for_suspicion, /Client risk High \(40\): Cash structuring\./);
+  assert.ok(!smr.grounds_for_suspicion.includes('Shared payee'), 'context reasons are not grounds');
+});
+
+test('SMR totals cover every transaction behind the case, not just the samples', () => {
+  const deposits = Array.from({ length: 8 }, (_, i) => tx({ tx_id: `D${i + 1}`, date: `2025-09-1${i}`, amount: 9700, currency: 'AUD', amount_aud: 9700 }));
+  const { scores, cases } = evaluateRuleset(loadRuleset('dnfbp-2026.11'), [client], deposits, { ...lookback, months: 12, anchor: 'as_of' });
+  const structuring = cases.find(c => c.type === 'structuring');
+  assert.equal(structuring.samples.length, 5);
+  assert.deepEqual(structuring.transactions, { count: 8, total_aud: 77600, first_date: '2025-09-10', last_date: '2025-09-17' });
+
+  const [smr] = smrDrafts([structuring], [client], scores);
+  assert.deepEqual([smr.transaction_count, smr.total_amount_aud, smr.first_transaction_date, smr.last_transaction_date], [8, 77600, '2025-09-10', '2025-09-17']);
+  assert.match(smr.grounds_for_suspicion, /8 transaction\(s\) totalling A\$77,600 from 2025-09-10 to 2025-09-17: .*D5 .*; and 3 more\./);
+  assert.match(smr.transactions, /; and 3 more$/);
+});
+
+test('CSV and XML files carry the same drafts, formulas neutralised', () => {
+  const ttr = ttrDraft(tx({ counterparty_name: '=HYPERLINK("http://x")' }), client);
+  const files = austracFiles({ ttrs: [ttr], smrs: [], generatedUtc: '2025-10-06T00:00:00.000Z' });
+  const [header, row] = parseCsv(files['austrac/ttr-drafts.csv']);
+  assert.deepEqual(header, TTR_COLUMNS);
+  assert.equal(row[TTR_COLUMNS.indexOf('other_party_name')], '\'=HYPERLINK("http://x")');
+
+  const xml = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_' }).parse(files['austrac/ttr-drafts.xml'].toString());
+  assert.equal(xml.ttrDraftList['@_status'], 'DRAFT');
+  assert.equal(xml.ttrDraftList.header.reportCount, 1);
+  assert.equal(xml.ttrDraftList.ttr['@_reference'], ttr.report_reference);
+  assert.deepEqual(xml.ttrDraftList.ttr.transaction.totalAmount, { '#text': 15000, '@_currency': 'USD' });
+
+  // Written even when nothing is due.
+  assert.equal(parseCsv(files['austrac/smr-drafts.csv']).length, 1);
+  assert.match(files['austrac/smr-drafts.xml'].toString(), /<reportCount>0<\/reportCount>/);
+});
+
+test('the drafts are packed and hashed in the manifest', async () => {
+  const { result, zip, manifest } = await evidencePack({ orgId: 'org_1600000000000000' });
+  assert.deepEqual(result.austrac, { ttr_drafts: 1, smr_drafts: 1 });
+  const entries = new AdmZip(zip);
+  for (const name of ['austrac/ttr-drafts.csv', 'austrac/ttr-drafts.xml', 'austrac/smr-drafts.csv', 'austrac/smr-drafts.xml']) {
+    assert.equal(manifest.files.find(f => f.name === name)?.sha256, sha256Hex(entries.readFile(name)), name);
+  }
+  const [, ttr] = parseCsv(entries.readFile('austrac/ttr-drafts.csv'));
+  assert.deepEqual([ttr[TTR_COLUMNS.indexOf('transaction_reference')], ttr[TTR_COLUMNS.indexOf('cash_amount_aud')]], ['T-3001', '20000']);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRuleset } from '../lib/engine.js';
+import { loadRuleset, parseRuleset } from '../lib/ruleset.js';
+
+// The shipped ruleset's behaviour rules, uncapped so every hit shows in the score.
+const BEHAVIOUR = ['rapid_in_out', 'round_amounts', 'volume_spike', 'dormant_reactivation', 'many_counterparties', 'network_link'];
+const shipped = loadRuleset('dnfbp-2026.11');
+const ruleset = parseRuleset(JSON.stringify({
+  ...JSON.parse(JSON.stringify(shipped)),
+  families: { behavior: { cap: 100 } },
+  rules: shipped.rules.filter(r => BEHAVIOUR.includes(r.id))
+}));
+const lookback = { start: '2025-01-01', end: '2025-12-31', months: 12, anchor: 'as_of' };
+
+let n = 0;
+const tx = (client_id, date, amount, over = {}) => ({ tx_id: `T${++n}`, client_id, date, amount, currency: 'AUD', direction: 'in', method: 'eft', counterparty_name: `${client_id} payer`, counterparty_country: 'AU', ...over });
+
+function evaluate(txs) {
+  const ids = [...new Set(txs.map(t => t.client_id))];
+  const { scores, cases } = evaluateRuleset(ruleset, ids.map(client_id => ({ client_id })), txs, lookback);
+  return Object.fromEntries(ids.map(id => [id, {
+    score: scores.find(s => s.client_id === id),
+    rules: scores.find(s => s.client_id === id).reasons.map(r => r.rule_id),
+    cases: cases.filter(c => c.client_id === id)
+  }]));
+}
+
+test('rapid in-out pairs cash in with a similar wire out inside the window', () => {
+  const r = evaluate([
+    tx('A', '2025-03-01', 20050, { method: 'cash' }),
+    tx('A', '2025-03-04', 19050, { direction: 'out', method: 'wire', counterparty_name: 'Offshore A' }),
+    tx('A', '2025-06-01', 8050, { method: 'cash' }),
+    tx('A', '2025-06-02', 6050, { direction: 'out', method: 'eft', counterparty_name: 'Too different' }),
+    tx('A', '2025-06-20', 8050, { direction: 'out', method: 'eft', counterparty_name: 'Too late' })
+  ]).A;
+  assert.deepEqual(r.rules, ['rapid_in_out']);
+  const reason = r.score.reasons[0];
+  assert.equal(reason.text, 'Rapid in-out: 1 cash deposit(s) moved out by wire/EFT within 5 days for a similar amount (±10%, A$20,050)');
+  assert.deepEqual([reason.family, reason.points, reason.tx_ids], ['behavior', 15, ['T1', 'T2']]);
+  const [c] = r.cases;
+  assert.deepEqual([c.type, c.pairs, c.samples.map(s => s.tx_id)], ['rapid_in_out', [{ in_tx_id: 'T1', out_tx_id: 'T2', days: 3 }], ['T1', 'T2']]);
+  assert.match(c.case_id, /^case_[0-9a-f]{20}$/);
+});
+
+test('round amounts need enough of them and a large enough share', () => {
+  const r = evaluate([
+    ...[7000, 12000, 25000, 6150].map((a, i) => tx('R', `2025-0${i + 2}-01`, a)),
+    ...[7000, 12000, 6150, 8333].map((a, i) => tx('S', `2025-0${i + 2}-01`, a))
+  ]);
+  assert.deepEqual(r.R.rules, ['round_amounts']);
+  assert.match(r.R.score.reasons[0].text, /^Round amounts: 3 of 4 transactions .* whole multiples of 1000 \(75%\)$/);
+  assert.deepEqual(r.S.rules, []);
+});
+
+test('a volume spike is measured against the client\'s own earlier windows', () => {
+  const baseline = ['2025-09-15', '2025-10-15', '2025-11-15'].map(d => tx('V', d, 2150));
+  const r = evaluate([...baseline, tx('V', '2025-12-10', 15500), tx('V', '2025-12-20', 14500)]).V;
+  assert.deepEqual(r.rules, ['volume_spike']);
+  assert.equal(r.score.reasons[0].text, 'Volume spike: A$30,000 in 30 days (2025-12-10 to 2025-12-20), 14.0× the prior 3-window average of A$2,150');
+  assert.equal(r.cases[0].samples.length, 2);
+
+  // Without a baseline of three earlier transactions a first big month is not a spike.
+  assert.deepEqual(evaluate([tx('W', '2025-11-15', 2150), tx('W', '2025-12-10', 30500)]).W.rules, []);
+});
+
+test('dormant accounts reactivating with enough money', () => {
+  const r = evaluate([tx('D', '2025-01-10', 500), tx('D', '2025-08-01', 6050), tx('D', '2025-08-20', 4050), tx('D', '2025-10-01', 100)]).D;
+  assert.deepEqual(r.rules, ['dormant_reactivation']);
+  assert.equal(r.score.reasons[0].text, 'Dormant reactivation: no activity for 203 days, then 2 transaction(s) totalling A$10,100 from 2025-08-01');
+  assert.deepEqual(r.cases[0].samples.map(s => s.date), ['2025-08-01', '2025-08-20']);
+  assert.deepEqual(evaluate([tx('E', '2025-01-10', 500), tx('E', '2025-08-01', 9050)]).E.rules, []);
+});
+
+test('many distinct payees within a week', () => {
+  const pay = (c, k, day) => tx(c, `2025-05-0${day}`, 700, { direction: 'out', counterparty_name: `${c} payee ${k}` });
+  const r = evaluate([...[1, 2, 3, 4, 5].map(k => pay('P', k, k)), pay('P', 1, 6), ...[1, 2, 3, 4].map(k => pay('Q', k, k))]);
+  assert.deepEqual(r.P.rules, ['many_counterparties']);
+  assert.equal(r.P.score.reasons[0].text, 'Counterparty velocity: payments to 5 distinct counterparties within 7 days (2025-05-01 to 2025-05-05)');
+  assert.deepEqual(r.Q.rules, []);
+});
+
+test('a counterparty shared across clients links them, whatever its spelling', () => {
+  const r = evaluate([
+    tx('L1', '2025-04-01', 300, { direction: 'out', method: 'wire', counterparty_name: 'Harbour Holdings' }),
+    tx('L2', '2025-04-02', 300, { direction: 'out', counterparty_name: 'HARBOUR  HOLDINGS.' }),
+    tx('L3', '2025-04-03', 300, { direction: 'out', method: 'cash', counterparty_name: 'Harbour Holdings' })
+  ]);
+  assert.deepEqual([r.L1.rules, r.L2.rules, r.L3.rules], [['network_link'], ['network_link'], []]);
+  assert.equal(r.L1.score.reasons[0].text, 'Shared counterparty: Harbour Holdings also transacts with 1 other client(s) (L2); 1 shared counterparties in total');
+  assert.deepEqual(r.L2.cases[0].links.map(l => l.clients), [['L1']]);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { recordCases, listCases, getCase, setStatus, assignCase, addNote } from '../lib/case-workflow.js';
+import { createCaseStore, caseStore } from '../lib/case-store.js';
+import { evidencePack, CLIENTS_CSV, TRANSACTIONS_CSV } from './evidence.js';
+
+const raised = (id, over = {}) => ({ case_id: id, type: 'structuring', client_id: 'C1', rule_id: 'structuring', rule: 'Cash under A$10,000', samples: [{ tx_id: 'T1' }], amount_total: 39250, ...over });
+
+test('a case moves open → under review → closed, with rationale and history', () => {
+  const store = createCaseStore({ backend: 'memory' });
+  recordCases([raised('case_aaaaaaaa')], { ruleset_id: 'dnfbp-2026.11', token: 't1', at: '2025-10-01T00:00:00.000Z' }, store);
+  const c = getCase('case_aaaaaaaa', store);
+  assert.deepEqual([c.status, c.detail, c.next_statuses], ['open', { amount_total: 39250 }, ['under_review']]);
+
+  assert.throws(() => setStatus('case_aaaaaaaa', { status: 'closed_no_action', rationale: 'x' }, store), { code: 'CASE_TRANSITION' });
+  setStatus('case_aaaaaaaa', { status: 'under_review', by: 'ann' }, store);
+  assert.throws(() => setStatus('case_aaaaaaaa', { status: 'closed_no_action' }, store), { code: 'CASE_INVALID', message: /rationale is required to move a case to closed_no_action/ });
+  const closed = setStatus('case_aaaaaaaa', { status: 'closed_no_action', rationale: 'Payroll top-ups', by: 'ann' }, store);
+  assert.deepEqual([closed.disposition.status, closed.disposition.rationale, closed.disposition.by], ['closed_no_action', 'Payroll top-ups', 'ann']);
+  assert.deepEqual(closed.history.map(h => h.to), ['open', 'under_review', 'closed_no_action']);
+
+  assert.throws(() => setStatus('case_aaaaaaaa', { status: 'under_review' }, store), { message: /rationale is required to reopen a case/ });
+  const reopened = setStatus('case_aaaaaaaa', { status: 'under_review', rationale: 'New deposits' }, store);
+  assert.equal(reopened.disposition, null);
+});
+
+test('assignees, notes and input checks', () => {
+  const store = createCaseStore({ backend: 'memory' });
+  recordCases([raised('case_bbbbbbbb')], {}, store);
+  assert.equal(assignCase('case_bbbbbbbb', { assignee: 'ann', by: 'bob' }, store).assignee, 'ann');
+  assert.equal(assignCase('case_bbbbbbbb', { assignee: '' }, store).assignee, null);
+  const noted = addNote('case_bbbbbbbb', { text: '  Called the client  ', author: 'ann' }, store);
+  assert.deepEqual(noted.notes.map(n => [n.author, n.text]), [['ann', 'Called the client']]);
+
+  assert.throws(() => addNote('case_bbbbbbbb', { text: ' ' }, store), { code: 'CASE_INVALID', message: /^text:/ });
+  assert.throws(() => setStatus('case_bbbbbbbb', { status: 'done' }, store), { code: 'CASE_INVALID' });
+  assert.throws(() => assignCase('case_bbbbbbbb', { assignee: 'x', extra: 1 }, store), { code: 'CASE_INVALID' });
+  assert.throws(() => getCase('case_cccccccc', store), { code: 'CASE_NOT_FOUND' });
+});
+
+test('known cases keep their status; a re-raised case after closing points at the closed one', () => {
+  const store = createCaseStore({ backend: 'memory' });
+  recordCases([raised('case_aaaaaaaa'), raised('case_bbbbbbbb', { client_id: 'C2' })], { at: '2025-10-01T00:00:00.000Z' }, store);
+  setStatus('case_aaaaaaaa', { status: 'under_review' }, store);
+  setStatus('case_aaaaaaaa', { status: 'closed_no_action', rationale: 'Explained' }, store);
+
+  const again = recordCases([raised('case_aaaaaaaa', { samples: [{ tx_id: 'T2' }] }), raised('case_bbbbbbbb', { client_id: 'C2' }), raised('case_dddddddd')], { token: 't2', at: '2026-01-01T00:00:00.000Z' }, store);
+  assert.deepEqual(again, { new: ['case_dddddddd'], known: ['case_aaaaaaaa', 'case_bbbbbbbb'], previously_reviewed: ['case_aaaaaaaa'] });
+  const kept = getCase('case_aaaaaaaa', store);
+  assert.deepEqual([kept.status, kept.samples, kept.seen.length, kept.last_seen_utc], ['closed_no_action', [{ tx_id: 'T2' }], 2, '2026-01-01T00:00:00.000Z']);
+  assert.deepEqual(getCase('case_dddddddd', store).related, ['case_aaaaaaaa']);
+
+  const { cases, counts } = listCases({}, store);
+  assert.equal(cases.at(-1).case_id, 'case_aaaaaaaa', 'closed cases sort last');
+  assert.deepEqual([counts.open, counts.closed_no_action], [2, 1]);
+  assert.deepEqual(listCases({ status: 'open,under_review', client_id: 'C2' }, store).cases.map(c => c.case_id), ['case_bbbbbbbb']);
+});
+
+test('case ids are stable across uploads, so reviewed cases are not re-raised', async () => {
+  const orgId = 'org_1500000000000000';
+  const first = await evidencePack({ orgId });
+  assert.ok(first.result.cases.new > 0);
+  const store = caseStore.forOrg(orgId);
+  const [one] = listCases({}, store).cases;
+  setStatus(one.case_id, { status: 'under_review' }, store);
+
+  // Same facts, rows in another order, one unrelated transaction added.
+  const [head, ...rows] = TRANSACTIONS_CSV.trim().split('\n');
+  const shuffled = [head, ...rows.reverse(), 'T-9001,C-003,2025-10-04,50,AUD,in,eft,Payroll,AU,M-1'].join('\n') + '\n';
+  const second = await evidencePack({ orgId, clients: CLIENTS_CSV, transactions: shuffled });
+  assert.deepEqual(second.result.cases, { total: first.result.cases.total, new: 0, known: first.result.cases.total, previously_reviewed: 1 });
+  assert.equal(getCase(one.case_id, store).status, 'under_review');
+  assert.equal(listCases({}, caseStore.forOrg('org_1500000000000001')).cases.length, 0, 'other organisations see none of it');
+});
+
+test('the fs store keeps each organisation\'s cases apart on disk', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-store-test-'));
+  try {
+    const store = createCaseStore({ backend: 'fs', location: dir });
+    recordCases([raised('case_eeeeeeee')], {}, store.forOrg('org_aaaaaaaaaaaaaaaa'));
+    const reread = createCaseStore({ backend: 'fs', location: dir }).forOrg('org_aaaaaaaaaaaaaaaa');
+    assert.equal(getCase('case_eeeeeeee', reread).status, 'open');
+    assert.equal(store.forOrg('org_bbbbbbbbbbbbbbbb').get('case_eeeeeeee'), null);
+    assert.throws(() => store.forOrg('../etc'), /Invalid organisation id/);
+    assert.throws(() => reread.put({ case_id: '../x' }), /Invalid case id/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import AdmZip from 'adm-zip';
+import ejs from 'ejs';
+import { packClients, clientProfile } from '../lib/client-profile.js';
+import { zipNamedBuffers } from '../lib/zip.js';
+import { evidencePack, CLIENTS_CSV } from './evidence.js';
+
+const run = evidencePack({ lookbackMonths: 6 });
+
+test('the pack\'s clients are listed highest score first, with reason and case counts', async () => {
+  const { zip, manifest } = await run;
+  const pack = await packClients(zip);
+  assert.deepEqual(pack.lookback, manifest.lookback);
+  assert.deepEqual(pack.clients.map(c => [c.client_id, c.band, c.reasons, c.cases]),
+    [['C-002', 'High', 6, 2], ['C-001', 'High', 4, 3], ['C-004', 'Medium', 2, 2], ['C-005', 'Low', 1, 1], ['C-003', 'Low', 0, 0]]);
+  assert.equal(pack.clients[1].full_name, 'Jane Smith');
+  assert.equal(await packClients(new AdmZip().toBuffer()), null);
+});
+
+test('each reason links the transactions that triggered it', async () => {
+  const { zip } = await run;
+  const p = await clientProfile(zip, ' C-001 ');
+  assert.equal(p.client_id, 'C-001');
+  assert.deepEqual(p.profile.find(f => f.field === 'kyc_last_reviewed_at'), { field: 'kyc_last_reviewed_at', value: '2025-02-11' });
+  const txs = Object.fromEntries(p.reasons.map(r => [r.rule_id, r.txs.map(t => t.tx_id)]));
+  assert.deepEqual(txs, { higher_risk_services: [], structuring: ['T-1001', 'T-1002', 'T-1003', 'T-1004'], rapid_in_out: ['T-3001', 'T-3002'], network_link: ['T-3002'] });
+  assert.deepEqual(p.context.map(r => r.rule_id), ['network_context']);
+  assert.deepEqual(p.transactions.find(t => t.tx_id === 'T-3002').rules, ['rapid_in_out', 'network_link']);
+  assert.deepEqual(p.totals, { transactions: 6, in_window: 6, outside_window: 0, in_aud: 59250, out_aud: 19500, cash_aud: 59250, triggering: 6 });
+  assert.deepEqual(p.cases.map(c => c.rule_id), ['structuring', 'rapid_in_out', 'network_link']);
+  assert.equal(await clientProfile(zip, 'C-999'), null);
+});
+
+test('the timeline and table cover the lookback only, keeping triggering transactions when capped', async () => {
+  const { zip } = await run;
+  const quiet = await clientProfile(zip, 'C-003');
+  assert.deepEqual([quiet.totals.transactions, quiet.totals.outside_window], [2, 1]);
+  assert.deepEqual(quiet.transactions.map(t => t.tx_id), ['T-4002'], 'T-4001 predates the 6-month lookback');
+  assert.equal(quiet.chart.points.length, 1);
+
+  const full = await clientProfile(zip, 'C-004');
+  const triggering = full.transactions.filter(t => t.rules.length).map(t => t.tx_id);
+  assert.ok(triggering.length > 0 && triggering.length < full.transactions.length);
+  const capped = await clientProfile(zip, 'C-004', { maxRows: triggering.length });
+  assert.deepEqual(capped.transactions.map(t => t.tx_id), triggering);
+  assert.equal(capped.transactions_omitted, full.transactions.length - triggering.length);
+
+  const { chart } = full;
+  assert.ok(chart.points.every(pt => pt.x >= chart.left && pt.x <= chart.width - chart.right && pt.y >= chart.top && pt.y <= chart.height - chart.bottom));
+  const firstHit = chart.points.findIndex(pt => pt.triggered);
+  assert.ok(chart.points.slice(firstHit).every(pt => pt.triggered), 'triggering points are drawn last');
+  assert.deepEqual(chart.ticks.map(t => t.label), ['2025-05', '2025-06', '2025-07', '2025-08', '2025-09', '2025-10']);
+});
+
+test('packs without triggers.json fall back to the case samples', async () => {
+  const { zip } = await run;
+  const old = new AdmZip(zip);
+  old.deleteFile('triggers.json');
+  const p = await clientProfile(old.toBuffer(), 'C-001');
+  assert.equal(p.pack.triggers, 'case samples');
+  assert.deepEqual(p.reasons.find(r => r.rule_id === 'structuring').txs.map(t => t.tx_id), ['T-1001', 'T-1002', 'T-1003', 'T-1004']);
+});
+
+test('the client page escapes pack contents', async () => {
+  const { zip } = await evidencePack({ clients: CLIENTS_CSV.replace('Jane Smith', '<img src=x onerror=alert(1)>') });
+  const p = await clientProfile(zip, 'C-001');
+  const view = fileURLToPath(new URL('../views/client.ejs', import.meta.url));
+  const html = await ejs.renderFile(view, { viewer: { actor: 'ann', role: 'analyst', org: 'Org', admin: false }, token: 'tok', p, cases: [], review: null });
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(html.includes('id="tx-T-1001"') && html.includes('href="#tx-T-1001"'));
+});
+
+test('a client with more transactions than fit in one call\'s arguments still gets a timeline', async () => {
+  const n = 150000;
+  const lookback = { start: '2025-01-01', end: '2025-12-31', months: 12, anchor: 'as_of' };
+  const rows = Array.from({ length: n }, (_, i) => JSON.stringify({ tx_id: `T${i}`, client_id: 'C1', date: `2025-${String(1 + (i % 12)).padStart(2, '0')}-15`, amount: i % 5000, currency: 'AUD', amount_aud: i % 5000, direction: 'in' }));
+  const zip = await zipNamedBuffers({
+    'manifest.json': Buffer.from(JSON.stringify({ created_utc: '2026-01-01T00:00:00.000Z', lookback })),
+    'scores.json': Buffer.from(JSON.stringify([{ client_id: 'C1', score: 0, band: 'Low', reasons: [] }])),
+    'transactions.json': Buffer.from(`[\n${rows.join(',\n')}\n]\n`)
+  });
+  const p = await clientProfile(zip, 'C1', { maxRows: 10 });
+  assert.equal(p.totals.transactions, n);
+  assert.equal(p.chart.points.length, 3000);
+  assert.equal(p.chart.yTicks.at(-1).label, '4,999');
+  assert.equal(p.transactions.length, 10);
+});
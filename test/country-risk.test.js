@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCountryList, countryListsAt, countryListsRecorded, countryListVersions, saveCountryList } from '../lib/countryRisk.js';
+import { evaluateRuleset } from '../lib/engine.js';
+import { loadRuleset, parseRuleset } from '../lib/ruleset.js';
+import { evidencePack } from './evidence.js';
+
+const version = (over = {}) => ({ list: 'very_high_risk', version: '2026-02', effective_from: '2026-02-20', source: 'FATF, February 2026 (test)', countries: ['IR', 'KP', 'RU', 'mm', 'MM'], ...over });
+
+test('each list is used at the version in effect on the lookback end', () => {
+  const mid = countryListsAt('2025-08-01');
+  assert.deepEqual(mid.versions.map(v => [v.list, v.version, v.in_effect]), [['corridor', '2025-01-01', true], ['increased_monitoring', '2025-06-13', true], ['very_high_risk', '2025-06-13', true]]);
+  assert.deepEqual(mid.sources, { au_tranche2_context_as_at: '2025-01-01', fatf_grey_list_as_at: '2025-06-13', fatf_call_for_action_as_at: '2025-06-13' });
+  assert.equal(countryListsAt('2025-10-24').versions.find(v => v.list === 'very_high_risk').version, '2025-10-24');
+
+  // Before any version took effect, the earliest is used and says so.
+  const early = countryListsAt('2024-12-31').versions.find(v => v.list === 'corridor');
+  assert.deepEqual([early.version, early.in_effect], ['2025-01-01', false]);
+  assert.match(early.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('list files are validated', () => {
+  assert.deepEqual(parseCountryList(JSON.stringify(version())).countries, ['IR', 'KP', 'RU', 'MM']);
+  const invalid = [
+    [version({ countries: ['XX'] }), /countries\.0: Unknown country code XX/],
+    [version({ effective_from: '2026-13-01' }), /effective_from is not a date/],
+    [version({ effective_from: '2026-02-30' }), /effective_from is not a date/],
+    [version({ list: 'Very High' }), /list must be lower-case/],
+    [version({ extra: 1 }), /Unrecognized key/],
+    ['{', /not valid JSON/]
+  ];
+  for (const [raw, message] of invalid) {
+    assert.throws(() => parseCountryList(typeof raw === 'string' ? raw : JSON.stringify(raw)), { code: 'COUNTRY_LIST_INVALID', message });
+  }
+});
+
+test('uploaded versions take effect on their date and never replace one', () => {
+  const saved = saveCountryList(JSON.stringify(version()));
+  assert.equal(saved.builtin, false);
+  assert.ok(countryListVersions().get('very_high_risk').some(v => v.version === '2026-02'));
+  assert.ok(!countryListsAt('2026-02-19').lists.very_high_risk.includes('MM'));
+  assert.ok(countryListsAt('2026-02-20').lists.very_high_risk.includes('MM'));
+
+  assert.throws(() => saveCountryList(JSON.stringify(version({ countries: ['IR'] }))), { code: 'COUNTRY_LIST_EXISTS' });
+  assert.throws(() => saveCountryList(JSON.stringify(version({ version: '2025-06-13' }))), { code: 'COUNTRY_LIST_EXISTS' });
+
+  // Re-runs use exactly what a pack recorded, and say when this server doesn't have it.
+  const recorded = countryListsAt('2026-03-01').versions;
+  assert.deepEqual(countryListsRecorded(recorded).missing, []);
+  const changed = countryListsRecorded(recorded.map(v => v.list === 'corridor' ? { ...v, sha256: '0'.repeat(64) } : v));
+  assert.deepEqual(changed.missing.map(m => [m.list, m.version, m.local_sha256 === recorded[0].sha256]), [['corridor', '2025-01-01', true]]);
+  assert.equal(changed.lists.corridor, undefined);
+});
+
+test('residency on a list scores in the profile family, naming the list version', () => {
+  const shipped = loadRuleset('dnfbp-2026.11');
+  const ruleset = parseRuleset(JSON.stringify({ ...JSON.parse(JSON.stringify(shipped)), rules: shipped.rules.filter(r => r.kind === 'residency_list') }));
+  const lookback = { start: '2025-01-01', end: '2025-09-30', months: 9, anchor: 'as_of' };
+  const clients = [{ client_id: 'A', residency_country: 'ir' }, { client_id: 'B', residency_country: 'TR' }, { client_id: 'C', residency_country: 'AU' }];
+  const { scores, rulesMeta } = evaluateRuleset(ruleset, clients, [], lookback);
+  assert.deepEqual(scores[0].reasons.map(r => [r.family, r.points, r.text]), [['profile', 15, 'Resident in IR, on FATF call-for-action (very_high_risk 2025-06-13)']]);
+  assert.deepEqual(scores[1].reasons.map(r => r.rule_id), ['residency_increased_monitoring']);
+  assert.deepEqual(scores[2].reasons, []);
+  assert.deepEqual(rulesMeta.country_lists.map(v => v.version), ['2025-01-01', '2025-06-13', '2025-06-13']);
+});
+
+test('the manifest records the version and hash of each list used', async () => {
+  const { manifest } = await evidencePack({ orgId: 'org_2000000000000000' });
+  const expected = countryListsAt(manifest.lookback.end).versions;
+  assert.deepEqual(manifest.country_lists.map(v => [v.list, v.version, v.sha256]), expected.map(v => [v.list, v.version, v.sha256]));
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRuleset, hasNInWindow } from '../lib/engine.js';
+import { loadRuleset, parseRuleset } from '../lib/ruleset.js';
+
+const lookback = { start: '2024-01-01', end: '2024-12-31', months: 12, anchor: 'latest_transaction' };
+
+const ruleset = parseRuleset(JSON.stringify({
+  id: 'test', version: '1', lookback_months: 12,
+  bands: [{ band: 'High', min: 30 }, { band: 'Medium', min: 15 }, { band: 'Low', min: 0 }],
+  families: { profile: { cap: 20 }, behavior: { cap: 25 } },
+  rules: [
+    { id: 'pep_flag', family: 'profile', kind: 'flag', points: 30, params: { field: 'pep_flag' }, text: 'PEP flag present' },
+    { id: 'kyc_stale', family: 'profile', kind: 'kyc_age', points: 10, params: { min_months: 12 }, text: 'KYC {months} months old' },
+    { id: 'services', family: 'profile', kind: 'pattern', points: 8, params: { field: 'services', pattern: 'remittance' }, text: 'Remittance' },
+    { id: 'non_resident', family: 'profile', kind: 'non_resident', points: 6, text: 'Non-resident ({country})' },
+    { id: 'structuring', family: 'behavior', kind: 'window_count', points: 25,
+      params: { match: { direction: 'in', method: 'cash', amount: { min: 9600, max: 9999 } }, count: 4, window_days: 7 },
+      text: 'Structuring', case: { type: 'structuring', text: '≥4 cash deposits within 7 days' } },
+    { id: 'large_domestic', family: 'behavior', kind: 'tx_count', points: 15,
+      params: { match: { direction: 'out', amount: { min: 100000 }, counterparty_country: { domestic: true } }, min_count: 1 },
+      text: 'Large domestic transfer', case: { type: 'large_domestic', text: 'Domestic transfer ≥ A$100k' } }
+  ]
+}));
+
+const tx = (client_id, date, amount, extra = {}) => ({ tx_id: `${client_id}-${date}-${amount}`, client_id, date, amount, currency: 'AUD', direction: 'in', method: 'cash', ...extra });
+const run = (clients, txs) => evaluateRuleset(ruleset, clients, txs, lookback);
+
+test('profile rules score within the family cap and pick the band', () => {
+  const { scores } = run([{ client_id: 'C1', pep_flag: 'yes', kyc_last_reviewed_at: '2023-01-01', services: 'Remittance', residency_country: 'NZ' }], []);
+  const [s] = scores;
+  assert.deepEqual(s.reasons.map(r => r.rule_id), ['pep_flag', 'kyc_stale', 'services', 'non_resident']);
+  assert.equal(s.reasons[1].text, 'KYC 24 months old');
+  assert.equal(s.reasons[3].text, 'Non-resident (NZ)');
+  assert.equal(s.score, 20);
+  assert.equal(s.band, 'Medium');
+});
+
+test('a client with nothing to report scores zero in the lowest band', () => {
+  const { scores, cases } = run([{ client_id: 'C1', pep_flag: 'no', kyc_last_reviewed_at: '2024-06-01', residency_country: 'AU' }], []);
+  assert.deepEqual(scores, [{ client_id: 'C1', score: 0, band: 'Low', reasons: [] }]);
+  assert.deepEqual(cases, []);
+});
+
+test('window_count needs the count inside the window', () => {
+  const inWeek = ['2024-03-01', '2024-03-02', '2024-03-04', '2024-03-07'].map(d => tx('C1', d, 9800));
+  const hit = run([{ client_id: 'C1' }], inWeek);
+  assert.equal(hit.scores[0].score, 25);
+  assert.equal(hit.scores[0].band, 'Medium');
+  assert.deepEqual(hit.cases.map(c => [c.type, c.client_id, c.samples.length]), [['structuring', 'C1', 4]]);
+  assert.deepEqual(hit.scores[0].reasons[0].tx_ids, inWeek.map(t => t.tx_id));
+
+  const spread = ['2024-03-01', '2024-03-02', '2024-03-04', '2024-03-08'].map(d => tx('C1', d, 9800));
+  assert.equal(run([{ client_id: 'C1' }], spread).cases.length, 0);
+});
+
+test('tx_count matches direction, amount and domestic counterparties', () => {
+  const txs = [
+    tx('C1', '2024-05-01', 150000, { direction: 'out', method: 'eft', counterparty_country: 'AU' }),
+    tx('C2', '2024-05-01', 150000, { direction: 'out', method: 'eft', counterparty_country: 'SG' }),
+    tx('C3', '2024-05-01', 99999, { direction: 'out', method: 'eft', counterparty_country: 'AU' })
+  ];
+  const { cases } = run([{ client_id: 'C1' }, { client_id: 'C2' }, { client_id: 'C3' }], txs);
+  assert.deepEqual(cases.map(c => c.client_id), ['C1']);
+});
+
+test('thresholds use the AUD amount when one was converted', () => {
+  const usd = tx('C1', '2024-05-01', 80000, { direction: 'out', method: 'eft', currency: 'USD', amount_aud: 120000, counterparty_country: 'AU' });
+  assert.equal(run([{ client_id: 'C1' }], [usd]).cases.length, 1);
+});
+
+test('transactions outside the lookback are ignored', () => {
+  const old = ['2023-03-01', '2023-03-02', '2023-03-03', '2023-03-04'].map(d => tx('C1', d, 9800));
+  assert.equal(run([{ client_id: 'C1' }], old).cases.length, 0);
+});
+
+test('transactions of clients missing from the clients file still raise cases', () => {
+  const txs = ['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-04'].map(d => tx('X9', d, 9700));
+  const { scores, cases } = run([{ client_id: 'C1' }], txs);
+  assert.deepEqual(scores.map(s => s.client_id), ['C1']);
+  assert.deepEqual(cases.map(c => c.client_id), ['X9']);
+});
+
+test('hasNInWindow counts calendar days between the first and last of the run', () => {
+  const at = dates => dates.map(date => ({ date }));
+  assert.equal(hasNInWindow(at(['2024-01-01', '2024-01-07']), 2, 7), true);
+  assert.equal(hasNInWindow(at(['2024-01-01', '2024-01-08']), 2, 7), false);
+  assert.equal(hasNInWindow(at(['2024-01-01']), 2, 7), false);
+});
+
+test('parseRuleset rejects duplicate rule ids and unknown families', () => {
+  const base = { id: 'x', version: '1', lookback_months: 12, bands: [{ band: 'Low', min: 0 }], families: { profile: { cap: 10 } } };
+  const rule = { id: 'r', family: 'profile', kind: 'flag', params: { field: 'f' } };
+  assert.throws(() => parseRuleset(JSON.stringify({ ...base, rules: [rule, rule] })), /Duplicate rule id r/);
+  assert.throws(() => parseRuleset(JSON.stringify({ ...base, rules: [{ ...rule, family: 'nope' }] })), /Unknown family nope/);
+  assert.throws(() => parseRuleset(JSON.stringify({ ...base, rules: [{ ...rule, params: { match: { direction: 'sideways' } } }] })), /Invalid transaction match/);
+});
+
+test('loadRuleset returns the frozen file with its hash and refuses odd ids', () => {
+  const rs = loadRuleset('dnfbp-2025.11');
+  assert.equal(rs.id, 'dnfbp-2025.11');
+  assert.match(rs.sha256, /^[0-9a-f]{64}$/);
+  assert.ok(Object.isFrozen(rs.rules));
+  assert.throws(() => loadRuleset('../etc/passwd'), /Invalid ruleset id/);
+  assert.throws(() => loadRuleset('missing-ruleset'), /Ruleset not found/);
+});
+
+test('an unknown rule kind is an error, not a silent miss', () => {
+  const bad = parseRuleset(JSON.stringify({ ...JSON.parse(JSON.stringify(ruleset)), rules: [{ id: 'odd', family: 'profile', kind: 'nope' }] }));
+  assert.throws(() => evaluateRuleset(bad, [{ client_id: 'C1' }], [], lookback), /Unknown rule kind nope/);
+});
@@ -0,0 +1,61 @@
+// Test helper: a real evidence pack from lib/pipeline.js over a small fixture book, for the
+// tests that read packs back (re-run, diff, report, cases).
+import fs from 'fs';
+import path from 'path';
+import { generateEvidence, makeWorkDir } from '../lib/pipeline.js';
+import { verifyStore } from '../lib/verify-store.js';
+
+export const CLIENTS_CSV = `client_id,full_name,dob,residency_country,delivery_channel,services,pep_flag,sanctions_flag,kyc_last_reviewed_at
+C-001,Jane Smith,1982-05-21,AU,branch,property,false,false,2025-02-11
+C-002,Wei Chen,1979-09-13,CN,online,remittance,true,false,2024-08-01
+C-003,Client 3,1980-01-03,AU,online,legal,false,false,2025-06-01
+C-004,Client 4,1980-01-04,AU,online,legal,false,false,2025-06-01
+C-005,Client 5,1980-01-05,AU,online,legal,false,false,2025-06-01
+`;
+
+export const TRANSACTIONS_CSV = `tx_id,client_id,date,amount,currency,direction,method,counterparty_name,counterparty_country,matter_id
+T-1001,C-001,2025-09-14,9800,AUD,in,cash,Branch Cash,AU,FILE-22
+T-1002,C-001,2025-09-16,9750,AUD,in,cash,Branch Cash,AU,FILE-22
+T-1003,C-001,2025-09-18,9900,AUD,in,cash,Branch Cash,AU,FILE-22
+T-1004,C-001,2025-09-20,9800,AUD,in,cash,Branch Cash,AU,FILE-22
+T-2001,C-002,2025-07-03,12000,AUD,out,wire,Acme Import,HK,CASE-9
+T-2002,C-002,2025-08-11,21000,AUD,out,wire,Acme Import,HK,CASE-9
+T-3001,C-001,2025-10-01,20000,AUD,in,cash,Branch Cash,AU,FILE-22
+T-3002,C-001,2025-10-03,19500,AUD,out,wire,Harbour Holdings,AU,FILE-22
+T-3003,C-002,2025-10-05,3000,AUD,out,eft,HARBOUR HOLDINGS,AU,CASE-9
+T-4001,C-003,2024-11-01,500,AUD,in,eft,Payroll,AU,M-1
+T-4002,C-003,2025-09-01,15000,AUD,in,eft,Unknown Co,AU,M-1
+T-500,C-004,2025-05-10,2150,AUD,in,eft,Salary Co,AU,M-2
+T-501,C-004,2025-06-10,2150,AUD,in,eft,Salary Co,AU,M-2
+T-502,C-004,2025-07-10,2150,AUD,in,eft,Salary Co,AU,M-2
+T-503,C-004,2025-08-10,2150,AUD,in,eft,Salary Co,AU,M-2
+T-5101,C-004,2025-09-25,10000,AUD,in,eft,Salary Co,AU,M-2
+T-5102,C-004,2025-09-28,12000,AUD,in,eft,Salary Co,AU,M-2
+T-5103,C-004,2025-10-02,8000,AUD,in,eft,Salary Co,AU,M-2
+T-600,C-005,2025-10-01,700,AUD,out,eft,Payee 0,AU,M-3
+T-601,C-005,2025-10-02,700,AUD,out,eft,Payee 1,AU,M-3
+T-602,C-005,2025-10-03,700,AUD,out,eft,Payee 2,AU,M-3
+T-603,C-005,2025-10-04,700,AUD,out,eft,Payee 3,AU,M-3
+T-604,C-005,2025-10-05,700,AUD,out,eft,Payee 4,AU,M-3
+T-605,C-005,2025-10-06,700,AUD,out,eft,Payee 5,AU,M-3
+`;
+
+/**
+ * Run the pipeline over the fixture (or the given CSV text) for `orgId`.
+ * @returns {Promise<{ result, token, zip: Buffer, manifest }>} result is generateEvidence()'s return value
+ */
+export async function evidencePack({ orgId = 'org_0000000000000000', clients = CLIENTS_CSV, transactions = TRANSACTIONS_CSV, ...opts } = {}) {
+  const workDir = await makeWorkDir();
+  fs.writeFileSync(path.join(workDir, 'clients.csv'), clients);
+  fs.writeFileSync(path.join(workDir, 'transactions.csv'), transactions);
+  const result = await generateEvidence({
+    orgId,
+    clients: { path: path.join(workDir, 'clients.csv'), name: 'clients.csv' },
+    transactions: { path: path.join(workDir, 'transactions.csv'), name: 'transactions.csv' },
+    workDir,
+    ...opts
+  });
+  const token = result.download_url.split('/').pop();
+  const entry = verifyStore.get(token);
+  return { result, token, zip: fs.readFileSync(entry.zipPath), manifest: entry.manifest };
+}
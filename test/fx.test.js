@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { loadFxTable, SAMPLE_FX_FILE } from '../lib/fx.js';
+import { normalizeTxRow } from '../lib/csv-normalize.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+const csv = writeFile('rates.csv', [
+  '# source: Test rates',
+  '# as_at: 2024-03-04',
+  'date,currency,per_aud',
+  '2024-02-26,USD,0.65',
+  '2024-03-04,USD,0.66',
+  '2024-03-04,EUR,0.60'
+].join('\n'));
+
+test('lookup uses the rate for the date, else the latest earlier one within the stale window', () => {
+  const fx = loadFxTable(csv);
+  assert.deepEqual(fx.lookup('USD', '2024-03-04'), { rate: 0.66, rate_date: '2024-03-04' });
+  assert.deepEqual(fx.lookup('USD', '2024-03-01'), { rate: 0.65, rate_date: '2024-02-26' });
+  assert.deepEqual(fx.lookup('AUD', '2024-03-01'), { rate: 1, rate_date: '2024-03-01' });
+  assert.match(fx.lookup('EUR', '2024-03-01').error, /No EUR rate on or within 7 days before 2024-03-01/);
+  assert.match(fx.lookup('JPY', '2024-03-04').error, /Unknown currency JPY/);
+});
+
+test('CSV header comments become the recorded source; the file hash is kept', () => {
+  const meta = loadFxTable(csv).meta();
+  assert.equal(meta.fx_source, 'configured');
+  assert.equal(meta.fx_rates_source, 'Test rates');
+  assert.equal(meta.fx_rates_as_at, '2024-03-04');
+  assert.match(meta.fx_rates_sha256, /^[0-9a-f]{64}$/);
+});
+
+test('JSON tables read the same way, with as_at defaulting to the latest rate', () => {
+  const file = writeFile('rates.json', JSON.stringify({ source: 'JSON rates', rates: { usd: { '2024-01-02': 0.7, '2024-01-09': 0.71 } } }));
+  const fx = loadFxTable(file);
+  assert.equal(fx.as_at, '2024-01-09');
+  assert.deepEqual(fx.currencies, ['AUD', 'USD']);
+  assert.deepEqual(fx.lookup('USD', '2024-01-05'), { rate: 0.7, rate_date: '2024-01-02' });
+});
+
+test('invalid rows fail the load', () => {
+  const file = writeFile('bad.csv', 'date,currency,per_aud\n2024-01-01,USD,-1\n');
+  assert.throws(() => loadFxTable(file), /Invalid FX row: USD,2024-01-01,-1/);
+});
+
+test('the bundled demo table is flagged as the sample', () => {
+  assert.equal(loadFxTable(SAMPLE_FX_FILE).meta().fx_source, 'sample');
+});
+
+test('normalized rows carry amount_aud and the rate used; unconvertible rows are rejected', () => {
+  const fx = loadFxTable(csv);
+  const row = { client_id: 'C1', date: '2024-03-02', amount: '650', currency: 'usd', direction: 'in', method: 'eft' };
+  const { tx } = normalizeTxRow(row, 0, { fx });
+  assert.deepEqual([tx.amount_aud, tx.fx_rate, tx.fx_rate_date], [1000, 0.65, '2024-02-26']);
+
+  const { reject } = normalizeTxRow({ ...row, currency: 'EUR' }, 0, { fx });
+  assert.match(reject.reason, /No EUR rate/);
+  assert.match(normalizeTxRow({ ...row, currency: 'USD' }, 0).reject.reason, /No FX table loaded for USD/);
+});
+
+test('dates and rate dates do not shift on hosts east of UTC', () => {
+  const script = `
+    const { loadFxTable } = await import(${JSON.stringify(new URL('../lib/fx.js', import.meta.url).href)});
+    const { normalizeTxRow } = await import(${JSON.stringify(new URL('../lib/csv-normalize.js', import.meta.url).href)});
+    const fx = loadFxTable(${JSON.stringify(csv)});
+    const { tx } = normalizeTxRow({ client_id: 'C1', date: '2024-03-04', amount: '66', currency: 'USD' }, 0, { fx });
+    console.log(JSON.stringify([tx.date, tx.fx_rate_date, fx.lookup('USD', '2024-03-01').rate_date]));`;
+  const out = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env: { ...process.env, TZ: 'Australia/Sydney' } });
+  assert.deepEqual(JSON.parse(out), ['2024-03-04', '2024-03-04', '2024-02-26']);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ingestClients, ingestTransactions, scorePartitions, readPartition, writeTransactionsJson, transactionsOf, orderResults, partitionOf } from '../lib/ingest.js';
+import { evaluateRuleset, counterpartyNetwork } from '../lib/engine.js';
+import { analyzeNetwork, createNetwork } from '../lib/network.js';
+import { loadRuleset } from '../lib/ruleset.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const METHODS = ['cash', 'eft', 'wire'];
+const COUNTRIES = ['AU', 'AU', 'SG', 'HK', 'IR'];
+
+// 30 clients (two missing from the clients file) with a deterministic mix of transactions.
+function writeInputs() {
+  const clients = ['client_id,full_name,residency_country,services,pep_flag,kyc_last_reviewed_at'];
+  for (let c = 1; c <= 28; c++) clients.push(`C${c},Client ${c},${c % 7 ? 'AU' : 'NZ'},${c % 5 ? 'advice' : 'property'},${c % 11 === 0},2024-0${1 + (c % 9)}-15`);
+  const txs = ['tx_id,client_id,date,amount,currency,direction,method,counterparty_name,counterparty_country'];
+  for (let i = 0; i < 400; i++) {
+    const c = 1 + (i * 7) % 30;
+    const day = 1 + (i * 13) % 28;
+    const month = 1 + (i * 5) % 12;
+    const amount = i % 9 === 0 ? 9800 : i % 17 === 0 ? 150000 : 1000 + (i * 37) % 40000;
+    txs.push(`T${i},C${c},2025-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')},${amount},AUD,${i % 3 ? 'out' : 'in'},${METHODS[i % 3]},Payee ${i % 23},${COUNTRIES[i % 5]}`);
+  }
+  txs.push('T-bad,C1,not a date,100,AUD,in,cash,,AU');
+  txs.push('T-late,C2,2026-01-05,100,AUD,in,cash,,AU');
+  fs.writeFileSync(path.join(dir, 'clients.csv'), clients.join('\n'));
+  fs.writeFileSync(path.join(dir, 'tx.csv'), txs.join('\n'));
+}
+writeInputs();
+
+async function ingest(opts = {}) {
+  const workDir = fs.mkdtempSync(path.join(dir, 'work-'));
+  return ingestTransactions(path.join(dir, 'tx.csv'), { workDir, lookbackMonths: 12, ...opts });
+}
+
+test('transactions are spooled by client into partitions; bad rows are rejected, not spooled', async () => {
+  const result = await ingest({ partitions: 4 });
+  assert.equal(result.count, 401);
+  assert.equal(result.rejectCount, 1);
+  assert.equal(result.rejects[0].row.tx_id, 'T-bad');
+  assert.deepEqual(result.lookback, { end: '2026-01-05', start: '2025-01-05', months: 12, anchor: 'latest_transaction' });
+
+  let total = 0;
+  for (let i = 0; i < 4; i++) {
+    const txs = await readPartition(result.workDir, i);
+    total += txs.length;
+    assert.ok(txs.every(t => partitionOf(t.client_id, 4) === i));
+  }
+  assert.equal(total, 401);
+});
+
+test('an as-of date ends the lookback and leaves later transactions out', async () => {
+  const result = await ingest({ asOf: '2025-12-31' });
+  assert.equal(result.count, 400);
+  assert.deepEqual(result.excluded, { after_as_of: 1, latest: '2026-01-05' });
+  assert.equal(result.lookback.end, '2025-12-31');
+});
+
+test('transactions.json is written from the spool in file order, one transaction per line', async () => {
+  const result = await ingest();
+  const file = await writeTransactionsJson(result, path.join(result.workDir, 'transactions.json'));
+  const text = fs.readFileSync(file, 'utf8');
+  const txs = JSON.parse(text);
+  assert.equal(txs.length, 401);
+  assert.equal(text.split('\n').length, 401 + 3);
+  const streamed = [];
+  for await (const t of transactionsOf(result)) streamed.push(t.tx_id);
+  assert.deepEqual(streamed, txs.map(t => t.tx_id));
+});
+
+test('partitioned scoring gives the same scores and cases as scoring the whole file', async () => {
+  const ruleset = loadRuleset('dnfbp-2026.11');
+  const { clients } = await ingestClients(path.join(dir, 'clients.csv'));
+  const result = await ingest({ partitions: 5 });
+  const { lookback } = result;
+
+  const all = [];
+  const net = counterpartyNetwork(ruleset, lookback);
+  const graph = createNetwork(lookback);
+  for await (const t of transactionsOf(result)) { all.push(t); net?.add(t); graph.add(t); }
+  const context = { network: net?.index || null, graph: analyzeNetwork(graph.graph) };
+
+  const whole = orderResults(evaluateRuleset(ruleset, clients, all, lookback), clients);
+  const parts = await scorePartitions(result, clients, (c, t) => evaluateRuleset(ruleset, c, t, lookback, context));
+  assert.ok(whole.cases.length > 0);
+  assert.deepEqual(parts.scores, whole.scores);
+  assert.deepEqual(parts.cases, whole.cases);
+});
+
+test('orderResults follows the clients file, then transaction-only clients by id', () => {
+  const clients = [{ client_id: 'B' }, { client_id: 'A' }];
+  const r = orderResults({
+    scores: [{ client_id: 'A' }, { client_id: 'B' }],
+    cases: [{ client_id: 'Z', n: 1 }, { client_id: 'A', n: 2 }, { client_id: 'Y', n: 3 }, { client_id: 'B', n: 4 }, { client_id: 'A', n: 5 }]
+  }, clients);
+  assert.deepEqual(r.scores.map(s => s.client_id), ['B', 'A']);
+  assert.deepEqual(r.cases.map(c => c.n), [4, 2, 5, 3, 1]);
+});
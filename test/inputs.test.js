@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ejs from 'ejs';
+import ExcelJS from 'exceljs';
+import { fileURLToPath } from 'url';
+import { detectFormat, resolveInput, inputRows } from '../lib/inputs.js';
+import { ingestClients, ingestTransactions } from '../lib/ingest.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inputs-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function rows(input, role) {
+  const out = [];
+  for await (const r of inputRows(await resolveInput(input, role))) out.push(r);
+  return out;
+}
+
+// One workbook, both files; sheet names that don't give the role away, so headers must decide.
+async function workbook() {
+  const file = path.join(dir, 'export.xlsx');
+  const wb = new ExcelJS.Workbook();
+  const tx = wb.addWorksheet('Sheet A');
+  tx.addRow(['tx_id', 'client_id', 'date', 'amount', 'direction', 'method']);
+  tx.addRow(['T1', 'C1', new Date(Date.UTC(2025, 2, 14)), 9800, 'in', 'cash']);
+  tx.addRow(['T2', 'C1', '2025-03-15', { formula: '100*2', result: 200 }, 'out', 'eft']);
+  const clients = wb.addWorksheet('Sheet B');
+  clients.addRow([]);
+  clients.addRow(['client_id', 'full_name', 'residency_country']);
+  clients.addRow(['C1', { richText: [{ text: 'Jane ' }, { text: 'Smith' }] }, 'AU']);
+  await wb.xlsx.writeFile(file);
+  return file;
+}
+
+test('formats come from the file name, else from the first bytes', async () => {
+  const xlsx = await workbook();
+  const noExt = path.join(dir, 'upload-1');
+  fs.copyFileSync(xlsx, noExt);
+  assert.equal(detectFormat(noExt), 'xlsx');
+  fs.writeFileSync(noExt, '﻿ [{"a":1}]');
+  assert.equal(detectFormat(noExt), 'json');
+  fs.writeFileSync(noExt, 'a,b\n1,2\n');
+  assert.equal(detectFormat(noExt), 'csv');
+  assert.equal(detectFormat(noExt, 'Ledger.JSON'), 'json');
+  assert.throws(() => detectFormat(noExt, 'old.xls'), /legacy \.xls workbooks are not supported/);
+});
+
+test('workbook sheets are picked by their headers; dates, formulas and rich text become text', async () => {
+  const file = await workbook();
+  assert.equal((await resolveInput(file, 'clients')).sheet, 'Sheet B');
+  assert.equal((await resolveInput(file, 'transactions')).sheet, 'Sheet A');
+  assert.deepEqual(await rows(file, 'clients'), [{ client_id: 'C1', full_name: 'Jane Smith', residency_country: 'AU' }]);
+  const tx = await rows(file, 'transactions');
+  assert.deepEqual(tx.map(r => [r.date, r.amount]), [['2025-03-14', '9800'], ['2025-03-15', '200']]);
+
+  const ingest = await ingestTransactions(file);
+  assert.deepEqual([ingest.count, ingest.rejectCount, ingest.source.sheet], [2, 0, 'Sheet A']);
+  await assert.rejects(resolveInput({ path: file, sheet: 'Nope' }, 'clients'), /no sheet named "Nope" \(found: Sheet A, Sheet B\)/);
+});
+
+test('JSON inputs are an array of records or an object of arrays', async () => {
+  const file = path.join(dir, 'both.json');
+  fs.writeFileSync(file, JSON.stringify({ clients: [{ client_id: 'C1', full_name: 'Ann' }], transactions: [{ client_id: 'C1', date: '2025-01-01', amount: 5 }] }));
+  assert.equal((await resolveInput(file, 'transactions')).sheet, 'transactions');
+  const { clients, source } = await ingestClients(file);
+  assert.deepEqual([clients[0].full_name, source.format, source.sheet], ['Ann', 'json', 'clients']);
+  assert.deepEqual(await rows(file, 'transactions'), [{ client_id: 'C1', date: '2025-01-01', amount: '5' }]);
+
+  const bad = path.join(dir, 'bad.json');
+  fs.writeFileSync(bad, '[1, 2]');
+  await assert.rejects(rows(bad, 'clients'), /JSON record 1 is not an object/);
+  fs.writeFileSync(bad, '{ nope');
+  await assert.rejects(rows(bad, 'clients'), e => e.code === 'INPUT_INVALID' && /Invalid JSON/.test(e.message));
+});
+
+test('the verify page shows uploader-controlled names as text, never as script', async () => {
+  const view = fileURLToPath(new URL('../views/verify.ejs', import.meta.url));
+  const evil = '</script><script>alert(1)</script>';
+  const manifest = {
+    created_utc: '2025-07-01T00:00:00.000Z', ruleset_id: 'dnfbp-2026.11',
+    files: [{ name: `inputs/${evil}.csv`, bytes: 1, sha256: 'a'.repeat(64) }],
+    inputs: [{ role: 'clients', name: `${evil}.csv`, sheet: evil }],
+    mapping_profile: { id: 'p', name: evil, sha256: 'b'.repeat(64) }
+  };
+  const html = await ejs.renderFile(view, { manifest, publicKey: 'cHVi', clientsUrl: null });
+  assert.equal(html.match(/<script/g).length, 1);
+  assert.match(html, /<script src="\/public\/verify\.js" defer><\/script>/);
+  assert.ok(!html.includes(evil));
+  assert.ok(html.includes('&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, STAGES, UserFacingError, publicJob } from '../lib/jobs.js';
+
+test('jobs run in the background and report their stage, progress and result', async () => {
+  const queue = new JobQueue();
+  const seen = [];
+  const job = queue.submit(async ({ update, id }) => {
+    update('parsing', 20);
+    update('scoring', 10); // progress never goes backwards
+    const { stage, progress } = queue.get(id);
+    seen.push(stage, progress);
+    return { token: 'abc' };
+  }, { org_id: 'org_1' });
+  assert.equal(job.status, 'running');
+
+  const done = await queue.wait(job.id);
+  assert.deepEqual(seen, ['scoring', 20]);
+  assert.deepEqual([done.status, done.stage, done.progress, done.result], ['done', 'done', 100, { token: 'abc' }]);
+  assert.equal(publicJob(done).org_id, undefined);
+  assert.equal(publicJob(done).finished_at, undefined);
+});
+
+test('concurrency bounds how many jobs run at once; the rest wait their turn', async () => {
+  const queue = new JobQueue({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const work = async () => {
+    peak = Math.max(peak, ++running);
+    await new Promise(r => setTimeout(r, 20));
+    running--;
+  };
+  const jobs = [1, 2, 3, 4].map(() => queue.submit(work));
+  assert.deepEqual(jobs.map(j => j.status), ['running', 'running', 'queued', 'queued']);
+  await Promise.all(jobs.map(j => queue.wait(j.id)));
+  assert.equal(peak, 2);
+});
+
+test('failures keep internal messages private unless the error is user-facing', async () => {
+  const queue = new JobQueue();
+  const cleaned = [];
+  const internal = queue.submit(async () => { throw new Error('ENOENT /srv/secret/path'); }, { cleanup: () => cleaned.push('internal') });
+  const shown = queue.submit(async () => { throw new UserFacingError('Transactions: no rows'); }, { cleanup: () => cleaned.push('shown') });
+  assert.equal((await queue.wait(internal.id)).error, 'Processing failed.');
+  assert.equal((await queue.wait(shown.id)).error, 'Transactions: no rows');
+  assert.equal(shown.status, 'failed');
+  assert.deepEqual([internal.exposed, shown.exposed, 'exposed' in publicJob(shown)], [false, true, false]);
+  assert.deepEqual(cleaned.sort(), ['internal', 'shown']);
+});
+
+test('jobs may only report the known stages', async () => {
+  assert.deepEqual(STAGES, ['queued', 'parsing', 'scoring', 'narratives', 'cases', 'packaging', 'done']);
+  const queue = new JobQueue();
+  const job = queue.submit(async ({ update }) => { update('narratives', 70); update('thinking', 80); });
+  const done = await queue.wait(job.id);
+  assert.deepEqual([done.status, done.stage, done.progress], ['failed', 'narratives', 70]);
+});
+
+test('wait() settles for unknown jobs and for jobs that already finished', async () => {
+  const queue = new JobQueue();
+  assert.equal(await queue.wait('nope'), null);
+  const job = queue.submit(async () => 'x');
+  await queue.wait(job.id);
+  assert.equal((await queue.wait(job.id)).result, 'x');
+});
+
+test('finished jobs are swept after the TTL', async () => {
+  const queue = new JobQueue({ ttlMin: 0 });
+  const job = queue.submit(async () => 1);
+  await queue.wait(job.id);
+  job.finished_at -= 1;
+  queue.sweep();
+  assert.equal(queue.get(job.id), null);
+  assert.equal(queue.count(), 0);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import AdmZip from 'adm-zip';
+import { lookbackFrom, lookbackOptions, MAX_LOOKBACK_MONTHS } from '../lib/csv-normalize.js';
+import { evidencePack } from './evidence.js';
+
+test('the lookback ends at the as-of date, else the latest transaction', () => {
+  assert.deepEqual(lookbackFrom('2025-10-06', 18), { end: '2025-10-06', start: '2024-04-06', months: 18, anchor: 'latest_transaction' });
+  assert.deepEqual(lookbackFrom('2025-10-06', 12, '2025-06-30'), { end: '2025-06-30', start: '2024-06-30', months: 12, anchor: 'as_of' });
+  assert.equal(lookbackFrom('2025-08-31', 6).start, '2025-02-28');
+  assert.equal(lookbackFrom(null, 12).end, new Date().toISOString().slice(0, 10));
+});
+
+test('the window does not move with the server\'s time zone', () => {
+  const script = `import('./lib/csv-normalize.js').then(m => process.stdout.write(JSON.stringify([m.lookbackFrom('2025-10-06', 18), m.lookbackFrom(null, 12, '2025-03-31')])))`;
+  const zones = ['UTC', 'Australia/Sydney', 'America/Los_Angeles'].map(TZ =>
+    execFileSync(process.execPath, ['-e', script], { env: { ...process.env, TZ }, cwd: new URL('..', import.meta.url), encoding: 'utf8', timeout: 30000 }));
+  assert.equal(new Set(zones).size, 1);
+  assert.deepEqual(JSON.parse(zones[0]).map(l => [l.start, l.end]), [['2024-04-06', '2025-10-06'], ['2024-03-31', '2025-03-31']]);
+});
+
+test('lookback options are checked before the run starts', () => {
+  assert.deepEqual(lookbackOptions({}, 18), { asOf: null, lookbackMonths: 18 });
+  assert.deepEqual(lookbackOptions({ as_of: ' 2025-06-30 ', lookback_months: '12' }, 18), { asOf: '2025-06-30', lookbackMonths: 12 });
+  assert.deepEqual(lookbackOptions({ as_of: '', lookback_months: '' }, 18), { asOf: null, lookbackMonths: 18 });
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  for (const [opts, message] of [
+    [{ as_of: '30/06/2025' }, /as_of: Not a valid date/],
+    [{ as_of: '2025-02-30' }, /as_of: Not a valid date/],
+    [{ as_of: tomorrow }, /as_of: Date is in the future/],
+    [{ lookback_months: '6.5' }, /whole number/],
+    [{ lookback_months: '0' }, /Expected 1 to/],
+    [{ lookback_months: String(MAX_LOOKBACK_MONTHS + 1) }, /Expected 1 to/]
+  ]) assert.throws(() => lookbackOptions(opts, 18), { code: 'LOOKBACK_INVALID', message });
+});
+
+test('an as-of run leaves later transactions out and records its window', async () => {
+  const { result, zip, manifest } = await evidencePack({ asOf: '2025-09-30', lookbackMonths: 12 });
+  const lookback = { end: '2025-09-30', start: '2024-09-30', months: 12, anchor: 'as_of' };
+  assert.deepEqual(result.lookback, lookback);
+  assert.deepEqual(manifest.lookback, lookback);
+  assert.deepEqual(result.excluded, { after_as_of: 10, latest: '2025-10-06' });
+
+  const pack = new AdmZip(zip);
+  const txs = JSON.parse(pack.readAsText('transactions.json'));
+  assert.ok(txs.length && txs.every(t => t.date <= '2025-09-30'));
+  const rules = Object.fromEntries(JSON.parse(pack.readAsText('scores.json')).map(s => [s.client_id, s.reasons.map(r => r.rule_id)]));
+  assert.ok(!rules['C-001'].includes('rapid_in_out'), 'the October cash-out is after the as-of date');
+  assert.deepEqual(rules['C-005'], [], 'all six payees are paid in October');
+  const program = pack.readAsText('program.html');
+  assert.ok(program.includes('2024-09-30 to 2025-09-30 (12 months, as at 2025-09-30)'));
+  assert.ok(program.includes('10 transactions left out (latest 2025-10-06)'));
+});
+
+test('KYC age is measured at the same anchor as the transactions', async () => {
+  const stale = async opts => {
+    const { result } = await evidencePack(opts);
+    return result.risk.find(s => s.client_id === 'C-001').reasons.some(r => r.rule_id === 'kyc_stale');
+  };
+  // C-001 was last reviewed 2025-02-11: 7 months before the latest transaction, 12 before this as-of date.
+  assert.equal(await stale({}), false);
+  assert.equal(await stale({ asOf: '2026-02-11' }), true);
+
+  const { result } = await evidencePack({ asOf: '2025-05-31' });
+  const c3 = result.risk.find(s => s.client_id === 'C-003').reasons;
+  assert.ok(c3.some(r => r.type === 'context' && /after the as-of date 2025-05-31/.test(r.text)));
+});
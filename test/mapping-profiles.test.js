@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProfile, loadProfile, saveProfile, listProfiles, profileFromHeaderMaps, profileMeta } from '../lib/mapping-profiles.js';
+import { normalizeTxRow, normalizeClients } from '../lib/csv-normalize.js';
+
+const ORG = 'org_0123456789abcdef';
+const OTHER = 'org_fedcba9876543210';
+
+const xero = () => loadProfile('xero-account-transactions', ORG);
+
+test('debit/credit columns become one unsigned amount and a direction', () => {
+  const profile = xero();
+  const row = { Reference: 'INV-1', 'Contact ID': 'C1', Date: '2025-03-01', Currency: 'AUD', Source: 'Cash Receipt', Description: 'Payer', Debit: '9,800.00', Credit: '' };
+  const received = normalizeTxRow(row, 0, { profile }).tx;
+  assert.deepEqual([received.tx_id, received.client_id, received.amount, received.direction, received.method], ['INV-1', 'C1', 9800, 'in', 'cash']);
+
+  const paid = normalizeTxRow({ ...row, Source: 'spend money', Debit: '0', Credit: '-250' }, 0, { profile }).tx;
+  assert.deepEqual([paid.amount, paid.direction, paid.method], [250, 'out', 'eft']);
+
+  const both = normalizeTxRow({ ...row, Credit: '10' }, 0, { profile });
+  assert.equal(both.reject.reason, 'Both debit and credit are set');
+});
+
+test('profile columns win over the synonym lists; other headers still use them', () => {
+  const profile = parseProfile({ id: 'crm', name: 'CRM', clients: { columns: { 'Customer No': 'client_id', Name: 'full_name' } } });
+  const { clients } = normalizeClients([{ 'Customer No': 'C7', Name: 'Ann', dob: '1990-01-01' }], { profile });
+  assert.equal(clients[0].client_id, 'C7');
+  assert.equal(clients[0].full_name, 'Ann');
+  assert.equal(clients[0].dob, '1990-01-01');
+});
+
+test('profiles are validated and hashed over canonical JSON', () => {
+  assert.throws(() => parseProfile({ id: 'x', name: 'Bad' }), /Invalid mapping profile at id/);
+  assert.throws(() => parseProfile({ id: 'ok-id', name: 'Bad', clients: { columns: { A: 'shoe_size' } } }), /clients\.columns\.A/);
+  assert.throws(() => parseProfile({ id: 'ok-id', name: 'Bad', extra: true }), /Unrecognized key/);
+  const a = parseProfile({ id: 'same', name: 'Same', clients: { columns: { A: 'client_id', B: 'dob' } } });
+  const b = parseProfile('{"clients":{"columns":{"B":"dob","A":"client_id"}},"name":"Same","id":"same"}');
+  assert.equal(a.sha256, b.sha256);
+  assert.deepEqual(profileMeta(a), { id: 'same', name: 'Same', sha256: a.sha256 });
+  assert.equal(profileMeta(null), null);
+});
+
+test('saved profiles belong to one organisation; built-in ids are reserved', () => {
+  saveProfile({ id: 'trust-ledger', name: 'Trust ledger', transactions: { columns: { Ref: 'tx_id' } } }, ORG);
+  assert.equal(loadProfile('trust-ledger', ORG).name, 'Trust ledger');
+  assert.throws(() => loadProfile('trust-ledger', OTHER), /Mapping profile not found: trust-ledger/);
+  assert.deepEqual(listProfiles(ORG).map(p => [p.id, p.builtin]), [['xero-account-transactions', true], ['trust-ledger', false]]);
+  assert.deepEqual(listProfiles(OTHER).map(p => p.id), ['xero-account-transactions']);
+  assert.throws(() => saveProfile({ id: 'xero-account-transactions', name: 'Mine' }, ORG), /reserved/);
+  assert.throws(() => loadProfile('../../etc', ORG), /Invalid mapping profile id/);
+  assert.throws(() => listProfiles('../org'), /Invalid organisation id/);
+});
+
+test('a draft profile keeps only header-map entries that name canonical fields', () => {
+  const draft = profileFromHeaderMaps({ clientHeaderMap: { 'Cust #': 'client_id', Notes: 'notes' }, txHeaderMap: { Amt: 'amount' } }, { id: 'draft', name: 'Draft' });
+  assert.deepEqual(draft.clients.columns, { 'Cust #': 'client_id' });
+  assert.deepEqual(draft.transactions.columns, { Amt: 'amount' });
+  assert.equal(parseProfile(draft).id, 'draft');
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createNarrator, templateNarrative, redactor, PROMPT_VERSION } from '../lib/narrative.js';
+
+const reason = (text, points) => ({ type: 'reason', family: 'behavior', points, text });
+const clients = [
+  { client_id: 'C-001', full_name: 'Jane Smith', dob: '1982-05-21' },
+  { client_id: 'C-002', full_name: 'Wei Chen', dob: '1979-09-13' },
+  { client_id: 'C-003', full_name: 'Ann Lee' }
+];
+const scores = () => [
+  { client_id: 'C-001', score: 40, band: 'High', reasons: [reason('Cash deposits T-1001 to Harbour Holdings for Jane Smith (1982-05-21)', 25), { type: 'context', text: 'Shares a payee with C-002' }] },
+  { client_id: 'C-002', score: 15, band: 'Medium', reasons: [reason('PEP flag present', 15)] },
+  { client_id: 'C-003', score: 15, band: 'Medium', reasons: [reason('PEP flag present', 15)] }
+];
+const opts = over => ({ provider: 'openai', apiKey: 'sk-test', model: 'test-model', timeoutMs: 2000, concurrency: 2, fallback: 'template', cacheMax: 100, ...over });
+
+/** OpenAI-compatible stub: answers with `reply(prompt)`, or fails with `status`. */
+async function endpoint({ reply = () => 'The client has elevated risk.', status = 200, delayMs = 20 } = {}) {
+  const calls = [];
+  let active = 0, maxActive = 0;
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    active++; maxActive = Math.max(maxActive, active);
+    const parsed = JSON.parse(body);
+    calls.push({ url: req.url, auth: req.headers.authorization, model: parsed.model, prompt: parsed.messages.at(-1).content });
+    await new Promise(r => setTimeout(r, delayMs));
+    active--;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { choices: [{ message: { content: ` ${reply(parsed.messages.at(-1).content)} ` } }] } : { error: 'nope' }));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, calls, maxActive: () => maxActive, close: () => new Promise(r => server.close(r)) };
+}
+
+test('the template narrative names the band and the strongest reasons', () => {
+  assert.equal(templateNarrative({ band: 'Low', score: 0, reasons: [] }), 'Low risk (score 0); no rule-based risk factors were triggered.');
+  const reasons = [reason('A', 5), reason('B', 20), reason('C', 10), reason('D', 1)];
+  assert.equal(templateNarrative({ band: 'High', score: 36, reasons }), 'High risk (score 36), mainly: B (+20); C (+10); A (+5); and 1 more factor.');
+});
+
+test('the redactor removes names, dates of birth, ids and counterparties', () => {
+  const redact = redactor(clients[0], ['Harbour Holdings'], [{ evidence: [{ name: 'Ivan Petrov' }] }], new Set(['C-001', 'C-002']));
+  assert.equal(
+    redact('Jane Smith (1982-05-21) paid HARBOUR HOLDINGS; Smith matches Ivan Petrov; see C-002, FILE-22, tx 12345678; mail jane@example.com about Smithfield'),
+    '[CLIENT] ([DOB]) paid [COUNTERPARTY]; [CLIENT] matches [LIST_ENTRY]; see [CLIENT_ID], [ID], tx [NUMBER]; mail [EMAIL] about Smithfield'
+  );
+});
+
+test('an OpenAI-compatible endpoint gets redacted prompts, a bounded number at a time, each once', async () => {
+  const api = await endpoint();
+  try {
+    const narrator = createNarrator({ clients }, opts({ baseUrl: api.baseUrl, model: 'model-batching' }));
+    const s = scores();
+    await narrator.narrate(s, { counterparties: new Map([['C-001', ['Harbour Holdings']]]) });
+
+    // C-002 and C-003 have the same redacted prompt: one call.
+    assert.equal(api.calls.length, 2);
+    assert.ok(api.maxActive() <= 2);
+    assert.deepEqual([api.calls[0].url, api.calls[0].auth, api.calls[0].model], ['/v1/chat/completions', 'Bearer sk-test', 'model-batching']);
+    const prompt = api.calls.find(c => c.prompt.includes('Band: High')).prompt;
+    for (const secret of ['Jane', 'Smith', '1982-05-21', 'Harbour', 'T-1001', 'C-002']) assert.ok(!prompt.includes(secret), secret);
+    assert.ok(!prompt.includes('Shares a payee'), 'context lines are not sent');
+
+    assert.deepEqual(s.map(x => x.narrative), Array(3).fill('The client has elevated risk.'));
+    const meta = narrator.meta();
+    assert.deepEqual([meta.provider, meta.model, meta.endpoint, meta.prompt_version, meta.fallback], ['openai', 'model-batching', api.baseUrl.split('/')[2], PROMPT_VERSION, 'template']);
+    assert.equal(meta.counts.generated + meta.counts.cached, 3);
+    assert.deepEqual(meta.used, [{ provider: 'openai', model: 'model-batching', count: 3 }]);
+
+    // A later run with the same reasons is served from the cache.
+    const again = createNarrator({ clients }, opts({ baseUrl: api.baseUrl, model: 'model-batching' }));
+    await again.narrate(scores().slice(1));
+    assert.equal(api.calls.length, 2);
+    assert.deepEqual(again.entries(scores()).map(e => [e.client_id, e.cached]), [['C-002', true], ['C-003', true]]);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a failing endpoint falls back to the template, or leaves the narrative out', async () => {
+  const api = await endpoint({ status: 503, delayMs: 0 });
+  try {
+    const withFallback = createNarrator({ clients }, opts({ baseUrl: api.baseUrl, model: 'model-fallback' }));
+    const s = scores();
+    await withFallback.narrate(s);
+    assert.equal(s[1].narrative, 'Medium risk (score 15), mainly: PEP flag present (+15).');
+    assert.deepEqual(withFallback.meta().used, [{ provider: 'template', model: 'template-v1', count: 3 }]);
+    assert.equal(withFallback.meta().counts.fallback, 3);
+
+    const without = createNarrator({ clients }, opts({ baseUrl: api.baseUrl, model: 'model-nofallback', fallback: 'none' }));
+    const t = scores();
+    await without.narrate(t);
+    assert.deepEqual([t[0].narrative, without.entries(t), without.meta().counts.failed], [undefined, [], 3]);
+  } finally {
+    await api.close();
+  }
+});
+
+test('the template provider sends nothing; none turns narratives off', async () => {
+  const narrator = createNarrator({ clients }, opts({ provider: 'template' }));
+  const s = scores();
+  await narrator.narrate(s);
+  assert.match(s[0].narrative, /^High risk \(score 40\), mainly: Cash deposits/);
+  assert.deepEqual([narrator.meta().redaction, narrator.meta().endpoint], [null, null]);
+  assert.equal(createNarrator({ clients }, opts({ provider: 'none' })), null);
+  assert.throws(() => createNarrator({ clients }, opts({ provider: 'gpt' })), /Unknown NARRATIVE_PROVIDER: gpt/);
+});
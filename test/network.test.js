@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { counterpartyKey, buildNetwork, analyzeNetwork, networkJson, counterpartyNamesByClient } from '../lib/network.js';
+import { evaluateRuleset } from '../lib/engine.js';
+import { loadRuleset, parseRuleset } from '../lib/ruleset.js';
+import { evidencePack } from './evidence.js';
+
+const lookback = { start: '2025-01-01', end: '2025-12-31' };
+const tx = (client_id, counterparty_name, over = {}) => ({ client_id, date: '2025-06-01', amount: 1000, direction: 'out', counterparty_name, counterparty_country: 'HK', ...over });
+
+// A, B and C all pay one Hong Kong beneficiary (a hub); D shares only a matter with C; E is on its own.
+const txs = [
+  tx('A', 'Acme Import Ltd', { amount: 5000 }),
+  tx('A', 'ACME IMPORT LTD.', { amount: 2500, date: '2025-07-01' }),
+  tx('B', 'acme  import ltd'),
+  tx('C', 'Acme Import Ltd', { matter_id: 'M-9' }),
+  tx('D', 'Local Supplier', { counterparty_country: 'AU', matter_id: 'M-9' }),
+  tx('E', 'Acme Import Ltd', { counterparty_country: 'SG' }),
+  tx('E', 'Old payee', { date: '2024-06-01' })
+];
+
+test('counterparties resolve by normalized name and country', () => {
+  assert.equal(counterpartyKey(tx('A', ' ACME  Import, Ltd. ')), counterpartyKey(tx('A', 'acme import ltd')));
+  assert.notEqual(counterpartyKey(tx('A', 'Acme')), counterpartyKey(tx('A', 'Acme', { counterparty_country: 'SG' })));
+  assert.equal(counterpartyKey(tx('A', '  ')), null);
+});
+
+test('shared counterparties, clusters and hubs', () => {
+  const graph = buildNetwork(txs, lookback);
+  const a = analyzeNetwork(graph);
+  assert.deepEqual(a.shared.map(s => [s.name, s.country, s.clients]), [['Acme Import Ltd', 'HK', ['A', 'B', 'C']]]);
+  assert.deepEqual(a.hubs.map(h => h.id), [a.shared[0].id]);
+  assert.deepEqual(a.sharedMatters.map(m => [m.matter_id, m.clients]), [['M-9', ['C', 'D']]]);
+  assert.deepEqual(a.clusters.map(c => [c.id, c.clients]), [['cluster-1', ['A', 'B', 'C', 'D']]]);
+  assert.equal(a.byClient.get('D').cluster.size, 4);
+  assert.deepEqual([a.byClient.get('D').shared, a.byClient.get('A').hubs.length], [[], 1]);
+  assert.equal(a.byClient.has('E'), false);
+  assert.ok(!graph.counterparties.has(counterpartyKey(tx('E', 'Old payee'))), 'transactions outside the lookback are left out');
+  // Every spelling of the counterparty, including other clients' (all of them are redacted).
+  assert.deepEqual(counterpartyNamesByClient(graph).get('A'), ['Acme Import Ltd', 'ACME IMPORT LTD.', 'acme  import ltd']);
+});
+
+test('network.json holds the linked part of the graph, reproducibly', () => {
+  const graph = buildNetwork(txs, lookback);
+  const json = networkJson(graph, analyzeNetwork(graph), lookback);
+  assert.deepEqual(json.stats, { clients: 5, counterparties: 3, matters: 1, client_counterparty_links: 5, shared_counterparties: 1, shared_matters: 1, clusters: 1, hubs: 1 });
+  assert.deepEqual(json.nodes.filter(n => n.type === 'client').map(n => n.label), ['A', 'B', 'C', 'D']);
+  const hub = json.nodes.find(n => n.type === 'counterparty');
+  assert.deepEqual([hub.hub, hub.aliases], [true, ['ACME IMPORT LTD.', 'Acme Import Ltd', 'acme  import ltd']]);
+  const edgeA = json.edges.find(e => e.source === 'client:A');
+  assert.deepEqual([edgeA.tx_count, edgeA.out_aud, edgeA.first_date, edgeA.last_date], [2, 7500, '2025-06-01', '2025-07-01']);
+  assert.deepEqual(json.edges.filter(e => e.type !== 'client_counterparty').map(e => [e.type, e.source, e.target]),
+    [['client_matter', 'client:C', 'matter:M-9'], ['client_matter', 'client:D', 'matter:M-9'], ['counterparty_matter', hub.id, 'matter:M-9']]);
+
+  const reordered = buildNetwork([...txs].reverse(), lookback);
+  assert.deepEqual(Object.keys(networkJson(reordered, analyzeNetwork(reordered), lookback)), Object.keys(json));
+  assert.deepEqual(networkJson(reordered, analyzeNetwork(reordered), lookback).edges, json.edges);
+});
+
+test('network context is explained on the client, without points', () => {
+  const shipped = loadRuleset('dnfbp-2026.11');
+  const ruleset = parseRuleset(JSON.stringify({ ...JSON.parse(JSON.stringify(shipped)), rules: shipped.rules.filter(r => r.id === 'network_context') }));
+  const { scores } = evaluateRuleset(ruleset, ['A', 'D', 'E'].map(client_id => ({ client_id })), txs, { ...lookback, months: 12, anchor: 'as_of' });
+  const [a, d, e] = scores;
+  assert.deepEqual(a.reasons.map(r => [r.type, r.text]), [
+    ['context', 'Network cluster-1: linked to 3 other client(s) through shared counterparties or matters; 1 of its counterparties are shared'],
+    ['context', 'Transacts with hub counterparty Acme Import Ltd (HK), shared by 3 clients']
+  ]);
+  assert.equal(a.score, 0);
+  assert.equal(d.reasons.length, 1);
+  assert.deepEqual(e.reasons, []);
+});
+
+test('every pack carries network.json', async () => {
+  const { zip } = await evidencePack({ orgId: 'org_1800000000000000' });
+  const json = JSON.parse(new AdmZip(zip).readAsText('network.json'));
+  // C-001 and C-002 both pay Harbour Holdings (AU) in the fixture.
+  assert.deepEqual(json.clusters.map(c => c.clients), [['C-001', 'C-002']]);
+  assert.equal(json.nodes.find(n => n.type === 'counterparty').label, 'Harbour Holdings');
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ejs from 'ejs';
+import { fileURLToPath } from 'url';
+import { diffPacks } from '../lib/pack-diff.js';
+import { loadRuleset } from '../lib/ruleset.js';
+import { testKey, signedManifest, packZip, json } from './packs.js';
+
+const key = testKey();
+const reason = (rule_id, text) => ({ rule_id, family: 'behavior', points: 10, text });
+const score = (client_id, score, band, reasons = []) => ({ client_id, score, band, reasons });
+const kase = (client_id, rule_id) => ({ client_id, rule_id, type: 'behavior', rule: rule_id, samples: [{ tx_id: 'T1' }] });
+
+const before = {
+  'scores.json': json([
+    score('C1', 5, 'Low'),
+    score('C2', 35, 'High', [reason('structuring', 'Cash just under the threshold')]),
+    // Reasons are matched by rule, so reworded text alone (C3) is not a change.
+    score('C3', 10, 'Low', [reason('pep', 'PEP')]),
+    score('C4', 0, 'Low', [reason('cash', 'Cash')]),
+    score('GONE', 0, 'Low')
+  ]),
+  'cases.json': json([kase('C2', 'structuring'), kase('C2', 'rapid_in_out')])
+};
+const after = {
+  'scores.json': json([
+    score('C1', 31, 'High', [reason('structuring', 'Cash just under the threshold')]),
+    score('C2', 16, 'Medium', [reason('rapid_in_out', 'Funds out within days')]),
+    score('C3', 10, 'Low', [reason('pep', 'PEP (renamed)')]),
+    score('C4', 0, 'Low', [reason('cash', 'Cash'), reason('velocity', 'Many payees')]),
+    score('NEW', 0, 'Low')
+  ]),
+  'cases.json': json([kase('C2', 'rapid_in_out'), kase('C1', 'structuring')])
+};
+
+const pack = (files, ruleset = 'dnfbp-2026.11', fields = {}) => {
+  const r = loadRuleset(ruleset);
+  return packZip(files, { key, manifest: signedManifest(files, key, { ruleset_id: r.id, ruleset_version: r.version, ruleset_sha256: r.sha256, ...fields }) });
+};
+
+test('band moves, score and reason changes, new and removed clients', async () => {
+  const d = await diffPacks(await pack(before), await pack(after), { publicKeys: [key.publicKey] });
+  assert.deepEqual(d.warnings, []);
+  assert.equal(d.before.signature, 'valid');
+  assert.deepEqual(d.clients.map(c => [c.client_id, c.change]), [['C1', 'up'], ['C2', 'down'], ['C4', 'reasons'], ['NEW', 'new'], ['GONE', 'removed']]);
+  const c2 = d.clients.find(c => c.client_id === 'C2');
+  assert.deepEqual([c2.before, c2.after], [{ score: 35, band: 'High' }, { score: 16, band: 'Medium' }]);
+  assert.deepEqual([c2.reasons_added, c2.reasons_removed], [['Funds out within days'], ['Cash just under the threshold']]);
+  assert.deepEqual(d.clients.find(c => c.client_id === 'C4').reasons_added, ['Many payees']);
+  assert.deepEqual({ up: d.summary.band_up, down: d.summary.band_down, reasons: d.summary.reasons_changed, new: d.summary.new_clients, removed: d.summary.removed_clients }, { up: 1, down: 1, reasons: 1, new: 1, removed: 1 });
+});
+
+test('cases are keyed by client and rule', async () => {
+  const { cases, summary } = await diffPacks(await pack(before), await pack(after));
+  assert.deepEqual(cases.new.map(c => [c.client_id, c.rule_id, c.transactions]), [['C1', 'structuring', 1]]);
+  assert.deepEqual(cases.closed.map(c => [c.client_id, c.rule_id]), [['C2', 'structuring']]);
+  assert.equal(summary.cases_continuing, 1);
+});
+
+test('ruleset changes are broken down by rule when both files are local', async () => {
+  const { ruleset } = await diffPacks(await pack(before, 'dnfbp-2026.10'), await pack(after, 'dnfbp-2026.11'));
+  assert.equal(ruleset.changed, true);
+  assert.deepEqual([ruleset.before.version, ruleset.after.version], ['2026.10.0', '2026.11.0']);
+  assert.deepEqual(ruleset.details.rules_added.map(r => r.id).sort(), ['residency_increased_monitoring', 'residency_very_high_risk']);
+  assert.deepEqual([ruleset.details.rules_removed, ruleset.details.bands, ruleset.details.caps], [[], [], []]);
+
+  const unknown = await diffPacks(await pack(before, 'dnfbp-2026.10'), await pack(after, 'dnfbp-2026.11', { ruleset_sha256: 'f'.repeat(64) }));
+  assert.equal(unknown.ruleset.details, null);
+  assert.match(unknown.ruleset.note, /need both ruleset files/);
+});
+
+test('changed sources and broken packs are reported, not refused', async () => {
+  const b = await pack(before, 'dnfbp-2026.11', { sources: { fx_rates_date: '2025-06-30' } });
+  const a = await pack(after, 'dnfbp-2026.11', { sources: { fx_rates_date: '2025-09-30' } });
+  assert.deepEqual((await diffPacks(b, a)).sources, [{ key: 'fx_rates_date', before: '2025-06-30', after: '2025-09-30' }]);
+
+  const tampered = await packZip({ ...after, 'scores.json': json([]) }, { key, manifest: signedManifest(after, key) });
+  const d = await diffPacks(await pack(before), tampered);
+  assert.equal(d.after.ok, false);
+  assert.match(d.warnings.join('\n'), /^after: /m);
+  assert.equal(d.summary.removed_clients, 5);
+
+  const old = await diffPacks(await pack({ 'cases.json': before['cases.json'] }), await pack(after));
+  assert.equal(old.summary.band_up, null);
+  assert.match(old.warnings.join('\n'), /need scores\.json in both packs/);
+});
+
+test('the diff page escapes pack contents', async () => {
+  const evil = '<img src=x onerror=alert(1)>';
+  const files = { ...after, 'scores.json': json([score('C1', 31, 'High', [reason('x', evil)])]) };
+  const d = await diffPacks(await pack(before), await pack(files));
+  const html = await ejs.renderFile(fileURLToPath(new URL('../views/diff.ejs', import.meta.url)), { diff: d });
+  assert.ok(!html.includes(evil));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
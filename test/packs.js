@@ -0,0 +1,36 @@
+// Test helpers: small signed evidence packs built in memory, the way lib/pipeline.js lays them out.
+import crypto from 'crypto';
+import nacl from 'tweetnacl';
+import { zipNamedBuffers } from '../lib/zip.js';
+import { sha256Hex } from '../lib/manifest.js';
+import { MANIFEST_SCHEMA, signingPayload, keyId } from '../lib/signing.js';
+
+/** Ed25519 key pair from a fixed seed; `publicKey` is base64 as published at /api/keys. */
+export function testKey(seed = 'test-key') {
+  const pair = nacl.sign.keyPair.fromSeed(new Uint8Array(crypto.createHash('sha256').update(seed).digest()));
+  return { secretKey: pair.secretKey, publicKeyBytes: pair.publicKey, publicKey: Buffer.from(pair.publicKey).toString('base64') };
+}
+
+/** Signed v2 manifest over `files` ({ name: Buffer }); `fields` are merged in before signing. */
+export function signedManifest(files, key, fields = {}) {
+  const manifest = {
+    schema: MANIFEST_SCHEMA,
+    created_utc: '2025-07-01T00:00:00.000Z',
+    ruleset_id: 'dnfbp-2026.11',
+    hash_algo: 'sha256',
+    files: Object.entries(files).map(([name, buf]) => ({ name, bytes: buf.length, sha256: sha256Hex(buf) })),
+    ...fields
+  };
+  if (key) {
+    const sig = nacl.sign.detached(new Uint8Array(signingPayload(manifest)), key.secretKey);
+    manifest.signing = { alg: 'ed25519', scheme: 'canonical-json', key_id: keyId(key.publicKey), signature: Buffer.from(sig).toString('base64') };
+  }
+  return manifest;
+}
+
+/** Zip of `files` plus manifest.json (pass `manifest` to pack a hand-edited one). */
+export function packZip(files, { key = null, manifest = signedManifest(files, key), extra = {} } = {}) {
+  return zipNamedBuffers({ ...files, ...extra, 'manifest.json': Buffer.from(JSON.stringify(manifest, null, 2)) });
+}
+
+export function json(value) { return Buffer.from(JSON.stringify(value, null, 2)); }
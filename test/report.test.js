@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { reportModel, renderReportHtml, renderReportPdf } from '../lib/report.js';
+
+const reason = (family, points, text, type) => ({ rule_id: text, family, points, text, ...type && { type } });
+
+function run(over = {}) {
+  return {
+    clients: [
+      { client_id: 'C1', full_name: 'Jane Smith' },
+      { client_id: 'C2', full_name: 'Wei Chen' },
+      { client_id: 'C3', full_name: 'Ольга Иванова' }
+    ],
+    scores: [
+      { client_id: 'C1', score: 12, band: 'Low', reasons: [reason('behavior', 12, 'Cash deposits just under A$10,000')] },
+      { client_id: 'C2', score: 45, band: 'High', reasons: [reason('profile', 15, 'PEP'), reason('profile', 10, 'High-risk residency'), reason('corridor', 20, 'Wires to HK'), reason('corridor', 0, 'Shares a counterparty', 'context')] },
+      { client_id: 'C3', score: 20, band: 'Medium', reasons: [reason('behavior', 20, 'Rapid in/out')] }
+    ],
+    cases: [{ client_id: 'C2', rule_id: 'wires', type: 'corridor', rule: 'Wires to HK', samples: [{ tx_id: 'T1', date: '2025-08-11', amount: 21000, currency: 'AUD', method: 'wire', counterparty_country: 'HK' }] }],
+    rulesMeta: {
+      id: 'dnfbp-2026.11', version: '2026.11.0', sha256: 'a'.repeat(64), lookback_months: 18,
+      bands: { High: '≥30', Medium: '≥15', Low: '<15' },
+      caps: { profile: 20, behavior: 30, corridor: 20 },
+      country_lists: [{ list: 'very_high_risk', version: '2025-06', effective_from: '2025-06-13', source: 'FATF', countries: 3, sha256: 'b'.repeat(64), in_effect: true }]
+    },
+    sources: { fx_rates_as_at: '2025-09-30', fx_rates_source: 'RBA', fx_rates_sha256: 'c'.repeat(64), sanctions_list_date: null },
+    clientHeaderMap: { client_id: 'Client ID' },
+    txHeaderMap: { amount: 'Amt' },
+    rejects: [{ index: 3, row_number: 5, column: 'amount', reason: 'Not a number: <script>alert(1)</script>' }],
+    rejectCount: 1,
+    txCount: 24,
+    lookback: { start: '2024-04-05', end: '2025-10-05', anchor: 'latest_transaction' },
+    excluded: null,
+    profile: null,
+    ...over
+  };
+}
+
+test('summary, ranked clients and points capped by family', () => {
+  const m = reportModel(run(), { generatedUtc: '2025-10-06T00:00:00.000Z' });
+  assert.deepEqual(m.summary, {
+    clients: 3, transactions: 24, cases: 1, rejects: 1,
+    distribution: [{ band: 'High', threshold: '≥30', count: 1 }, { band: 'Medium', threshold: '≥15', count: 1 }, { band: 'Low', threshold: '<15', count: 1 }]
+  });
+  assert.deepEqual(m.clients.map(c => [c.client_id, c.name]), [['C2', 'Wei Chen'], ['C3', 'Ольга Иванова'], ['C1', 'Jane Smith']]);
+  assert.deepEqual(m.clients[0].families, { profile: 20, behavior: 0, corridor: 20 });
+  assert.equal(m.clients[0].reasons.at(-1).context, true);
+  assert.equal(m.cases[0].name, 'Wei Chen');
+  assert.equal(m.lookback.months, 18);
+  assert.deepEqual(m.mapping, { clients: { client_id: 'Client ID' }, transactions: { amount: 'Amt' } });
+});
+
+test('sources are grouped with their as-at dates, country lists first', () => {
+  const { sources } = reportModel(run());
+  assert.deepEqual(sources.map(s => [s.name, s.as_at]), [['country list very high risk', '2025-06-13'], ['fx rates', '2025-09-30'], ['sanctions list date', null]]);
+  assert.deepEqual([sources[1].source, sources[1].sha256], ['RBA', 'c'.repeat(64)]);
+});
+
+test('long lists stop at maxRows and say how many were left out', () => {
+  const m = reportModel(run(), { maxRows: 1 });
+  assert.deepEqual([m.clients.length, m.clients_omitted, m.clients[0].client_id], [1, 2, 'C2']);
+  assert.equal(m.cases_omitted, 0);
+});
+
+test('bands the ruleset does not list still get counted', () => {
+  const m = reportModel(run({ scores: [{ client_id: 'C1', score: 0, band: 'Unrated', reasons: [] }] }));
+  assert.deepEqual(m.summary.distribution.at(-1), { band: 'Unrated', threshold: '', count: 1 });
+});
+
+test('the HTML report escapes uploaded values', async () => {
+  const html = await renderReportHtml(reportModel(run()));
+  assert.ok(!html.includes('<script>alert(1)</script>'));
+  assert.ok(html.includes('Not a number: &lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(html.includes('Wei Chen'));
+  assert.ok(html.includes('dnfbp-2026.11'));
+});
+
+test('the PDF is drawn locally, names outside Latin-1 included', async () => {
+  const pdf = await renderReportPdf(reportModel(run()));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.match(pdf.subarray(-8).toString(), /%%EOF/);
+  assert.ok((pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length >= 1);
+});
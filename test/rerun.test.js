@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { rerunPack } from '../lib/rerun.js';
+import { spoolTransactionsJson, transactionsOf } from '../lib/ingest.js';
+import { recordReview } from '../lib/reviews.js';
+import { reviewStore } from '../lib/review-store.js';
+import { evidencePack } from './evidence.js';
+
+const step = (r, name) => r.steps.find(s => s.step === name);
+
+/** The pack with `edits` ({ name: (text) => text }) applied to its entries, manifest untouched. */
+function edited(zip, edits) {
+  const z = new AdmZip(zip);
+  for (const [name, fn] of Object.entries(edits)) z.updateFile(name, Buffer.from(fn(z.readAsText(name))));
+  return z.toBuffer();
+}
+
+test('a fresh pack re-runs identically from its uploads and its normalized files', async () => {
+  const { zip } = await evidencePack({ includeInputs: true });
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'rerun-test-'));
+  try {
+    const r = await rerunPack(zip, { workDir: scratch });
+    assert.equal(r.ok, true);
+    assert.equal(r.pack.status, 'identical');
+    assert.equal(r.ruleset.status, 'identical');
+    assert.deepEqual(r.steps.map(s => [s.step, s.status]), [['normalize', 'identical'], ['score', 'identical']]);
+    assert.equal(step(r, 'score').clients, 5);
+    assert.deepEqual(fs.readdirSync(scratch), [], 'scratch files are removed');
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+});
+
+test('without the uploads only the score step runs', async () => {
+  const r = await rerunPack((await evidencePack({ includeInputs: false })).zip);
+  assert.equal(r.ok, true);
+  assert.deepEqual(step(r, 'normalize'), { step: 'normalize', status: 'skipped', reason: 'Original uploads were not included in the pack' });
+  assert.equal(step(r, 'score').status, 'identical');
+});
+
+test('edited scores are reported per client', async () => {
+  const { zip } = await evidencePack({ includeInputs: false });
+  const r = await rerunPack(edited(zip, { 'scores.json': t => JSON.stringify(JSON.parse(t).map(s => s.client_id === 'C-003' ? { ...s, score: 0, band: 'Low' } : s), null, 2) }));
+  assert.equal(r.ok, false);
+  assert.equal(r.pack.status, 'differs');
+  const score = step(r, 'score');
+  assert.equal(score.status, 'differs');
+  assert.deepEqual(score.differences.map(d => [d.client_id, d.recorded]), [['C-003', { score: 0, band: 'Low' }]]);
+});
+
+test('a transactions.json in another layout is skipped, not mis-scored', async () => {
+  const { zip } = await evidencePack({ includeInputs: false });
+  const r = await rerunPack(edited(zip, { 'transactions.json': t => JSON.stringify(JSON.parse(t)) }));
+  assert.deepEqual(step(r, 'score'), { step: 'score', status: 'skipped', reason: 'Packed transactions.json is not one transaction per line' });
+  assert.equal(r.ok, false);
+});
+
+test('a zip that is not a pack stops before any step', async () => {
+  const z = new AdmZip();
+  z.addFile('notes.txt', Buffer.from('hello'));
+  const r = await rerunPack(z.toBuffer());
+  assert.equal(r.manifest, null);
+  assert.deepEqual(r.steps, []);
+  assert.match(r.pack.errors.join(' '), /manifest\.json not found/);
+});
+
+test('spoolTransactionsJson reads the packed layout line by line', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-test-'));
+  try {
+    const file = path.join(dir, 'transactions.json');
+    const spoolDir = name => { fs.mkdirSync(path.join(dir, name)); return path.join(dir, name); };
+    const txs = [{ client_id: 'A', amount: 1 }, { client_id: 'B', amount: 2 }, { client_id: 'A', amount: 3 }];
+    fs.writeFileSync(file, '[\n' + txs.map(t => JSON.stringify(t)).join(',\n') + '\n]\n');
+    const spool = await spoolTransactionsJson(file, { workDir: spoolDir('spool'), partitions: 4 });
+    assert.equal(spool.count, 3);
+    const back = [];
+    for await (const t of transactionsOf(spool)) back.push(t);
+    assert.deepEqual(back.map(t => t.amount).sort(), [1, 2, 3]);
+
+    fs.writeFileSync(file, '[]\n');
+    assert.equal((await spoolTransactionsJson(file, { workDir: spoolDir('empty'), partitions: 4 })).count, 0);
+    fs.writeFileSync(file, JSON.stringify(txs, null, 2));
+    await assert.rejects(spoolTransactionsJson(file, { workDir: spoolDir('pretty'), partitions: 4 }), { code: 'INPUT_TRANSACTIONS_JSON' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('KYC review dates recorded between uploads are re-applied from the manifest', async () => {
+  const orgId = 'org_1200000000000001';
+  await evidencePack({ orgId });
+  recordReview('C-002', { reviewed_at: '2025-09-01' }, reviewStore.forOrg(orgId));
+  const { zip, manifest } = await evidencePack({ orgId, includeInputs: true });
+  assert.deepEqual(manifest.kyc_reviews_applied, [{ client_id: 'C-002', date: '2025-09-01' }]);
+
+  const r = await rerunPack(zip);
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.steps.map(s => [s.step, s.status]), [['normalize', 'identical'], ['score', 'identical']]);
+});
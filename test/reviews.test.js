@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { reviewIntervals, reviewOverrides, withReviews, recordSchedule, reviewSchedule, getReview, recordReview, scheduleCsv, scheduleIcs } from '../lib/reviews.js';
+import { createReviewStore, reviewStore } from '../lib/review-store.js';
+import { addMonths, addDays } from '../lib/utils.js';
+import { loadRuleset } from '../lib/ruleset.js';
+import { evidencePack } from './evidence.js';
+
+const ruleset = loadRuleset('dnfbp-2026.11');
+const today = new Date().toISOString().slice(0, 10);
+const store = () => createReviewStore({ backend: 'memory' }).forOrg('org_2300000000000000');
+const score = (client_id, band) => ({ client_id, band, score: { High: 40, Medium: 20, Low: 0 }[band], reasons: [] });
+
+test('months are added in UTC and clamped to the end of the month', () => {
+  assert.equal(addMonths('2025-01-31', 1), '2025-02-28');
+  assert.equal(addMonths('2024-01-31', 1), '2024-02-29');
+  assert.equal(addMonths('2025-08-31', 6), '2026-02-28');
+  assert.equal(addMonths('2025-03-31', -1), '2025-02-28');
+  assert.equal(addMonths('2025-11-15', 2), '2026-01-15');
+  assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+});
+
+test('review intervals come from the bands, else KYC_REVIEW_MONTHS', () => {
+  assert.deepEqual(reviewIntervals(ruleset), { High: 6, Medium: 12, Low: 24 });
+  const custom = { ...ruleset, bands: [{ band: 'High', min: 30, review_months: 3 }, { band: 'Watch', min: 10 }, { band: 'Low', min: 0 }] };
+  assert.deepEqual(reviewIntervals(custom), { High: 3, Watch: 6, Low: 24 });
+});
+
+test('the schedule lists overdue clients first, then those due soon', () => {
+  const s = store();
+  const clients = [
+    { client_id: 'H', full_name: 'High, due soon', kyc_last_reviewed_at: addMonths(addDays(today, 10), -6) },
+    { client_id: 'M', kyc_last_reviewed_at: addMonths(addDays(today, -1), -12) },
+    { client_id: 'L', kyc_last_reviewed_at: today },
+    { client_id: 'N', kyc_last_reviewed_at: '' }
+  ];
+  const counts = recordSchedule([score('H', 'High'), score('M', 'Medium'), score('L', 'Low'), score('N', 'Medium')], clients, { ruleset, token: 'tok' }, s);
+  assert.deepEqual(counts, { clients: 4, overdue: 2 });
+
+  const schedule = reviewSchedule({ days: '30' }, s);
+  assert.deepEqual(schedule.counts, { overdue: 2, upcoming: 1, scheduled: 1 });
+  assert.deepEqual(schedule.overdue.map(i => [i.client_id, i.next_review_due, i.days_until_due]), [['N', null, null], ['M', addDays(today, -1), -1]]);
+  assert.deepEqual(schedule.upcoming.map(i => [i.client_id, i.days_until_due, i.review_months]), [['H', 10, 6]]);
+  assert.throws(() => reviewSchedule({ as_of: '2025-02-30' }, s), { code: 'REVIEW_INVALID', message: /as_of: not a valid date/ });
+
+  const csv = scheduleCsv(schedule).split('\r\n');
+  assert.equal(csv[0], 'status,client_id,full_name,band,score,review_months,last_reviewed_at,next_review_due,days_until_due');
+  assert.equal(csv[3], `upcoming,H,"High, due soon",High,40,6,${clients[0].kyc_last_reviewed_at},${addDays(today, 10)},10`);
+});
+
+test('a recorded review moves the due date and feeds the next upload', () => {
+  const s = store();
+  recordSchedule([score('M', 'Medium')], [{ client_id: 'M', kyc_last_reviewed_at: '2024-01-15' }], { ruleset }, s);
+  assert.throws(() => recordReview('M', { reviewed_at: addDays(today, 1) }, s), { code: 'REVIEW_INVALID', message: /in the future/ });
+  assert.throws(() => recordReview('M', { reviewed_at: '2023-12-31' }, s), { message: /Earlier than the last review on record \(2024-01-15\)/ });
+  assert.throws(() => recordReview('X', {}, s), { code: 'REVIEW_NOT_FOUND' });
+
+  const done = recordReview('M', { reviewed_at: '2025-03-10', by: 'ann', note: 'Source of funds confirmed' }, s);
+  assert.deepEqual([done.last_reviewed_at, done.next_review_due], ['2025-03-10', '2026-03-10']);
+  assert.deepEqual(getReview('M', s).reviews.map(r => [r.reviewed_at, r.by, r.band, r.note]), [['2025-03-10', 'ann', 'Medium', 'Source of funds confirmed']]);
+
+  // Only reviews up to the run's lookback end count, and only when newer than the upload's date.
+  const before = [{ client_id: 'M', kyc_last_reviewed_at: '2024-01-15' }, { client_id: 'L', kyc_last_reviewed_at: '' }];
+  assert.deepEqual(reviewOverrides(before, s, { asOf: '2025-03-09' }), []);
+  const overrides = reviewOverrides(before, s, { asOf: '2025-12-31' });
+  assert.deepEqual(overrides, [{ client_id: 'M', date: '2025-03-10' }]);
+  assert.deepEqual(withReviews(before, overrides).map(c => c.kyc_last_reviewed_at), ['2025-03-10', '']);
+  assert.equal(before[0].kyc_last_reviewed_at, '2024-01-15', 'the uploaded clients are left as they are');
+  assert.deepEqual(reviewOverrides([{ client_id: 'M', kyc_last_reviewed_at: '2025-06-01' }], s, { asOf: '2025-12-31' }), []);
+});
+
+test('the iCalendar feed has one stable all-day event per client, folded per RFC 5545', () => {
+  const s = store();
+  recordSchedule([score('C-1', 'High'), score('Ω'.repeat(40), 'Low')], [{ client_id: 'C-1', kyc_last_reviewed_at: addMonths(addDays(today, 5), -6) }], { ruleset }, s);
+  const schedule = reviewSchedule({}, s);
+  const ics = scheduleIcs(schedule, { orgId: 'org_a' });
+  const lines = ics.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+  assert.ok(lines.every(l => Buffer.byteLength(l) <= 75), 'no line over 75 octets');
+  assert.ok(!ics.replace(/\r\n /g, '').includes('�'));
+
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes(`DTSTART;VALUE=DATE:${today.replace(/-/g, '')}`), 'overdue events fall on as_of');
+  assert.ok(unfolded.includes(`DTSTART;VALUE=DATE:${addDays(today, 5).replace(/-/g, '')}`));
+  assert.ok(unfolded.includes('SUMMARY:KYC review due: C-1 (High)'));
+  assert.ok(unfolded.includes('High risk: review every 6 months\\, due '));
+
+  const uid = ics.match(/UID:(\S+)/)[1];
+  assert.equal(scheduleIcs(schedule, { orgId: 'org_a' }).match(/UID:(\S+)/)[1], uid);
+  assert.notEqual(scheduleIcs(schedule, { orgId: 'org_b' }).match(/UID:(\S+)/)[1], uid);
+});
+
+test('a review recorded between uploads clears the stale-KYC reason', async () => {
+  const orgId = 'org_2300000000000001';
+  const stale = r => r.risk.find(s => s.client_id === 'C-002').reasons.some(x => x.rule_id === 'kyc_stale');
+  const first = await evidencePack({ orgId });
+  assert.equal(stale(first.result), true);
+  assert.equal(getReview('C-002', reviewStore.forOrg(orgId)).last_reviewed_at, '2024-08-01');
+
+  recordReview('C-002', { reviewed_at: '2025-09-01' }, reviewStore.forOrg(orgId));
+  const second = await evidencePack({ orgId });
+  assert.equal(second.result.reviews.applied, 1);
+  assert.deepEqual(second.manifest.kyc_reviews_applied, [{ client_id: 'C-002', date: '2025-09-01' }]);
+  assert.equal(stale(second.result), false);
+  const packed = JSON.parse(new AdmZip(second.zip).readAsText('clients.json'));
+  assert.equal(packed.find(c => c.client_id === 'C-002').kyc_last_reviewed_at, '2024-08-01', 'clients.json stays as uploaded');
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadScreener, loadList, nameSimilarity, nameTokens, SAMPLE_LISTS } from '../lib/screening.js';
+import { evaluateRuleset } from '../lib/engine.js';
+import { loadRuleset } from '../lib/ruleset.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const lookback = { start: '2024-07-01', end: '2025-06-30', months: 12, anchor: 'as_of' };
+
+test('names compare token by token, ignoring order, accents, honorifics and company suffixes', () => {
+  assert.deepEqual(nameTokens('Dr. José  Álvarez Pty Ltd'), ['alvarez', 'jose']);
+  assert.equal(nameSimilarity(nameTokens('Chen Wei'), nameTokens('Wei Chen')), 1);
+  assert.ok(nameSimilarity(nameTokens('Ivan Petrovskiy'), nameTokens('Ivan Petrovsky')) > 0.95);
+  assert.ok(nameSimilarity(nameTokens('Acme Import'), nameTokens('Acme Import Trading')) < 0.9);
+});
+
+test('DFAT-layout lists map their columns and keep one best match per reference', () => {
+  const list = loadList('sanctions', SAMPLE_LISTS.sanctions);
+  assert.equal(list.as_at, '2025-10-20');
+  const matches = list.match({ name: 'Ivan Petrovskiy', dob: '1961-03-14', country: 'RU' }, 0.9);
+  assert.deepEqual(matches.map(m => [m.ref, m.name, m.dob, m.country, m.score]), [['9001', 'Ivan Petrovsky', '14/03/1961', 'RU', 1]]);
+});
+
+test('a different birth year counts against a match', () => {
+  const list = loadList('pep', SAMPLE_LISTS.pep);
+  assert.equal(list.match({ name: 'Wei Chen', dob: '1979-09-13' }, 0.9)[0].ref, 'P-001');
+  assert.deepEqual(list.match({ name: 'Wei Chen', dob: '1990-01-01' }, 0.9), []);
+});
+
+test('XML exports are read from their repeated record element', () => {
+  const file = path.join(dir, 'list.xml');
+  fs.writeFileSync(file, '<list><entry><id>X-1</id><name>Olga Sample</name><country>Russia</country></entry><entry><id>X-2</id><name>Other Person</name></entry></list>');
+  const [m] = loadList('sanctions', file).match({ name: 'Olga Sample' }, 0.9);
+  assert.deepEqual([m.ref, m.country], ['X-1', 'RU']);
+});
+
+test('without list files nothing is screened and the sources say so', () => {
+  const screener = loadScreener({ sanctionsFile: '', pepFile: 'none' });
+  assert.equal(screener.list('sanctions'), null);
+  assert.deepEqual(screener.meta(), { sanctions_list_source: 'not screened', pep_list_source: 'not screened' });
+});
+
+test('screening rules fire only against lists that were loaded', () => {
+  const ruleset = loadRuleset('dnfbp-2026.11');
+  const clients = [{ client_id: 'C1', full_name: 'Wei Chen', dob: '1979-09-13', residency_country: 'AU' }];
+  const txs = [{ tx_id: 'T1', client_id: 'C1', date: '2025-01-10', amount: 500, amount_aud: 500, currency: 'AUD', direction: 'out', method: 'eft', counterparty_name: 'Ivan Petrovsky', counterparty_country: 'RU' }];
+  const screened = rules => evaluateRuleset(ruleset, clients, txs, lookback, { screener: loadScreener(rules) }).scores[0].reasons.map(r => r.rule_id).filter(id => id.includes('screen'));
+
+  assert.deepEqual(screened({ sanctionsFile: '', pepFile: '' }), []);
+  assert.deepEqual(screened({ sanctionsFile: '', pepFile: SAMPLE_LISTS.pep }), ['pep_screen_client']);
+  assert.deepEqual(screened({ sanctionsFile: SAMPLE_LISTS.sanctions, pepFile: '' }), ['sanctions_screen_counterparty']);
+  assert.equal(loadScreener({ sanctionsFile: SAMPLE_LISTS.sanctions, pepFile: '' }).meta().sanctions_list_as_at, '2025-10-20');
+});
@@ -0,0 +1,31 @@
+// Test helper: server.js in a child process on a free port, with the test environment
+// (memory stores, scratch WORK_DIR) plus `env`. Stop it with close().
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const origin = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: String(port), APP_ORIGIN: origin, ...env }, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', d => { stderr += d; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const close = async () => { if (child.exitCode == null) { child.kill('SIGTERM'); await exited; } };
+  for (let i = 0; ; i++) {
+    if (child.exitCode != null) throw new Error(`server.js exited: ${stderr}`);
+    try { if ((await fetch(`${origin}/healthz`)).ok) break; } catch { /* not listening yet */ }
+    if (i >= 100) { await close(); throw new Error('server.js did not start within 10 s'); }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return { origin, close };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+    srv.on('error', reject);
+  });
+}
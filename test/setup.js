@@ -0,0 +1,16 @@
+// Loaded before every test file (npm test runs node --import ./test/setup.js): stores stay in
+// memory and scratch files go under one temp directory, so tests never write to var/.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'trancheready-test-'));
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+for (const store of ['VERIFY', 'CASE', 'ACCOUNT', 'AUDIT', 'REVIEW']) process.env[`${store}_STORE`] = 'memory';
+Object.assign(process.env, {
+  WORK_DIR: tmp,
+  MAPPING_PROFILE_DIR: path.join(tmp, 'mapping-profiles'),
+  COUNTRY_RISK_DIR: path.join(tmp, 'country-risk'),
+  NARRATIVE_PROVIDER: 'none'
+});
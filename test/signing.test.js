@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { cfg } from '../lib/config.js';
+import { canonicalJson, signingPayload, signManifest, signingKey, publishedKeys, keyId } from '../lib/signing.js';
+import { verifyPack } from '../lib/verify-pack.js';
+import { testKey, signedManifest, packZip, json } from './packs.js';
+
+const seed = key => Buffer.from(key.secretKey.slice(0, 32)).toString('base64');
+function withKeys(env, fn) {
+  const saved = { SIGN_PRIVATE_KEY: cfg.SIGN_PRIVATE_KEY, SIGN_PUBLIC_KEY: cfg.SIGN_PUBLIC_KEY, SIGN_PUBLIC_KEYS: cfg.SIGN_PUBLIC_KEYS };
+  Object.assign(cfg, { SIGN_PRIVATE_KEY: '', SIGN_PUBLIC_KEY: '', SIGN_PUBLIC_KEYS: '', ...env });
+  try { return fn(); } finally { Object.assign(cfg, saved); }
+}
+
+test('canonicalJson sorts keys at every depth and drops undefined members', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [3, { z: 1, y: undefined }], c: null } }), '{"a":{"c":null,"d":[3,{"z":1}]},"b":1}');
+  assert.equal(canonicalJson([undefined, 'é']), '[null,"é"]');
+  assert.equal(canonicalJson({ b: 2, a: 1 }), canonicalJson({ a: 1, b: 2 }));
+});
+
+test('the v2 signature covers the whole manifest except the signing block', () => {
+  const m = { schema: 'trancheready.manifest.v2', files: [], lookback: { end: '2025-06-30' }, signing: { signature: 'x' } };
+  assert.equal(signingPayload(m).toString(), '{"files":[],"lookback":{"end":"2025-06-30"},"schema":"trancheready.manifest.v2"}');
+});
+
+test('signManifest signs with the configured key (seed or secret key) and records its id', () => {
+  const key = testKey();
+  for (const secret of [seed(key), Buffer.from(key.secretKey).toString('base64')]) {
+    const m = withKeys({ SIGN_PRIVATE_KEY: secret }, () => signManifest({ schema: 'trancheready.manifest.v2', files: [] }));
+    assert.equal(m.signing.key_id, keyId(key.publicKey));
+    assert.ok(nacl.sign.detached.verify(new Uint8Array(signingPayload(m)), new Uint8Array(Buffer.from(m.signing.signature, 'base64')), key.publicKeyBytes));
+  }
+  assert.equal(withKeys({}, () => signManifest({ files: [] })).signing, undefined);
+  assert.throws(() => withKeys({ SIGN_PRIVATE_KEY: Buffer.alloc(10).toString('base64') }, signingKey), /got 10 bytes/);
+});
+
+test('keyId is the first 16 hex chars of SHA-256 over the raw key', () => {
+  assert.match(keyId(testKey().publicKey), /^[0-9a-f]{16}$/);
+  assert.notEqual(keyId(testKey().publicKey), keyId(testKey('other').publicKey));
+});
+
+test('publishedKeys lists the current key first, then retired keys, without duplicates', () => {
+  const current = testKey('current');
+  const retired = testKey('retired');
+  const keys = withKeys({ SIGN_PRIVATE_KEY: seed(current), SIGN_PUBLIC_KEYS: `${retired.publicKey}, ${current.publicKey}` }, publishedKeys);
+  assert.deepEqual(keys.map(k => [k.public_key, k.current, k.key_id]), [
+    [current.publicKey, true, keyId(current.publicKey)],
+    [retired.publicKey, false, keyId(retired.publicKey)]
+  ]);
+});
+
+test('packs signed before a key rotation still verify against the published keys', async () => {
+  const retired = testKey('retired');
+  const current = testKey('current');
+  const files = { 'scores.json': json([]) };
+  const r = await verifyPack(await packZip(files, { key: retired }), { publicKeys: [current.publicKey, retired.publicKey] });
+  assert.equal(r.signature.status, 'valid');
+  assert.equal(r.signature.key_id, keyId(retired.publicKey));
+});
+
+test('any change to a signed field breaks the signature', async () => {
+  const key = testKey();
+  const files = { 'scores.json': json([]) };
+  const manifest = signedManifest(files, key, { lookback: { start: '2024-07-01', end: '2025-06-30' } });
+  manifest.lookback.end = '2025-07-31';
+  assert.equal((await verifyPack(await packZip(files, { manifest }), { publicKeys: [key.publicKey] })).signature.status, 'invalid');
+});
+
+test('legacy v1 packs verify over files, created_utc and ruleset_id only', async () => {
+  const key = testKey();
+  const files = { 'scores.json': json([]) };
+  const manifest = { ...signedManifest(files, null), schema: 'trancheready.manifest.v1' };
+  const payload = JSON.stringify({ files: manifest.files, created_utc: manifest.created_utc, ruleset_id: manifest.ruleset_id });
+  manifest.signing = { alg: 'ed25519', key_id: 'legacy', signature: Buffer.from(nacl.sign.detached(new Uint8Array(Buffer.from(payload)), key.secretKey)).toString('base64') };
+  assert.equal((await verifyPack(await packZip(files, { manifest }), { publicKeys: [key.publicKey] })).signature.status, 'valid');
+  manifest.sources = { added: 'after signing' };
+  assert.equal((await verifyPack(await packZip(files, { manifest }), { publicKeys: [key.publicKey] })).signature.status, 'valid');
+});
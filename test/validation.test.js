@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationReport } from '../lib/validation.js';
+import { ingestClients, ingestTransactions } from '../lib/ingest.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function file(name, lines) {
+  const p = path.join(dir, name);
+  fs.writeFileSync(p, lines.join('\n'));
+  return p;
+}
+
+const clients = file('clients.csv', [
+  'client_id,full_name,residency_country,favourite_colour',
+  'C1,Jane Smith,AU,blue',
+  ',No Id,AU,red',
+  'C3,Bad Country,XX,green'
+]);
+const txs = file('tx.csv', [
+  'tx_id,client_id,date,amount,currency,direction,method,counterparty_country',
+  'T1,C1,2025-01-02,100,AUD,in,cash,AU',
+  'T2,C1,02/13/2025,100,AUD,in,cash,AU',
+  'T3,C1,2025-01-03,abc,AUD,in,cash,AU',
+  'T1,C1,2025-01-04,100,AUD,sideways,cash,AU',
+  'T5,C1,2025-01-05,100,AUD,in,cash,=cmd',
+  'T6,C9,2025-01-06,50,AUD,out,eft,AU'
+]);
+
+async function validate() {
+  const report = new ValidationReport();
+  await ingestClients(clients, { report });
+  await ingestTransactions(txs, { report });
+  return report;
+}
+
+test('each issue names its file, spreadsheet row, column, value and reason', async () => {
+  const r = (await validate()).toJSON();
+  const brief = r.issues.map(x => [x.file, x.row, x.column, x.value, x.severity]);
+  assert.deepEqual(brief, [
+    ['clients', 3, 'client_id', '', 'error'],
+    ['clients', 4, 'residency_country', 'XX', 'warning'],
+    ['transactions', 3, 'date', '02/13/2025', 'error'],
+    ['transactions', 4, 'amount', 'abc', 'error'],
+    ['transactions', 5, 'direction', 'sideways', 'warning'],
+    ['transactions', 5, 'tx_id', 'T1', 'warning'],
+    ['transactions', 6, 'counterparty_country', '=cmd', 'warning'],
+    ['transactions', 7, 'client_id', 'C9', 'warning']
+  ]);
+  assert.match(r.issues.find(x => x.column === 'tx_id').reason, /Duplicate tx_id \(first seen on row 2\)/);
+  assert.equal(r.valid, false);
+  assert.deepEqual(r.summary.transactions, { errors: 2, warnings: 4, rows: 6 });
+  assert.deepEqual(r.unknown_headers, { clients: ['favourite_colour'], transactions: [] });
+  assert.deepEqual(r.unknown_client_ids, [{ client_id: 'C9', transactions: 1 }]);
+  assert.equal(r.truncated, false);
+});
+
+test('the errors CSV is sorted by file and row and neutralises formula-like values', async () => {
+  const lines = (await validate()).toCSV().trim().split('\r\n');
+  assert.equal(lines[0], 'file,row,column,value,severity,reason');
+  assert.ok(lines[1].startsWith('clients,3,client_id,,error,'));
+  assert.ok(lines.some(l => l.startsWith("transactions,6,counterparty_country,'=cmd,warning,")));
+  assert.equal(lines.at(-1), 'clients,1,favourite_colour,,warning,Unknown column (ignored)');
+});
+
+test('issues beyond maxIssues are counted but not kept', async () => {
+  const report = new ValidationReport({ maxIssues: 2 });
+  await ingestClients(clients, { report });
+  await ingestTransactions(txs, { report });
+  const r = report.toJSON();
+  assert.equal(r.issues.length, 2);
+  assert.equal(r.truncated, true);
+  assert.equal(r.summary.transactions.errors, 2);
+});
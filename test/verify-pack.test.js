@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { verifyPack } from '../lib/verify-pack.js';
+import { zipNamedBuffers } from '../lib/zip.js';
+import { testKey, signedManifest, packZip, json } from './packs.js';
+
+const CLI = fileURLToPath(new URL('../bin/trancheready.js', import.meta.url));
+const key = testKey();
+const files = { 'clients.json': json([{ client_id: 'C1' }]), 'scores.json': json([{ client_id: 'C1', score: 0, band: 'Low', reasons: [] }]) };
+
+test('an untouched signed pack passes', async () => {
+  const r = await verifyPack(await packZip(files, { key }), { publicKeys: [key.publicKey] });
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.files.map(f => f.status), ['ok', 'ok']);
+  assert.equal(r.signature.status, 'valid');
+  assert.deepEqual(r.errors, []);
+});
+
+test('changed, missing and unlisted files are each reported', async () => {
+  const manifest = signedManifest(files, key);
+  const zip = await zipNamedBuffers({
+    'clients.json': json([{ client_id: 'C2' }]),
+    'notes.txt': Buffer.from('added later'),
+    'manifest.json': json(manifest)
+  });
+  const r = await verifyPack(zip, { publicKeys: [key.publicKey] });
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.files.map(f => [f.name, f.status]), [['clients.json', 'mismatch'], ['scores.json', 'missing']]);
+  assert.deepEqual(r.extra, ['notes.txt']);
+  assert.deepEqual(r.errors, ['Hash mismatch: clients.json', 'Missing file: scores.json', 'Unlisted file: notes.txt']);
+});
+
+test('signatures: skipped without keys, invalid with the wrong key, unsigned when a key is expected', async () => {
+  const zip = await packZip(files, { key });
+  assert.equal((await verifyPack(zip)).signature.status, 'skipped');
+  assert.equal((await verifyPack(zip)).ok, true);
+  const wrong = await verifyPack(zip, { publicKeys: [testKey('other').publicKey] });
+  assert.equal(wrong.signature.status, 'invalid');
+  assert.equal(wrong.ok, false);
+  const unsigned = await verifyPack(await packZip(files), { publicKeys: [key.publicKey] });
+  assert.equal(unsigned.signature.status, 'unsigned');
+  assert.equal(unsigned.ok, false);
+});
+
+test('a zip without a readable manifest fails cleanly', async () => {
+  assert.deepEqual((await verifyPack(await zipNamedBuffers({ 'a.txt': Buffer.from('x') }))).errors, ['manifest.json not found in pack']);
+  assert.deepEqual((await verifyPack(await zipNamedBuffers({ 'manifest.json': Buffer.from('{') }))).errors, ['manifest.json is not valid JSON']);
+});
+
+function cli(args) {
+  return new Promise(resolve => execFile(process.execPath, [CLI, ...args], (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr })));
+}
+
+test('trancheready verify: exit 0 on pass, 1 on failure, 2 on usage errors', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-cli-test-'));
+  try {
+    const good = path.join(dir, 'good.zip');
+    const bad = path.join(dir, 'bad.zip');
+    const keyFile = path.join(dir, 'keys.txt');
+    fs.writeFileSync(good, await packZip(files, { key }));
+    fs.writeFileSync(bad, await packZip(files, { key: testKey('other') }));
+    fs.writeFileSync(keyFile, `# current\n${key.publicKey}\n`);
+
+    const pass = await cli(['verify', good, '--public-key-file', keyFile]);
+    assert.equal(pass.code, 0);
+    assert.match(pass.stdout, /Signature: valid/);
+    assert.match(pass.stdout, /RESULT: PASS/);
+
+    const fail = await cli(['verify', bad, '--public-key', key.publicKey, '--json']);
+    assert.equal(fail.code, 1);
+    assert.equal(JSON.parse(fail.stdout).signature.status, 'invalid');
+
+    assert.equal((await cli(['verify'])).code, 2);
+    assert.equal((await cli(['verify', path.join(dir, 'missing.zip')])).code, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('extractTo unpacks the entries once for the caller', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-pack-test-'));
+  try {
+    const r = await verifyPack(await packZip(files, { key }), { extractTo: dir });
+    assert.equal(fs.readFileSync(r.entries['clients.json'].path, 'utf8'), files['clients.json'].toString());
+    assert.equal(r.entries['scores.json'].bytes, files['scores.json'].length);
+    assert.equal('entries' in await verifyPack(await packZip(files, { key })), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
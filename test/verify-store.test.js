@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createVerifyStore } from '../lib/verify-store.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-store-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const zipPath = path.join(dir, 'pack.zip');
+fs.writeFileSync(zipPath, 'PK pack bytes');
+const manifest = { schema: 'test', files: [] };
+
+let sqlite = true;
+try { createRequire(import.meta.url)('better-sqlite3'); } catch { sqlite = false; }
+
+const backends = [
+  ['memory', () => path.join(dir, 'memory')],
+  ['fs', () => path.join(dir, 'fs')],
+  ['sqlite', () => path.join(dir, 'verify.sqlite')]
+];
+
+for (const [backend, location] of backends) {
+  test(`${backend}: putFile keeps a copy of the pack with its manifest and org`, { skip: backend === 'sqlite' && !sqlite && 'better-sqlite3 not installed' }, async () => {
+    const store = createVerifyStore({ backend, location: location(), sweepMin: 0 });
+    await store.putFile('token-live', zipPath, manifest, 60, { org_id: 'org_1' });
+    const entry = store.get('token-live');
+    assert.deepEqual(entry.manifest, manifest);
+    assert.equal(entry.org_id, 'org_1');
+    assert.notEqual(entry.zipPath, zipPath);
+    assert.equal(entry.zipBuffer.toString(), 'PK pack bytes');
+    assert.ok(entry.expiresAt > new Date());
+    assert.equal(store.get('token-none'), null);
+    await assert.rejects(store.putFile('../x', zipPath, manifest, 60), /Invalid verify token/);
+    assert.throws(() => store.put('../x', Buffer.from('PK'), manifest, 60), /Invalid verify token/);
+  });
+
+  test(`${backend}: expired links are not served and are swept with their pack`, { skip: backend === 'sqlite' && !sqlite && 'better-sqlite3 not installed' }, async () => {
+    const store = createVerifyStore({ backend, location: location(), sweepMin: 0 });
+    await store.putFile('token-old1', zipPath, manifest, -1);
+    await store.putFile('token-old2', zipPath, manifest, -1);
+    await store.putFile('token-keep', zipPath, manifest, 60);
+    const stale = store.get('token-keep').zipPath.replace('token-keep', 'token-old2');
+    assert.ok(fs.existsSync(stale));
+
+    assert.equal(store.get('token-old1'), null);
+    assert.equal(store.sweep(), 1);
+    assert.equal(fs.existsSync(stale), false);
+    assert.ok(store.get('token-keep'));
+  });
+}
+
+test('fs: links written by one instance are served by another sharing the directory', async () => {
+  const location = path.join(dir, 'shared');
+  await createVerifyStore({ backend: 'fs', location, sweepMin: 0 }).putFile('token-shared', zipPath, manifest, 60, { org_id: 'org_2' });
+  const other = createVerifyStore({ backend: 'fs', location, sweepMin: 0 });
+  assert.equal(other.get('token-shared').org_id, 'org_2');
+  assert.equal(other.count(), 1);
+});
+
+test('unknown backends are rejected', () => {
+  assert.throws(() => createVerifyStore({ backend: 'redis' }), /Unknown VERIFY_STORE backend: redis/);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { digestZipEntries, readZipEntriesNamed, openZipEntry, zipEntryLines, zipNamedEntriesToFile } from '../lib/zip.js';
+import { sha256Hex } from '../lib/manifest.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A pack on disk with a transactions.json larger than one read chunk, written from a file.
+const lines = Array.from({ length: 20000 }, (_, i) => JSON.stringify({ tx_id: `T-${i}`, client_id: `C-${i % 7}`, amount: i }));
+const txText = `[\n${lines.join(',\n')}\n]\n`;
+const zipPath = path.join(dir, 'pack.zip');
+const ready = (async () => {
+  fs.writeFileSync(path.join(dir, 'transactions.json'), txText);
+  await zipNamedEntriesToFile({ 'manifest.json': Buffer.from('{"files":[]}'), 'transactions.json': { path: path.join(dir, 'transactions.json') }, 'inputs/a.csv': Buffer.from('a,b\n') }, zipPath);
+})();
+
+test('entries are hashed as streams, unpacked on request, and only kept ones carry data', async () => {
+  await ready;
+  const out = path.join(dir, 'out');
+  fs.mkdirSync(out);
+  const entries = await digestZipEntries(zipPath, { dir: out, keep: ['manifest.json'] });
+  assert.deepEqual(Object.keys(entries).sort(), ['inputs/a.csv', 'manifest.json', 'transactions.json']);
+  assert.equal(entries['transactions.json'].sha256, sha256Hex(Buffer.from(txText)));
+  assert.equal(entries['transactions.json'].bytes, Buffer.byteLength(txText));
+  assert.equal('data' in entries['transactions.json'], false);
+  assert.equal(entries['manifest.json'].data.toString(), '{"files":[]}');
+  assert.equal(fs.readFileSync(entries['transactions.json'].path, 'utf8'), txText);
+  assert.equal(path.dirname(entries['inputs/a.csv'].path), out, 'entry names never choose where files land');
+});
+
+test('named entries, single entry streams and lines read from a path or a Buffer', async () => {
+  await ready;
+  for (const zip of [zipPath, fs.readFileSync(zipPath)]) {
+    assert.deepEqual(await readZipEntriesNamed(zip, ['manifest.json', 'missing.json']), { 'manifest.json': Buffer.from('{"files":[]}'), 'missing.json': null });
+    assert.equal(await openZipEntry(zip, 'missing.json'), null);
+    let text = '';
+    for await (const chunk of await openZipEntry(zip, 'transactions.json')) text += chunk;
+    assert.equal(text, txText);
+    let count = 0;
+    for await (const line of zipEntryLines(zip, 'transactions.json')) if (line.startsWith('{')) count++;
+    assert.equal(count, lines.length);
+  }
+  const none = [];
+  for await (const line of zipEntryLines(zipPath, 'missing.json')) none.push(line);
+  assert.deepEqual(none, []);
+});
+
+test('a file that is not a zip is rejected', async () => {
+  const bad = path.join(dir, 'bad.zip');
+  fs.writeFileSync(bad, 'not a zip');
+  await assert.rejects(digestZipEntries(bad), /not a zip file/);
+});